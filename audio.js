@@ -0,0 +1,210 @@
+/**
+ * Web Audio output: one-shot sound effects and the procedural soundtrack
+ * scored in core/audio.js. Everything runs through a master gain with a
+ * music and an SFX bus under it, and the music bus has a low-pass filter
+ * that opens up with intensity and dips whenever gravity changes.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG, defaultAudioSettings, channelVolume, musicTempo, musicIntensity, stepDuration, musicStep, midiToFrequency } = Snike;
+
+    // The music is scheduled a little ahead on a timer, so timer jitter never reaches the beat
+    const SCHEDULE_MS = 25;
+    const LOOKAHEAD = 0.12; // Seconds
+    const VOLUME_SMOOTHING = 0.05; // Time constant (s) for volume changes, to avoid clicks
+
+    const VOICES = {
+        bass: { type: 'triangle', volume: 0.22 },
+        arp: { type: 'square', volume: 0.035 },
+        lead: { type: 'sawtooth', volume: 0.045 }
+    };
+
+    class AudioController {
+        constructor(settings = defaultAudioSettings()) {
+            this.ctx = null;
+            this.settings = settings;
+            this.music = null;
+            this.tempo = musicTempo(CONFIG.INITIAL_SNAKE_SPEED);
+            this.intensity = 0;
+            // The context is suspended while either of these holds
+            this.paused = false;
+            this.hidden = false;
+        }
+
+        init() {
+            if (this.ctx) return;
+            this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+            this.master = this.ctx.createGain();
+            this.master.connect(this.ctx.destination);
+            this.sfx = this.ctx.createGain();
+            this.sfx.connect(this.master);
+            this.musicBus = this.ctx.createGain();
+            this.musicBus.connect(this.master);
+            this.filter = this.ctx.createBiquadFilter();
+            this.filter.type = 'lowpass';
+            this.filter.frequency.value = this.filterCutoff();
+            this.filter.connect(this.musicBus);
+            this.noise = this.createNoise();
+            this.applySettings();
+            this.syncSuspended();
+        }
+
+        setSettings(settings) {
+            this.settings = settings;
+            this.applySettings();
+        }
+
+        applySettings() {
+            if (!this.ctx) return;
+            const now = this.ctx.currentTime;
+            this.master.gain.setTargetAtTime(channelVolume(this.settings, 'master'), now, VOLUME_SMOOTHING);
+            this.musicBus.gain.setTargetAtTime(this.settings.music, now, VOLUME_SMOOTHING);
+            this.sfx.gain.setTargetAtTime(this.settings.sfx, now, VOLUME_SMOOTHING);
+        }
+
+        setPaused(paused) {
+            this.paused = paused;
+            this.syncSuspended();
+        }
+
+        setHidden(hidden) {
+            this.hidden = hidden;
+            this.syncSuspended();
+        }
+
+        /** Suspending stops the audio clock too, so the music picks up on the beat it left. */
+        syncSuspended() {
+            if (!this.ctx) return;
+            if (this.paused || this.hidden) {
+                if (this.ctx.state === 'running') this.ctx.suspend();
+            } else if (this.ctx.state === 'suspended') {
+                this.ctx.resume();
+            }
+        }
+
+        playSound(freq, type, duration, volume = 0.1) {
+            if (!this.ctx) return;
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+
+            osc.type = type;
+            osc.frequency.setValueAtTime(freq, this.ctx.currentTime);
+
+            gain.gain.setValueAtTime(volume, this.ctx.currentTime);
+            gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + duration);
+
+            osc.connect(gain);
+            gain.connect(this.sfx);
+
+            osc.start();
+            osc.stop(this.ctx.currentTime + duration);
+        }
+
+        playEat() { this.playSound(440, 'square', 0.1, 0.05); this.playSound(880, 'square', 0.15, 0.03); }
+        playCrash() { this.playSound(100, 'sawtooth', 0.5, 0.1); }
+        playGravity() { this.playSound(220, 'sine', 0.3, 0.08); }
+        playWarning() { this.playSound(587, 'sine', 0.12, 0.04); this.playSound(440, 'sine', 0.2, 0.03); }
+        playTrim() { this.playSound(330, 'triangle', 0.2, 0.06); }
+        playCountdown(pip) { this.playSound(660 + pip * 220, 'sine', 0.08, 0.05); }
+        playPowerUp() { this.playSound(660, 'sine', 0.2, 0.06); this.playSound(990, 'sine', 0.3, 0.04); }
+        playPowerDown() { this.playSound(520, 'sine', 0.25, 0.04); }
+
+        startMusic() {
+            if (!this.ctx || this.music) return;
+            this.music = {
+                step: 0,
+                nextTime: this.ctx.currentTime + 0.05,
+                timer: setInterval(() => this.scheduleMusic(), SCHEDULE_MS)
+            };
+        }
+
+        stopMusic() {
+            if (!this.music) return;
+            clearInterval(this.music.timer);
+            this.music = null;
+        }
+
+        /** Follows the snake: speed sets the tempo and length the intensity. */
+        setMusicState(speed, length) {
+            const intensity = musicIntensity(length);
+            this.tempo = musicTempo(speed);
+            if (intensity === this.intensity) return;
+            this.intensity = intensity;
+            if (this.ctx && !this.sweeping) {
+                this.filter.frequency.setTargetAtTime(this.filterCutoff(), this.ctx.currentTime, 0.5);
+            }
+        }
+
+        filterCutoff() {
+            return 900 + this.intensity * 5000;
+        }
+
+        /** Closes the music filter with a resonant dip and lets it swing back open; stronger gravity dips deeper. */
+        gravityShift(gravity) {
+            if (!this.ctx) return;
+            const now = this.ctx.currentTime;
+            const open = this.filterCutoff();
+            const frequency = this.filter.frequency;
+            frequency.cancelScheduledValues(now);
+            frequency.setValueAtTime(frequency.value, now);
+            frequency.exponentialRampToValueAtTime(Math.max(120, 400 / Math.max(0.5, gravity.strength)), now + 0.08);
+            frequency.exponentialRampToValueAtTime(open, now + 0.9);
+            this.filter.Q.cancelScheduledValues(now);
+            this.filter.Q.setValueAtTime(9, now);
+            this.filter.Q.setTargetAtTime(1, now + 0.08, 0.3);
+            this.sweeping = true;
+            clearTimeout(this.sweepTimer);
+            this.sweepTimer = setTimeout(() => { this.sweeping = false; }, 900);
+        }
+
+        scheduleMusic() {
+            const music = this.music;
+            while (music.nextTime < this.ctx.currentTime + LOOKAHEAD) {
+                const duration = stepDuration(this.tempo);
+                musicStep(music.step, this.intensity).forEach(note => this.playNote(note, music.nextTime, duration));
+                music.nextTime += duration;
+                music.step++;
+            }
+        }
+
+        playNote({ voice, note, steps }, time, stepLength) {
+            const length = steps * stepLength;
+            const gain = this.ctx.createGain();
+            gain.connect(this.filter);
+            if (voice === 'hat') {
+                const source = this.ctx.createBufferSource();
+                const highpass = this.ctx.createBiquadFilter();
+                highpass.type = 'highpass';
+                highpass.frequency.value = 7000;
+                source.buffer = this.noise;
+                source.connect(highpass);
+                highpass.connect(gain);
+                gain.gain.setValueAtTime(0.05, time);
+                gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+                source.start(time);
+                source.stop(time + 0.06);
+                return;
+            }
+            const { type, volume } = VOICES[voice];
+            const osc = this.ctx.createOscillator();
+            osc.type = type;
+            osc.frequency.setValueAtTime(midiToFrequency(note), time);
+            osc.connect(gain);
+            gain.gain.setValueAtTime(volume, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + length * 0.95);
+            osc.start(time);
+            osc.stop(time + length);
+        }
+
+        /** A short buffer of white noise for the hats. */
+        createNoise() {
+            const buffer = this.ctx.createBuffer(1, Math.floor(this.ctx.sampleRate * 0.1), this.ctx.sampleRate);
+            const data = buffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+            return buffer;
+        }
+    }
+
+    Snike.AudioController = AudioController;
+})(globalThis.Snike = globalThis.Snike || {});
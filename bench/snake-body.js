@@ -0,0 +1,98 @@
+/**
+ * Frame-time benchmark for long snakes: `node bench/snake-body.js`.
+ *
+ * Grows a snake to each length, then times a tick (move, lay segments,
+ * self-collision check) and a body draw against a recording 2D context.
+ * The linear scan and old draw call columns are what the per-tick
+ * collision scan and per-segment drawing used to cost, for scale. Tick and
+ * draw calls should stay flat as the snake gets longer.
+ */
+require('../core');
+require('../renderer.js');
+
+const { CONFIG, Snake, Renderer } = globalThis.Snike;
+
+const LENGTHS = [250, 1000, 2000, 4000, 8000];
+const TICKS = 600;
+const BOUNDS = { width: 1200, height: 800 };
+
+/** A 2D context that does nothing but count the calls that cost real work. */
+function recordingContext() {
+    const calls = { stroke: 0, fill: 0, lineTo: 0 };
+    const noop = () => {};
+    return {
+        calls,
+        beginPath: noop, moveTo: noop, arc: noop, save: noop, restore: noop, translate: noop,
+        lineTo() { calls.lineTo++; },
+        stroke() { calls.stroke++; },
+        fill() { calls.fill++; }
+    };
+}
+
+function linearHitIndex(snake) {
+    const reach = CONFIG.SNAKE_WIDTH * 0.8;
+    const body = snake.segments;
+    for (let i = 20; i < body.length; i++) {
+        const dx = snake.pos.x - body[i].x;
+        const dy = snake.pos.y - body[i].y;
+        if (dx * dx + dy * dy < reach * reach) return i;
+    }
+    return -1;
+}
+
+function percentile(samples, p) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+const ctx = recordingContext();
+const renderer = new Renderer({ width: BOUNDS.width, height: BOUNDS.height, getContext: () => ctx });
+let tick = 0;
+
+// Chase a point tracing a figure-eight, so the body keeps crossing itself without leaving the arena
+function steer(snake) {
+    tick++;
+    const x = BOUNDS.width / 2 + Math.sin(tick * 0.004) * BOUNDS.width * 0.4;
+    const y = BOUNDS.height / 2 + Math.sin(tick * 0.008) * BOUNDS.height * 0.4;
+    return { dx: x - snake.pos.x, dy: y - snake.pos.y };
+}
+
+const rows = LENGTHS.map(length => {
+    const snake = new Snake(BOUNDS.width / 2, BOUNDS.height / 2);
+    snake.speed = CONFIG.MAX_SPEED;
+    snake.length = length;
+    while (snake.segments.length < length) snake.update(steer(snake), { x: 0, y: 0 });
+
+    const ticks = [];
+    const scans = [];
+    const draws = [];
+    const before = ctx.calls.stroke + ctx.calls.fill;
+    for (let i = 0; i < TICKS; i++) {
+        ticks.push(time(() => {
+            snake.update(steer(snake), { x: 0, y: 0 });
+            snake.selfHitIndex();
+        }));
+        scans.push(time(() => linearHitIndex(snake)));
+        draws.push(time(() => renderer.drawSnake(snake, 0.5)));
+    }
+    return {
+        segments: snake.segments.length,
+        'tick p50 ms': percentile(ticks, 0.5).toFixed(3),
+        'tick p99 ms': percentile(ticks, 0.99).toFixed(3),
+        'linear scan p50 ms': percentile(scans, 0.5).toFixed(3),
+        'draw p50 ms': percentile(draws, 0.5).toFixed(3),
+        'draw p99 ms': percentile(draws, 0.99).toFixed(3),
+        'draw calls / frame': ((ctx.calls.stroke + ctx.calls.fill - before) / TICKS).toFixed(1),
+        // One shadowed arc per two segments, plus the head
+        'old draw calls / frame': Math.ceil(length / 2) + 1
+    };
+});
+
+console.table(rows);
+console.log(`Frame budget at ${CONFIG.FPS} fps: ${(1000 / CONFIG.FPS).toFixed(1)} ms. Draw times exclude the GPU.`);
@@ -0,0 +1,95 @@
+/**
+ * Accessibility settings, the colorblind-safe and high-contrast palettes,
+ * and the wording of screen-reader announcements.
+ *
+ * Motion follows the system's prefers-reduced-motion unless the pilot
+ * overrides it. A palette other than the standard one replaces the theme's
+ * gameplay colors, both pilots' cores included, so what matters on the
+ * field never depends on telling red from green.
+ */
+(function (Snike) {
+    'use strict';
+
+    const MOTION_SETTINGS = ['system', 'reduce', 'full'];
+
+    // Every score this far apart is read out
+    const SCORE_MILESTONE = 100;
+
+    const ACCESSIBLE_PALETTES = {
+        standard: { id: 'standard', name: 'Standard', palette: null },
+        // Okabe & Ito's palette, told apart under every common color vision deficiency
+        colorblind: {
+            id: 'colorblind',
+            name: 'Colorblind safe',
+            palette: {
+                snake: '#56b4e9', rival: '#e69f00', food: '#f0e442', wall: '#0072b2', hazard: '#d55e00',
+                particles: ['#56b4e9', '#f0e442', '#ffffff']
+            }
+        },
+        contrast: {
+            id: 'contrast',
+            name: 'High contrast',
+            palette: {
+                snake: '#ffffff', rival: '#ffff00', food: '#00ffff', wall: '#c0c0c0', hazard: '#ff00ff',
+                particles: ['#ffffff']
+            },
+            // A flat black field without glow, so edges stay crisp
+            background: [[0, '#000000']],
+            stars: { color: '#666666' },
+            grid: { color: 'rgba(255, 255, 255, 0.25)' },
+            glow: 0
+        }
+    };
+
+    function defaultAccessibility() {
+        return { motion: 'system', palette: 'standard', announce: true, flipCue: false };
+    }
+
+    /** Stored accessibility settings with anything unknown put back to its default. */
+    function normalizeAccessibility(raw) {
+        const settings = defaultAccessibility();
+        if (!raw || typeof raw !== 'object') return settings;
+        if (MOTION_SETTINGS.includes(raw.motion)) settings.motion = raw.motion;
+        if (ACCESSIBLE_PALETTES[raw.palette]) settings.palette = raw.palette;
+        if (typeof raw.announce === 'boolean') settings.announce = raw.announce;
+        if (typeof raw.flipCue === 'boolean') settings.flipCue = raw.flipCue;
+        return settings;
+    }
+
+    /** Whether to hold back motion, given the setting and what the system asks for. */
+    function prefersReducedMotion(settings, systemReduced) {
+        return settings.motion === 'reduce' || (settings.motion === 'system' && systemReduced);
+    }
+
+    /** A theme with an accessible palette laid over it; the standard palette leaves it as it is. */
+    function accessibleTheme(theme, paletteId) {
+        const overlay = ACCESSIBLE_PALETTES[paletteId];
+        if (!overlay || !overlay.palette) return theme;
+        return {
+            ...theme,
+            background: overlay.background || theme.background,
+            stars: { ...theme.stars, ...overlay.stars },
+            grid: { ...theme.grid, ...overlay.grid },
+            palette: { ...overlay.palette },
+            glow: overlay.glow === undefined ? theme.glow : overlay.glow
+        };
+    }
+
+    /** "Gravity now pulls down", with the strength when it is not the usual one. */
+    function describeGravity(gravity, prefix = 'Gravity now pulls') {
+        const direction = /°$/.test(gravity.name) ? `at ${gravity.name.slice(0, -1)} degrees` : gravity.name.toLowerCase();
+        const strength = gravity.strength === 1 ? '' : `, strength ${gravity.strength}`;
+        return `${prefix} ${direction}${strength}`;
+    }
+
+    /** The milestone a score change crossed, or null. */
+    function scoreMilestone(before, after, step = SCORE_MILESTONE) {
+        const milestone = Math.floor(after / step) * step;
+        return milestone > before && milestone > 0 ? milestone : null;
+    }
+
+    Object.assign(Snike, {
+        MOTION_SETTINGS, ACCESSIBLE_PALETTES, defaultAccessibility, normalizeAccessibility, prefersReducedMotion,
+        accessibleTheme, describeGravity, scoreMilestone
+    });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,174 @@
+/**
+ * Achievements. Each one is a rule checked against the live run: the
+ * simulation, its RunStats, a few counters the tracker keeps for the run,
+ * and the pilot's achievement record for goals that span several runs.
+ * Some unlock a cosmetic reward, an extra core color for either pilot.
+ *
+ * A rule's `test` gets `{ type, event, sim, stats, run, record }`, where
+ * `type` and `event` are the game event being looked at and `stats` is
+ * player one's share of the RunStats.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG, THEMES } = Snike;
+
+    const THEME_ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+    // Runs that end this way count as finished; quitting does not
+    const finished = ({ type, event }) => type === 'runEnded' && event.reason !== 'quit';
+
+    const ACHIEVEMENTS = [
+        {
+            id: 'firstFlight',
+            name: 'First Flight',
+            description: 'Finish a run',
+            icon: 'fa-rocket',
+            test: finished
+        },
+        {
+            id: 'handsOff',
+            name: 'Hands Off',
+            description: 'Survive 60 seconds without a manual flip',
+            icon: 'fa-hand-paper',
+            test: ({ sim }) => sim.state === 'PLAYING' && sim.stats.duration >= 60000 && sim.stats.flips.manual === 0
+        },
+        {
+            id: 'feedingFrenzy',
+            name: 'Feeding Frenzy',
+            description: 'Eat 5 food within one gravity cycle',
+            icon: 'fa-apple-alt',
+            test: ({ run }) => run.cycleFood >= 5,
+            reward: { color: '#ff2fd6', name: 'Magenta' }
+        },
+        {
+            id: 'terminalVelocity',
+            name: 'Terminal Velocity',
+            description: 'Reach top speed',
+            icon: 'fa-tachometer-alt',
+            test: ({ stats }) => stats.peakSpeed >= CONFIG.MAX_SPEED,
+            reward: { color: '#ff5a1f', name: 'Ember' }
+        },
+        {
+            id: 'acrobat',
+            name: 'Acrobat',
+            description: 'Flip gravity by hand 20 times in one run',
+            icon: 'fa-sync-alt',
+            test: ({ sim }) => sim.stats.flips.manual >= 20
+        },
+        {
+            id: 'longHaul',
+            name: 'Long Haul',
+            description: 'Grow to 60 segments',
+            icon: 'fa-ruler-horizontal',
+            test: ({ stats }) => stats.maxLength >= 60
+        },
+        {
+            id: 'centurion',
+            name: 'Centurion',
+            description: 'Score 100 in one run',
+            icon: 'fa-star',
+            test: ({ sim }) => sim.score >= 100,
+            reward: { color: '#f5f5f5', name: 'Ivory' }
+        },
+        {
+            id: 'duelist',
+            name: 'Duelist',
+            description: 'Win a versus match as P1',
+            icon: 'fa-user-friends',
+            test: ({ type, event }) => type === 'runEnded' && event.reason === 'match' && event.winner === 0
+        },
+        {
+            id: 'graduate',
+            name: 'Graduate',
+            description: 'Complete the campaign',
+            icon: 'fa-flag-checkered',
+            test: ({ type, event }) => type === 'runEnded' && event.reason === 'campaign'
+        },
+        {
+            id: 'grandTour',
+            name: 'Grand Tour',
+            description: 'Finish a run on every built-in theme',
+            icon: 'fa-globe',
+            test: ({ record }) => Object.keys(THEMES).every(id => record.themes.includes(id)),
+            reward: { color: '#c8ff00', name: 'Lime' }
+        }
+    ];
+
+    function defaultAchievements() {
+        return {
+            unlocked: {}, // Achievement id to the date it was unlocked
+            themes: [] // Themes the pilot has finished a run on
+        };
+    }
+
+    /** A stored achievement record with unknown achievements and bad entries dropped. */
+    function normalizeAchievements(raw) {
+        const record = defaultAchievements();
+        if (!raw || typeof raw !== 'object') return record;
+        if (raw.unlocked && typeof raw.unlocked === 'object') {
+            ACHIEVEMENTS.forEach(({ id }) => {
+                if (typeof raw.unlocked[id] === 'string') record.unlocked[id] = raw.unlocked[id];
+            });
+        }
+        if (Array.isArray(raw.themes)) {
+            record.themes = [...new Set(raw.themes.filter(id => typeof id === 'string' && THEME_ID_PATTERN.test(id)))];
+        }
+        return record;
+    }
+
+    /** The reward colors a record has unlocked, in the order the achievements are listed. */
+    function rewardColors(record) {
+        return ACHIEVEMENTS
+            .filter(achievement => achievement.reward && record.unlocked[achievement.id])
+            .map(achievement => achievement.reward);
+    }
+
+    /**
+     * Checks one pilot's locked achievements against the game events of
+     * their runs. The record is changed in place, so it can be the one
+     * stored in the pilot's profile.
+     */
+    class AchievementTracker {
+        constructor(record = defaultAchievements()) {
+            this.record = record;
+            this.run = null; // Counters for the run in progress
+        }
+
+        get unlockedCount() {
+            return Object.keys(this.record.unlocked).length;
+        }
+
+        isUnlocked(id) {
+            return id in this.record.unlocked;
+        }
+
+        /**
+         * Feeds one game event. Runs start when play begins from the menu
+         * or the game over screen, and end with their runEnded event.
+         * @param {object} context `{ sim, theme, date }`, theme being the one the run is played on
+         * @returns {object[]} The achievements this event unlocked
+         */
+        observe(type, event, { sim, theme, date = new Date().toISOString() }) {
+            if (type === 'stateChanged' && event.state === 'PLAYING' && (event.previous === 'START' || event.previous === 'OVER')) {
+                this.run = { cycleFood: 0 };
+            }
+            const run = this.run;
+            if (!run) return [];
+
+            if (type === 'gravityChanged') run.cycleFood = 0;
+            if (type === 'foodEaten' && event.player === 0 && event.pickup === 'food') run.cycleFood++;
+            if (finished({ type, event }) && theme && !this.record.themes.includes(theme)) {
+                this.record.themes.push(theme);
+            }
+
+            const state = { type, event, sim, stats: sim.stats.players[0], run, record: this.record };
+            const unlocked = ACHIEVEMENTS.filter(achievement => !this.isUnlocked(achievement.id) && achievement.test(state));
+            unlocked.forEach(achievement => { this.record.unlocked[achievement.id] = date; });
+            if (type === 'runEnded') this.run = null;
+            return unlocked;
+        }
+    }
+
+    Object.assign(Snike, { ACHIEVEMENTS, defaultAchievements, normalizeAchievements, rewardColors, AchievementTracker });
+})(globalThis.Snike = globalThis.Snike || {});
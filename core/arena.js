@@ -0,0 +1,183 @@
+/**
+ * Level format and arena geometry.
+ *
+ * A level is plain JSON. Positions and sizes are fractions of the arena
+ * (0..1) so a level fits any screen; bar thickness is in pixels.
+ *
+ *   {
+ *     "id": "pillars", "name": "Pillars", "targetScore": 50,
+ *     "obstacles": [
+ *       { "type": "wall", "x": 0.2, "y": 0.2, "w": 0.05, "h": 0.2 },
+ *       { "type": "mover", "x": 0.4, "y": 0.1, "w": 0.2, "h": 0.03, "dx": 0, "dy": 0.6, "period": 6000 },
+ *       { "type": "rotor", "x": 0.25, "y": 0.5, "length": 0.3, "thickness": 10, "speed": 1 },
+ *       { "type": "nospawn", "x": 0.45, "y": 0.45, "w": 0.1, "h": 0.1 },
+ *       { "type": "well", "x": 0.8, "y": 0.3, "radius": 0.2, "strength": 2 }
+ *     ],
+ *     "gravity": { "type": "script", "interval": 6000, "steps": [{ "angle": 45 }, { "angle": 225 }] }
+ *   }
+ *
+ * Walls are static rectangles, movers slide back and forth by (dx, dy) over
+ * `period` ms, rotors spin about their centre at `speed` rad/s, and
+ * no-spawn zones only keep food out. Wells are not solid: they pull towards
+ * their centre, hardest in the middle and fading to nothing at `radius` (a
+ * fraction of the shorter side), and a negative strength makes a repulsor.
+ * The optional `gravity` is a schedule (see core/gravity.js) that replaces
+ * the mode's for the level.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { parseGravitySchedule } = Snike;
+
+    const OBSTACLE_FIELDS = {
+        wall: ['x', 'y', 'w', 'h'],
+        mover: ['x', 'y', 'w', 'h', 'dx', 'dy', 'period'],
+        rotor: ['x', 'y', 'length', 'thickness', 'speed'],
+        nospawn: ['x', 'y', 'w', 'h'],
+        well: ['x', 'y', 'radius', 'strength']
+    };
+
+    /**
+     * Validates a level object (or its JSON text).
+     * @throws {Error} When a field is missing, an obstacle type is unknown or the gravity schedule is malformed
+     */
+    function parseLevel(data) {
+        const level = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!level || typeof level.id !== 'string' || typeof level.name !== 'string') {
+            throw new Error('Level needs an id and a name');
+        }
+        if (typeof level.targetScore !== 'number' || level.targetScore <= 0) {
+            throw new Error(`Level "${level.id}" needs a positive targetScore`);
+        }
+        if (!Array.isArray(level.obstacles)) {
+            throw new Error(`Level "${level.id}" needs an obstacles array`);
+        }
+        level.obstacles.forEach((obstacle, i) => {
+            const fields = OBSTACLE_FIELDS[obstacle.type];
+            if (!fields) {
+                throw new Error(`Level "${level.id}" obstacle ${i} has unknown type "${obstacle.type}"`);
+            }
+            fields.forEach(field => {
+                if (typeof obstacle[field] !== 'number' || !Number.isFinite(obstacle[field])) {
+                    throw new Error(`Level "${level.id}" obstacle ${i} is missing "${field}"`);
+                }
+            });
+        });
+        if (level.gravity !== undefined) {
+            try {
+                parseGravitySchedule(level.gravity);
+            } catch (error) {
+                throw new Error(`Level "${level.id}" gravity: ${error.message}`);
+            }
+        }
+        return level;
+    }
+
+    function circleHitsRect(pos, radius, rect) {
+        const nx = Math.max(rect.x, Math.min(pos.x, rect.x + rect.w));
+        const ny = Math.max(rect.y, Math.min(pos.y, rect.y + rect.h));
+        return (pos.x - nx) ** 2 + (pos.y - ny) ** 2 < radius * radius;
+    }
+
+    function distanceToSegment(pos, a, b) {
+        const vx = b.x - a.x;
+        const vy = b.y - a.y;
+        const lengthSq = vx * vx + vy * vy;
+        const t = lengthSq ? Math.max(0, Math.min(1, ((pos.x - a.x) * vx + (pos.y - a.y) * vy) / lengthSq)) : 0;
+        return Math.hypot(pos.x - (a.x + vx * t), pos.y - (a.y + vy * t));
+    }
+
+    /**
+     * The obstacles of one level laid out in pixels for the current arena
+     * size. `update` moves them to where they are at a given game time.
+     */
+    class Arena {
+        constructor(level, width, height) {
+            this.level = level;
+            this.resize(width, height);
+            this.update(0);
+        }
+
+        resize(width, height) {
+            this.width = width;
+            this.height = height;
+        }
+
+        /** Recomputes every obstacle's pixel geometry for game time `clock` (ms). */
+        update(clock) {
+            const w = this.width;
+            const h = this.height;
+            this.shapes = (this.level ? this.level.obstacles : []).map(o => {
+                if (o.type === 'rotor') {
+                    const angle = o.speed * clock / 1000;
+                    const half = o.length * Math.min(w, h) / 2;
+                    const cx = o.x * w;
+                    const cy = o.y * h;
+                    return {
+                        type: o.type,
+                        thickness: o.thickness,
+                        a: { x: cx - Math.cos(angle) * half, y: cy - Math.sin(angle) * half },
+                        b: { x: cx + Math.cos(angle) * half, y: cy + Math.sin(angle) * half },
+                        reach: { x: cx - half, y: cy - half, w: half * 2, h: half * 2 }
+                    };
+                }
+                if (o.type === 'well') {
+                    return { type: o.type, x: o.x * w, y: o.y * h, radius: o.radius * Math.min(w, h), strength: o.strength };
+                }
+
+                // Movers ease back and forth between their start and start + (dx, dy)
+                const travel = o.type === 'mover' ? (1 - Math.cos(Math.PI * 2 * clock / o.period)) / 2 : 0;
+                const rect = {
+                    type: o.type,
+                    x: (o.x + (o.dx || 0) * travel) * w,
+                    y: (o.y + (o.dy || 0) * travel) * h,
+                    w: o.w * w,
+                    h: o.h * h
+                };
+                if (o.type === 'mover') {
+                    // Everywhere the mover can be, for keeping food out of its path
+                    rect.reach = {
+                        x: Math.min(o.x, o.x + o.dx) * w,
+                        y: Math.min(o.y, o.y + o.dy) * h,
+                        w: (o.w + Math.abs(o.dx)) * w,
+                        h: (o.h + Math.abs(o.dy)) * h
+                    };
+                }
+                return rect;
+            });
+        }
+
+        /** Whether a circle at `pos` overlaps any solid obstacle right now. */
+        collides(pos, radius) {
+            return this.shapes.some(shape => {
+                if (shape.type === 'nospawn' || shape.type === 'well') return false;
+                if (shape.type === 'rotor') return distanceToSegment(pos, shape.a, shape.b) < shape.thickness / 2 + radius;
+                return circleHitsRect(pos, radius, shape);
+            });
+        }
+
+        /** Whether food must not appear at `pos`: inside or in the path of any obstacle. */
+        blocksSpawn(pos, radius) {
+            return this.shapes.some(shape => shape.type !== 'well' && circleHitsRect(pos, radius, shape.reach || shape));
+        }
+
+        /** The wells' combined pull at `pos`, in the same units as a gravity vector. */
+        pullAt(pos) {
+            let x = 0;
+            let y = 0;
+            this.shapes.forEach(shape => {
+                if (shape.type !== 'well') return;
+                const dx = shape.x - pos.x;
+                const dy = shape.y - pos.y;
+                const d = Math.sqrt(dx * dx + dy * dy);
+                if (d === 0 || d >= shape.radius) return;
+                const force = shape.strength * (1 - d / shape.radius);
+                x += dx / d * force;
+                y += dy / d * force;
+            });
+            return { x, y };
+        }
+    }
+
+    Object.assign(Snike, { Arena, parseLevel });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,113 @@
+/**
+ * Audio settings and the procedural soundtrack's score. What to play on
+ * each sixteenth note is worked out here, apart from Web Audio, so the
+ * browser synth (audio.js) only turns these notes into oscillators.
+ *
+ * The music loops a four-bar minor progression. Tempo follows the snake's
+ * speed and layers join as it grows: bass alone at the start length, then
+ * hats, an arpeggio and finally a lead line.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG } = Snike;
+
+    const AUDIO_CHANNELS = ['master', 'music', 'sfx'];
+
+    const MIN_TEMPO = 96; // BPM at the starting speed
+    const MAX_TEMPO = 150; // BPM at MAX_SPEED
+    const STEPS_PER_BAR = 16;
+
+    // Snake length at which intensity starts to rise, and how much longer it is at full intensity
+    const CALM_LENGTH = 20;
+    const INTENSE_SPAN = 300;
+
+    // Intensity each layer joins at
+    const LAYERS = { bass: 0, hat: 0.25, arp: 0.5, lead: 0.75 };
+
+    // Am - F - C - G as MIDI chord tones, bass root first
+    const PROGRESSION = [
+        [45, 57, 60, 64],
+        [41, 57, 60, 65],
+        [48, 55, 60, 64],
+        [43, 55, 59, 62]
+    ];
+    // A minor pentatonic, two octaves up from the chords
+    const LEAD_SCALE = [69, 72, 74, 76, 79, 81, 84];
+    const LEAD_STEPS = [0, 3, 6, 10, 12];
+
+    function defaultAudioSettings() {
+        return { master: 0.8, music: 0.6, sfx: 0.8, muted: false };
+    }
+
+    /** Stored audio settings with volumes clamped to 0..1 and anything unknown put back to its default. */
+    function normalizeAudioSettings(raw) {
+        const settings = defaultAudioSettings();
+        if (!raw || typeof raw !== 'object') return settings;
+        AUDIO_CHANNELS.forEach(channel => {
+            if (Number.isFinite(raw[channel])) settings[channel] = Math.max(0, Math.min(1, raw[channel]));
+        });
+        if (typeof raw.muted === 'boolean') settings.muted = raw.muted;
+        return settings;
+    }
+
+    /** The gain a channel ends up at once master volume and mute are applied. */
+    function channelVolume(settings, channel) {
+        if (settings.muted) return 0;
+        return channel === 'master' ? settings.master : settings.master * settings[channel];
+    }
+
+    /** Beats per minute for a snake moving at `speed`. */
+    function musicTempo(speed) {
+        const t = (speed - CONFIG.INITIAL_SNAKE_SPEED) / (CONFIG.MAX_SPEED - CONFIG.INITIAL_SNAKE_SPEED);
+        return MIN_TEMPO + Math.max(0, Math.min(1, t)) * (MAX_TEMPO - MIN_TEMPO);
+    }
+
+    /** 0 at the starting length, rising to 1 as the snake grows. */
+    function musicIntensity(length) {
+        return Math.max(0, Math.min(1, (length - CALM_LENGTH) / INTENSE_SPAN));
+    }
+
+    /** Seconds per sixteenth note. */
+    function stepDuration(tempo) {
+        return 60 / tempo / 4;
+    }
+
+    /**
+     * The notes that start on one sixteenth of the loop.
+     * @param {number} step Sixteenths since the music started
+     * @returns {Array<{voice: string, note: number, steps: number}>} MIDI notes and how many sixteenths they last
+     */
+    function musicStep(step, intensity) {
+        const bar = Math.floor(step / STEPS_PER_BAR);
+        const beat = step % STEPS_PER_BAR;
+        const chord = PROGRESSION[bar % PROGRESSION.length];
+        const notes = [];
+
+        if (beat % 8 === 0) notes.push({ voice: 'bass', note: chord[0], steps: 6 });
+        else if (beat % 8 === 6) notes.push({ voice: 'bass', note: chord[0] + 12, steps: 2 });
+
+        if (intensity >= LAYERS.hat && (beat % 4 === 2 || (intensity >= LAYERS.lead && beat % 2 === 1))) {
+            notes.push({ voice: 'hat', note: 0, steps: 1 });
+        }
+        if (intensity >= LAYERS.arp) {
+            const tones = chord.slice(1);
+            notes.push({ voice: 'arp', note: tones[beat % tones.length] + 12, steps: 1 });
+        }
+        if (intensity >= LAYERS.lead && LEAD_STEPS.includes(beat)) {
+            // A fixed walk through the scale per bar, so the line repeats with the loop
+            const index = (bar % PROGRESSION.length) * 3 + LEAD_STEPS.indexOf(beat) * 2;
+            notes.push({ voice: 'lead', note: LEAD_SCALE[index % LEAD_SCALE.length], steps: 2 });
+        }
+        return notes;
+    }
+
+    function midiToFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+
+    Object.assign(Snike, {
+        AUDIO_CHANNELS, defaultAudioSettings, normalizeAudioSettings, channelVolume, musicTempo, musicIntensity,
+        stepDuration, musicStep, midiToFrequency
+    });
+})(globalThis.Snike = globalThis.Snike || {});
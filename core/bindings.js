@@ -0,0 +1,127 @@
+/**
+ * Control bindings: which keys and gamepad buttons drive each action. A
+ * pilot's bindings live in their profile; every set starts from the
+ * defaults in KEY_LAYOUTS and PAD_LAYOUT and each action holds up to
+ * BINDING_SLOTS inputs (keyNames for keyboard sets, button indices for the
+ * gamepad).
+ */
+(function (Snike) {
+    'use strict';
+
+    const { KEY_LAYOUTS, PAD_LAYOUT, keyName } = Snike;
+
+    const BINDING_SLOTS = 2;
+
+    const MOVES = ['up', 'down', 'left', 'right'];
+
+    // Pause lives in the solo keyboard set but works in every mode
+    const BINDING_SETS = {
+        keyboard: { name: 'Keyboard', device: 'keyboard', versus: false, actions: [...MOVES, 'flip', 'pause'] },
+        versusOne: { name: 'Versus P1', device: 'keyboard', versus: true, actions: [...MOVES, 'flip'] },
+        versusTwo: { name: 'Versus P2', device: 'keyboard', versus: true, actions: [...MOVES, 'flip'] },
+        gamepad: { name: 'Gamepad', device: 'gamepad', versus: false, actions: [...MOVES, 'flip', 'pause'] }
+    };
+
+    const ACTION_NAMES = { up: 'Up', down: 'Down', left: 'Left', right: 'Right', flip: 'Flip Gravity', pause: 'Pause' };
+
+    const KEY_LABELS = {
+        ' ': 'SPACE', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'ESC', Enter: 'ENTER'
+    };
+
+    // Button names on the standard gamepad mapping
+    const BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'SELECT', 'START', 'L3', 'R3', 'D↑', 'D↓', 'D←', 'D→', 'HOME'];
+
+    function defaultBindings() {
+        const copy = layout => Object.fromEntries(Object.entries(layout).map(([action, inputs]) => [action, [...inputs]]));
+        return {
+            keyboard: { ...copy(KEY_LAYOUTS.solo), pause: ['Escape'] },
+            versusOne: copy(KEY_LAYOUTS.wasd),
+            versusTwo: copy(KEY_LAYOUTS.arrows),
+            gamepad: copy(PAD_LAYOUT)
+        };
+    }
+
+    function validInput(device, input) {
+        return device === 'keyboard'
+            ? typeof input === 'string' && input.length > 0
+            : Number.isInteger(input) && input >= 0;
+    }
+
+    /** Stored bindings with anything missing or malformed put back to its default. */
+    function normalizeBindings(raw) {
+        const bindings = defaultBindings();
+        if (!raw || typeof raw !== 'object') return bindings;
+        Object.entries(BINDING_SETS).forEach(([set, { device, actions }]) => {
+            actions.forEach(action => {
+                const inputs = raw[set] && raw[set][action];
+                if (!Array.isArray(inputs) || !inputs.every(input => validInput(device, input))) return;
+                bindings[set][action] = inputs
+                    .map(input => device === 'keyboard' ? keyName(input) : input)
+                    .slice(0, BINDING_SLOTS);
+            });
+        });
+        return bindings;
+    }
+
+    /** Whether two bindings can be live at the same time, so may not share an input. */
+    function clashes(setA, actionA, setB, actionB) {
+        const a = BINDING_SETS[setA];
+        const b = BINDING_SETS[setB];
+        if (a.device !== b.device) return false;
+        return setA === setB || actionA === 'pause' || actionB === 'pause' || (a.versus && b.versus);
+    }
+
+    /**
+     * Puts `input` in one slot of an action, or clears the slot when it is
+     * null. The input is taken off any binding it would clash with.
+     * @returns {Object} New bindings; the old ones are left untouched
+     */
+    function rebind(bindings, set, action, slot, input) {
+        const { device, actions } = BINDING_SETS[set] || {};
+        if (!actions || !actions.includes(action)) throw new Error(`Unknown binding ${set}.${action}`);
+        if (slot < 0 || slot >= BINDING_SLOTS) throw new Error(`Binding slot ${slot} out of range`);
+        if (input !== null && !validInput(device, input)) throw new Error(`Invalid ${device} input ${input}`);
+        if (device === 'keyboard' && input !== null) input = keyName(input);
+
+        const next = normalizeBindings(bindings);
+        next[set][action] = next[set][action].filter((i, s) => s !== slot);
+        if (input === null) return next;
+        Object.entries(BINDING_SETS).forEach(([otherSet, other]) => {
+            other.actions.forEach(otherAction => {
+                if (!clashes(set, action, otherSet, otherAction)) return;
+                next[otherSet][otherAction] = next[otherSet][otherAction].filter(i => i !== input);
+            });
+        });
+        const inputs = next[set][action];
+        inputs.splice(Math.min(slot, inputs.length), 0, input);
+        return next;
+    }
+
+    /** Short label for a key or button, as shown in the lab and the controls hint. */
+    function inputLabel(device, input) {
+        if (device === 'gamepad') return BUTTON_LABELS[input] || `B${input}`;
+        return KEY_LABELS[input] || input.toUpperCase();
+    }
+
+    /** The movement keys of one slot run together, e.g. "WASD" or "ARROWS". */
+    function describeMoves(layout, device = 'keyboard') {
+        const slots = [];
+        for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+            const labels = ['up', 'left', 'down', 'right'].map(move => layout[move][slot]);
+            if (labels.every(input => input === undefined)) continue;
+            const text = labels.map(input => input === undefined ? '·' : inputLabel(device, input)).join(device === 'keyboard' ? '' : ' ');
+            slots.push(text === '↑←↓→' ? 'ARROWS' : text);
+        }
+        return slots.join(' / ') || '—';
+    }
+
+    /** Every input bound to one action, e.g. "SPACE" or "A / B". */
+    function describeAction(layout, action, device = 'keyboard') {
+        return layout[action].map(input => inputLabel(device, input)).join(' / ') || '—';
+    }
+
+    Object.assign(Snike, {
+        BINDING_SLOTS, BINDING_SETS, ACTION_NAMES, defaultBindings, normalizeBindings, rebind, inputLabel,
+        describeMoves, describeAction
+    });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,152 @@
+/**
+ * The camera over the fixed-size world. The world is CONFIG.WORLD_WIDTH by
+ * CONFIG.WORLD_HEIGHT on every screen, so a phone and an ultrawide monitor
+ * fly the same arena; the screen is only a window onto it.
+ *
+ * In solo runs the camera eases after the head, leading it along the pull
+ * of gravity so the pilot sees where the snake is about to fall. Versus
+ * needs both snakes in view, so it frames the whole world. The view never
+ * leaves the world, and a world smaller than the view sits centered in it.
+ *
+ * The camera moves once per tick like the simulation, and is drawn between
+ * its last two positions.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { lerp } = Snike;
+
+    const LOOK_AHEAD = 140; // World px shown ahead of the head, along the pull
+    const CAMERA_EASE = 0.08; // Share of the way to the target covered each tick
+    const SNAP_DISTANCE = 300; // A target this far off in one tick was a reset or wrap; cut to it
+
+    // Scale of world px to screen px; fit frames the whole world
+    const ZOOM_LEVELS = {
+        fit: { id: 'fit', name: 'Whole arena', icon: 'fa-expand', scale: null },
+        normal: { id: 'normal', name: 'Normal', icon: 'fa-search', scale: 1 },
+        close: { id: 'close', name: 'Close', icon: 'fa-search-plus', scale: 1.5 }
+    };
+
+    function defaultCameraSettings() {
+        return { zoom: 'normal', minimap: true };
+    }
+
+    /** Stored camera settings with anything unknown put back to its default. */
+    function normalizeCameraSettings(raw) {
+        const settings = defaultCameraSettings();
+        if (!raw || typeof raw !== 'object') return settings;
+        if (ZOOM_LEVELS[raw.zoom]) settings.zoom = raw.zoom;
+        if (typeof raw.minimap === 'boolean') settings.minimap = raw.minimap;
+        return settings;
+    }
+
+    class Camera {
+        constructor() {
+            this.x = 0;
+            this.y = 0;
+            this.prevX = 0;
+            this.prevY = 0;
+            this.zoom = 'normal';
+            this.steady = false; // Holds the head centered without leading it, for reduced motion
+            this.viewWidth = 0;
+            this.viewHeight = 0;
+            this.worldWidth = 0;
+            this.worldHeight = 0;
+            this.framesAll = false; // Versus: the whole world whatever the zoom
+            this.placed = false;
+        }
+
+        /** The screen area the world is drawn in. */
+        setViewport(width, height) {
+            this.viewWidth = width;
+            this.viewHeight = height;
+            this.clamp();
+        }
+
+        setZoom(zoom) {
+            this.zoom = ZOOM_LEVELS[zoom] ? zoom : 'normal';
+            this.clamp();
+        }
+
+        /** Screen px per world px. */
+        get scale() {
+            const fit = Math.min(this.viewWidth / this.worldWidth, this.viewHeight / this.worldHeight);
+            const scale = ZOOM_LEVELS[this.zoom].scale;
+            return this.framesAll || scale === null ? fit : scale;
+        }
+
+        /** Whether the whole world is in view, leaving nothing for a minimap to show. */
+        get showsAll() {
+            const scale = this.scale;
+            return this.worldWidth * scale <= this.viewWidth + 0.5 && this.worldHeight * scale <= this.viewHeight + 0.5;
+        }
+
+        /** Where the camera wants to be: ahead of player one's head along the pull, or the world's center. */
+        target(sim) {
+            if (this.framesAll) return { x: sim.width / 2, y: sim.height / 2 };
+            const { pos } = sim.snake;
+            const g = sim.gravity;
+            const pull = Math.hypot(g.x, g.y) || 1;
+            const lead = this.steady ? 0 : LOOK_AHEAD;
+            return { x: pos.x + g.x / pull * lead, y: pos.y + g.y / pull * lead };
+        }
+
+        /** Moves one tick's worth toward the target. */
+        follow(sim) {
+            this.worldWidth = sim.width;
+            this.worldHeight = sim.height;
+            this.framesAll = sim.players > 1;
+            this.prevX = this.x;
+            this.prevY = this.y;
+            const target = this.target(sim);
+            if (!this.placed || Math.hypot(target.x - this.x, target.y - this.y) > SNAP_DISTANCE) {
+                this.placed = true;
+                this.x = target.x;
+                this.y = target.y;
+                this.clamp();
+                this.prevX = this.x;
+                this.prevY = this.y;
+                return;
+            }
+            this.x += (target.x - this.x) * CAMERA_EASE;
+            this.y += (target.y - this.y) * CAMERA_EASE;
+            this.clamp();
+        }
+
+        /** Keeps the view inside the world, or centers a world smaller than the view. */
+        clamp() {
+            if (!this.worldWidth || !this.worldHeight) return;
+            const scale = this.scale;
+            const fit = (value, view, world) => {
+                const half = view / scale / 2;
+                return half * 2 >= world ? world / 2 : Math.min(Math.max(value, half), world - half);
+            };
+            this.x = fit(this.x, this.viewWidth, this.worldWidth);
+            this.y = fit(this.y, this.viewHeight, this.worldHeight);
+        }
+
+        /** The view's center between the last two ticks. */
+        center(alpha = 1) {
+            return { x: lerp(this.prevX, this.x, alpha), y: lerp(this.prevY, this.y, alpha) };
+        }
+
+        /** The part of the world in view, in world px. */
+        view(alpha = 1) {
+            const { x, y } = this.center(alpha);
+            const w = this.viewWidth / this.scale;
+            const h = this.viewHeight / this.scale;
+            return { x: x - w / 2, y: y - h / 2, w, h };
+        }
+
+        /** Sets a canvas transform that draws world coordinates where the camera sees them. */
+        apply(ctx, alpha = 1) {
+            const { x, y } = this.center(alpha);
+            const scale = this.scale;
+            ctx.translate(this.viewWidth / 2, this.viewHeight / 2);
+            ctx.scale(scale, scale);
+            ctx.translate(-x, -y);
+        }
+    }
+
+    Object.assign(Snike, { ZOOM_LEVELS, defaultCameraSettings, normalizeCameraSettings, Camera });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,32 @@
+/**
+ * Tuning constants shared by the simulation and the renderer.
+ */
+(function (Snike) {
+    'use strict';
+
+    const CONFIG = {
+        FPS: 60, // Simulation ticks per second, independent of display refresh rate
+        MAX_FRAME_TIME: 250, // Clamp long frames (tab switches) to avoid a spiral of catch-up ticks
+        WORLD_WIDTH: 1600, // The arena, the same on every screen; the camera scrolls over it
+        WORLD_HEIGHT: 1000,
+        GRACE_PERIOD: 1000, // Invincibility window at the start of a run (ms of game time)
+        INITIAL_SNAKE_SPEED: 2.5,
+        SPEED_INCREMENT: 0.05,
+        MAX_SPEED: 6,
+        GRAVITY_FORCE: 0.08,
+        STEERING_SPEED: 0.1, // Radians per frame
+        SNAKE_WIDTH: 10,
+        SEGMENT_SPACING: 2.5, // Distance (px) between body segments along the path
+        FOOD_SIZE: 12,
+        GRAVITY_CHANGE_INTERVAL: 8000, // 8 seconds
+        GRAVITY_WARNING: 1500, // Telegraph window (ms) before a scheduled gravity change
+        PARTICLE_COUNT: 15,
+        PRIMARY_NEON: '#00f2ff',
+        ACCENT_NEON: '#ff00c8',
+        SECONDARY_NEON: '#7000ff'
+    };
+
+    const STEP_MS = 1000 / CONFIG.FPS;
+
+    Object.assign(Snike, { CONFIG, STEP_MS });
+})(globalThis.Snike = globalThis.Snike || {});
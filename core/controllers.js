@@ -0,0 +1,316 @@
+/**
+ * Controllers decide what one snake wants to do each tick. They all answer
+ * `read(sim, player)` with `{steer, flip}`: a desired direction (any
+ * magnitude, or null to keep the heading) and whether to flip gravity.
+ * `tickInput` then quantizes that for the simulation, so a run is recorded
+ * the same way whoever, or whatever, is flying it.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG, STEP_MS, SNAKE_NECK, tickInput } = Snike;
+
+    // Keys per direction for each keyboard layout
+    const KEY_LAYOUTS = {
+        solo: {
+            left: ['ArrowLeft', 'a'], right: ['ArrowRight', 'd'], up: ['ArrowUp', 'w'], down: ['ArrowDown', 's'],
+            flip: [' ']
+        },
+        wasd: { left: ['a'], right: ['d'], up: ['w'], down: ['s'], flip: ['e'] },
+        arrows: { left: ['ArrowLeft'], right: ['ArrowRight'], up: ['ArrowUp'], down: ['ArrowDown'], flip: ['Enter'] }
+    };
+
+    // Button indices per direction on a standard-mapping gamepad: d-pad, A to flip, Start to pause
+    const PAD_LAYOUT = { left: [14], right: [15], up: [12], down: [13], flip: [0], pause: [9] };
+
+    // Stick deflection below this is treated as centered
+    const STICK_DEADZONE = 0.25;
+
+    // Clearance (px) the autopilot still cares about, and how much it weighs against distance to food
+    const ROOM = 80;
+    const ROOM_WEIGHT = 3;
+
+    /** Letter keys match whatever the Shift or Caps Lock state, so they are stored lower-case. */
+    function keyName(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /** Quantized tick input from any controller. */
+    function controllerInput(controller, sim, player = 0) {
+        const { steer, flip } = controller.read(sim, player);
+        return tickInput(steer, flip);
+    }
+
+    class KeyboardController {
+        /**
+         * @param {Object<string, boolean>} keys Live map of held keys by keyName, kept up to date by the caller
+         * @param {Object} [layout] One of KEY_LAYOUTS, or a pilot's own bindings
+         */
+        constructor(keys, layout = KEY_LAYOUTS.solo) {
+            this.keys = keys;
+            this.layout = layout;
+            this.flipQueued = false;
+        }
+
+        /** Feeds a key press; returns whether it was this controller's flip key. */
+        keyDown(key) {
+            if (!this.layout.flip.includes(keyName(key))) return false;
+            this.flipQueued = true;
+            return true;
+        }
+
+        held(direction) {
+            return this.layout[direction].some(key => this.keys[key]);
+        }
+
+        read() {
+            const steer = {
+                dx: (this.held('right') ? 1 : 0) - (this.held('left') ? 1 : 0),
+                dy: (this.held('down') ? 1 : 0) - (this.held('up') ? 1 : 0)
+            };
+            const flip = this.flipQueued;
+            this.flipQueued = false;
+            return { steer, flip };
+        }
+    }
+
+    /** On-screen controls: the UI sets `direction` and calls `queueFlip`. */
+    class TouchController {
+        constructor() {
+            this.direction = null;
+            this.flipQueued = false;
+        }
+
+        queueFlip() {
+            this.flipQueued = true;
+        }
+
+        read() {
+            const flip = this.flipQueued;
+            this.flipQueued = false;
+            return { steer: this.direction, flip };
+        }
+    }
+
+    /**
+     * A gamepad. The stick steers at any angle; the d-pad steers like the
+     * arrow keys when the stick is centered. Browsers only hand out pad
+     * snapshots, so the caller passes a function returning the current one
+     * (or null while it is unplugged) and calls `poll` once per frame.
+     */
+    class GamepadController {
+        /**
+         * @param {function(): ?{axes: number[], buttons: {pressed: boolean}[]}} getPad
+         * @param {Object} [layout] PAD_LAYOUT, or a pilot's own bindings
+         */
+        constructor(getPad, layout = PAD_LAYOUT) {
+            this.getPad = getPad;
+            this.layout = layout;
+            this.held = [];
+            this.flipQueued = false;
+        }
+
+        get connected() {
+            return !!this.getPad();
+        }
+
+        /** Samples the buttons; returns the indices pressed since the last poll and queues a flip if one was. */
+        poll() {
+            const pad = this.getPad();
+            const held = pad ? pad.buttons.map(button => button.pressed) : [];
+            const pressed = [];
+            held.forEach((down, i) => {
+                if (down && !this.held[i]) pressed.push(i);
+            });
+            this.held = held;
+            if (pressed.some(i => this.layout.flip.includes(i))) this.flipQueued = true;
+            return pressed;
+        }
+
+        /** Whether any button bound to `action` is down as of the last poll. */
+        holding(action) {
+            return this.layout[action].some(i => this.held[i]);
+        }
+
+        read() {
+            const pad = this.getPad();
+            let steer = null;
+            if (pad) {
+                const [x = 0, y = 0] = pad.axes;
+                steer = Math.hypot(x, y) > STICK_DEADZONE
+                    ? { dx: x, dy: y }
+                    : {
+                        dx: (this.holding('right') ? 1 : 0) - (this.holding('left') ? 1 : 0),
+                        dy: (this.holding('down') ? 1 : 0) - (this.holding('up') ? 1 : 0)
+                    };
+            }
+            const flip = this.flipQueued;
+            this.flipQueued = false;
+            return { steer, flip };
+        }
+    }
+
+    /** Plays a fixed list of `{ticks, steer, flip}` steps, then idles. */
+    class ScriptedController {
+        constructor(steps) {
+            this.steps = steps;
+            this.index = 0;
+            this.elapsed = 0;
+        }
+
+        get finished() {
+            return this.index >= this.steps.length;
+        }
+
+        read() {
+            if (this.finished) return { steer: null, flip: false };
+            const step = this.steps[this.index];
+            // A step's flip fires on its first tick only
+            const flip = !!step.flip && this.elapsed === 0;
+            if (++this.elapsed >= step.ticks) {
+                this.index++;
+                this.elapsed = 0;
+            }
+            return { steer: step.steer || null, flip };
+        }
+    }
+
+    /** Several controllers on one snake: steering adds up, any of them can flip. */
+    class MergedController {
+        constructor(...controllers) {
+            this.controllers = controllers;
+        }
+
+        read(sim, player) {
+            let dx = 0;
+            let dy = 0;
+            let flip = false;
+            this.controllers.forEach(controller => {
+                const input = controller.read(sim, player);
+                if (input.steer) {
+                    dx += input.steer.dx;
+                    dy += input.steer.dy;
+                }
+                flip = flip || input.flip;
+            });
+            return { steer: { dx, dy }, flip };
+        }
+    }
+
+    /**
+     * A bot pilot. Every tick it tries a fan of headings, flies each one
+     * forward through a copy of the snake's physics (turn rate, speed and
+     * gravity, including wells and the next scheduled change) and picks the path that
+     * reaches food soonest without hitting a wall, an obstacle or a body.
+     * It only looks at simulation state, so it is as deterministic as the
+     * simulation itself.
+     */
+    class Autopilot {
+        constructor({ headings = 16, horizon = 60 } = {}) {
+            this.headings = headings;
+            this.horizon = horizon;
+        }
+
+        read(sim, player) {
+            const snake = sim.snakes[player];
+            const target = this.target(sim, snake);
+            let best = null;
+            let bestScore = -Infinity;
+            const candidates = [snake.angle];
+            for (let i = 0; i < this.headings; i++) {
+                candidates.push(i / this.headings * Math.PI * 2);
+            }
+            candidates.forEach(angle => {
+                const score = this.evaluate(sim, player, angle, target);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = angle;
+                }
+            });
+            return { steer: { dx: Math.cos(best), dy: Math.sin(best) }, flip: false };
+        }
+
+        /** The nearest pickup on the field. */
+        target(sim, snake) {
+            const pickups = sim.bonus ? [sim.food, sim.bonus] : [sim.food];
+            let nearest = pickups[0];
+            pickups.forEach(food => {
+                if (this.distance(sim, snake.pos, food.pos) < this.distance(sim, snake.pos, nearest.pos)) nearest = food;
+            });
+            return nearest.pos;
+        }
+
+        distance(sim, a, b) {
+            let dx = a.x - b.x;
+            let dy = a.y - b.y;
+            if (sim.mode.wrap) {
+                dx -= sim.width * Math.round(dx / sim.width);
+                dy -= sim.height * Math.round(dy / sim.height);
+            }
+            return Math.sqrt(dx * dx + dy * dy);
+        }
+
+        /** Scores steering towards `angle` for the whole horizon. Higher is better. */
+        evaluate(sim, player, angle, target) {
+            const snake = sim.snakes[player];
+            const reach = CONFIG.FOOD_SIZE + CONFIG.SNAKE_WIDTH;
+            const locked = sim.hasEffect('gravityLock', player);
+            const flipIn = locked ? Infinity : sim.gravityCountdown / STEP_MS;
+
+            let heading = snake.angle;
+            let room = Infinity;
+            let x = snake.pos.x;
+            let y = snake.pos.y;
+            for (let tick = 1; tick <= this.horizon; tick++) {
+                let diff = angle - heading;
+                while (diff < -Math.PI) diff += Math.PI * 2;
+                while (diff > Math.PI) diff -= Math.PI * 2;
+                heading += diff * 0.15;
+
+                const gravity = sim.gravityAt({ x, y }, tick > flipIn ? sim.nextGravity : sim.gravity);
+                x += Math.cos(heading) * snake.speed + gravity.x * CONFIG.GRAVITY_FORCE;
+                y += Math.sin(heading) * snake.speed + gravity.y * CONFIG.GRAVITY_FORCE;
+                if (sim.mode.wrap) {
+                    x = ((x % sim.width) + sim.width) % sim.width;
+                    y = ((y % sim.height) + sim.height) % sim.height;
+                }
+
+                const pos = { x, y };
+                if (this.distance(sim, pos, target) < reach) return 1e6 - tick;
+                const clear = this.clearance(sim, player, pos, tick);
+                // Later crashes beat earlier ones when every path is doomed
+                if (clear < CONFIG.SNAKE_WIDTH) return -1e6 + tick;
+                room = Math.min(room, clear);
+            }
+            // Open space counts too, so the bot does not wander into pockets
+            return -this.distance(sim, { x, y }, target) + Math.min(room, ROOM) * ROOM_WEIGHT;
+        }
+
+        /** Distance from `pos` to the nearest wall, obstacle or body, `tick` ticks from now. */
+        clearance(sim, player, pos, tick) {
+            let clear = sim.mode.wrap ? Infinity : Math.min(pos.x, sim.width - pos.x, pos.y, sim.height - pos.y);
+            if (sim.arena.collides(pos, CONFIG.SNAKE_WIDTH)) return 0;
+            // Bodies are checked every other tick to keep the fan cheap
+            if (tick % 2) return clear;
+
+            const margin = CONFIG.SNAKE_WIDTH * 0.2;
+            sim.snakes.forEach((snake, p) => {
+                const own = p === player;
+                if (own && sim.hasEffect('ghost', player)) return;
+                // By then the body has moved on by the distance flown: the
+                // head end is out of reach and the tail end has been pulled in
+                const shift = Math.round(tick * snake.speed / CONFIG.SEGMENT_SPACING);
+                const from = own ? Math.max(0, SNAKE_NECK - shift) : 0;
+                const to = own ? snake.segments.length - shift : Infinity;
+                const near = snake.bodyDistance(pos, Math.max(0, Math.min(clear, ROOM)) + margin, from, to, sim.mode.wrap ? sim : null);
+                clear = Math.min(clear, near - margin);
+            });
+            return clear;
+        }
+    }
+
+    Object.assign(Snike, {
+        KEY_LAYOUTS, PAD_LAYOUT, STICK_DEADZONE, keyName, KeyboardController, GamepadController, TouchController,
+        ScriptedController, MergedController, Autopilot, controllerInput
+    });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,114 @@
+/**
+ * The daily challenge. Every pilot's run on a given day starts from the
+ * same seed, picked from the UTC date, so food, stars and gravity line up
+ * for everyone. Each pilot gets one scored attempt a day; practice runs on
+ * the same seed count for nothing.
+ *
+ * A scored attempt is summed up in a result code: the day, seed, score,
+ * length in ticks and a checksum of the run's input, plus check digits.
+ * Any build can check a code offline, and with the run's replay alongside
+ * it can play the run back and confirm the score. The check digits catch
+ * typos and hand edits, not a determined forger; the replay is the proof.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { MODES, ReplayPlayer, parseReplay } = Snike;
+
+    const RESULT_PREFIX = 'SNK1';
+    const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    const CODE_MAX = 64;
+
+    /** 32-bit FNV-1a of a string. */
+    function hash(text) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            h ^= text.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /** The challenge day a moment falls on, as 'YYYY-MM-DD' in UTC so every time zone shares it. */
+    function dailyKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    function dailySeed(day) {
+        return hash(`snike-daily:${day}`);
+    }
+
+    /** Checksum of a run's input, over the run-length encoded stream a Recorder keeps and a replay file holds. */
+    function inputChecksum(runs) {
+        return hash(runs.join(','));
+    }
+
+    function checkDigits(body) {
+        return (hash(body) % 46656).toString(36).padStart(3, '0');
+    }
+
+    /** The result code of a scored attempt, e.g. "SNK1-20261018-T2MFG9-3C-3C1-GC0UY9-J0A". */
+    function encodeResult({ day, seed, score, ticks, checksum }) {
+        const body = [RESULT_PREFIX, day.replace(/-/g, ''), ...[seed, score, ticks, checksum].map(n => n.toString(36))]
+            .join('-')
+            .toUpperCase();
+        return `${body}-${checkDigits(body).toUpperCase()}`;
+    }
+
+    /**
+     * Reads a result code back, checking its digits and that its seed is the one of its day.
+     * @throws {Error} When the code is malformed, mistyped or edited
+     */
+    function parseResultCode(code) {
+        const parts = String(code).trim().toUpperCase().split('-');
+        if (parts.length !== 7 || parts[0] !== RESULT_PREFIX) throw new Error('Not a daily result code');
+        const check = parts.pop();
+        if (checkDigits(parts.join('-')).toUpperCase() !== check) throw new Error('The check digits do not match; the code was mistyped or edited');
+
+        const [, date, ...numbers] = parts;
+        if (!/^\d{8}$/.test(date) || !numbers.every(n => /^[0-9A-Z]+$/.test(n))) throw new Error('Result code is corrupted');
+        const day = `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}`;
+        const [seed, score, ticks, checksum] = numbers.map(n => parseInt(n, 36));
+        if (seed !== dailySeed(day)) throw new Error(`The seed is not the one of ${day}`);
+        return { day, seed, score, ticks, checksum };
+    }
+
+    /**
+     * Plays a replay back against a parsed result code.
+     * @param {object|string} data The replay file, as saved after the run
+     * @throws {Error} When the replay is not the run the code describes
+     */
+    function verifyResult(result, data) {
+        const raw = typeof data === 'string' ? JSON.parse(data) : data;
+        const replay = parseReplay(raw);
+        if (!MODES[replay.mode].daily) throw new Error('The replay is not a daily challenge run');
+        if (replay.seed !== result.seed) throw new Error('The replay is from another day');
+        if (inputChecksum(raw.inputs) !== result.checksum) throw new Error('The replay input differs from the run in the code');
+
+        const player = new ReplayPlayer(replay);
+        while (player.step()) {
+            // Play the run out
+        }
+        if (player.tick !== result.ticks) throw new Error(`The replay runs ${player.tick} ticks, the code claims ${result.ticks}`);
+        if (player.sim.score !== result.score) throw new Error(`The replay scores ${player.sim.score}, the code claims ${result.score}`);
+        return true;
+    }
+
+    function defaultDaily() {
+        return { day: null, score: null, code: null }; // The pilot's latest scored attempt
+    }
+
+    /** A stored daily record with anything unreadable put back to "no attempt yet". */
+    function normalizeDaily(raw) {
+        const daily = defaultDaily();
+        if (!raw || typeof raw !== 'object' || typeof raw.day !== 'string' || !DAY_PATTERN.test(raw.day)) return daily;
+        daily.day = raw.day;
+        if (Number.isFinite(raw.score) && raw.score >= 0) daily.score = raw.score;
+        if (typeof raw.code === 'string' && raw.code.length <= CODE_MAX) daily.code = raw.code;
+        return daily;
+    }
+
+    Object.assign(Snike, {
+        dailyKey, dailySeed, inputChecksum, encodeResult, parseResultCode, verifyResult, defaultDaily, normalizeDaily
+    });
+})(globalThis.Snike = globalThis.Snike || {});
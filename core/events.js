@@ -0,0 +1,100 @@
+/**
+ * Typed game events. EVENT_TYPES lists every event the game publishes and
+ * the fields its payload always carries. The simulation checks what it
+ * queues against it, and the EventBus refuses unknown types, so a typo in
+ * an emitter or a subscriber fails loudly instead of never firing.
+ */
+(function (Snike) {
+    'use strict';
+
+    const EVENT_TYPES = {
+        stateChanged: ['previous', 'state'],
+        tick: ['clock'],
+        // source: 'manual' for a flip key, 'schedule' for the countdown, 'level' when a level starts gravity over
+        gravityChanged: ['gravity', 'next', 'source'],
+        gravityWarning: ['gravity', 'in'],
+        // points: what this pickup scored, made of parts (see core/scoring.js); chain: pickups in the combo so far
+        foodEaten: ['pos', 'score', 'pickup', 'player', 'points', 'chain', 'multiplier', 'parts'],
+        bonusSpawned: ['pos', 'pickup'],
+        bonusExpired: ['pos', 'pickup'],
+        effectEnded: ['effect', 'player'],
+        // cause: 'wall', 'obstacle', 'self', 'rival' or 'head'; fatal is false when the mode trims instead.
+        // detail: the wall's side ('left', 'right', 'top', 'bottom') or the body segment hit, else null
+        collision: ['cause', 'detail', 'player', 'pos', 'fatal'],
+        trimmed: ['pos', 'length', 'removed'],
+        levelComplete: ['level', 'next'],
+        roundOver: ['pos', 'winner', 'round', 'wins'],
+        roundStarted: ['round'],
+        // reason: 'crash', 'time', 'campaign', 'quit' or 'match'
+        runEnded: ['pos', 'score', 'reason', 'winner'],
+        // Published by the game, not the simulation, as a pilot's rule first holds
+        achievementUnlocked: ['achievement']
+    };
+
+    /**
+     * @throws {Error} When `type` is not in `types` or the payload lacks one of its fields
+     */
+    function checkEvent(types, type, payload) {
+        const fields = types[type];
+        if (!fields) throw new Error(`Unknown event type "${type}"`);
+        const missing = fields.find(field => !(field in payload));
+        if (missing) throw new Error(`Event "${type}" is missing "${missing}"`);
+    }
+
+    /**
+     * A synchronous publish/subscribe hub. Handlers run in the order they
+     * subscribed; one that throws is reported to `onError` and the rest
+     * still run, so a broken add-on cannot stall the game. Where a failure
+     * shows is up to the host; without an `onError` it is dropped.
+     */
+    class EventBus {
+        constructor({ onError = () => {} } = {}) {
+            this.types = { ...EVENT_TYPES };
+            this.handlers = new Map();
+            this.onError = onError;
+        }
+
+        /** Adds an event type, for add-ons that publish events of their own. */
+        define(type, fields = []) {
+            if (this.types[type]) throw new Error(`Event type "${type}" already exists`);
+            this.types[type] = fields;
+        }
+
+        /** @returns {Function} Unsubscribes the handler */
+        on(type, handler) {
+            if (!this.types[type]) throw new Error(`Unknown event type "${type}"`);
+            if (!this.handlers.has(type)) this.handlers.set(type, []);
+            this.handlers.get(type).push(handler);
+            return () => this.off(type, handler);
+        }
+
+        once(type, handler) {
+            const off = this.on(type, payload => {
+                off();
+                handler(payload);
+            });
+            return off;
+        }
+
+        off(type, handler) {
+            const handlers = this.handlers.get(type);
+            const index = handlers ? handlers.indexOf(handler) : -1;
+            if (index !== -1) handlers.splice(index, 1);
+        }
+
+        emit(type, payload = {}) {
+            checkEvent(this.types, type, payload);
+            // A copy, so handlers may unsubscribe (or subscribe) while it runs
+            const handlers = [...(this.handlers.get(type) || [])];
+            handlers.forEach(handler => {
+                try {
+                    handler(payload);
+                } catch (error) {
+                    this.onError(error, type);
+                }
+            });
+        }
+    }
+
+    Object.assign(Snike, { EVENT_TYPES, checkEvent, EventBus });
+})(globalThis.Snike = globalThis.Snike || {});
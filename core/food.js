@@ -0,0 +1,56 @@
+/**
+ * A pickup on the field. Pure position data; the type's rules live in
+ * core/pickups.js and the bounce animation in the renderer.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { Vector } = Snike;
+
+    const SPAWN_ATTEMPTS = 50; // Random spots tried before sweeping for one
+    const SWEEP_STEP = 10; // px between the spots the sweep tries
+
+    class Food {
+        /**
+         * @param {function(Vector): boolean} [isBlocked] Rejects spots food must not appear on
+         * @param {string} [type] Key into PICKUPS
+         */
+        constructor(width, height, rng, isBlocked = null, type = 'food') {
+            this.width = width;
+            this.height = height;
+            this.rng = rng;
+            this.isBlocked = isBlocked;
+            this.type = type;
+            this.expiresAt = null; // Game time a bonus despawns at
+            this.spawn();
+        }
+
+        spawn() {
+            const padding = 50;
+            // Re-roll blocked spots; the cap keeps a crowded level from hanging
+            for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+                this.pos = new Vector(
+                    padding + this.rng.next() * (this.width - padding * 2),
+                    padding + this.rng.next() * (this.height - padding * 2)
+                );
+                if (!this.isBlocked || !this.isBlocked(this.pos)) return;
+            }
+            // Crowded enough to miss that often: sweep a grid from a random cell for a spot that is clear
+            const cols = Math.max(Math.floor((this.width - padding * 2) / SWEEP_STEP), 0) + 1;
+            const rows = Math.max(Math.floor((this.height - padding * 2) / SWEEP_STEP), 0) + 1;
+            const cells = cols * rows;
+            const start = Math.floor(this.rng.next() * cells);
+            for (let i = 0; i < cells; i++) {
+                const cell = (start + i) % cells;
+                const pos = new Vector(padding + (cell % cols) * SWEEP_STEP, padding + Math.floor(cell / cols) * SWEEP_STEP);
+                if (!this.isBlocked(pos)) {
+                    this.pos = pos;
+                    return;
+                }
+            }
+            // Nowhere at all is clear; the last roll stands
+        }
+    }
+
+    Snike.Food = Food;
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,295 @@
+/**
+ * Racing the best run. A solo run's head path and score are sampled every
+ * few ticks as it plays; the best run of each mode and starting speed is
+ * kept for the pilot and comes back on later runs as a ghost snake flying
+ * its old line, with the score it had at the same moment.
+ *
+ * A ghost is plain data, `frames` being a flat list of
+ * `[x, y, score, length]` per sample, frame k taken after tick
+ * k * `interval`. A long run is thinned as it goes, dropping every other
+ * sample and doubling the interval, so a ghost never outgrows
+ * GHOST_MAX_FRAMES however long the run. Positions are in the arena the
+ * run was flown in and get scaled to the one the ghost is drawn over.
+ *
+ * Ghosts are saved apart from the profiles, one storage key each (see
+ * GhostStore), so saving a setting never rewrites them and a full storage
+ * costs the oldest ghosts rather than the pilot's scores. A save file
+ * carries them as a list of `{pilot, ghost}` beside the settings.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG, MODES, Vector } = Snike;
+
+    const GHOST_INTERVAL = 4; // Ticks per sample
+    const GHOST_MAX_FRAMES = 1000; // Even, so thinning keeps frame k at tick k * interval
+    const FRAME_SIZE = 4;
+    const GHOST_KEY_PATTERN = /^[a-z0-9_-]{1,32}@\d+(\.\d+)?$/i;
+    const GHOST_INDEX_KEY = 'snike_ghosts';
+    const GHOST_KEY_PREFIX = 'snike_ghost:';
+
+    /** Ghosts are kept per mode and starting speed, e.g. "classic@2.5". */
+    function ghostKey(mode, speed) {
+        return `${mode}@${speed}`;
+    }
+
+    /** Samples one live run, from its first tick to the last. */
+    class GhostRecorder {
+        constructor(sim) {
+            this.mode = sim.mode.id;
+            this.speed = sim.startSpeed;
+            this.width = sim.width;
+            this.height = sim.height;
+            this.interval = GHOST_INTERVAL;
+            this.ticks = 0;
+            this.score = sim.score;
+            this.frames = [];
+            this.sample(sim);
+        }
+
+        get key() {
+            return ghostKey(this.mode, this.speed);
+        }
+
+        /** Call after each tick of the run. */
+        record(sim) {
+            this.ticks++;
+            this.score = sim.score;
+            if (this.ticks % this.interval !== 0) return;
+            if (this.frames.length >= GHOST_MAX_FRAMES * FRAME_SIZE) this.thin();
+            this.sample(sim);
+        }
+
+        /** Halves the samples, keeping every other one at twice the interval. */
+        thin() {
+            this.frames = this.frames.filter((value, i) => Math.floor(i / FRAME_SIZE) % 2 === 0);
+            this.interval *= 2;
+        }
+
+        sample(sim) {
+            const { pos, length } = sim.snake;
+            this.frames.push(Math.round(pos.x), Math.round(pos.y), sim.score, length);
+        }
+
+        toJSON() {
+            return {
+                mode: this.mode,
+                speed: this.speed,
+                width: this.width,
+                height: this.height,
+                interval: this.interval,
+                ticks: this.ticks,
+                score: this.score,
+                frames: this.frames
+            };
+        }
+    }
+
+    /** The ghost's score `ticks` into its run; its final score once the run is over. */
+    function ghostScoreAt(ghost, ticks) {
+        const frame = Math.floor(ticks / ghost.interval);
+        if (ticks >= ghost.ticks || frame * FRAME_SIZE >= ghost.frames.length) return ghost.score;
+        return ghost.frames[frame * FRAME_SIZE + 2];
+    }
+
+    /**
+     * The ghost snake `ticks` into its run, shaped like a Snake for the
+     * renderer: the head between its samples and a body running back
+     * along the sampled path for as long as the snake was then.
+     * @param {number} ticks May be fractional, to draw between ticks
+     * @returns {object|null} `{pos, prevPos, segments}`, or null once the ghost's run has ended
+     */
+    function ghostTrail(ghost, ticks, width, height) {
+        const count = ghost.frames.length / FRAME_SIZE;
+        const f = ticks / ghost.interval;
+        const i = Math.floor(f);
+        if (ticks > ghost.ticks || i >= count - 1) return null;
+
+        const frames = ghost.frames;
+        const point = k => new Vector(frames[k * FRAME_SIZE], frames[k * FRAME_SIZE + 1]);
+        // A jump across a wrap seam is not travelled, so it is neither blended nor measured
+        const seam = Math.min(ghost.width, ghost.height) / 2;
+        const jumps = (a, b) => Math.abs(a.x - b.x) > seam || Math.abs(a.y - b.y) > seam;
+
+        const from = point(i);
+        const to = point(i + 1);
+        const t = f - i;
+        const head = jumps(from, to) ? from : new Vector(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t);
+
+        const points = [head];
+        let budget = frames[i * FRAME_SIZE + 3] * CONFIG.SEGMENT_SPACING;
+        let prev = head;
+        for (let k = i; k >= 0 && budget > 0; k--) {
+            const next = point(k);
+            if (jumps(prev, next)) {
+                points.push(next);
+            } else {
+                const step = Math.hypot(next.x - prev.x, next.y - prev.y);
+                if (step > budget) {
+                    const cut = budget / step;
+                    points.push(new Vector(prev.x + (next.x - prev.x) * cut, prev.y + (next.y - prev.y) * cut));
+                    break;
+                }
+                budget -= step;
+                points.push(next);
+            }
+            prev = next;
+        }
+
+        const sx = width / ghost.width;
+        const sy = height / ghost.height;
+        const segments = points.map(p => new Vector(p.x * sx, p.y * sy));
+        return { pos: segments[0], prevPos: segments[0], segments };
+    }
+
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    const isSize = value => Number.isFinite(value) && value > 0;
+
+    function normalizeGhost(raw) {
+        if (!raw || typeof raw !== 'object' || !MODES[raw.mode]) return null;
+        if (!isSize(raw.speed) || !isSize(raw.width) || !isSize(raw.height)) return null;
+        if (!Number.isInteger(raw.interval) || raw.interval < 1 || !isCount(raw.ticks) || !Number.isFinite(raw.score)) return null;
+        const frames = raw.frames;
+        if (!Array.isArray(frames) || frames.length < FRAME_SIZE || frames.length % FRAME_SIZE !== 0) return null;
+        if (frames.length > GHOST_MAX_FRAMES * FRAME_SIZE || !frames.every(Number.isFinite)) return null;
+        const { mode, speed, width, height, interval, ticks, score } = raw;
+        return { mode, speed, width, height, interval, ticks, score, frames };
+    }
+
+    /** Whether a storage write failed for want of room; browsers name it differently. */
+    function isQuotaError(e) {
+        return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+    }
+
+    /** A save file's ghosts with unreadable ones dropped, at most one per pilot, mode and speed. */
+    function normalizeGhostEntries(raw) {
+        if (!Array.isArray(raw)) return [];
+        const seen = new Set();
+        return raw.map(entry => ({
+            pilot: entry && typeof entry.pilot === 'string' && entry.pilot ? entry.pilot : null,
+            ghost: entry ? normalizeGhost(entry.ghost) : null
+        })).filter(({ pilot, ghost }) => {
+            if (!pilot || !ghost) return false;
+            const id = `${pilot}\n${ghostKey(ghost.mode, ghost.speed)}`;
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        });
+    }
+
+    function readJSON(storage, key) {
+        try {
+            return JSON.parse(storage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * The saved ghosts of every pilot in a localStorage-like object. Each
+     * ghost has its own key; an index of `{pilot, key, savedAt}` records
+     * which exist and how old they are, so the oldest can make room.
+     */
+    class GhostStore {
+        constructor(storage) {
+            this.storage = storage;
+            const index = readJSON(storage, GHOST_INDEX_KEY);
+            this.index = (Array.isArray(index) ? index : []).filter(entry => entry && typeof entry.pilot === 'string' &&
+                typeof entry.key === 'string' && GHOST_KEY_PATTERN.test(entry.key) && Number.isFinite(entry.savedAt));
+        }
+
+        storageKey(pilot, key) {
+            return `${GHOST_KEY_PREFIX}${encodeURIComponent(pilot)}:${key}`;
+        }
+
+        /** A pilot's ghost of a mode and speed, or null if there is none or it no longer reads. */
+        load(pilot, mode, speed) {
+            const key = ghostKey(mode, speed);
+            const ghost = normalizeGhost(readJSON(this.storage, this.storageKey(pilot, key)));
+            return ghost && ghostKey(ghost.mode, ghost.speed) === key ? ghost : null;
+        }
+
+        /**
+         * Saves a pilot's ghost over the one of the same mode and speed,
+         * dropping the oldest others while storage is too full for it.
+         * @returns {boolean} Whether it was saved; false when even an empty store has no room
+         */
+        save(pilot, ghost, savedAt = Date.now()) {
+            const key = ghostKey(ghost.mode, ghost.speed);
+            const item = this.storageKey(pilot, key);
+            const text = JSON.stringify(ghost);
+            const old = this.index.find(entry => entry.pilot === pilot && entry.key === key);
+            // A failed write leaves the ghost that was there, and its entry with it
+            if (!this.fit(() => this.storage.setItem(item, text), old)) return false;
+            const entry = { pilot, key, savedAt };
+            this.index = [...this.index.filter(e => e.pilot !== pilot || e.key !== key), entry];
+            if (this.fit(() => this.saveIndex(), entry)) return true;
+            // Unlisted, it could never be evicted, so it goes
+            this.index = this.index.filter(e => e !== entry);
+            this.storage.removeItem(item);
+            return false;
+        }
+
+        /** Every ghost that still reads, as `{pilot, ghost}` for a save file. */
+        entries() {
+            return this.index
+                .map(({ pilot, key }) => ({ pilot, ghost: normalizeGhost(readJSON(this.storage, this.storageKey(pilot, key))) }))
+                .filter(({ ghost }) => ghost !== null);
+        }
+
+        /** Drops every ghost here, listed or not, for those of a save file, e.g. from normalizeGhostEntries. */
+        replace(entries) {
+            this.index.forEach(({ pilot, key }) => this.storage.removeItem(this.storageKey(pilot, key)));
+            if (typeof this.storage.key === 'function') {
+                const stray = [];
+                for (let i = 0; i < this.storage.length; i++) {
+                    const item = this.storage.key(i);
+                    if (item && item.startsWith(GHOST_KEY_PREFIX)) stray.push(item);
+                }
+                stray.forEach(item => this.storage.removeItem(item));
+            }
+            this.index = [];
+            this.saveIndex();
+            entries.forEach(({ pilot, ghost }, i) => this.save(pilot, ghost, i));
+        }
+
+        saveIndex() {
+            this.storage.setItem(GHOST_INDEX_KEY, JSON.stringify(this.index));
+        }
+
+        /**
+         * Runs a storage write, evicting the oldest ghost and trying again
+         * each time storage is full.
+         * @param {?object} keep An index entry never to evict, e.g. the ghost the write replaces
+         * @returns {boolean} Whether the write went through
+         */
+        fit(write, keep = null) {
+            for (;;) {
+                try {
+                    write();
+                    return true;
+                } catch (e) {
+                    if (!isQuotaError(e)) throw e;
+                    if (!this.evictOldest(keep)) return false;
+                }
+            }
+        }
+
+        /** @returns {boolean} Whether there was a ghost to drop */
+        evictOldest(keep = null) {
+            const candidates = this.index.filter(entry => entry !== keep);
+            if (!candidates.length) return false;
+            const oldest = candidates.reduce((a, b) => (b.savedAt < a.savedAt ? b : a));
+            this.index = this.index.filter(entry => entry !== oldest);
+            this.storage.removeItem(this.storageKey(oldest.pilot, oldest.key));
+            // The shorter index fits in the room the ghost left
+            this.saveIndex();
+            return true;
+        }
+    }
+
+    Object.assign(Snike, {
+        GHOST_INTERVAL, GHOST_MAX_FRAMES, ghostKey, GhostRecorder, ghostScoreAt, ghostTrail, isQuotaError, normalizeGhostEntries,
+        GhostStore
+    });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,136 @@
+/**
+ * Gravity as data. The global pull is a vector of any angle and strength,
+ * and a schedule decides what it changes to next and how long each one
+ * holds. Wells and repulsors are arena obstacles (see core/arena.js) that
+ * add a local pull on top.
+ *
+ * Angles are in degrees, clockwise from pointing right (90 is down), and
+ * strength is a multiple of CONFIG.GRAVITY_FORCE. Schedules are plain JSON:
+ *
+ *   { "type": "script", "interval": 8000,
+ *     "steps": [{ "angle": 90 }, { "angle": 225, "strength": 1.5, "hold": 4000 }] }
+ *   { "type": "random", "interval": [3000, 8000], "angles": 8, "strength": [0.5, 1.5] }
+ *
+ * A script plays its steps in order and loops; `hold` overrides the
+ * interval for one step. A random schedule rolls each change from the
+ * run's Rng: `angles` snaps headings to that many evenly spaced directions
+ * (0 allows any angle), and `interval` and `strength` are [min, max] ranges.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG } = Snike;
+
+    const COMPASS = { 0: 'RIGHT', 45: 'DOWN-RIGHT', 90: 'DOWN', 135: 'DOWN-LEFT', 180: 'LEFT', 225: 'UP-LEFT', 270: 'UP', 315: 'UP-RIGHT' };
+
+    /** Builds a gravity vector. x and y are scaled by strength, so they feed the physics directly. */
+    function makeGravity(angle, strength = 1) {
+        const degrees = ((angle % 360) + 360) % 360;
+        const radians = degrees * Math.PI / 180;
+        return {
+            name: COMPASS[degrees] || `${Math.round(degrees)}°`,
+            angle: degrees,
+            strength,
+            // Snap float dust to zero so the cardinal directions are exact
+            x: clean(Math.cos(radians)) * strength,
+            y: clean(Math.sin(radians)) * strength
+        };
+    }
+
+    function clean(value) {
+        return Math.abs(value) < 1e-12 ? 0 : value;
+    }
+
+    // The classic cycle, in the order the flips go through them
+    const GRAVITY_DIRECTIONS = [90, 270, 180, 0].map(angle => makeGravity(angle));
+
+    const DEFAULT_GRAVITY_SCHEDULE = {
+        type: 'script',
+        interval: CONFIG.GRAVITY_CHANGE_INTERVAL,
+        steps: GRAVITY_DIRECTIONS.map(gravity => ({ gravity, hold: null }))
+    };
+
+    function isRange(value) {
+        return Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) && value[0] <= value[1];
+    }
+
+    /**
+     * Validates a schedule object and builds its gravity vectors.
+     * @throws {Error} When the type is unknown or a field is malformed
+     */
+    function parseGravitySchedule(data) {
+        if (!data || typeof data !== 'object') throw new Error('Gravity schedule must be an object');
+        if (data.type === 'script') {
+            if (!(data.interval > 0)) throw new Error('Scripted gravity needs a positive interval');
+            if (!Array.isArray(data.steps) || !data.steps.length) throw new Error('Scripted gravity needs at least one step');
+            const steps = data.steps.map((step, i) => {
+                const strength = step.strength === undefined ? 1 : step.strength;
+                if (!Number.isFinite(step.angle) || !Number.isFinite(strength)) {
+                    throw new Error(`Gravity step ${i} needs a numeric angle and strength`);
+                }
+                if (step.hold !== undefined && !(step.hold > 0)) throw new Error(`Gravity step ${i} has a bad hold`);
+                return { gravity: makeGravity(step.angle, strength), hold: step.hold || null };
+            });
+            return { type: 'script', interval: data.interval, steps };
+        }
+        if (data.type === 'random') {
+            const strength = data.strength === undefined ? [1, 1] : data.strength;
+            const angles = data.angles === undefined ? 0 : data.angles;
+            if (!isRange(data.interval) || data.interval[0] <= 0) throw new Error('Random gravity needs an interval range');
+            if (!isRange(strength)) throw new Error('Random gravity strength must be a [min, max] range');
+            if (!Number.isInteger(angles) || angles < 0 || angles === 1) {
+                throw new Error('Random gravity angles must be 0 (any) or a number of directions above 1');
+            }
+            return { type: 'random', interval: data.interval, angles, strength };
+        }
+        throw new Error(`Unknown gravity schedule type "${data.type}"`);
+    }
+
+    /**
+     * Steps through a parsed schedule. `next` returns the following change
+     * and how long it holds once it lands; random schedules roll from `rng`
+     * only when asked, so a script never touches the run's dice.
+     */
+    class GravitySchedule {
+        constructor(schedule, rng) {
+            this.schedule = schedule;
+            this.rng = rng;
+            this.position = 0;
+            this.last = null;
+        }
+
+        /** @returns {{gravity: object, hold: number}} */
+        next() {
+            const schedule = this.schedule;
+            let change;
+            if (schedule.type === 'script') {
+                const step = schedule.steps[this.position % schedule.steps.length];
+                change = { gravity: step.gravity, hold: step.hold || schedule.interval };
+            } else {
+                change = { gravity: this.roll(), hold: this.rng.range(schedule.interval[0], schedule.interval[1]) };
+            }
+            this.position++;
+            this.last = change.gravity;
+            return change;
+        }
+
+        /** A random heading and strength that is never the same heading twice in a row. */
+        roll() {
+            const { angles, strength } = this.schedule;
+            const power = this.rng.range(strength[0], strength[1]);
+            if (!angles) {
+                // Keep at least 30° away from the current pull so a change is felt
+                const from = this.last ? this.last.angle : 0;
+                return makeGravity(from + 30 + this.rng.next() * 300, power);
+            }
+            const slot = 360 / angles;
+            let pick = Math.floor(this.rng.next() * angles);
+            if (this.last && pick * slot === this.last.angle) pick = (pick + 1) % angles;
+            return makeGravity(pick * slot, power);
+        }
+    }
+
+    Object.assign(Snike, {
+        GRAVITY_DIRECTIONS, DEFAULT_GRAVITY_SCHEDULE, makeGravity, parseGravitySchedule, GravitySchedule
+    });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,69 @@
+/**
+ * A sparse uniform grid for "what is near this point" queries. Items are
+ * plain ids filed under the cell their position falls in, so a lookup only
+ * visits the handful of cells around the point instead of every item.
+ */
+(function (Snike) {
+    'use strict';
+
+    // Cell coordinates are packed into one number; the offset keeps them positive
+    const CELL_OFFSET = 32768;
+
+    class SpatialHash {
+        /** @param {number} cellSize Cell edge in px; at least the usual query radius keeps lookups to a few cells */
+        constructor(cellSize) {
+            this.cellSize = cellSize;
+            this.cells = new Map();
+            this.size = 0;
+        }
+
+        key(cx, cy) {
+            return (cx + CELL_OFFSET) * CELL_OFFSET * 2 + (cy + CELL_OFFSET);
+        }
+
+        cellOf(x, y) {
+            return this.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+        }
+
+        insert(id, x, y) {
+            const key = this.cellOf(x, y);
+            const bucket = this.cells.get(key);
+            if (bucket) bucket.push(id);
+            else this.cells.set(key, [id]);
+            this.size++;
+        }
+
+        /** Removes an id filed at (x, y); the position must be the one it was inserted with. */
+        remove(id, x, y) {
+            const key = this.cellOf(x, y);
+            const bucket = this.cells.get(key);
+            const index = bucket ? bucket.indexOf(id) : -1;
+            if (index === -1) return false;
+            bucket.splice(index, 1);
+            if (!bucket.length) this.cells.delete(key);
+            this.size--;
+            return true;
+        }
+
+        clear() {
+            this.cells.clear();
+            this.size = 0;
+        }
+
+        /** Calls `visit(id)` for every id in the cells overlapping the square of `radius` around (x, y). */
+        query(x, y, radius, visit) {
+            const minX = Math.floor((x - radius) / this.cellSize);
+            const maxX = Math.floor((x + radius) / this.cellSize);
+            const minY = Math.floor((y - radius) / this.cellSize);
+            const maxY = Math.floor((y + radius) / this.cellSize);
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cy = minY; cy <= maxY; cy++) {
+                    const bucket = this.cells.get(this.key(cx, cy));
+                    if (bucket) bucket.forEach(visit);
+                }
+            }
+        }
+    }
+
+    Snike.SpatialHash = SpatialHash;
+})(globalThis.Snike = globalThis.Snike || {});
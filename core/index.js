@@ -0,0 +1,36 @@
+/**
+ * Node entry point for the headless core. The browser loads the same files
+ * as plain scripts from index.html, in this order.
+ */
+require('./vector.js');
+require('./config.js');
+require('./random.js');
+require('./themes.js');
+require('./accessibility.js');
+require('./events.js');
+require('./gravity.js');
+require('./input.js');
+require('./arena.js');
+require('./levels.js');
+require('./modes.js');
+require('./pickups.js');
+require('./food.js');
+require('./grid.js');
+require('./snake.js');
+require('./scoring.js');
+require('./stats.js');
+require('./achievements.js');
+require('./simulation.js');
+require('./controllers.js');
+require('./touch.js');
+require('./audio.js');
+require('./bindings.js');
+require('./replay.js');
+require('./daily.js');
+require('./ghost.js');
+require('./camera.js');
+require('./plugins.js');
+require('./settings.js');
+require('./profiles.js');
+
+module.exports = globalThis.Snike;
@@ -0,0 +1,34 @@
+/**
+ * Per-tick input. Steering is quantized to a fixed number of headings before
+ * it reaches the simulation, so a live run and its replay feed the snake the
+ * exact same numbers.
+ */
+(function (Snike) {
+    'use strict';
+
+    const HEADING_STEPS = 256; // Multiple of 8 so keyboard diagonals stay exact
+    const NO_HEADING = -1;
+
+    /**
+     * @param {{dx: number, dy: number}|null} steer Desired direction, any magnitude
+     * @param {boolean} flip Whether a manual gravity flip was requested this tick
+     * @returns {{heading: number, flip: boolean}}
+     */
+    function tickInput(steer, flip = false) {
+        let heading = NO_HEADING;
+        if (steer && (steer.dx !== 0 || steer.dy !== 0)) {
+            const angle = Math.atan2(steer.dy, steer.dx);
+            heading = ((Math.round(angle / (Math.PI * 2) * HEADING_STEPS) % HEADING_STEPS) + HEADING_STEPS) % HEADING_STEPS;
+        }
+        return { heading, flip: !!flip };
+    }
+
+    /** Turns a quantized heading back into a unit steering vector, or null for none. */
+    function steerFromHeading(heading) {
+        if (heading === NO_HEADING) return null;
+        const angle = heading / HEADING_STEPS * Math.PI * 2;
+        return { dx: Math.cos(angle), dy: Math.sin(angle) };
+    }
+
+    Object.assign(Snike, { HEADING_STEPS, NO_HEADING, tickInput, steerFromHeading });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,79 @@
+/**
+ * Built-in campaign levels, in play order. See core/arena.js for the format.
+ * Every level keeps the centre clear because that is where the snake spawns.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { parseLevel } = Snike;
+
+    const LEVELS = [
+        {
+            id: 'pillars',
+            name: 'Pillars',
+            targetScore: 50,
+            obstacles: [
+                { type: 'wall', x: 0.2, y: 0.2, w: 0.04, h: 0.18 },
+                { type: 'wall', x: 0.76, y: 0.2, w: 0.04, h: 0.18 },
+                { type: 'wall', x: 0.2, y: 0.62, w: 0.04, h: 0.18 },
+                { type: 'wall', x: 0.76, y: 0.62, w: 0.04, h: 0.18 }
+            ]
+        },
+        {
+            id: 'gate',
+            name: 'The Gate',
+            targetScore: 80,
+            obstacles: [
+                { type: 'wall', x: 0.48, y: 0, w: 0.04, h: 0.22 },
+                { type: 'wall', x: 0.48, y: 0.78, w: 0.04, h: 0.22 },
+                { type: 'mover', x: 0.1, y: 0.15, w: 0.2, h: 0.03, dx: 0, dy: 0.7, period: 7000 },
+                { type: 'mover', x: 0.7, y: 0.82, w: 0.2, h: 0.03, dx: 0, dy: -0.7, period: 7000 }
+            ]
+        },
+        {
+            id: 'turbines',
+            name: 'Turbines',
+            targetScore: 100,
+            obstacles: [
+                { type: 'rotor', x: 0.22, y: 0.5, length: 0.3, thickness: 10, speed: 0.8 },
+                { type: 'rotor', x: 0.78, y: 0.5, length: 0.3, thickness: 10, speed: -0.8 },
+                { type: 'nospawn', x: 0.4, y: 0, w: 0.2, h: 0.12 },
+                { type: 'nospawn', x: 0.4, y: 0.88, w: 0.2, h: 0.12 }
+            ]
+        },
+        {
+            id: 'gauntlet',
+            name: 'Gauntlet',
+            targetScore: 150,
+            obstacles: [
+                { type: 'wall', x: 0.1, y: 0.3, w: 0.25, h: 0.03 },
+                { type: 'wall', x: 0.65, y: 0.67, w: 0.25, h: 0.03 },
+                { type: 'mover', x: 0.05, y: 0.8, w: 0.03, h: 0.15, dx: 0.35, dy: 0, period: 5000 },
+                { type: 'mover', x: 0.92, y: 0.05, w: 0.03, h: 0.15, dx: -0.35, dy: 0, period: 5000 },
+                { type: 'rotor', x: 0.8, y: 0.25, length: 0.22, thickness: 8, speed: 1.4 },
+                { type: 'rotor', x: 0.2, y: 0.75, length: 0.22, thickness: 8, speed: -1.4 }
+            ]
+        },
+        {
+            id: 'maelstrom',
+            name: 'Maelstrom',
+            targetScore: 180,
+            obstacles: [
+                { type: 'well', x: 0.22, y: 0.28, radius: 0.2, strength: 3 },
+                { type: 'well', x: 0.78, y: 0.72, radius: 0.2, strength: 3 },
+                { type: 'well', x: 0.78, y: 0.28, radius: 0.16, strength: -3 },
+                { type: 'well', x: 0.22, y: 0.72, radius: 0.16, strength: -3 },
+                { type: 'wall', x: 0.47, y: 0.06, w: 0.06, h: 0.1 },
+                { type: 'wall', x: 0.47, y: 0.84, w: 0.06, h: 0.1 }
+            ],
+            // Diagonals only, the far corners pulling harder
+            gravity: {
+                type: 'script',
+                interval: 6000,
+                steps: [{ angle: 45 }, { angle: 225, strength: 1.25 }, { angle: 135 }, { angle: 315, strength: 1.25 }]
+            }
+        }
+    ].map(parseLevel);
+
+    Snike.LEVELS = LEVELS;
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,125 @@
+/**
+ * Rulesets. Each mode is a bundle of flags the simulation reads:
+ *   wrap           - edges are open and the snake comes out the other side
+ *   lethal         - collisions end the run; otherwise they trim the snake
+ *   timeLimit      - run length in ms of game time, or null for no limit
+ *   gravityShrink  - factor applied to the flip interval after every auto flip
+ *   gravity        - gravity schedule (see core/gravity.js), or null for the classic four-way cycle
+ *   players        - snakes on the field; two makes a best-of-N versus match
+ *   scoring        - overrides of the scoring rules (see core/scoring.js), or absent for the defaults
+ *   daily          - the day's challenge: the game seeds it from the date (see core/daily.js), and
+ *                    campaign levels and the pilot's speed are set aside so everyone flies the same run
+ */
+(function (Snike) {
+    'use strict';
+
+    const MIN_GRAVITY_INTERVAL = 1500;
+
+    const MODES = {
+        classic: {
+            id: 'classic',
+            name: 'Classic',
+            icon: 'fa-square',
+            description: 'Walls kill. Survive as long as you can.',
+            wrap: false,
+            lethal: true,
+            timeLimit: null,
+            gravityShrink: null,
+            gravity: null,
+            players: 1
+        },
+        wrap: {
+            id: 'wrap',
+            name: 'Wrap-Around',
+            icon: 'fa-arrows-left-right',
+            description: 'Fly out one edge, come back through the other.',
+            wrap: true,
+            lethal: true,
+            timeLimit: null,
+            gravityShrink: null,
+            gravity: null,
+            players: 1
+        },
+        timeAttack: {
+            id: 'timeAttack',
+            name: 'Time Attack',
+            icon: 'fa-stopwatch',
+            description: 'Score as much as you can in 90 seconds.',
+            wrap: false,
+            lethal: true,
+            timeLimit: 90000,
+            gravityShrink: null,
+            gravity: null,
+            players: 1,
+            // Against the clock, quick chains pay the most
+            scoring: { combo: { window: 2000, max: 6 } }
+        },
+        zen: {
+            id: 'zen',
+            name: 'Zen',
+            icon: 'fa-spa',
+            description: 'No death. Biting yourself trims your tail.',
+            wrap: true,
+            lethal: false,
+            timeLimit: null,
+            gravityShrink: null,
+            gravity: null,
+            players: 1,
+            // Nothing here can kill, so there is no risk to reward
+            scoring: { proximity: { body: 0 }, flip: { bonus: 0 } }
+        },
+        survival: {
+            id: 'survival',
+            name: 'Survival',
+            icon: 'fa-skull',
+            description: 'Gravity flips faster and faster.',
+            wrap: false,
+            lethal: true,
+            timeLimit: null,
+            gravityShrink: 0.9,
+            gravity: null,
+            players: 1,
+            scoring: { flip: { window: 1000, bonus: 25 } }
+        },
+        storm: {
+            id: 'storm',
+            name: 'Storm',
+            icon: 'fa-wind',
+            description: 'Gravity swings to any angle at any strength, on no fixed beat.',
+            wrap: false,
+            lethal: true,
+            timeLimit: null,
+            gravityShrink: null,
+            gravity: { type: 'random', interval: [3000, 7000], angles: 0, strength: [0.5, 1.75] },
+            players: 1,
+            scoring: { flip: { bonus: 20 } }
+        },
+        versus: {
+            id: 'versus',
+            name: 'Versus',
+            icon: 'fa-user-group',
+            description: 'Two pilots, one keyboard. Crash into your rival and you lose the round.',
+            wrap: false,
+            lethal: true,
+            timeLimit: null,
+            gravityShrink: null,
+            gravity: null,
+            players: 2
+        },
+        daily: {
+            id: 'daily',
+            name: 'Daily Challenge',
+            icon: 'fa-calendar-day',
+            description: 'One seed for everyone today. One scored attempt, as much practice as you like.',
+            wrap: false,
+            lethal: true,
+            timeLimit: null,
+            gravityShrink: null,
+            gravity: null,
+            players: 1,
+            daily: true
+        }
+    };
+
+    Object.assign(Snike, { MODES, MIN_GRAVITY_INTERVAL });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,93 @@
+/**
+ * Pickup types. Regular food is always on the field; at most one bonus
+ * pickup joins it at a time and despawns if it is not eaten. Fields:
+ *   weight    - relative chance of being picked when a bonus spawns
+ *   lifetime  - ms a bonus stays on the field, or null for regular food
+ *   duration  - ms the effect runs after pickup; 0 for instant pickups
+ *   score     - points for eating it
+ *   grow      - whether eating it lengthens (and speeds up) the snake
+ *   color     - drawing and particle color
+ *   shape     - outline the renderer draws
+ * Effect-specific tuning (factor, segments, radius, pull) sits alongside.
+ * Add-ons can add pickups of their own with `registerPickup`; the
+ * simulation scores, grows and times them like any other, and whatever
+ * else they do is up to the add-on's foodEaten and effectEnded handlers.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG } = Snike;
+
+    // Chance that eating regular food brings a bonus onto the field
+    const BONUS_CHANCE = 0.3;
+
+    const PICKUPS = {
+        food: {
+            id: 'food', name: 'Food', icon: 'fa-diamond', color: CONFIG.ACCENT_NEON, shape: 'diamond',
+            weight: 0, lifetime: null, duration: 0, score: 10, grow: true
+        },
+        slowMo: {
+            id: 'slowMo', name: 'Slow-Mo', icon: 'fa-hourglass-half', color: '#4cc9f0', shape: 'circle',
+            weight: 3, lifetime: 8000, duration: 6000, score: 0, grow: false,
+            factor: 0.6
+        },
+        gravityLock: {
+            id: 'gravityLock', name: 'Gravity Lock', icon: 'fa-lock', color: '#9d4edd', shape: 'square',
+            weight: 3, lifetime: 8000, duration: 8000, score: 0, grow: false
+        },
+        shrink: {
+            id: 'shrink', name: 'Shrink', icon: 'fa-compress', color: '#ff8c42', shape: 'triangle',
+            weight: 2, lifetime: 8000, duration: 0, score: 0, grow: false,
+            segments: 30
+        },
+        ghost: {
+            id: 'ghost', name: 'Ghost', icon: 'fa-ghost', color: '#e0e6ff', shape: 'hexagon',
+            weight: 2, lifetime: 8000, duration: 5000, score: 0, grow: false
+        },
+        magnet: {
+            id: 'magnet', name: 'Magnet', icon: 'fa-magnet', color: '#ff3b5c', shape: 'ring',
+            weight: 2, lifetime: 8000, duration: 8000, score: 0, grow: false,
+            radius: 220, pull: 3
+        },
+        golden: {
+            id: 'golden', name: 'Golden', icon: 'fa-star', color: '#ffd700', shape: 'star',
+            weight: 1, lifetime: 4000, duration: 0, score: 50, grow: true
+        }
+    };
+
+    const PICKUP_SHAPES = ['diamond', 'circle', 'ring', 'square', 'triangle', 'hexagon', 'star'];
+
+    /**
+     * Adds a pickup type. Registering changes what bonuses roll, so replays
+     * recorded with a different set of pickups will not play back the same.
+     * @throws {Error} When the id is taken or a field is missing or malformed
+     */
+    function registerPickup(pickup) {
+        if (!pickup || typeof pickup.id !== 'string' || typeof pickup.name !== 'string') {
+            throw new Error('Pickup needs an id and a name');
+        }
+        if (PICKUPS[pickup.id]) throw new Error(`Pickup "${pickup.id}" already exists`);
+        ['weight', 'lifetime', 'duration', 'score'].forEach(field => {
+            if (!Number.isFinite(pickup[field]) || pickup[field] < 0) {
+                throw new Error(`Pickup "${pickup.id}" needs a non-negative ${field}`);
+            }
+        });
+        if (!PICKUP_SHAPES.includes(pickup.shape)) throw new Error(`Pickup "${pickup.id}" has unknown shape "${pickup.shape}"`);
+        if (typeof pickup.color !== 'string') throw new Error(`Pickup "${pickup.id}" needs a color`);
+        PICKUPS[pickup.id] = { icon: 'fa-circle', grow: false, ...pickup };
+        return PICKUPS[pickup.id];
+    }
+
+    /** Picks a bonus pickup id by weight. */
+    function rollBonus(rng) {
+        const bonuses = Object.values(PICKUPS).filter(p => p.weight > 0);
+        let roll = rng.next() * bonuses.reduce((sum, p) => sum + p.weight, 0);
+        for (const pickup of bonuses) {
+            roll -= pickup.weight;
+            if (roll < 0) return pickup.id;
+        }
+        return bonuses[bonuses.length - 1].id;
+    }
+
+    Object.assign(Snike, { PICKUPS, PICKUP_SHAPES, BONUS_CHANCE, registerPickup, rollBonus });
+})(globalThis.Snike = globalThis.Snike || {});
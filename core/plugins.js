@@ -0,0 +1,96 @@
+/**
+ * Add-on hooks. A plugin is an object with an `id` and a `setup(context)`
+ * function. Setup subscribes to game events through the context and may
+ * return a teardown function:
+ *
+ *   Snike.registerPlugin({
+ *       id: 'crash-counter',
+ *       setup({ on }) {
+ *           let crashes = 0;
+ *           on('collision', event => { if (event.fatal) crashes++; });
+ *       }
+ *   });
+ *
+ * Scripts loaded before game.js register with `registerPlugin` and the game
+ * installs them when it starts; a running game takes more through its
+ * PluginHost. The context carries `on`, `once`, `emit` and `define` for the
+ * event bus (see core/events.js), `registerPickup`, and whatever the host
+ * adds, such as the game itself.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { registerPickup } = Snike;
+
+    // Plugins registered before the game starts, in registration order
+    const PLUGINS = [];
+
+    function checkPlugin(plugin) {
+        if (!plugin || typeof plugin.id !== 'string' || !plugin.id) throw new Error('Plugin needs an id');
+        if (typeof plugin.setup !== 'function') throw new Error(`Plugin "${plugin.id}" needs a setup function`);
+    }
+
+    /** Queues a plugin for the game to install when it starts. */
+    function registerPlugin(plugin) {
+        checkPlugin(plugin);
+        if (PLUGINS.some(p => p.id === plugin.id)) throw new Error(`Plugin "${plugin.id}" is already registered`);
+        PLUGINS.push(plugin);
+    }
+
+    /**
+     * Installs plugins against one event bus and keeps track of their
+     * subscriptions, so removing a plugin unhooks all of it.
+     */
+    class PluginHost {
+        /** @param {object} [context] Extra fields handed to every plugin's setup */
+        constructor(bus, context = {}) {
+            this.bus = bus;
+            this.context = context;
+            this.installed = new Map();
+        }
+
+        use(plugin) {
+            checkPlugin(plugin);
+            if (this.installed.has(plugin.id)) throw new Error(`Plugin "${plugin.id}" is already installed`);
+            const subscriptions = [];
+            const track = off => {
+                subscriptions.push(off);
+                return off;
+            };
+            const entry = { plugin, subscriptions, teardown: null };
+            this.installed.set(plugin.id, entry);
+            try {
+                const teardown = plugin.setup({
+                    ...this.context,
+                    on: (type, handler) => track(this.bus.on(type, handler)),
+                    once: (type, handler) => track(this.bus.once(type, handler)),
+                    emit: (type, payload) => this.bus.emit(type, payload),
+                    define: (type, fields) => this.bus.define(type, fields),
+                    registerPickup
+                });
+                if (typeof teardown === 'function') entry.teardown = teardown;
+            } catch (error) {
+                // Half-installed plugins are taken back out
+                this.remove(plugin.id);
+                throw error;
+            }
+            return this;
+        }
+
+        /** Unsubscribes everything a plugin hooked up and runs its teardown. */
+        remove(id) {
+            const entry = this.installed.get(id);
+            if (!entry) return false;
+            this.installed.delete(id);
+            entry.subscriptions.forEach(off => off());
+            if (entry.teardown) entry.teardown();
+            return true;
+        }
+
+        has(id) {
+            return this.installed.has(id);
+        }
+    }
+
+    Object.assign(Snike, { PLUGINS, registerPlugin, PluginHost });
+})(globalThis.Snike = globalThis.Snike || {});
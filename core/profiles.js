@@ -0,0 +1,150 @@
+/**
+ * Local pilot profiles and the shared top-10 leaderboards, one per game
+ * mode. Works against any localStorage-like object so it can be exercised
+ * outside the browser; the stored format lives in core/settings.js.
+ */
+(function (Snike) {
+    'use strict';
+
+    const {
+        SETTINGS_VERSION, HISTORY_SIZE, defaultProfile, loadSettings, saveSettings, exportSettings, importSettings,
+        addToLifetime, normalizeGhostEntries, GhostStore
+    } = Snike;
+
+    const LEADERBOARD_SIZE = 10;
+
+    /**
+     * Reads a save file: its settings, and the ghosts of the pilots in it.
+     * @param {object|string} data The file's JSON or its text
+     * @returns {{settings: object, ghosts: Array<{pilot: string, ghost: object}>}}
+     * @throws {Error} As importSettings does
+     */
+    function readSave(data) {
+        const file = typeof data === 'string' ? JSON.parse(data) : data;
+        const settings = importSettings(file);
+        const ghosts = normalizeGhostEntries(file.ghosts).filter(({ pilot }) => settings.profiles[pilot]);
+        return { settings, ghosts };
+    }
+
+    class ProfileStore {
+        constructor(storage) {
+            this.storage = storage;
+            this.ghosts = new GhostStore(storage);
+            this.load(loadSettings(storage));
+        }
+
+        /** Takes over checked settings, e.g. from loadSettings or importSettings. */
+        load({ active, profiles, leaderboard }) {
+            this.data = { active, profiles };
+            this.leaderboard = leaderboard;
+        }
+
+        /** A save file of every pilot, score and ghost; readSave reads it back. */
+        exportSave(date) {
+            return { ...exportSettings(this.settings, date), ghosts: this.ghosts.entries() };
+        }
+
+        /** Replaces everything stored, ghosts included, with a save read by readSave. */
+        restore({ settings, ghosts }) {
+            this.load(settings);
+            this.save();
+            this.ghosts.replace(ghosts);
+        }
+
+        /** Everything this store saves, in the settings format. */
+        get settings() {
+            return { version: SETTINGS_VERSION, ...this.data, leaderboard: this.leaderboard };
+        }
+
+        get active() {
+            return this.data.profiles[this.data.active] || null;
+        }
+
+        get names() {
+            return Object.keys(this.data.profiles);
+        }
+
+        /** Selects a pilot, creating the profile on first login. */
+        login(name) {
+            if (!this.data.profiles[name]) {
+                this.data.profiles[name] = defaultProfile(name);
+            }
+            this.data.active = name;
+            this.save();
+            return this.active;
+        }
+
+        logout() {
+            this.data.active = null;
+            this.save();
+        }
+
+        /** Merges settings such as color, theme or speed into the active profile. */
+        update(changes) {
+            if (!this.active) return;
+            Object.assign(this.active, changes);
+            this.save();
+        }
+
+        /** The active pilot's best score in a mode. */
+        highScore(mode) {
+            return this.active ? this.active.highScores[mode] || 0 : 0;
+        }
+
+        /** The top runs of one game mode, best first. */
+        leaderboardFor(mode) {
+            return this.leaderboard.filter(entry => entry.mode === mode);
+        }
+
+        /**
+         * Stores a finished run for the active pilot. With the run's
+         * RunStats it also counts toward the pilot's lifetime totals.
+         * @returns {{newBest: boolean, rank: number}} rank is 1-based within the mode, 0 if it missed the board
+         */
+        recordRun({ mode, score, speed, duration, stats = null, date = new Date().toISOString() }) {
+            const profile = this.active;
+            if (!profile) return { newBest: false, rank: 0 };
+
+            const newBest = score > this.highScore(mode);
+            if (newBest) profile.highScores[mode] = score;
+            if (stats) profile.lifetime = addToLifetime(profile.lifetime, stats);
+            profile.history = [...profile.history, { mode, score, date }].slice(-HISTORY_SIZE);
+
+            const entry = { name: profile.name, mode, score, date, speed, duration };
+            // Stable sort keeps the earlier run ahead on ties
+            const board = [...this.leaderboardFor(mode), entry]
+                .sort((a, b) => b.score - a.score)
+                .slice(0, LEADERBOARD_SIZE);
+            this.leaderboard = [...this.leaderboard.filter(e => e.mode !== mode), ...board];
+
+            this.save();
+            return { newBest, rank: board.indexOf(entry) + 1 };
+        }
+
+        /** The active pilot's best run of a mode at a starting speed, for racing as a ghost. */
+        ghost(mode, speed) {
+            return this.active ? this.ghosts.load(this.active.name, mode, speed) : null;
+        }
+
+        /**
+         * Keeps a recorded run as the ghost of its mode and speed if it
+         * outscored the one there.
+         * @param {GhostRecorder} recorder
+         * @returns {boolean} Whether it became the new ghost
+         */
+        recordGhost(recorder) {
+            const profile = this.active;
+            if (!profile) return false;
+            const best = this.ghost(recorder.mode, recorder.speed);
+            if (best && recorder.score <= best.score) return false;
+            return this.ghosts.save(profile.name, recorder.toJSON());
+        }
+
+        /** Saves everything but the ghosts, which give up their room to it if storage is full. */
+        save() {
+            this.ghosts.fit(() => saveSettings(this.storage, this.settings));
+        }
+    }
+
+    Object.assign(Snike, { ProfileStore, LEADERBOARD_SIZE, readSave });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,35 @@
+/**
+ * Seedable pseudo-random numbers. Every dice roll in a run goes through an
+ * Rng so the same seed and inputs always replay the same game.
+ */
+(function (Snike) {
+    'use strict';
+
+    // mulberry32: small, fast and good enough for gameplay
+    class Rng {
+        constructor(seed) {
+            this.seed = seed >>> 0;
+            this.state = this.seed;
+        }
+
+        /** Returns a float in [0, 1). */
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        range(min, max) {
+            return min + this.next() * (max - min);
+        }
+    }
+
+    /** Picks a fresh seed for a new run. */
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    Object.assign(Snike, { Rng, randomSeed });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,180 @@
+/**
+ * Input recording and deterministic playback. A replay is the run's seed and
+ * settings plus the run-length encoded input of every PLAYING tick; feeding
+ * those inputs to a fresh Simulation reproduces the run frame-for-frame.
+ * Versus replays carry player two's input as a second stream.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { MODES, Simulation } = Snike;
+
+    const REPLAY_FORMAT = 'snike-replay';
+    // Version 2: bonus pickups draw from the run's RNG, so older runs no longer line up
+    // Version 3: the body is sampled by distance, which moves every self-collision
+    // Version 4: the world has a fixed size, so runs no longer follow the window through resizes
+    // Version 5: combos and risk bonuses change scores, and with them when campaign levels end
+    const REPLAY_VERSION = 5;
+
+    /** Appends one input to flattened [count, heading, flip] runs. */
+    function appendRun(runs, input) {
+        const flip = input.flip ? 1 : 0;
+        const n = runs.length;
+        if (n && runs[n - 2] === input.heading && runs[n - 1] === flip) {
+            runs[n - 3]++;
+        } else {
+            runs.push(1, input.heading, flip);
+        }
+    }
+
+    function expandRuns(runs) {
+        const inputs = [];
+        for (let i = 0; i < runs.length; i += 3) {
+            const [count, heading, flip] = runs.slice(i, i + 3);
+            for (let n = 0; n < count; n++) {
+                inputs.push({ heading, flip: flip === 1 });
+            }
+        }
+        return inputs;
+    }
+
+    class Recorder {
+        constructor(sim) {
+            this.seed = sim.seed;
+            this.width = sim.width;
+            this.height = sim.height;
+            this.speed = sim.baseSpeed;
+            this.level = sim.startLevel;
+            this.mode = sim.mode.id;
+            this.bestOf = sim.bestOf;
+            this.ticks = 0;
+            this.inputs = [];
+            this.rivalInputs = sim.players > 1 ? [] : null;
+        }
+
+        /** Appends one tick of input (both players' in versus) and returns player one's unchanged. */
+        record(input, rivalInput = null) {
+            appendRun(this.inputs, input);
+            if (this.rivalInputs) appendRun(this.rivalInputs, rivalInput);
+            this.ticks++;
+            return input;
+        }
+
+        toJSON() {
+            return {
+                format: REPLAY_FORMAT,
+                version: REPLAY_VERSION,
+                seed: this.seed,
+                width: this.width,
+                height: this.height,
+                speed: this.speed,
+                level: this.level,
+                mode: this.mode,
+                ticks: this.ticks,
+                inputs: this.inputs,
+                ...(this.rivalInputs ? { bestOf: this.bestOf, rivalInputs: this.rivalInputs } : {})
+            };
+        }
+    }
+
+    function isNumberArray(value) {
+        return Array.isArray(value) && value.every(n => typeof n === 'number' && Number.isFinite(n));
+    }
+
+    /**
+     * Validates a replay object (or its JSON text) and expands it for playback.
+     * @throws {Error} When the data is not a replay this build can play
+     */
+    function parseReplay(data) {
+        const replay = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!replay || replay.format !== REPLAY_FORMAT) {
+            throw new Error('Not a Snike replay file');
+        }
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version}`);
+        }
+        const { seed, width, height, speed } = replay;
+        if (![seed, width, height, speed].every(n => typeof n === 'number' && Number.isFinite(n))) {
+            throw new Error('Replay header is incomplete');
+        }
+        if (!isNumberArray(replay.inputs) || replay.inputs.length % 3 !== 0) {
+            throw new Error('Replay inputs are corrupted');
+        }
+        const level = replay.level === undefined ? null : replay.level;
+        if (level !== null && !Number.isInteger(level)) {
+            throw new Error('Replay level is corrupted');
+        }
+        const mode = replay.mode || 'classic';
+        if (!MODES[mode]) {
+            throw new Error(`Replay uses unknown mode "${mode}"`);
+        }
+        const inputs = expandRuns(replay.inputs);
+        let rivalInputs = null;
+        let bestOf = null;
+        if (MODES[mode].players > 1) {
+            if (!isNumberArray(replay.rivalInputs) || replay.rivalInputs.length % 3 !== 0) {
+                throw new Error('Replay rival inputs are corrupted');
+            }
+            rivalInputs = expandRuns(replay.rivalInputs);
+            if (rivalInputs.length !== inputs.length) {
+                throw new Error('Replay input streams differ in length');
+            }
+            bestOf = replay.bestOf;
+            if (!Number.isInteger(bestOf) || bestOf < 1 || bestOf % 2 === 0) {
+                throw new Error('Replay match length is corrupted');
+            }
+        }
+        return { seed, width, height, speed, level, mode, bestOf, inputs, rivalInputs };
+    }
+
+    class ReplayPlayer {
+        constructor(replay) {
+            this.replay = replay;
+            this.paused = false;
+            this.speed = 1;
+            this.seek(0);
+        }
+
+        get length() {
+            return this.replay.inputs.length;
+        }
+
+        get finished() {
+            return this.tick >= this.length || this.sim.state !== 'PLAYING';
+        }
+
+        /** Steps the simulation by one recorded tick. */
+        step() {
+            if (this.finished) return false;
+            const { inputs, rivalInputs } = this.replay;
+            this.sim.step(inputs[this.tick], rivalInputs ? rivalInputs[this.tick] : undefined);
+            this.tick++;
+            return true;
+        }
+
+        /**
+         * Rebuilds the run up to `tick`. Simulations only run forward, so
+         * seeking replays every earlier tick from the seed.
+         */
+        seek(tick) {
+            const { seed, width, height, speed, level, mode, bestOf } = this.replay;
+            this.sim = new Simulation(width, height, seed);
+            this.sim.setBaseSpeed(speed);
+            this.sim.setMode(mode);
+            if (bestOf !== null) this.sim.setBestOf(bestOf);
+            this.sim.setLevel(level);
+            this.sim.setState('START');
+            this.sim.start(seed);
+            this.tick = 0;
+
+            const target = Math.max(0, Math.min(tick, this.length));
+            while (this.tick < target && this.step()) {
+                // Fast-forward
+            }
+            this.sim.drainEvents();
+            return this.sim;
+        }
+    }
+
+    Object.assign(Snike, { Recorder, ReplayPlayer, parseReplay });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,92 @@
+/**
+ * Scoring. A pickup is worth its own points times the pilot's combo
+ * multiplier, plus bonuses for the risk taken to get it:
+ *
+ *   combo     - pickups within `window` ms of the last one chain, each link
+ *               adding `step` to the multiplier, up to `max`
+ *   proximity - `wall` points when a wall or obstacle is within `distance`
+ *               px of the food, `body` when the pilot's own body is
+ *   flip      - `bonus` points for eating within `window` ms of a scheduled gravity
+ *               flip; flipping by hand earns nothing
+ *
+ * Only pickups worth points earn a multiplier or bonuses, though any
+ * pickup keeps a chain going. A mode tunes the rules with a `scoring`
+ * entry of overrides (see core/modes.js); a zero turns a bonus off.
+ */
+(function (Snike) {
+    'use strict';
+
+    const DEFAULT_SCORING = {
+        combo: { window: 3000, step: 0.5, max: 4 },
+        proximity: { distance: 48, wall: 10, body: 15 },
+        flip: { window: 1500, bonus: 10 }
+    };
+
+    // The parts a pickup's points are made of, as the popups and the debrief name them
+    const SCORE_PARTS = {
+        food: 'Pickups',
+        combo: 'Combo',
+        wall: 'Wall skim',
+        body: 'Close call',
+        flip: 'Flip catch'
+    };
+
+    /** A mode's scoring rules: its overrides laid over the defaults. */
+    function scoringRules(mode) {
+        const overrides = mode.scoring || {};
+        return Object.fromEntries(Object.entries(DEFAULT_SCORING).map(([id, rule]) => [id, { ...rule, ...overrides[id] }]));
+    }
+
+    function emptyParts() {
+        return Object.fromEntries(Object.keys(SCORE_PARTS).map(id => [id, 0]));
+    }
+
+    /** What earned a pickup more than its own points, e.g. "×1.5 combo · Flip catch". */
+    function describeAward({ chain, multiplier, parts }) {
+        const labels = chain > 1 && parts.combo > 0 ? [`×${multiplier} combo`] : [];
+        ['wall', 'body', 'flip'].forEach(part => {
+            if (parts[part] > 0) labels.push(SCORE_PARTS[part]);
+        });
+        return labels.join(' · ');
+    }
+
+    /** Scores one pilot's pickups over a run, keeping their combo chain. */
+    class Scorer {
+        constructor(rules = scoringRules({})) {
+            this.rules = rules;
+            this.chain = 0; // Pickups in the current combo
+            this.lastPickup = null; // Game time of the last one
+        }
+
+        get multiplier() {
+            const { step, max } = this.rules.combo;
+            return Math.min(1 + Math.max(this.chain - 1, 0) * step, max);
+        }
+
+        /**
+         * Scores one pickup.
+         * @param {number} base The pickup's own points
+         * @param {object} risk `{ clock, nearWall, nearBody, sinceFlip }`, sinceFlip being ms since the last flip or null
+         * @returns {{points: number, chain: number, multiplier: number, parts: object}} parts add up to points
+         */
+        award(base, { clock, nearWall, nearBody, sinceFlip }) {
+            const { combo, proximity, flip } = this.rules;
+            this.chain = this.lastPickup !== null && clock - this.lastPickup <= combo.window ? this.chain + 1 : 1;
+            this.lastPickup = clock;
+            const multiplier = this.multiplier;
+
+            const parts = emptyParts();
+            parts.food = base;
+            if (base > 0) {
+                parts.combo = Math.round(base * multiplier) - base;
+                if (nearWall) parts.wall = proximity.wall;
+                if (nearBody) parts.body = proximity.body;
+                if (sinceFlip !== null && sinceFlip <= flip.window) parts.flip = flip.bonus;
+            }
+            const points = Object.values(parts).reduce((sum, value) => sum + value, 0);
+            return { points, chain: this.chain, multiplier, parts };
+        }
+    }
+
+    Object.assign(Snike, { DEFAULT_SCORING, SCORE_PARTS, scoringRules, emptyParts, describeAward, Scorer });
+})(globalThis.Snike = globalThis.Snike || {});
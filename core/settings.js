@@ -0,0 +1,237 @@
+/**
+ * The saved settings: every pilot profile and the shared leaderboard,
+ * their schema and defaults, and the migrations that bring data saved by
+ * older builds up to the current version.
+ *
+ * Stored data is never trusted. Each field is checked against the schema
+ * on load and falls back to its default on its own, so one corrupted value
+ * costs that value and nothing else. The same path loads a settings file
+ * exported from another machine.
+ */
+(function (Snike) {
+    'use strict';
+
+    const {
+        CONFIG, MODES, LEVELS, defaultBindings, normalizeBindings, defaultTouchSettings, normalizeTouchSettings,
+        defaultAudioSettings, normalizeAudioSettings, normalizeCustomThemes, defaultAccessibility, normalizeAccessibility,
+        defaultLifetime, normalizeLifetime, normalizeHistory, defaultAchievements, normalizeAchievements,
+        defaultDaily, normalizeDaily, defaultCameraSettings, normalizeCameraSettings
+    } = Snike;
+
+    const SETTINGS_VERSION = 2;
+    const SETTINGS_FORMAT = 'snike-settings';
+
+    const PROFILES_KEY = 'snike_profiles';
+    const LEADERBOARD_KEY = 'snike_leaderboard';
+    // Single-user keys of the first builds, read once and then removed
+    const LEGACY_KEYS = ['snike_user', 'snike_highscore', 'snike_color', 'snike_theme', 'snike_speed'];
+
+    const NAME_MAX = 24;
+    const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+    const THEME_ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+    function defaultProfile(name) {
+        return {
+            name,
+            highScores: {}, // Best score per game mode
+            mode: 'classic',
+            color: CONFIG.PRIMARY_NEON,
+            rivalColor: CONFIG.SECONDARY_NEON, // Player two in versus
+            theme: 'space',
+            customThemes: [], // Imported in the lab, in the same format as the built-ins
+            speed: CONFIG.INITIAL_SNAKE_SPEED,
+            level: null,
+            clearedLevels: [],
+            bestOf: 3,
+            rivalPilot: 'human', // Or 'bot' for the autopilot
+            bindings: defaultBindings(),
+            touch: defaultTouchSettings(),
+            audio: defaultAudioSettings(),
+            accessibility: defaultAccessibility(),
+            camera: defaultCameraSettings(),
+            lifetime: defaultLifetime(), // Totals over every solo run
+            history: [], // Recent solo runs, oldest first
+            achievements: defaultAchievements(),
+            daily: defaultDaily(),
+            showGhost: true // Race the best run of the mode and speed; the runs themselves are in a GhostStore
+        };
+    }
+
+    const isScore = value => Number.isFinite(value) && value >= 0;
+    const isColor = value => typeof value === 'string' && (value === 'theme' || COLOR_PATTERN.test(value));
+    const isLevel = value => Number.isInteger(value) && value >= 0 && value < LEVELS.length;
+
+    /**
+     * One cleaner per profile field. Each returns the value to keep, or
+     * undefined to fall back to the default.
+     */
+    const PROFILE_SCHEMA = {
+        highScores: value => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+            return Object.fromEntries(Object.entries(value).filter(([, score]) => isScore(score)));
+        },
+        mode: value => (MODES[value] ? value : undefined),
+        color: value => (isColor(value) ? value : undefined),
+        rivalColor: value => (isColor(value) ? value : undefined),
+        theme: value => (typeof value === 'string' && THEME_ID_PATTERN.test(value) ? value : undefined),
+        customThemes: normalizeCustomThemes,
+        speed: value => (Number.isFinite(value) && value > 0 && value <= CONFIG.MAX_SPEED ? value : undefined),
+        level: value => (value === null || isLevel(value) ? value : undefined),
+        clearedLevels: value => (Array.isArray(value) ? [...new Set(value.filter(isLevel))] : undefined),
+        bestOf: value => (Number.isInteger(value) && value % 2 === 1 && value > 0 && value < 10 ? value : undefined),
+        rivalPilot: value => (value === 'human' || value === 'bot' ? value : undefined),
+        bindings: normalizeBindings,
+        touch: normalizeTouchSettings,
+        audio: normalizeAudioSettings,
+        accessibility: normalizeAccessibility,
+        camera: normalizeCameraSettings,
+        lifetime: normalizeLifetime,
+        history: normalizeHistory,
+        achievements: normalizeAchievements,
+        daily: normalizeDaily,
+        showGhost: value => (typeof value === 'boolean' ? value : undefined)
+    };
+
+    /** A profile holding only schema fields, each valid or defaulted. */
+    function normalizeProfile(name, raw) {
+        const profile = defaultProfile(name);
+        if (!raw || typeof raw !== 'object') return profile;
+        Object.entries(PROFILE_SCHEMA).forEach(([field, clean]) => {
+            if (raw[field] === undefined) return;
+            const value = clean(raw[field]);
+            if (value !== undefined) profile[field] = value;
+        });
+        return profile;
+    }
+
+    function normalizeEntry(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        if (typeof raw.name !== 'string' || !raw.name || !MODES[raw.mode] || !isScore(raw.score)) return null;
+        return {
+            name: raw.name.slice(0, NAME_MAX),
+            mode: raw.mode,
+            score: raw.score,
+            date: typeof raw.date === 'string' ? raw.date : '',
+            speed: Number.isFinite(raw.speed) ? raw.speed : CONFIG.INITIAL_SNAKE_SPEED,
+            duration: isScore(raw.duration) ? raw.duration : 0
+        };
+    }
+
+    /**
+     * Current-version settings with every profile and leaderboard entry
+     * checked. Profiles are keyed by name; entries that cannot be repaired
+     * are dropped.
+     */
+    function normalizeSettings(raw) {
+        const settings = { version: SETTINGS_VERSION, active: null, profiles: {}, leaderboard: [] };
+        if (!raw || typeof raw !== 'object') return settings;
+        if (raw.profiles && typeof raw.profiles === 'object') {
+            Object.keys(raw.profiles).forEach(name => {
+                if (!name || name.length > NAME_MAX) return;
+                settings.profiles[name] = normalizeProfile(name, raw.profiles[name]);
+            });
+        }
+        if (settings.profiles[raw.active]) settings.active = raw.active;
+        if (Array.isArray(raw.leaderboard)) {
+            settings.leaderboard = raw.leaderboard.map(normalizeEntry).filter(Boolean);
+        }
+        return settings;
+    }
+
+    /**
+     * Steps that lift settings saved at one version to the next, keyed by
+     * the version they upgrade from.
+     */
+    const MIGRATIONS = {
+        // The first builds kept one pilot in loose keys
+        0: (data, storage) => {
+            const name = storage && storage.getItem('snike_user');
+            if (!name) return { active: null, profiles: {}, leaderboard: [] };
+            const profile = {
+                highScores: { classic: parseInt(storage.getItem('snike_highscore'), 10) },
+                color: storage.getItem('snike_color'),
+                theme: storage.getItem('snike_theme'),
+                speed: parseFloat(storage.getItem('snike_speed'))
+            };
+            return { active: name, profiles: { [name]: profile }, leaderboard: [] };
+        },
+        // A single high score and mode-less leaderboard runs predate game modes, so they were classic
+        1: data => ({
+            ...data,
+            profiles: Object.fromEntries(Object.entries(data.profiles || {}).map(([name, raw]) => {
+                const { highScore, ...profile } = raw || {};
+                if (typeof highScore === 'number' && !profile.highScores) profile.highScores = { classic: highScore };
+                return [name, profile];
+            })),
+            leaderboard: (Array.isArray(data.leaderboard) ? data.leaderboard : []).map(entry => ({ mode: 'classic', ...entry }))
+        })
+    };
+
+    /**
+     * Runs the migrations from the data's version up to the current one.
+     * @param {object} [storage] Where version 0 data is read from
+     * @throws {Error} For data from a newer build
+     */
+    function migrateSettings(data, storage = null) {
+        let version = Number.isInteger(data && data.version) ? data.version : 0;
+        if (version > SETTINGS_VERSION) throw new Error(`Settings version ${version} is newer than this build`);
+        while (version < SETTINGS_VERSION) {
+            data = MIGRATIONS[version](data, storage);
+            version++;
+        }
+        return normalizeSettings(data);
+    }
+
+    function readJSON(storage, key, fallback) {
+        try {
+            const raw = storage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    /** Everything saved in a localStorage-like object, migrated and checked. */
+    function loadSettings(storage) {
+        const profiles = readJSON(storage, PROFILES_KEY, null);
+        if (!profiles || typeof profiles !== 'object') return migrateSettings(null, storage);
+        // Before version 2 the profile table carried no version; the leaderboard still lives apart
+        const version = Number.isInteger(profiles.version) ? profiles.version : 1;
+        const data = { ...profiles, version, leaderboard: readJSON(storage, LEADERBOARD_KEY, []) };
+        try {
+            return migrateSettings(data, storage);
+        } catch (e) {
+            // Saved by a newer build: keep whatever still fits this one's schema
+            return normalizeSettings(data);
+        }
+    }
+
+    function saveSettings(storage, settings) {
+        const { leaderboard, ...profiles } = settings;
+        storage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+        storage.setItem(LEADERBOARD_KEY, JSON.stringify(leaderboard));
+        if (storage.removeItem) LEGACY_KEYS.forEach(key => storage.removeItem(key));
+    }
+
+    /** A settings file for moving pilots and scores to another machine. */
+    function exportSettings(settings, date = new Date().toISOString()) {
+        return { format: SETTINGS_FORMAT, exportedAt: date, ...settings, version: SETTINGS_VERSION };
+    }
+
+    /**
+     * Reads a settings file back in.
+     * @param {object|string} data The file's JSON or its text
+     * @throws {Error} When it is not a settings file or comes from a newer build
+     */
+    function importSettings(data) {
+        const file = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!file || file.format !== SETTINGS_FORMAT) throw new Error('Not a settings file');
+        if (!Number.isInteger(file.version) || file.version < 1) throw new Error('Settings file has no version');
+        return migrateSettings(file);
+    }
+
+    Object.assign(Snike, {
+        SETTINGS_VERSION, defaultProfile, normalizeProfile, normalizeSettings, migrateSettings, loadSettings,
+        saveSettings, exportSettings, importSettings
+    });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,569 @@
+/**
+ * Headless game core: state machine, game clock, gravity, pickups, timed
+ * effects, scoring and versus rounds. It never touches the DOM or a canvas;
+ * the browser layer feeds it input through `step` and reacts to the events
+ * it queues.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG, STEP_MS, DEFAULT_GRAVITY_SCHEDULE, parseGravitySchedule, GravitySchedule, LEVELS, MODES, MIN_GRAVITY_INTERVAL, PICKUPS, BONUS_CHANCE, rollBonus, Arena, Snake, Food, Rng, RunStats, Scorer, scoringRules, randomSeed, NO_HEADING, steerFromHeading, EVENT_TYPES, checkEvent } = Snike;
+
+    const IDLE = { heading: NO_HEADING, flip: false };
+
+    // How long a versus round lingers on the crash before the next one starts
+    const ROUND_BREAK = 2000;
+
+    // The flip warning never takes more than this share of the interval, so a
+    // fast schedule still has a quiet stretch after each flip for it to break
+    const WARNING_SHARE = 0.5;
+
+    // Allowed moves between game states. Anything else is ignored.
+    const TRANSITIONS = {
+        AUTH: ['START'],
+        START: ['PLAYING', 'CUSTOMIZE', 'TROPHIES', 'AUTH'],
+        TROPHIES: ['START'],
+        CUSTOMIZE: ['START', 'PAUSED', 'OVER'],
+        PLAYING: ['PAUSED', 'CUSTOMIZE', 'OVER'],
+        PAUSED: ['PLAYING', 'CUSTOMIZE', 'OVER'],
+        OVER: ['PLAYING', 'CUSTOMIZE']
+    };
+
+    class Simulation {
+        constructor(width = CONFIG.WORLD_WIDTH, height = CONFIG.WORLD_HEIGHT, seed = randomSeed()) {
+            this.width = width;
+            this.height = height;
+            this.seed = seed;
+            this.rng = new Rng(seed);
+            this.state = 'AUTH';
+            this.baseSpeed = CONFIG.INITIAL_SNAKE_SPEED;
+            this.startLevel = null; // Campaign level index to begin at; null is free play
+            this.mode = MODES.classic;
+            this.bestOf = 3;
+            this.events = [];
+
+            // Game time in ms. Only advances while PLAYING, so every timer
+            // freezes while paused or customizing.
+            this.clock = 0;
+            this.lastGravityChange = 0;
+            this.startTime = 0;
+
+            this.reset();
+        }
+
+        /** The gravity the schedule changes to next. */
+        get nextGravity() {
+            return this.upcoming.gravity;
+        }
+
+        /** Game time in ms until the next scheduled gravity change. */
+        get gravityCountdown() {
+            return Math.max(0, this.gravityInterval - (this.clock - this.lastGravityChange));
+        }
+
+        /** How long before a scheduled change the warning comes: CONFIG.GRAVITY_WARNING, or less on a short interval. */
+        get gravityWarningWindow() {
+            return Math.min(CONFIG.GRAVITY_WARNING, this.gravityInterval * WARNING_SHARE);
+        }
+
+        get level() {
+            return this.levelIndex === null ? null : LEVELS[this.levelIndex];
+        }
+
+        get players() {
+            return this.mode.players;
+        }
+
+        /** Player one's snake; the only one outside versus. */
+        get snake() {
+            return this.snakes[0];
+        }
+
+        get score() {
+            return this.scores[0];
+        }
+
+        /** The speed snakes start a run at: the pilot's choice, except in the daily challenge. */
+        get startSpeed() {
+            return this.mode.daily ? CONFIG.INITIAL_SNAKE_SPEED : this.baseSpeed;
+        }
+
+        /** Round wins that take a versus match. */
+        get winsNeeded() {
+            return Math.floor(this.bestOf / 2) + 1;
+        }
+
+        /** Remaining game time in ms for timed modes, otherwise null. */
+        get timeLeft() {
+            return this.mode.timeLimit ? Math.max(0, this.mode.timeLimit - this.clock) : null;
+        }
+
+        /** Player one's running power-up effects. */
+        get activeEffects() {
+            return this.effectsOf(0);
+        }
+
+        /** A player's running effects with the ms each has left, in pickup order. */
+        effectsOf(player) {
+            const effects = this.effects[player];
+            return Object.keys(effects).map(id => ({
+                id,
+                remaining: effects[id] - this.clock,
+                duration: PICKUPS[id].duration
+            }));
+        }
+
+        hasEffect(id, player = 0) {
+            return this.effects[player][id] > this.clock;
+        }
+
+        reset() {
+            // Versus and the daily challenge are always played on the open field
+            this.levelIndex = this.players > 1 || this.mode.daily ? null : this.startLevel;
+            this.levelScore = 0;
+            this.scores = Array(this.players).fill(0);
+            this.round = 1;
+            this.wins = Array(this.players).fill(0);
+            this.winner = null;
+            this.roundBreakUntil = null;
+            this.stats = new RunStats(this.players);
+            const rules = scoringRules(this.mode);
+            this.scorers = Array.from({ length: this.players }, () => new Scorer(rules));
+            this.resetField();
+        }
+
+        /** Lays out the arena, snakes and food for a fresh run or versus round. */
+        resetField() {
+            this.arena = new Arena(this.level, this.width, this.height);
+            const spawns = this.players > 1 ? [1 / 3, 2 / 3] : [1 / 2];
+            this.snakes = spawns.map(x => {
+                const snake = new Snake(this.width * x, this.height / 2);
+                snake.speed = this.startSpeed;
+                return snake;
+            });
+            this.food = new Food(this.width, this.height, this.rng, pos => this.arena.blocksSpawn(pos, CONFIG.FOOD_SIZE));
+            this.bonus = null;
+            this.effects = this.snakes.map(() => ({})); // Per player: effect id -> game time it runs out
+            this.resetGravity();
+        }
+
+        /** The schedule for the current level, or the mode's, or the classic cycle. */
+        gravitySpec() {
+            return (this.level && this.level.gravity) || this.mode.gravity;
+        }
+
+        /** Starts the gravity schedule over: the first step pulls now and the second is lined up. */
+        resetGravity() {
+            const spec = this.gravitySpec();
+            this.gravitySource = spec;
+            this.gravitySchedule = new GravitySchedule(spec ? parseGravitySchedule(spec) : DEFAULT_GRAVITY_SCHEDULE, this.rng);
+            const first = this.gravitySchedule.next();
+            this.gravity = first.gravity;
+            this.gravityInterval = first.hold;
+            this.upcoming = this.gravitySchedule.next();
+            this.gravityIndex = 0; // Changes so far, manual or scheduled
+            this.gravityWarned = false;
+            this.lastFlipAt = null; // Game time of the last scheduled flip, for the flip bonus
+        }
+
+        /** Picks the campaign level the next run starts on, or null for free play. */
+        setLevel(index) {
+            this.startLevel = index;
+            if (this.state !== 'PLAYING' && this.state !== 'PAUSED') this.reset();
+        }
+
+        /** Picks the ruleset for the next run. */
+        setMode(id) {
+            if (!MODES[id]) throw new Error(`Unknown game mode "${id}"`);
+            this.mode = MODES[id];
+        }
+
+        setBaseSpeed(speed) {
+            this.baseSpeed = speed;
+            this.snakes.forEach(snake => { snake.speed = this.startSpeed; });
+        }
+
+        /** Sets the length of a versus match; must be odd so someone wins. */
+        setBestOf(rounds) {
+            if (!Number.isInteger(rounds) || rounds < 1 || rounds % 2 === 0) {
+                throw new Error(`A match must be an odd number of rounds, got ${rounds}`);
+            }
+            this.bestOf = rounds;
+        }
+
+        canTransition(next) {
+            return TRANSITIONS[this.state].includes(next);
+        }
+
+        setState(next) {
+            if (!this.canTransition(next)) return false;
+            const previous = this.state;
+            this.state = next;
+            this.emit('stateChanged', { previous, state: next });
+            return true;
+        }
+
+        /**
+         * Begins a new run. Passing the seed of an earlier run reproduces it.
+         */
+        start(seed = randomSeed()) {
+            if (!this.canTransition('PLAYING')) return false;
+            this.seed = seed;
+            this.rng = new Rng(seed);
+            this.reset();
+            this.clock = 0;
+            this.lastGravityChange = this.clock;
+            this.startTime = this.clock; // Invincibility period
+            return this.setState('PLAYING');
+        }
+
+        togglePause() {
+            if (this.state === 'PLAYING') return this.setState('PAUSED');
+            if (this.state === 'PAUSED') return this.setState('PLAYING');
+            return false;
+        }
+
+        /** Ends a paused run on request; the only way out of Zen. */
+        quit() {
+            if (this.state !== 'PAUSED') return false;
+            this.endRun('quit');
+            return true;
+        }
+
+        /**
+         * @param {'crash'|'time'|'campaign'|'quit'|'match'} reason Why the run ended
+         */
+        endRun(reason) {
+            this.setState('OVER');
+            this.emit('runEnded', { pos: this.snake.pos.copy(), score: this.score, reason, winner: this.winner });
+        }
+
+        /**
+         * Moves gravity on to the next step of the schedule. Manual flips go
+         * through here too but leave the countdown to the next change alone.
+         * @param {'manual'|'schedule'} source What asked for the flip
+         * @returns {number} How long the schedule wants the new gravity to hold (ms)
+         */
+        flipGravity(source = 'manual') {
+            const change = this.upcoming;
+            this.gravity = change.gravity;
+            this.upcoming = this.gravitySchedule.next();
+            this.gravityIndex++;
+            this.gravityWarned = false;
+            // Only a flip the pilot did not choose is a risk; a manual one before every meal would pay every time
+            if (source === 'schedule') this.lastFlipAt = this.clock;
+            this.emit('gravityChanged', { gravity: this.gravity, next: this.upcoming.gravity, source });
+            return change.hold;
+        }
+
+        /** The pull at `pos`: global gravity plus any wells in the arena. */
+        gravityAt(pos, gravity = this.gravity) {
+            const pull = this.arena.pullAt(pos);
+            return { x: gravity.x + pull.x, y: gravity.y + pull.y };
+        }
+
+        /**
+         * Advances the game by one fixed tick.
+         * @param {{heading: number, flip: boolean}} input Quantized input from `tickInput`
+         * @param {{heading: number, flip: boolean}} [rivalInput] Player two's input in versus
+         */
+        step(input, rivalInput = IDLE) {
+            if (this.state !== 'PLAYING') return;
+            this.clock += STEP_MS;
+
+            // Between versus rounds the field holds still on the crash
+            if (this.roundBreakUntil !== null) {
+                if (this.clock >= this.roundBreakUntil) this.nextRound();
+                return;
+            }
+            this.expireEffects();
+
+            const inputs = [input, rivalInput].slice(0, this.players);
+            inputs.forEach(playerInput => {
+                if (playerInput.flip) this.flipGravity();
+            });
+
+            // Auto Gravity Change. A gravity lock holds the countdown where it is.
+            if (this.snakes.some((snake, p) => this.hasEffect('gravityLock', p))) {
+                this.lastGravityChange += STEP_MS;
+            } else if (this.clock - this.lastGravityChange > this.gravityInterval) {
+                const hold = this.flipGravity('schedule');
+                this.lastGravityChange = this.clock;
+                // Shrinking modes speed up from the last interval rather than following the schedule
+                this.gravityInterval = this.mode.gravityShrink
+                    ? Math.max(MIN_GRAVITY_INTERVAL, this.gravityInterval * this.mode.gravityShrink)
+                    : hold;
+            }
+            if (!this.gravityWarned && this.gravityCountdown <= this.gravityWarningWindow) {
+                this.gravityWarned = true;
+                this.emit('gravityWarning', { gravity: this.nextGravity, in: this.gravityCountdown });
+            }
+
+            this.arena.update(this.clock);
+            this.snakes.forEach((snake, p) => {
+                const timeScale = this.hasEffect('slowMo', p) ? PICKUPS.slowMo.factor : 1;
+                snake.update(steerFromHeading(inputs[p].heading), this.gravityAt(snake.pos), timeScale, this.mode.wrap ? this : null);
+                if (this.hasEffect('magnet', p)) this.pullPickups(snake);
+            });
+
+            // Check Food
+            const eater = this.eaterOf(this.food);
+            if (eater !== -1) {
+                this.eat(this.food, eater);
+                this.food.spawn();
+                if (!this.bonus && this.rng.next() < BONUS_CHANCE) this.spawnBonus();
+            }
+            const bonusEater = this.bonus ? this.eaterOf(this.bonus) : -1;
+            if (bonusEater !== -1) {
+                const bonus = this.bonus;
+                this.bonus = null;
+                this.eat(bonus, bonusEater);
+            }
+            this.stats.sample(this);
+            if (this.level && this.levelScore >= this.level.targetScore) {
+                this.advanceLevel();
+                return;
+            }
+
+            // Check Collision (with grace period at start)
+            if (this.clock - this.startTime > CONFIG.GRACE_PERIOD) {
+                if (this.players > 1) this.checkVersusCollisions();
+                else this.checkCollisions();
+            }
+
+            if (this.state === 'PLAYING' && this.timeLeft === 0) {
+                this.endRun('time');
+            }
+        }
+
+        /** What a snake has run into: 'wall', 'obstacle', 'self' (unless a ghost), or null. */
+        crashCause(snake, player) {
+            if (!this.mode.wrap && snake.hitsWall(this.width, this.height)) return 'wall';
+            if (this.arena.collides(snake.pos, CONFIG.SNAKE_WIDTH / 2)) return 'obstacle';
+            if (!this.hasEffect('ghost', player) && snake.selfHitIndex(this.mode.wrap ? this : null) !== -1) return 'self';
+            return null;
+        }
+
+        /** Where a crash happened: the wall's side, or the index of the body segment run into. */
+        crashDetail(snake, cause, player) {
+            const wrap = this.mode.wrap ? this : null;
+            if (cause === 'wall') return snake.wallSide(this.width, this.height);
+            if (cause === 'self') return snake.selfHitIndex(wrap);
+            if (cause === 'rival') return this.snakes[1 - player].bodyHitIndex(snake.pos, 0, wrap);
+            return null;
+        }
+
+        checkCollisions() {
+            const snake = this.snake;
+            if (this.mode.lethal) {
+                const cause = this.crashCause(snake, 0);
+                if (cause) {
+                    const detail = this.crashDetail(snake, cause, 0);
+                    this.emit('collision', { cause, detail, player: 0, pos: snake.pos.copy(), fatal: true });
+                    this.endRun('crash');
+                }
+                return;
+            }
+
+            const hitWall = !this.mode.wrap && snake.hitsWall(this.width, this.height);
+            const hitArena = this.arena.collides(snake.pos, CONFIG.SNAKE_WIDTH / 2);
+            const selfIndex = this.hasEffect('ghost') ? -1 : snake.selfHitIndex(this.mode.wrap ? this : null);
+
+            // Forgiving modes trim instead: back to the bite, or to the start length on obstacles
+            const cut = selfIndex !== -1 ? selfIndex : (hitWall || hitArena ? 0 : -1);
+            if (cut === -1) return;
+            const cause = selfIndex !== -1 ? 'self' : (hitWall ? 'wall' : 'obstacle');
+            const detail = selfIndex !== -1 ? selfIndex : this.crashDetail(snake, cause, 0);
+            const before = snake.segments.length;
+            snake.trim(cut);
+            if (snake.segments.length < before) {
+                this.emit('collision', { cause, detail, player: 0, pos: snake.pos.copy(), fatal: false });
+                this.emit('trimmed', { pos: snake.pos.copy(), length: snake.length, removed: before - snake.segments.length });
+            }
+        }
+
+        /**
+         * Settles a versus round. Running into a wall, an obstacle or either
+         * body loses it; heads meeting, or both crashing at once, is a draw.
+         */
+        checkVersusCollisions() {
+            const headOn = this.snakes[0].pos.dist(this.snakes[1].pos) < CONFIG.SNAKE_WIDTH;
+            const causes = this.snakes.map((snake, p) => {
+                if (headOn) return 'head';
+                return this.crashCause(snake, p) || (this.snakes[1 - p].bodyHitIndex(snake.pos) !== -1 ? 'rival' : null);
+            });
+            if (!causes[0] && !causes[1]) return;
+            causes.forEach((cause, p) => {
+                if (!cause) return;
+                const snake = this.snakes[p];
+                this.emit('collision', { cause, detail: this.crashDetail(snake, cause, p), player: p, pos: snake.pos.copy(), fatal: true });
+            });
+            this.endRound(causes[0] && causes[1] ? null : (causes[0] ? 1 : 0));
+        }
+
+        /** @param {number|null} winner Player index, or null for a draw */
+        endRound(winner) {
+            if (winner !== null) this.wins[winner]++;
+            const pos = (winner === null ? this.snakes[0] : this.snakes[1 - winner]).pos.copy();
+            this.emit('roundOver', { pos, winner, round: this.round, wins: [...this.wins] });
+
+            if (winner !== null && this.wins[winner] >= this.winsNeeded) {
+                this.winner = winner;
+                this.endRun('match');
+            } else {
+                this.roundBreakUntil = this.clock + ROUND_BREAK;
+            }
+        }
+
+        nextRound() {
+            this.round++;
+            this.roundBreakUntil = null;
+            this.resetField();
+            this.startTime = this.clock;
+            this.lastGravityChange = this.clock;
+            this.emit('roundStarted', { round: this.round });
+        }
+
+        /** Index of the snake whose head reaches `food`, the nearer one if both do, or -1. */
+        eaterOf(food) {
+            let eater = -1;
+            let nearest = CONFIG.FOOD_SIZE + CONFIG.SNAKE_WIDTH;
+            this.snakes.forEach((snake, p) => {
+                const d = snake.pos.dist(food.pos);
+                if (d < nearest) {
+                    nearest = d;
+                    eater = p;
+                }
+            });
+            return eater;
+        }
+
+        /**
+         * What made reaching `pos` risky for a player: a wall, an edge or an
+         * obstacle within `distance`, or their own body curled back nearby.
+         */
+        riskAt(pos, player, distance) {
+            const wrap = this.mode.wrap ? this : null;
+            const nearEdge = !wrap && Math.min(pos.x, this.width - pos.x, pos.y, this.height - pos.y) < distance;
+            // The neck the head just came along is always close; only body further back than the reach counts
+            const from = Math.ceil(distance * 2 / CONFIG.SEGMENT_SPACING);
+            return {
+                nearWall: nearEdge || this.arena.collides(pos, distance),
+                nearBody: this.snakes[player].bodyDistance(pos, distance, from, Infinity, wrap) < distance
+            };
+        }
+
+        /** Applies a pickup's score, growth and effect to the player who ate it. */
+        eat(food, player) {
+            const pickup = PICKUPS[food.type];
+            const snake = this.snakes[player];
+            const effects = this.effects[player];
+            const scorer = this.scorers[player];
+            const award = scorer.award(pickup.score, {
+                clock: this.clock,
+                ...this.riskAt(food.pos, player, scorer.rules.proximity.distance),
+                sinceFlip: this.lastFlipAt === null ? null : this.clock - this.lastFlipAt
+            });
+            this.scores[player] += award.points;
+            this.levelScore += award.points;
+            if (pickup.grow) snake.grow();
+            if (pickup.id === 'shrink') snake.trim(snake.length - pickup.segments);
+            // Picking up a running effect again restarts its timer rather than stacking it
+            if (pickup.duration) {
+                delete effects[pickup.id];
+                effects[pickup.id] = this.clock + pickup.duration;
+            }
+            this.emit('foodEaten', {
+                pos: food.pos.copy(), score: this.scores[player], pickup: pickup.id, player, ...award
+            });
+        }
+
+        spawnBonus() {
+            const type = rollBonus(this.rng);
+            // Keep it clear of obstacles and of the regular food
+            const isBlocked = pos => this.arena.blocksSpawn(pos, CONFIG.FOOD_SIZE) ||
+                pos.dist(this.food.pos) < CONFIG.FOOD_SIZE * 4;
+            this.bonus = new Food(this.width, this.height, this.rng, isBlocked, type);
+            this.bonus.expiresAt = this.clock + PICKUPS[type].lifetime;
+            this.emit('bonusSpawned', { pos: this.bonus.pos.copy(), pickup: type });
+        }
+
+        /** Ends effects whose time is up and despawns an uneaten bonus. */
+        expireEffects() {
+            this.effects.forEach((effects, player) => {
+                Object.keys(effects).forEach(id => {
+                    if (effects[id] > this.clock) return;
+                    delete effects[id];
+                    this.emit('effectEnded', { effect: id, player });
+                });
+            });
+            if (this.bonus && this.clock >= this.bonus.expiresAt) {
+                this.emit('bonusExpired', { pos: this.bonus.pos.copy(), pickup: this.bonus.type });
+                this.bonus = null;
+            }
+        }
+
+        /** Magnet: drags nearby pickups towards a snake's head. */
+        pullPickups(snake) {
+            const { radius, pull } = PICKUPS.magnet;
+            [this.food, this.bonus].forEach(food => {
+                if (!food) return;
+                const d = snake.pos.dist(food.pos);
+                if (d === 0 || d > radius) return;
+                const step = Math.min(pull, d) / d;
+                food.pos.x += (snake.pos.x - food.pos.x) * step;
+                food.pos.y += (snake.pos.y - food.pos.y) * step;
+            });
+        }
+
+        /**
+         * Moves the campaign on to the next level, or ends the run as won
+         * after the last one. The snake keeps its length and speed but is
+         * set back in the centre with a fresh grace period.
+         */
+        advanceLevel() {
+            const cleared = this.levelIndex;
+            if (cleared + 1 >= LEVELS.length) {
+                this.emit('levelComplete', { level: cleared, next: null });
+                this.endRun('campaign');
+                return;
+            }
+
+            this.levelIndex = cleared + 1;
+            this.levelScore = 0;
+            this.arena = new Arena(this.level, this.width, this.height);
+            this.arena.update(this.clock);
+
+            const old = this.snake;
+            const snake = new Snake(this.width / 2, this.height / 2);
+            snake.length = old.length;
+            snake.speed = old.speed;
+            this.snakes = [snake];
+            this.startTime = this.clock;
+            this.food.spawn();
+            this.bonus = null;
+            // A level with a schedule of its own, or the first one after it, starts gravity over
+            if (this.gravitySpec() !== this.gravitySource) {
+                this.resetGravity();
+                this.lastGravityChange = this.clock;
+                this.emit('gravityChanged', { gravity: this.gravity, next: this.nextGravity, source: 'level' });
+            }
+            this.emit('levelComplete', { level: cleared, next: this.levelIndex });
+        }
+
+        emit(type, data = {}) {
+            checkEvent(EVENT_TYPES, type, data);
+            this.stats.observe(type, data);
+            this.events.push({ type, ...data });
+        }
+
+        /** Returns the events queued since the last call and clears the queue. */
+        drainEvents() {
+            const events = this.events;
+            this.events = [];
+            return events;
+        }
+    }
+
+    Snike.Simulation = Simulation;
+})(globalThis.Snike = globalThis.Snike || {});
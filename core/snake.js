@@ -0,0 +1,241 @@
+/**
+ * Snake movement, growth and collision. One call to `update` is one fixed tick.
+ *
+ * The body is the path the head has travelled, sampled every
+ * CONFIG.SEGMENT_SPACING px: `segments[0]` is the head itself and each
+ * later segment sits one spacing further back along the path, however fast
+ * the snake is going. `length` counts segments, so it is a fixed distance.
+ * Segments are also filed in a spatial hash, so collision checks only look
+ * at the body near the point in question.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG, Vector, SpatialHash } = Snike;
+
+    const START_LENGTH = 20;
+    const GROWTH = 10; // Segments per meal
+    const NECK = 20; // Segments behind the head that it cannot bite, so tight turns are safe
+    const GRID_CELL = 32;
+
+    class Snake {
+        constructor(x, y) {
+            this.pos = new Vector(x, y);
+            this.prevPos = this.pos.copy();
+            this.angle = -Math.PI / 2;
+            this.vel = new Vector(0, 0);
+            this.length = START_LENGTH;
+            this.speed = CONFIG.INITIAL_SNAKE_SPEED;
+            this.grid = new SpatialHash(GRID_CELL);
+
+            // Initialize segments trailing behind the head, which starts out pointing up
+            this.segments = Array.from({ length: this.length }, (_, i) => new Vector(x, y + i * CONFIG.SEGMENT_SPACING));
+        }
+
+        get segments() {
+            return this.body;
+        }
+
+        /** Replaces the whole body and re-files it in the grid. */
+        set segments(points) {
+            this.body = points;
+            this.grid.clear();
+            // Segments get ids in the order they are laid down, newest first from index 1
+            this.newest = points.length - 1;
+            for (let i = 1; i < points.length; i++) {
+                this.grid.insert(this.idAt(i), points[i].x, points[i].y);
+            }
+        }
+
+        idAt(index) {
+            return this.newest - index + 1;
+        }
+
+        indexOf(id) {
+            return this.newest - id + 1;
+        }
+
+        /**
+         * @param {{dx: number, dy: number}|null} steer Desired direction; zero or null keeps the heading
+         * @param {{x: number, y: number}} gravity Pull at the head, in units of CONFIG.GRAVITY_FORCE
+         * @param {number} [timeScale] Movement multiplier, below 1 while slow-motion runs
+         * @param {{width: number, height: number}} [wrapBounds] Bring the head back in through the opposite edge (wrap-around modes)
+         */
+        update(steer, gravity, timeScale = 1, wrapBounds = null) {
+            const dx = steer ? steer.dx : 0;
+            const dy = steer ? steer.dy : 0;
+
+            // If a direction is pressed, rotate towards it
+            if (dx !== 0 || dy !== 0) {
+                const targetAngle = Math.atan2(dy, dx);
+                let diff = targetAngle - this.angle;
+
+                // Normalize angle difference to [-PI, PI]
+                while (diff < -Math.PI) diff += Math.PI * 2;
+                while (diff > Math.PI) diff -= Math.PI * 2;
+
+                // Smoothly interpolate angle (0.15 is turn speed)
+                this.angle += diff * 0.15;
+            }
+
+            // Base Forward Velocity
+            this.vel.x = Math.cos(this.angle) * this.speed;
+            this.vel.y = Math.sin(this.angle) * this.speed;
+
+            // Apply Gravity influence
+            this.vel.x += gravity.x * CONFIG.GRAVITY_FORCE;
+            this.vel.y += gravity.y * CONFIG.GRAVITY_FORCE;
+
+            // Update Position
+            this.prevPos = this.pos.copy();
+            this.pos.add(this.vel.copy().mult(timeScale));
+            if (wrapBounds) {
+                this.pos.x = wrapCoord(this.pos.x, wrapBounds.width);
+                this.pos.y = wrapCoord(this.pos.y, wrapBounds.height);
+            }
+
+            this.extendBody(wrapBounds);
+        }
+
+        /** Lays new segments along the way from the newest one to the head, then drops what is past the tail. */
+        extendBody(wrapBounds) {
+            const body = this.body;
+            const spacing = CONFIG.SEGMENT_SPACING;
+            body[0] = this.pos.copy();
+
+            const fresh = [];
+            let last = body.length > 1 ? body[1] : this.prevPos;
+            for (;;) {
+                let dx = this.pos.x - last.x;
+                let dy = this.pos.y - last.y;
+                if (wrapBounds) {
+                    dx -= wrapBounds.width * Math.round(dx / wrapBounds.width);
+                    dy -= wrapBounds.height * Math.round(dy / wrapBounds.height);
+                }
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist < spacing) break;
+                last = new Vector(last.x + dx / dist * spacing, last.y + dy / dist * spacing);
+                if (wrapBounds) {
+                    last.x = wrapCoord(last.x, wrapBounds.width);
+                    last.y = wrapCoord(last.y, wrapBounds.height);
+                }
+                fresh.push(last);
+            }
+
+            fresh.forEach(point => this.grid.insert(++this.newest, point.x, point.y));
+            body.splice(1, 0, ...fresh.reverse());
+            this.cutTail();
+        }
+
+        cutTail() {
+            const body = this.body;
+            while (body.length > Math.max(this.length, 1)) {
+                const index = body.length - 1;
+                const point = body.pop();
+                this.grid.remove(this.idAt(index), point.x, point.y);
+            }
+        }
+
+        hitsWall(width, height) {
+            return this.wallSide(width, height) !== null;
+        }
+
+        /** Which edge of the arena the head is past: 'left', 'right', 'top', 'bottom', or null. */
+        wallSide(width, height) {
+            if (this.pos.x < 0) return 'left';
+            if (this.pos.x > width) return 'right';
+            if (this.pos.y < 0) return 'top';
+            if (this.pos.y > height) return 'bottom';
+            return null;
+        }
+
+        /**
+         * Index of the body segment the head is touching, or -1.
+         * @param {{width: number, height: number}} [wrapBounds] Measure across edges in wrap-around modes
+         */
+        selfHitIndex(wrapBounds = null) {
+            return this.bodyHitIndex(this.pos, NECK, wrapBounds);
+        }
+
+        /**
+         * Index of the first segment from `from` on that touches `pos`, or -1.
+         * Also used for another snake's head running into this body.
+         */
+        bodyHitIndex(pos, from = 0, wrapBounds = null) {
+            const collisionThreshold = CONFIG.SNAKE_WIDTH * 0.8;
+            const reachSq = collisionThreshold * collisionThreshold;
+            let hit = -1;
+            this.forEachNear(pos, collisionThreshold, wrapBounds, (index, distSq) => {
+                if (index >= from && distSq < reachSq && (hit === -1 || index < hit)) hit = index;
+            });
+            return hit;
+        }
+
+        /**
+         * Distance from `pos` to the nearest segment in [from, to), or
+         * `maxDistance` if none is closer.
+         */
+        bodyDistance(pos, maxDistance, from = 0, to = Infinity, wrapBounds = null) {
+            let nearestSq = maxDistance * maxDistance;
+            this.forEachNear(pos, maxDistance, wrapBounds, (index, distSq) => {
+                if (index >= from && index < to && distSq < nearestSq) nearestSq = distSq;
+            });
+            return Math.sqrt(nearestSq);
+        }
+
+        /**
+         * Calls `visit(index, squaredDistance)` for the head and every segment
+         * filed near `pos`. Near a wrapped edge the query repeats on the far
+         * side, so a segment may be visited more than once.
+         */
+        forEachNear(pos, radius, wrapBounds, visit) {
+            const head = this.body[0];
+            let hx = pos.x - head.x;
+            let hy = pos.y - head.y;
+            if (wrapBounds) {
+                hx -= wrapBounds.width * Math.round(hx / wrapBounds.width);
+                hy -= wrapBounds.height * Math.round(hy / wrapBounds.height);
+            }
+            visit(0, hx * hx + hy * hy);
+
+            const xs = [pos.x];
+            const ys = [pos.y];
+            if (wrapBounds) {
+                if (pos.x < radius) xs.push(pos.x + wrapBounds.width);
+                if (pos.x > wrapBounds.width - radius) xs.push(pos.x - wrapBounds.width);
+                if (pos.y < radius) ys.push(pos.y + wrapBounds.height);
+                if (pos.y > wrapBounds.height - radius) ys.push(pos.y - wrapBounds.height);
+            }
+            xs.forEach(x => ys.forEach(y => {
+                this.grid.query(x, y, radius, id => {
+                    const index = this.indexOf(id);
+                    const point = this.body[index];
+                    const dx = x - point.x;
+                    const dy = y - point.y;
+                    visit(index, dx * dx + dy * dy);
+                });
+            }));
+        }
+
+        checkCollision(width, height) {
+            return this.hitsWall(width, height) || this.selfHitIndex() !== -1;
+        }
+
+        /** Cuts the body off at segment `index`, never below the starting length. */
+        trim(index) {
+            this.length = Math.max(index, START_LENGTH);
+            this.cutTail();
+        }
+
+        grow() {
+            this.length += GROWTH;
+            this.speed = Math.min(this.speed + CONFIG.SPEED_INCREMENT, CONFIG.MAX_SPEED);
+        }
+    }
+
+    function wrapCoord(value, size) {
+        return ((value % size) + size) % size;
+    }
+
+    Object.assign(Snike, { Snake, SNAKE_NECK: NECK });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,161 @@
+/**
+ * Run statistics. The simulation keeps a RunStats for the run in progress,
+ * fed by its own events and a sample after every tick, so watching a
+ * replay ends on the same numbers as the run did. Finished runs fold into
+ * a pilot's lifetime totals, and their scores into a short history.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { emptyParts } = Snike;
+
+    // Recent runs kept per pilot for the history chart
+    const HISTORY_SIZE = 30;
+
+    const FLIP_SOURCES = ['manual', 'schedule'];
+
+    function emptyPlayerStats() {
+        return {
+            food: 0, powerUps: 0, maxLength: 0, peakSpeed: 0, distance: 0, crashes: 0, trims: 0, death: null,
+            points: emptyParts(), // The score by where it came from (see core/scoring.js)
+            bestChain: 0
+        };
+    }
+
+    class RunStats {
+        constructor(players = 1) {
+            this.duration = 0; // Game time (ms) the run lasted
+            this.flips = { manual: 0, schedule: 0 };
+            this.players = Array.from({ length: players }, emptyPlayerStats);
+        }
+
+        /** Counts what a simulation event tells about the run. */
+        observe(type, event) {
+            const player = this.players[event.player];
+            if (type === 'gravityChanged' && FLIP_SOURCES.includes(event.source)) {
+                this.flips[event.source]++;
+            } else if (type === 'foodEaten') {
+                if (event.pickup === 'food') player.food++;
+                else player.powerUps++;
+                Object.keys(player.points).forEach(part => { player.points[part] += event.parts[part]; });
+                player.bestChain = Math.max(player.bestChain, event.chain);
+            } else if (type === 'collision') {
+                if (!event.fatal) {
+                    player.trims++;
+                    return;
+                }
+                player.crashes++;
+                player.death = { cause: event.cause, detail: event.detail };
+            }
+        }
+
+        /** Takes the measurements that change every tick. */
+        sample(sim) {
+            this.duration = sim.clock;
+            sim.snakes.forEach((snake, p) => {
+                const stats = this.players[p];
+                stats.maxLength = Math.max(stats.maxLength, snake.length);
+                stats.peakSpeed = Math.max(stats.peakSpeed, snake.speed);
+                stats.distance += travelled(snake, sim.mode.wrap ? sim : null);
+            });
+        }
+
+        toJSON() {
+            return { duration: this.duration, flips: { ...this.flips }, players: this.players.map(p => ({ ...p, points: { ...p.points } })) };
+        }
+    }
+
+    /** How far the head moved on the last tick, counting a wrap as the short way across. */
+    function travelled(snake, wrapBounds) {
+        let dx = snake.pos.x - snake.prevPos.x;
+        let dy = snake.pos.y - snake.prevPos.y;
+        if (wrapBounds) {
+            dx -= wrapBounds.width * Math.round(dx / wrapBounds.width);
+            dy -= wrapBounds.height * Math.round(dy / wrapBounds.height);
+        }
+        return Math.hypot(dx, dy);
+    }
+
+    /** What ended a pilot's run, in words. */
+    function describeDeath(death) {
+        if (!death) return 'Survived';
+        switch (death.cause) {
+            case 'wall': return `Hit the ${death.detail} wall`;
+            case 'obstacle': return 'Hit an obstacle';
+            case 'self': return `Bit own body at segment ${death.detail}`;
+            case 'rival': return `Ran into the rival at segment ${death.detail}`;
+            case 'head': return 'Head-on collision';
+            default: return 'Crashed';
+        }
+    }
+
+    function defaultLifetime() {
+        return {
+            runs: 0,
+            timeAlive: 0,
+            food: 0,
+            powerUps: 0,
+            distance: 0,
+            flips: { manual: 0, schedule: 0 },
+            maxLength: 0,
+            peakSpeed: 0,
+            deaths: {} // Count per collision cause
+        };
+    }
+
+    const isCount = value => Number.isFinite(value) && value >= 0;
+
+    /** Stored lifetime totals with anything unreadable put back to zero. */
+    function normalizeLifetime(raw) {
+        const lifetime = defaultLifetime();
+        if (!raw || typeof raw !== 'object') return lifetime;
+        ['runs', 'timeAlive', 'food', 'powerUps', 'distance', 'maxLength', 'peakSpeed'].forEach(key => {
+            if (isCount(raw[key])) lifetime[key] = raw[key];
+        });
+        if (raw.flips && typeof raw.flips === 'object') {
+            FLIP_SOURCES.forEach(source => {
+                if (isCount(raw.flips[source])) lifetime.flips[source] = raw.flips[source];
+            });
+        }
+        if (raw.deaths && typeof raw.deaths === 'object') {
+            Object.entries(raw.deaths).forEach(([cause, count]) => {
+                if (isCount(count)) lifetime.deaths[cause] = count;
+            });
+        }
+        return lifetime;
+    }
+
+    /** Lifetime totals with one more run of `stats` folded in. */
+    function addToLifetime(lifetime, stats, player = 0) {
+        const run = stats.players[player];
+        const deaths = { ...lifetime.deaths };
+        if (run.death) deaths[run.death.cause] = (deaths[run.death.cause] || 0) + 1;
+        return {
+            runs: lifetime.runs + 1,
+            timeAlive: lifetime.timeAlive + stats.duration,
+            food: lifetime.food + run.food,
+            powerUps: lifetime.powerUps + run.powerUps,
+            distance: lifetime.distance + run.distance,
+            flips: {
+                manual: lifetime.flips.manual + stats.flips.manual,
+                schedule: lifetime.flips.schedule + stats.flips.schedule
+            },
+            maxLength: Math.max(lifetime.maxLength, run.maxLength),
+            peakSpeed: Math.max(lifetime.peakSpeed, run.peakSpeed),
+            deaths
+        };
+    }
+
+    /** Stored recent runs, oldest first, dropping any that are malformed. */
+    function normalizeHistory(raw) {
+        if (!Array.isArray(raw)) return [];
+        return raw
+            .filter(entry => entry && typeof entry.mode === 'string' && isCount(entry.score))
+            .map(({ mode, score, date }) => ({ mode, score, date: typeof date === 'string' ? date : '' }))
+            .slice(-HISTORY_SIZE);
+    }
+
+    Object.assign(Snike, {
+        HISTORY_SIZE, RunStats, describeDeath, defaultLifetime, normalizeLifetime, addToLifetime, normalizeHistory
+    });
+})(globalThis.Snike = globalThis.Snike || {});
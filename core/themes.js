@@ -0,0 +1,208 @@
+/**
+ * Theme format and the built-in themes. A theme is plain JSON describing
+ * everything the renderer paints that is not gameplay:
+ *
+ *   {
+ *     "id": "space", "name": "Deep Space", "icon": "fa-user-astronaut",
+ *     "background": [[0, "#000510"], [0.4, "#001a33"], [1, "#000510"]],
+ *     "stars": { "count": 100, "speed": 1, "size": 2, "color": "#fff" },
+ *     "grid": { "style": "perspective", "color": "rgba(0, 242, 255, 0.2)", "spacing": 100 },
+ *     "palette": {
+ *       "snake": "#00f2ff", "rival": "#7000ff", "food": "#ff00c8", "wall": "#7000ff",
+ *       "hazard": "#ff00c8", "particles": ["#00f2ff", "#ffffff"]
+ *     },
+ *     "glow": 15,
+ *     "layers": [
+ *       { "type": "nebula", "color": "rgba(112, 0, 255, 0.12)", "count": 3, "speed": 0.2 },
+ *       { "type": "scanlines", "color": "rgba(255, 255, 255, 0.04)", "spacing": 4, "speed": 0.5 }
+ *     ]
+ *   }
+ *
+ * The background is a vertical gradient given as [offset, color] stops.
+ * Star speed scales their parallax. Grids are "perspective" (the receding
+ * floor), "flat" (a square lattice scrolling down) or "none". The palette's
+ * snake and rival colors are what the "theme" core color picks; walls are
+ * static obstacles, hazards the moving ones and repulsors, and the death
+ * burst draws from the particle colors. Layers are optional and drawn over
+ * the background in order. The icon is one of the Font Awesome icons
+ * bundled in fonts/icons.css; any other shows blank.
+ */
+(function (Snike) {
+    'use strict';
+
+    const GRID_STYLES = ['perspective', 'flat', 'none'];
+    const LAYER_FIELDS = {
+        nebula: ['color', 'count', 'speed'],
+        scanlines: ['color', 'spacing', 'speed']
+    };
+    const PALETTE_COLORS = ['snake', 'rival', 'food', 'wall', 'hazard'];
+
+    // Themes end up on a canvas and in style attributes, so only plain color syntax gets through
+    const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(\s*[\d.,%\s]+\))$/i;
+    const ICON_PATTERN = /^fa-[a-z0-9-]+$/;
+    const ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+    // Built-in themes, in the order the lab lists them
+    const BUILT_IN_THEMES = [
+        {
+            id: 'space',
+            name: 'Deep Space',
+            icon: 'fa-user-astronaut',
+            background: [[0, '#000510'], [0.4, '#001a33'], [1, '#000510']],
+            stars: { count: 100, speed: 1, size: 2, color: '#fff' },
+            grid: { style: 'perspective', color: 'rgba(0, 242, 255, 0.2)', spacing: 100 },
+            palette: {
+                snake: '#00f2ff', rival: '#7000ff', food: '#ff00c8', wall: '#7000ff', hazard: '#ff00c8',
+                particles: ['#00f2ff']
+            },
+            glow: 15
+        },
+        {
+            id: 'neon',
+            name: 'Cyber City',
+            icon: 'fa-city',
+            background: [[0, '#050010'], [0.4, '#1a0033'], [1, '#050010']],
+            stars: { count: 100, speed: 1, size: 2, color: '#fff' },
+            grid: { style: 'perspective', color: 'rgba(255, 0, 255, 0.2)', spacing: 100 },
+            palette: {
+                snake: '#ff00c8', rival: '#00f2ff', food: '#ffcc00', wall: '#7000ff', hazard: '#ff00c8',
+                particles: ['#ff00c8', '#00f2ff', '#ffcc00']
+            },
+            glow: 15,
+            layers: [{ type: 'scanlines', color: 'rgba(255, 0, 200, 0.05)', spacing: 4, speed: 0.5 }]
+        },
+        {
+            id: 'void',
+            name: 'Pure Void',
+            icon: 'fa-circle',
+            background: [[0, '#000'], [1, '#050505']],
+            stars: { count: 100, speed: 1, size: 2, color: '#fff' },
+            grid: { style: 'none', color: 'rgba(255, 255, 255, 0.1)', spacing: 100 },
+            palette: {
+                snake: '#ffffff', rival: '#888888', food: '#ff00c8', wall: '#7000ff', hazard: '#ff00c8',
+                particles: ['#00f2ff']
+            },
+            glow: 15
+        },
+        {
+            id: 'nebula',
+            name: 'Nebula Drift',
+            icon: 'fa-cloud',
+            background: [[0, '#07020f'], [0.5, '#120726'], [1, '#02040c']],
+            stars: { count: 160, speed: 0.6, size: 1.6, color: '#e8e0ff' },
+            grid: { style: 'flat', color: 'rgba(160, 120, 255, 0.08)', spacing: 80 },
+            palette: {
+                snake: '#9dffb0', rival: '#ff9de2', food: '#ffd166', wall: '#5a3fbf', hazard: '#ef476f',
+                particles: ['#9dffb0', '#ffd166', '#ffffff']
+            },
+            glow: 22,
+            layers: [
+                { type: 'nebula', color: 'rgba(140, 60, 255, 0.14)', count: 3, speed: 0.15 },
+                { type: 'nebula', color: 'rgba(255, 80, 160, 0.08)', count: 2, speed: 0.25 }
+            ]
+        }
+    ];
+
+    function isColor(value) {
+        return typeof value === 'string' && COLOR_PATTERN.test(value.trim());
+    }
+
+    function isNumber(value, min = 0, max = Infinity) {
+        return Number.isFinite(value) && value >= min && value <= max;
+    }
+
+    /**
+     * Validates a theme object (or its JSON text) and returns a clean copy
+     * holding only the known fields.
+     * @throws {Error} When a field is missing or out of range
+     */
+    function parseTheme(data) {
+        const theme = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!theme || typeof theme !== 'object') throw new Error('Theme must be an object');
+        if (typeof theme.id !== 'string' || !ID_PATTERN.test(theme.id)) {
+            throw new Error('Theme needs an id of letters, digits, dashes or underscores');
+        }
+        const fail = message => { throw new Error(`Theme "${theme.id}" ${message}`); };
+        if (typeof theme.name !== 'string' || !theme.name.trim() || theme.name.length > 40) fail('needs a name of up to 40 characters');
+        const icon = theme.icon === undefined ? 'fa-palette' : theme.icon;
+        if (typeof icon !== 'string' || !ICON_PATTERN.test(icon)) fail('has a bad icon');
+
+        const background = theme.background;
+        if (!Array.isArray(background) || background.length < 1 || background.length > 8) fail('needs 1 to 8 background stops');
+        background.forEach(stop => {
+            if (!Array.isArray(stop) || !isNumber(stop[0], 0, 1) || !isColor(stop[1])) fail('has a bad background stop');
+        });
+
+        const stars = theme.stars || {};
+        if (!isNumber(stars.count, 0, 500) || !isNumber(stars.speed, 0, 10) || !isNumber(stars.size, 0, 10) || !isColor(stars.color)) {
+            fail('needs a star count (0-500), speed, size and color');
+        }
+
+        const grid = theme.grid || {};
+        if (!GRID_STYLES.includes(grid.style)) fail(`has unknown grid style "${grid.style}"`);
+        if (!isColor(grid.color) || !isNumber(grid.spacing, 20, 400)) fail('needs a grid color and a spacing of 20-400');
+
+        const palette = theme.palette || {};
+        PALETTE_COLORS.forEach(key => {
+            if (!isColor(palette[key])) fail(`needs a palette color for "${key}"`);
+        });
+        if (!Array.isArray(palette.particles) || !palette.particles.length || !palette.particles.every(isColor)) {
+            fail('needs at least one particle color');
+        }
+
+        if (!isNumber(theme.glow, 0, 60)) fail('needs a glow of 0-60');
+
+        const layers = theme.layers === undefined ? [] : theme.layers;
+        if (!Array.isArray(layers) || layers.length > 4) fail('can have up to 4 layers');
+        const cleanLayers = layers.map((layer, i) => {
+            const fields = layer && LAYER_FIELDS[layer.type];
+            if (!fields) fail(`layer ${i} has unknown type "${layer && layer.type}"`);
+            const clean = { type: layer.type };
+            fields.forEach(field => {
+                const ok = field === 'color' ? isColor(layer[field]) : isNumber(layer[field], 0, 100);
+                if (!ok) fail(`layer ${i} has a bad "${field}"`);
+                clean[field] = layer[field];
+            });
+            return clean;
+        });
+
+        return {
+            id: theme.id,
+            name: theme.name.trim(),
+            icon,
+            background: background.map(([offset, color]) => [offset, color]),
+            stars: { count: Math.round(stars.count), speed: stars.speed, size: stars.size, color: stars.color },
+            grid: { style: grid.style, color: grid.color, spacing: grid.spacing },
+            palette: {
+                ...Object.fromEntries(PALETTE_COLORS.map(key => [key, palette[key]])),
+                particles: [...palette.particles]
+            },
+            glow: theme.glow,
+            layers: cleanLayers
+        };
+    }
+
+    const THEMES = Object.fromEntries(BUILT_IN_THEMES.map(parseTheme).map(theme => [theme.id, theme]));
+
+    /** A pilot's imported themes, dropping any that no longer parse or that shadow a built-in. */
+    function normalizeCustomThemes(raw) {
+        if (!Array.isArray(raw)) return [];
+        const themes = [];
+        raw.forEach(data => {
+            try {
+                const theme = parseTheme(data);
+                if (!THEMES[theme.id] && !themes.some(t => t.id === theme.id)) themes.push(theme);
+            } catch (e) {
+                // Skip it; the rest still load
+            }
+        });
+        return themes;
+    }
+
+    /** A built-in or custom theme by id, falling back to Deep Space. */
+    function findTheme(id, customThemes = []) {
+        return THEMES[id] || customThemes.find(theme => theme.id === id) || THEMES.space;
+    }
+
+    Object.assign(Snike, { THEMES, GRID_STYLES, parseTheme, normalizeCustomThemes, findTheme });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,113 @@
+/**
+ * Touch steering. The geometry of the virtual joystick and the swipe and
+ * tap gestures lives here, apart from the DOM, so the browser glue only
+ * forwards pointer positions and feeds the results to a TouchController.
+ */
+(function (Snike) {
+    'use strict';
+
+    const TOUCH_SCHEMES = {
+        joystick: { id: 'joystick', name: 'Joystick', icon: 'fa-circle-dot' },
+        swipe: { id: 'swipe', name: 'Swipe', icon: 'fa-hand-pointer' },
+        dpad: { id: 'dpad', name: 'D-Pad', icon: 'fa-gamepad' }
+    };
+
+    // Joystick base diameters (px)
+    const JOYSTICK_SIZES = { small: 96, medium: 128, large: 168 };
+
+    // A fixed joystick sits in its corner; a floating one appears under the thumb
+    const JOYSTICK_PLACEMENTS = ['fixed', 'floating'];
+
+    // Knob travel, as a fraction of the radius, that still counts as centered
+    const JOYSTICK_DEADZONE = 0.2;
+
+    // Finger travel (px) that turns a touch into a swipe, and what still counts as a tap
+    const SWIPE_DISTANCE = 24;
+    const TAP_DISTANCE = 12;
+    const TAP_MS = 250;
+    // Taps this close together are one flip, so a two-finger tap does not flip twice
+    const MULTI_TAP_MS = 150;
+
+    function defaultTouchSettings() {
+        return { scheme: 'joystick', placement: 'floating', size: 'medium', leftHanded: false };
+    }
+
+    /** Stored touch settings with anything unknown put back to its default. */
+    function normalizeTouchSettings(raw) {
+        const settings = defaultTouchSettings();
+        if (!raw || typeof raw !== 'object') return settings;
+        if (TOUCH_SCHEMES[raw.scheme]) settings.scheme = raw.scheme;
+        if (JOYSTICK_PLACEMENTS.includes(raw.placement)) settings.placement = raw.placement;
+        if (JOYSTICK_SIZES[raw.size]) settings.size = raw.size;
+        if (typeof raw.leftHanded === 'boolean') settings.leftHanded = raw.leftHanded;
+        return settings;
+    }
+
+    /**
+     * Reads a joystick held at `point` whose base is centered on `origin`.
+     * @returns {{steer: ?{dx: number, dy: number}, knob: {x: number, y: number}}}
+     *   steer is null inside the deadzone; knob is the offset to draw the knob at, kept inside the base
+     */
+    function joystickSteer(origin, point, radius) {
+        const dx = point.x - origin.x;
+        const dy = point.y - origin.y;
+        const distance = Math.hypot(dx, dy);
+        const scale = distance > radius ? radius / distance : 1;
+        const knob = { x: dx * scale, y: dy * scale };
+        const steer = distance > radius * JOYSTICK_DEADZONE ? { dx: dx / distance, dy: dy / distance } : null;
+        return { steer, knob };
+    }
+
+    /**
+     * Follows the fingers on the play field. Each finger steers the way it
+     * last travelled SWIPE_DISTANCE, so a curved swipe keeps turning the
+     * snake, and a short touch is a tap.
+     */
+    class GestureTracker {
+        constructor() {
+            this.touches = new Map();
+            this.lastTapAt = -Infinity;
+        }
+
+        down(id, x, y, time) {
+            this.touches.set(id, { anchorX: x, anchorY: y, startX: x, startY: y, startTime: time, swiped: false });
+        }
+
+        /** @returns {?{dx: number, dy: number}} A new swipe direction, or null if the finger has not gone far enough */
+        move(id, x, y) {
+            const touch = this.touches.get(id);
+            if (!touch) return null;
+            if (Math.hypot(x - touch.startX, y - touch.startY) > TAP_DISTANCE) touch.swiped = true;
+            const dx = x - touch.anchorX;
+            const dy = y - touch.anchorY;
+            const distance = Math.hypot(dx, dy);
+            if (distance < SWIPE_DISTANCE) return null;
+            touch.anchorX = x;
+            touch.anchorY = y;
+            return { dx: dx / distance, dy: dy / distance };
+        }
+
+        /** @returns {boolean} Whether the finger lifting ends a tap that should flip gravity */
+        up(id, x, y, time) {
+            const touch = this.touches.get(id);
+            if (!touch) return false;
+            this.touches.delete(id);
+            const tap = !touch.swiped
+                && Math.hypot(x - touch.startX, y - touch.startY) <= TAP_DISTANCE
+                && time - touch.startTime <= TAP_MS;
+            if (!tap) return false;
+            const first = time - this.lastTapAt > MULTI_TAP_MS;
+            this.lastTapAt = time;
+            return first;
+        }
+
+        cancel(id) {
+            this.touches.delete(id);
+        }
+    }
+
+    Object.assign(Snike, {
+        TOUCH_SCHEMES, JOYSTICK_SIZES, JOYSTICK_PLACEMENTS, defaultTouchSettings, normalizeTouchSettings,
+        joystickSteer, GestureTracker
+    });
+})(globalThis.Snike = globalThis.Snike || {});
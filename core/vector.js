@@ -0,0 +1,23 @@
+/**
+ * Vector math shared by the simulation and the renderer.
+ */
+(function (Snike) {
+    'use strict';
+
+    class Vector {
+        constructor(x, y) {
+            this.x = x;
+            this.y = y;
+        }
+        add(v) { this.x += v.x; this.y += v.y; return this; }
+        mult(n) { this.x *= n; this.y *= n; return this; }
+        copy() { return new Vector(this.x, this.y); }
+        dist(v) { return Math.sqrt((this.x - v.x) ** 2 + (this.y - v.y) ** 2); }
+    }
+
+    function lerp(a, b, t) {
+        return a + (b - a) * t;
+    }
+
+    Object.assign(Snike, { Vector, lerp });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -1,362 +1,426 @@
 /**
  * ANTI-GRAVITY SNAKE
  * A modern, physics-based snake game.
+ *
+ * Browser entry point: wires DOM, input and audio to the headless core in
+ * core/ and draws it with the canvas renderer.
  */
 
-// --- CONFIGURATION ---
-const CONFIG = {
-    FPS: 60,
-    INITIAL_SNAKE_SPEED: 2.5,
-    SPEED_INCREMENT: 0.05,
-    MAX_SPEED: 6,
-    GRAVITY_FORCE: 0.08,
-    STEERING_SPEED: 0.1, // Radians per frame
-    SNAKE_WIDTH: 10,
-    FOOD_SIZE: 12,
-    GRAVITY_CHANGE_INTERVAL: 8000, // 8 seconds
-    GLOW_INTENSITY: 15,
-    PARTICLE_COUNT: 15,
-    PRIMARY_NEON: '#00f2ff',
-    ACCENT_NEON: '#ff00c8',
-    SECONDARY_NEON: '#7000ff'
-};
-
-const GRAVITY_DIRECTIONS = [
-    { name: 'DOWN', x: 0, y: 1, icon: '↓' },
-    { name: 'UP', x: 0, y: -1, icon: '↑' },
-    { name: 'LEFT', x: -1, y: 0, icon: '←' },
-    { name: 'RIGHT', x: 1, y: 0, icon: '→' }
-];
-
-// --- VECTOR UTILITIES ---
-class Vector {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-    }
-    add(v) { this.x += v.x; this.y += v.y; return this; }
-    mult(n) { this.x *= n; this.y *= n; return this; }
-    copy() { return new Vector(this.x, this.y); }
-    dist(v) { return Math.sqrt((this.x - v.x) ** 2 + (this.y - v.y) ** 2); }
-}
-
-// --- AUDIO SYSTEM ---
-class AudioController {
-    constructor() {
-        this.ctx = null;
-    }
-
-    init() {
-        if (this.ctx) return;
-        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-    }
-
-    playSound(freq, type, duration, volume = 0.1) {
-        if (!this.ctx) return;
-        const osc = this.ctx.createOscillator();
-        const gain = this.ctx.createGain();
-
-        osc.type = type;
-        osc.frequency.setValueAtTime(freq, this.ctx.currentTime);
-
-        gain.gain.setValueAtTime(volume, this.ctx.currentTime);
-        gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + duration);
-
-        osc.connect(gain);
-        gain.connect(this.ctx.destination);
-
-        osc.start();
-        osc.stop(this.ctx.currentTime + duration);
-    }
-
-    playEat() { this.playSound(440, 'square', 0.1, 0.05); this.playSound(880, 'square', 0.15, 0.03); }
-    playCrash() { this.playSound(100, 'sawtooth', 0.5, 0.1); }
-    playGravity() { this.playSound(220, 'sine', 0.3, 0.08); }
-}
-
-// --- ENTITIES ---
-
-class Particle {
-    constructor(pos, color) {
-        this.pos = pos.copy();
-        const angle = Math.random() * Math.PI * 2;
-        const speed = Math.random() * 3 + 1;
-        this.vel = new Vector(Math.cos(angle) * speed, Math.sin(angle) * speed);
-        this.life = 1.0;
-        this.decay = Math.random() * 0.02 + 0.02;
-        this.color = color;
-    }
-
-    update() {
-        this.pos.add(this.vel);
-        this.life -= this.decay;
-    }
-
-    draw(ctx) {
-        ctx.globalAlpha = this.life;
-        ctx.fillStyle = this.color;
-        ctx.shadowBlur = 10;
-        ctx.shadowColor = this.color;
-        ctx.beginPath();
-        ctx.arc(this.pos.x, this.pos.y, 2, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.globalAlpha = 1.0;
-    }
-}
-
-class Food {
-    constructor(width, height) {
-        this.width = width;
-        this.height = height;
-        this.spawn();
-        this.angle = 0;
-    }
-
-    spawn() {
-        const padding = 50;
-        this.pos = new Vector(
-            padding + Math.random() * (this.width - padding * 2),
-            padding + Math.random() * (this.height - padding * 2)
-        );
-    }
-
-    update() {
-        this.angle += 0.05;
-    }
-
-    draw(ctx) {
-        const bounce = Math.sin(this.angle) * 3;
-        ctx.shadowBlur = 20;
-        ctx.shadowColor = CONFIG.ACCENT_NEON;
-        ctx.fillStyle = CONFIG.ACCENT_NEON;
-        ctx.beginPath();
-        // Pulsing hexagon or diamond
-        ctx.moveTo(this.pos.x, this.pos.y - CONFIG.FOOD_SIZE + bounce);
-        ctx.lineTo(this.pos.x + CONFIG.FOOD_SIZE, this.pos.y + bounce);
-        ctx.lineTo(this.pos.x, this.pos.y + CONFIG.FOOD_SIZE + bounce);
-        ctx.lineTo(this.pos.x - CONFIG.FOOD_SIZE, this.pos.y + bounce);
-        ctx.closePath();
-        ctx.fill();
-        ctx.shadowBlur = 0;
-    }
-}
-
-class Snake {
-    constructor(x, y) {
-        this.pos = new Vector(x, y);
-        this.angle = -Math.PI / 2;
-        this.vel = new Vector(0, 0);
-        this.segments = [];
-        this.length = 20;
-        this.speed = CONFIG.INITIAL_SNAKE_SPEED;
-
-        // Initialize segments trailing behind the head
-        for (let i = 0; i < this.length; i++) {
-            this.segments.push(new Vector(x, y));
-        }
+const {
+    CONFIG, STEP_MS, LEVELS, MODES, PICKUPS, BINDING_SETS, BINDING_SLOTS, ACTION_NAMES, Simulation, Renderer, Recorder,
+    ReplayPlayer, ProfileStore, KeyboardController, GamepadController, TouchController, MergedController, Autopilot,
+    controllerInput, parseReplay, keyName, defaultBindings, rebind, inputLabel, describeMoves, describeAction,
+    TOUCH_SCHEMES, JOYSTICK_SIZES, GestureTracker, defaultTouchSettings, joystickSteer, EventBus, PluginHost, PLUGINS, AudioController, AUDIO_CHANNELS, defaultAudioSettings,
+    THEMES, findTheme, parseTheme, readSave, ACCESSIBLE_PALETTES, defaultAccessibility,
+    prefersReducedMotion, accessibleTheme, describeGravity, scoreMilestone, describeDeath, HISTORY_SIZE,
+    ACHIEVEMENTS, AchievementTracker, rewardColors, dailyKey, dailySeed, inputChecksum, encodeResult, parseResultCode,
+    verifyResult, GhostRecorder, ghostScoreAt, ghostTrail, ZOOM_LEVELS, defaultCameraSettings, SCORE_PARTS, describeAward
+} = Snike;
+
+// The milestones of the flip countdown cue, in ms before the flip; the warning chime opens it
+const FLIP_CUE_PIPS = [1000, 500];
+
+// How long an unlock notice stays over the field
+const TOAST_MS = 4000;
+
+// --- BUILT-IN PLUGINS ---
+// Sound, HUD, particles, announcements and achievements hook into the game the same way add-ons do.
+
+const SoundPlugin = {
+    id: 'sound',
+    setup({ on, game }) {
+        const audio = game.audio;
+        on('stateChanged', event => {
+            audio.setPaused(event.state === 'PAUSED');
+            // The lab keeps the music going, so volume changes can be heard
+            if (event.state === 'PLAYING') audio.startMusic();
+            else if (event.state !== 'PAUSED' && event.state !== 'CUSTOMIZE') audio.stopMusic();
+        });
+        let countdown = Infinity;
+        on('tick', event => {
+            const sim = event.sim;
+            audio.setMusicState(sim.snake.speed, sim.snake.length);
+            // The optional flip cue counts down the rest of the warning window
+            const previous = countdown;
+            countdown = sim.gravityCountdown;
+            if (!game.accessibility.flipCue || sim.state !== 'PLAYING') return;
+            FLIP_CUE_PIPS.forEach((at, i) => {
+                if (at <= sim.gravityWarningWindow && previous > at && countdown <= at) audio.playCountdown(i);
+            });
+        });
+        on('gravityChanged', event => {
+            audio.playGravity();
+            audio.gravityShift(event.gravity);
+        });
+        on('gravityWarning', () => audio.playWarning());
+        on('foodEaten', event => {
+            if (event.pickup === 'food') audio.playEat();
+            else audio.playPowerUp();
+        });
+        on('effectEnded', () => audio.playPowerDown());
+        on('achievementUnlocked', () => audio.playPowerUp());
+        on('trimmed', () => audio.playTrim());
+        on('levelComplete', () => audio.playGravity());
+        on('roundOver', () => audio.playCrash());
+        // The match-deciding crash already sounded with its round
+        on('runEnded', event => {
+            if (event.reason !== 'match') audio.playCrash();
+        });
     }
+};
 
-    update(keys, gravity) {
-        // Calculate target direction based on all 4 keys
-        let dx = 0;
-        let dy = 0;
-        if (keys['ArrowLeft'] || keys['a']) dx -= 1;
-        if (keys['ArrowRight'] || keys['d']) dx += 1;
-        if (keys['ArrowUp'] || keys['w']) dy -= 1;
-        if (keys['ArrowDown'] || keys['s']) dy += 1;
-
-        // If a direction is pressed, rotate towards it
-        if (dx !== 0 || dy !== 0) {
-            const targetAngle = Math.atan2(dy, dx);
-            let diff = targetAngle - this.angle;
-
-            // Normalize angle difference to [-PI, PI]
-            while (diff < -Math.PI) diff += Math.PI * 2;
-            while (diff > Math.PI) diff -= Math.PI * 2;
-
-            // Smoothly interpolate angle (0.15 is turn speed)
-            this.angle += diff * 0.15;
-        }
-
-        // Base Forward Velocity
-        this.vel.x = Math.cos(this.angle) * this.speed;
-        this.vel.y = Math.sin(this.angle) * this.speed;
-
-        // Apply Gravity influence
-        this.vel.x += gravity.x * CONFIG.GRAVITY_FORCE;
-        this.vel.y += gravity.y * CONFIG.GRAVITY_FORCE;
-
-        // Update Position
-        this.pos.add(this.vel);
-
-        // Update angle based on actual velocity to make it look natural
-        // Comment out if you want strict steering control
-        // this.angle = Math.atan2(this.vel.y, this.vel.x);
-
-        // Update Segments (Snake Body)
-        this.segments.unshift(this.pos.copy());
-        if (this.segments.length > this.length) {
-            this.segments.pop();
-        }
+const HudPlugin = {
+    id: 'hud',
+    setup({ on, game }) {
+        on('gravityChanged', () => {
+            game.updateGravityUI();
+            game.triggerFlash();
+        });
+        on('foodEaten', () => {
+            game.updateScoreUI();
+            game.updateLevelUI();
+        });
+        on('levelComplete', () => {
+            game.triggerFlash();
+            game.updateLevelUI();
+        });
+        on('roundOver', event => {
+            game.updateLevelUI();
+            game.updateModeStatus();
+            if (event.winner === null) game.showBanner('DRAW', '#fff');
+            // The match-winning round goes straight to the game over screen
+            else if (game.gameState === 'PLAYING') {
+                game.showBanner(`P${event.winner + 1} TAKES ROUND ${event.round}`, game.playerColor(event.winner));
+            }
+        });
+        on('stateChanged', () => game.updateGhostDelta());
+        on('tick', () => game.updateGhostDelta());
+        on('roundStarted', event => {
+            game.syncHud();
+            game.showBanner(`ROUND ${event.round}`, '#fff');
+        });
     }
+};
 
-    draw(ctx) {
-        // Draw glow trail (wider base)
-        ctx.shadowBlur = CONFIG.GLOW_INTENSITY * 1.5;
-        ctx.shadowColor = this.color || CONFIG.PRIMARY_NEON;
-
-        // Draw segmented organic body
-        for (let i = this.segments.length - 1; i >= 0; i -= 2) {
-            const seg = this.segments[i];
-            const sizeRatio = (1 - i / this.segments.length); // Tapering effect
-            const size = (CONFIG.SNAKE_WIDTH * sizeRatio) + 2;
-
-            ctx.fillStyle = this.color || CONFIG.PRIMARY_NEON;
-            ctx.globalAlpha = sizeRatio * 0.8;
-
-            ctx.beginPath();
-            ctx.arc(seg.x, seg.y, size / 2, 0, Math.PI * 2);
-            ctx.fill();
-        }
-
-        // Draw head (bright core)
-        ctx.globalAlpha = 1.0;
-        ctx.fillStyle = '#fff';
-        ctx.shadowBlur = CONFIG.GLOW_INTENSITY;
-        ctx.beginPath();
-        ctx.arc(this.pos.x, this.pos.y, CONFIG.SNAKE_WIDTH / 1.6, 0, Math.PI * 2);
-        ctx.fill();
-
-        ctx.shadowBlur = 0;
-        ctx.globalAlpha = 1.0;
+const ParticlesPlugin = {
+    id: 'particles',
+    setup({ on, game }) {
+        const renderer = game.renderer;
+        on('foodEaten', event => {
+            renderer.burst(event.pos, renderer.pickupColor(event.pickup), CONFIG.PARTICLE_COUNT);
+            if (event.points) renderer.popup(event.pos, `+${event.points}`, describeAward(event).toUpperCase(), game.playerColor(event.player));
+        });
+        on('bonusExpired', event => renderer.burst(event.pos, renderer.pickupColor(event.pickup), 8));
+        on('trimmed', event => renderer.burst(event.pos, game.playerColor(0), event.removed));
+        on('levelComplete', () => renderer.clearParticles());
+        on('roundOver', event => {
+            const color = event.winner === null ? '#fff' : game.playerColor(1 - event.winner);
+            renderer.burst(event.pos, color, 50);
+        });
+        on('roundStarted', () => renderer.clearParticles());
+        on('runEnded', event => {
+            if (event.reason !== 'match') renderer.burst(event.pos, renderer.theme.palette.particles, 50);
+        });
     }
+};
 
-    checkCollision(width, height) {
-        // Wall collision
-        if (this.pos.x < 0 || this.pos.x > width || this.pos.y < 0 || this.pos.y > height) {
-            return true;
-        }
-
-        // Self collision (skip first 20 segments to allow for tight turns and initialization)
-        const collisionThreshold = CONFIG.SNAKE_WIDTH * 0.8;
-        for (let i = 20; i < this.segments.length; i++) {
-            if (this.pos.dist(this.segments[i]) < collisionThreshold) {
-                return true;
-            }
-        }
-        return false;
+/** Reads the moments a pilot cannot see out to screen readers, through the live region. */
+const AnnouncerPlugin = {
+    id: 'announcer',
+    setup({ on, game }) {
+        const scores = [0, 0];
+        on('gravityWarning', event => {
+            game.announce(describeGravity(event.gravity, `In ${(event.in / 1000).toFixed(1)} seconds gravity pulls`));
+        });
+        on('gravityChanged', event => game.announce(describeGravity(event.gravity)));
+        on('foodEaten', event => {
+            // A lower score than last time means a new run
+            const before = event.score < scores[event.player] ? 0 : scores[event.player];
+            scores[event.player] = event.score;
+            const milestone = scoreMilestone(before, event.score);
+            if (milestone === null) return;
+            game.announce(game.sim.players > 1 ? `Player ${event.player + 1} reached ${milestone}` : `Score ${milestone}`);
+        });
+        on('levelComplete', event => {
+            game.announce(event.next === null ? 'Campaign complete' : `Level ${event.level + 1} cleared`);
+        });
+        on('roundOver', event => {
+            game.announce(event.winner === null ? 'Round drawn' : `Player ${event.winner + 1} takes round ${event.round}`);
+        });
+        on('runEnded', event => {
+            if (event.reason === 'match') game.announce(`Game over. Player ${event.winner + 1} wins the match`);
+            else game.announce(`Game over. Score ${event.score}`);
+        });
+        on('achievementUnlocked', event => game.announce(`Achievement unlocked: ${event.achievement.name}`));
     }
+};
 
-    grow() {
-        this.length += 10;
-        this.speed = Math.min(this.speed + CONFIG.SPEED_INCREMENT, CONFIG.MAX_SPEED);
+/** Checks the pilot's achievements against their own runs; replays and bot runs are not theirs. */
+const AchievementsPlugin = {
+    id: 'achievements',
+    setup({ on, emit, game }) {
+        ['stateChanged', 'tick', 'gravityChanged', 'foodEaten', 'runEnded'].forEach(type => on(type, event => {
+            if (!game.achievements || game.replay || game.botRun) return;
+            game.achievements
+                .observe(type, event, { sim: game.sim, theme: game.gameTheme })
+                .forEach(achievement => emit('achievementUnlocked', { achievement }));
+        }));
     }
-}
+};
 
-// --- GAME ENGINE ---
+// --- GAME CONTROLLER ---
 
 class Game {
     constructor() {
         this.canvas = document.getElementById('gameCanvas');
-        this.ctx = this.canvas.getContext('2d');
+        this.renderer = new Renderer(this.canvas, document.getElementById('minimap'));
         this.keys = {};
-        this.particles = [];
-        this.score = 0;
-        this.highScore = localStorage.getItem('snike_highscore') || 0;
-        this.userName = localStorage.getItem('snike_user') || '';
-        this.snakeColor = localStorage.getItem('snike_color') || CONFIG.PRIMARY_NEON;
-        this.gameTheme = localStorage.getItem('snike_theme') || 'space';
-        this.baseSpeed = parseFloat(localStorage.getItem('snike_speed')) || CONFIG.INITIAL_SNAKE_SPEED;
-
-        this.gameState = 'AUTH';
-        this.gravityIndex = 0;
-        this.lastGravityChange = 0;
-        this.mobileDirection = null;
-        this.bgOffset = 0; // For moving 3D grid
-        this.stars = this.initStars();
+        this.profiles = new ProfileStore(localStorage);
+        this.sim = new Simulation();
+
+        // Fixed-timestep loop: real frame time is banked in the accumulator
+        // and spent in STEP_MS ticks of the simulation.
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+
+        // Who flies each snake in the current run; see buildControllers
+        this.touch = new TouchController();
+        // One pad per player, in the order they were plugged in; a slot
+        // stays reserved (null) while its pad is unplugged
+        this.padIndices = [];
+        this.pads = [0, 1].map(slot => new GamepadController(() => this.padFor(slot)));
+        this.keyboards = [];
+        this.controllers = [];
+
+        // Fingers on the play field, and the one holding the virtual joystick
+        this.gestures = new GestureTracker();
+        this.stick = { pointer: null, origin: null, anchor: { x: 0, y: 0 } };
+        this.container = document.getElementById('game-container');
+        this.joystickEl = document.getElementById('joystick');
+        this.joystickKnob = this.joystickEl.querySelector('.joystick-knob');
+        this.botRun = false;
+        // The daily challenge run in progress, { day, practice }, or null
+        this.dailyRun = null;
+
+        // Attract mode: a bot run shown behind the start screen
+        this.demo = null;
+
+        // Lab state: the binding set on show, and the slot waiting for a key or button
+        this.bindingSet = 'keyboard';
+        this.capture = null;
+
+        // The pilot's, once applyProfile runs; failing plugins are announced before then
+        this.accessibility = defaultAccessibility();
+
+        // Input log of the current run, and the player while watching a replay
+        this.recorder = null;
+        this.replay = null;
+        this.liveSim = null;
+
+        // The solo run's path as it is flown, and the best run raced against, if any
+        this.ghostRecorder = null;
+        this.ghost = null;
 
         this.audio = new AudioController();
 
+        // What has already been reported by addonFailed, so a handler failing every tick shows once
+        this.addonFailures = new Set();
+        // A new version of the game that has installed and waits for the pilot to reload into it
+        this.waitingWorker = null;
+        this.reloading = false;
+
+        // Everything that reacts to the simulation subscribes to its events
+        this.bus = new EventBus({ onError: (error, type) => this.addonFailed(`A "${type}" handler`, error) });
+        this.plugins = new PluginHost(this.bus, { game: this });
+
         // UI elements
         this.scoreEl = document.getElementById('score-value');
         this.highScoreEl = document.getElementById('high-score-value');
+        this.scoreLabelEl = document.getElementById('score-label');
+        this.highScoreLabelEl = document.getElementById('high-score-label');
         this.gravityIcon = document.getElementById('gravity-icon');
         this.gravityLabel = document.getElementById('gravity-label');
+        this.gravityIndicator = document.querySelector('.gravity-indicator');
+        this.gravityNextEl = document.getElementById('gravity-next');
+        this.gravityCountdownEl = document.getElementById('gravity-countdown');
+        this.gravityRotation = 0; // Unwrapped, so the arrow always turns the short way
         this.userDisplay = document.getElementById('user-display');
+        this.levelProgressEl = document.getElementById('level-progress');
+        this.modeStatusEl = document.getElementById('mode-status');
+        this.ghostDeltaEl = document.getElementById('ghost-delta');
+        this.effectTimersEl = document.getElementById('effect-timers');
+        this.effectTimersKey = '';
+        this.announcer = document.getElementById('announcer');
+        this.toastsEl = document.getElementById('toasts');
+        this.fullscreenButton = document.getElementById('fullscreen-button');
+        this.fullscreenRefused = false;
+        this.updatePromptEl = document.getElementById('update-prompt');
+        this.shownOverlay = null;
+        // Null where the browser cannot tell, e.g. outside one
+        this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+        this.bus.on('stateChanged', () => this.updateOverlays());
+        this.bus.on('levelComplete', event => this.levelComplete(event));
+        this.bus.on('runEnded', event => this.gameOver(event));
+        this.bus.on('achievementUnlocked', event => this.achievementUnlocked(event.achievement));
+        [SoundPlugin, HudPlugin, ParticlesPlugin, AnnouncerPlugin, AchievementsPlugin, ...PLUGINS].forEach(plugin => {
+            try {
+                this.plugins.use(plugin);
+            } catch (e) {
+                this.addonFailed(`Plugin "${plugin.id}"`, e);
+            }
+        });
 
-        if (this.highScoreEl) {
-            this.highScoreEl.innerText = this.padScore(this.highScore);
-        }
-
+        this.buildModeOptions();
+        this.buildLevelOptions();
+        this.buildBindingSetOptions();
+        this.buildTouchSchemeOptions();
+        this.buildPaletteOptions();
+        this.buildZoomOptions();
+        this.applyProfile(this.profiles.active);
+        this.renderLeaderboards();
         this.setupEventListeners();
 
         // Initial sizing and initialization
         this.handleResize();
+        this.syncFullscreen();
+        if (this.launchedAsApp()) this.lockOrientation();
         this.init();
-        this.loop();
+        this.registerServiceWorker();
+        requestAnimationFrame((t) => this.loop(t));
+    }
+
+    get gameState() {
+        return this.sim.state;
     }
 
     setupEventListeners() {
         // Login
         document.getElementById('login-button').addEventListener('click', () => {
             const val = document.getElementById('username-input').value.trim();
-            if (val) {
-                this.userName = val;
-                localStorage.setItem('snike_user', val);
-                this.userDisplay.innerText = val;
-                this.gameState = 'START';
-                this.updateOverlays();
-            }
+            if (val) this.login(val);
+        });
+
+        document.getElementById('switch-profile-button').addEventListener('click', () => {
+            this.profiles.logout();
+            this.applyProfile(null);
+            this.renderProfileList();
+            this.sim.setState('AUTH');
         });
 
         // Customization
         document.getElementById('customize-button').addEventListener('click', () => {
-            this.gameState = 'CUSTOMIZE';
-            this.updateOverlays();
+            this.previousState = 'START';
+            this.sim.setState('CUSTOMIZE');
         });
 
         document.getElementById('in-game-settings').addEventListener('click', () => {
+            if (this.replay) return;
             if (this.gameState === 'PLAYING') {
                 this.previousState = 'PAUSED';
-                this.gameState = 'CUSTOMIZE';
+                this.sim.setState('CUSTOMIZE');
             } else if (this.gameState === 'START' || this.gameState === 'PAUSED' || this.gameState === 'OVER') {
                 this.previousState = this.gameState;
-                this.gameState = 'CUSTOMIZE';
+                this.sim.setState('CUSTOMIZE');
             }
-            this.updateOverlays();
         });
 
         document.getElementById('back-to-menu').addEventListener('click', () => {
-            this.gameState = this.previousState || 'START';
-            this.updateOverlays();
+            this.cancelCapture();
+            this.sim.setState(this.previousState || 'START');
+        });
+
+        document.getElementById('reset-bindings').addEventListener('click', () => {
+            this.cancelCapture();
+            this.setBindings(defaultBindings());
         });
 
         document.querySelectorAll('#color-options .opt').forEach(opt => {
+            opt.addEventListener('click', () => this.selectColor(0, opt.dataset.color));
+        });
+
+        document.querySelectorAll('#rival-color-options .opt').forEach(opt => {
+            opt.addEventListener('click', () => this.selectColor(1, opt.dataset.color));
+        });
+
+        // Trophies
+        document.getElementById('trophies-button').addEventListener('click', () => {
+            this.renderTrophies();
+            this.sim.setState('TROPHIES');
+        });
+        document.getElementById('trophies-back').addEventListener('click', () => this.sim.setState('START'));
+
+        document.querySelectorAll('#match-options .opt').forEach(opt => {
             opt.addEventListener('click', () => {
-                document.querySelector('#color-options .opt.active').classList.remove('active');
-                opt.classList.add('active');
-                this.snakeColor = opt.dataset.color;
-                localStorage.setItem('snike_color', this.snakeColor);
-                if (this.snake) this.snake.color = this.snakeColor;
+                this.bestOf = parseInt(opt.dataset.bestOf, 10);
+                this.profiles.update({ bestOf: this.bestOf });
+                this.sim.setBestOf(this.bestOf);
+                this.syncOption('#match-options', o => o === opt);
             });
         });
 
-        document.querySelectorAll('#theme-options .opt').forEach(opt => {
+        document.querySelectorAll('#rival-options .opt').forEach(opt => {
             opt.addEventListener('click', () => {
-                document.querySelector('#theme-options .opt.active').classList.remove('active');
-                opt.classList.add('active');
-                this.gameTheme = opt.dataset.theme;
-                localStorage.setItem('snike_theme', this.gameTheme);
+                this.rivalPilot = opt.dataset.rival;
+                this.profiles.update({ rivalPilot: this.rivalPilot });
+                this.syncOption('#rival-options', o => o === opt);
+                this.syncMode();
             });
         });
 
+        // Themes
+        const themeFile = document.getElementById('theme-file');
+        document.getElementById('import-theme').addEventListener('click', () => themeFile.click());
+        themeFile.addEventListener('change', () => {
+            const file = themeFile.files[0];
+            if (!file) return;
+            file.text().then(text => this.importTheme(text));
+            themeFile.value = '';
+        });
+        document.getElementById('export-theme').addEventListener('click', () => this.exportTheme());
+        document.getElementById('remove-theme').addEventListener('click', () => this.removeTheme());
+
+        // Accessibility
+        document.querySelectorAll('#motion-options .opt').forEach(opt => {
+            opt.addEventListener('click', () => this.setAccessibility({ motion: opt.dataset.motion }));
+        });
+        document.getElementById('announce-toggle').addEventListener('click', () => {
+            this.setAccessibility({ announce: !this.accessibility.announce });
+        });
+        document.getElementById('flip-cue-toggle').addEventListener('click', () => {
+            this.setAccessibility({ flipCue: !this.accessibility.flipCue });
+        });
+
+        // Camera
+        document.getElementById('minimap-toggle').addEventListener('click', () => {
+            this.setCameraSettings({ minimap: !this.cameraSettings.minimap });
+        });
+
+        // Ghost race
+        document.getElementById('ghost-toggle').addEventListener('click', () => this.setShowGhost(!this.showGhost));
+        if (this.motionQuery) {
+            this.motionQuery.addEventListener('change', () => this.applyAccessibility());
+        }
+
+        // Save files: every pilot, setting and score
+        const saveFile = document.getElementById('save-file');
+        ['import-save', 'auth-import-save'].forEach(id => {
+            document.getElementById(id).addEventListener('click', () => saveFile.click());
+        });
+        saveFile.addEventListener('change', () => {
+            const file = saveFile.files[0];
+            if (!file) return;
+            file.text().then(text => this.importSave(text));
+            saveFile.value = '';
+        });
+        document.getElementById('export-save').addEventListener('click', () => this.exportSave());
+
         document.querySelectorAll('#speed-options .opt').forEach(opt => {
             opt.addEventListener('click', () => {
-                document.querySelector('#speed-options .opt.active').classList.remove('active');
-                opt.classList.add('active');
+                this.syncOption('#speed-options', o => o === opt);
                 this.baseSpeed = parseFloat(opt.dataset.speed);
-                localStorage.setItem('snike_speed', this.baseSpeed);
-                if (this.snake) this.snake.speed = this.baseSpeed;
+                this.profiles.update({ speed: this.baseSpeed });
+                this.sim.setBaseSpeed(this.baseSpeed);
             });
         });
 
@@ -372,131 +436,1239 @@ class Game {
             const el = document.getElementById(id);
             el.addEventListener('touchstart', (e) => {
                 e.preventDefault();
-                this.mobileDirection = btns[id];
+                this.touch.direction = btns[id];
             }, { passive: false });
             el.addEventListener('touchend', (e) => {
                 e.preventDefault();
-                this.mobileDirection = null;
+                this.touch.direction = null;
             }, { passive: false });
-            el.addEventListener('mousedown', () => this.mobileDirection = btns[id]);
-            el.addEventListener('mouseup', () => this.mobileDirection = null);
+            el.addEventListener('mousedown', () => this.touch.direction = btns[id]);
+            el.addEventListener('mouseup', () => this.touch.direction = null);
         });
 
         document.getElementById('btn-flip').addEventListener('click', (e) => {
             e.preventDefault();
-            this.flipGravity();
+            this.touch.queueFlip();
         });
 
-        window.addEventListener('resize', () => {
+        // Joystick, swipes and taps on the play field
+        this.container.addEventListener('pointerdown', (e) => this.touchDown(e));
+        this.container.addEventListener('pointermove', (e) => this.touchMove(e));
+        this.container.addEventListener('pointerup', (e) => this.touchUp(e));
+        this.container.addEventListener('pointercancel', (e) => this.touchUp(e, true));
+
+        document.querySelectorAll('#touch-placement-options .opt').forEach(opt => {
+            opt.addEventListener('click', () => this.setTouchSettings({ placement: opt.dataset.placement }));
+        });
+        document.querySelectorAll('#touch-size-options .opt').forEach(opt => {
+            opt.addEventListener('click', () => this.setTouchSettings({ size: opt.dataset.size }));
+        });
+        document.querySelectorAll('#touch-hand-options .opt').forEach(opt => {
+            opt.addEventListener('click', () => this.setTouchSettings({ leftHanded: opt.dataset.leftHanded === 'true' }));
+        });
+
+        AUDIO_CHANNELS.forEach(channel => {
+            document.getElementById(`volume-${channel}`).addEventListener('input', (e) => {
+                this.setAudioSettings({ [channel]: parseInt(e.target.value, 10) / 100 });
+            });
+        });
+        document.getElementById('mute-toggle').addEventListener('click', () => {
+            this.setAudioSettings({ muted: !this.audioSettings.muted });
+        });
+        // The audio clock stops with the tab, so the music never runs on unheard,
+        // and a run left behind a tab switch or a backgrounded app waits paused
+        document.addEventListener('visibilitychange', () => {
+            this.audio.setHidden(document.hidden);
+            if (document.hidden) this.pauseHidden();
+        });
+
+        const refit = () => {
             this.handleResize();
+            this.applyTouchSettings();
             if (this.gameState === 'START') this.init();
+        };
+        window.addEventListener('resize', refit);
+        // Turning a phone does not always fire resize, or fires it before the new size is known
+        if (screen.orientation) screen.orientation.addEventListener('change', refit);
+
+        this.fullscreenButton.addEventListener('click', () => this.toggleFullscreen());
+        document.addEventListener('fullscreenchange', () => this.syncFullscreen());
+        document.getElementById('update-reload').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('update-later').addEventListener('click', () => {
+            this.updatePromptEl.hidden = true;
         });
 
         window.addEventListener('keydown', (e) => {
-            this.keys[e.key] = true;
+            if (this.capture) {
+                e.preventDefault();
+                this.captureKey(e.key);
+                return;
+            }
+            // Options are divs, so they get the keys a button would
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.classList && e.target.classList.contains('opt')) {
+                e.preventDefault();
+                e.target.click();
+                return;
+            }
+            this.keys[keyName(e.key)] = true;
             this.handleInput(e.key);
         });
-        window.addEventListener('keyup', (e) => this.keys[e.key] = false);
+        window.addEventListener('keyup', (e) => this.keys[keyName(e.key)] = false);
+
+        window.addEventListener('gamepadconnected', (e) => this.padConnected(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => this.padDisconnected(e.gamepad));
 
         document.getElementById('start-button').addEventListener('click', () => this.start());
-        document.getElementById('restart-button').addEventListener('click', () => this.start());
-        document.getElementById('resume-button').addEventListener('click', () => this.togglePause());
+        document.getElementById('daily-practice-button').addEventListener('click', () => this.start(false, true));
+        document.getElementById('watch-bot-button').addEventListener('click', () => this.start(true));
+        document.getElementById('restart-button').addEventListener('click', () => this.start(this.botRun));
+        document.getElementById('resume-button').addEventListener('click', () => this.sim.togglePause());
+        document.getElementById('end-run-button').addEventListener('click', () => this.sim.quit());
+
+        // Replays
+        const replayFile = document.getElementById('replay-file');
+        document.getElementById('load-replay-button').addEventListener('click', () => replayFile.click());
+        replayFile.addEventListener('change', () => {
+            const file = replayFile.files[0];
+            if (!file) return;
+            file.text().then(text => this.watchReplay(text));
+            replayFile.value = '';
+        });
+        document.getElementById('save-replay-button').addEventListener('click', () => this.saveReplay());
+        document.getElementById('watch-replay-button').addEventListener('click', () => {
+            if (this.recorder) this.watchReplay(this.recorder.toJSON());
+        });
+        document.getElementById('replay-toggle').addEventListener('click', () => this.toggleReplayPause());
+        document.getElementById('replay-exit').addEventListener('click', () => this.exitReplay());
+        document.getElementById('replay-scrub').addEventListener('input', (e) => {
+            this.sim = this.replay.seek(parseInt(e.target.value, 10));
+            this.renderer.clearParticles();
+            this.syncHud();
+        });
+        document.getElementById('replay-speed').addEventListener('change', (e) => {
+            this.replay.speed = parseFloat(e.target.value);
+        });
 
-        if (this.userName) {
-            this.userDisplay.innerText = this.userName;
-            this.gameState = 'START';
-            this.updateOverlays();
+        // Daily challenge
+        document.getElementById('copy-daily-code').addEventListener('click', () => this.copyCode('daily-code'));
+        document.getElementById('copy-result-code').addEventListener('click', () => this.copyCode('daily-result-code'));
+        document.getElementById('verify-code-button').addEventListener('click', () => this.verifyCode());
+        const verifyFile = document.getElementById('verify-replay-file');
+        document.getElementById('verify-replay-button').addEventListener('click', () => verifyFile.click());
+        verifyFile.addEventListener('change', () => {
+            const file = verifyFile.files[0];
+            if (!file) return;
+            file.text().then(text => this.verifyCode(text));
+            verifyFile.value = '';
+        });
+
+        if (this.profiles.active) {
+            this.sim.setState('START');
+        } else {
+            this.renderProfileList();
         }
+        this.updateOverlays();
     }
 
-    init() {
-        const w = this.logicalWidth || this.canvas.width;
-        const h = this.logicalHeight || this.canvas.height;
-
-        this.snake = new Snake(w / 2, h / 2);
-        this.snake.color = this.snakeColor;
-        this.snake.speed = this.baseSpeed; // Apply chosen speed
-        this.food = new Food(w, h);
-        this.particles = [];
-        this.score = 0;
-        this.gravityIndex = 0;
-        this.updateGravityUI();
+    login(name) {
+        this.applyProfile(this.profiles.login(name));
+        this.sim.setState('START');
+    }
+
+    /** Loads a pilot's best score and customization, or the defaults when logged out. */
+    applyProfile(profile) {
+        this.userName = profile ? profile.name : '';
+        this.mode = profile ? profile.mode : 'classic';
+        this.snakeColor = profile ? profile.color : CONFIG.PRIMARY_NEON;
+        this.rivalColor = profile ? profile.rivalColor : CONFIG.SECONDARY_NEON;
+        this.bestOf = profile ? profile.bestOf : 3;
+        this.rivalPilot = profile ? profile.rivalPilot : 'human';
+        this.gameTheme = profile ? profile.theme : 'space';
+        this.customThemes = profile ? profile.customThemes : [];
+        this.baseSpeed = profile ? profile.speed : CONFIG.INITIAL_SNAKE_SPEED;
+        this.levelIndex = profile ? profile.level : null;
+        this.clearedLevels = profile ? profile.clearedLevels : [];
+        this.bindings = profile ? profile.bindings : defaultBindings();
+        this.touchSettings = profile ? profile.touch : defaultTouchSettings();
+        this.audioSettings = profile ? profile.audio : defaultAudioSettings();
+        this.accessibility = profile ? profile.accessibility : defaultAccessibility();
+        this.cameraSettings = profile ? profile.camera : defaultCameraSettings();
+        this.achievements = profile ? new AchievementTracker(profile.achievements) : null;
+        this.showGhost = profile ? profile.showGhost : true;
+
+        this.sim.setBaseSpeed(this.baseSpeed);
+        this.sim.setMode(this.mode);
+        this.sim.setBestOf(this.bestOf);
+        this.sim.setLevel(this.levelIndex);
+        this.applyTheme();
+        this.userDisplay.innerText = this.userName;
+        this.applyBindings();
+        this.applyTouchSettings();
+        this.applyAudioSettings();
+        this.applyAccessibility();
+        this.applyCameraSettings();
+        this.syncMode();
+        this.buildRewardColors();
+
+        this.syncOption('#color-options', opt => opt.dataset.color === this.snakeColor);
+        this.syncOption('#rival-color-options', opt => opt.dataset.color === this.rivalColor);
+        this.syncOption('#match-options', opt => parseInt(opt.dataset.bestOf, 10) === this.bestOf);
+        this.syncOption('#rival-options', opt => opt.dataset.rival === this.rivalPilot);
+        this.syncOption('#speed-options', opt => parseFloat(opt.dataset.speed) === this.baseSpeed);
+        this.syncToggle('ghost-toggle', this.showGhost);
+        this.syncLevelOptions();
+    }
+
+    /** The chosen theme as designed, for the lab to list, export and remove. */
+    get baseTheme() {
+        return findTheme(this.gameTheme, this.customThemes);
+    }
+
+    /** The theme as drawn, with any accessible palette laid over it. */
+    get theme() {
+        return accessibleTheme(this.baseTheme, this.accessibility.palette);
+    }
+
+    /** One option per built-in and imported theme; imported ones change per pilot. */
+    buildThemeOptions() {
+        const container = document.getElementById('theme-options');
+        container.innerHTML = '';
+        [...Object.values(THEMES), ...this.customThemes].forEach(theme => {
+            const opt = document.createElement('div');
+            opt.className = 'opt';
+            opt.dataset.theme = theme.id;
+            opt.title = theme.name;
+            const icon = document.createElement('i');
+            icon.className = `fas ${theme.icon}`;
+            opt.appendChild(icon);
+            opt.addEventListener('click', () => this.selectTheme(theme.id));
+            container.appendChild(opt);
+        });
+    }
+
+    selectTheme(id) {
+        this.gameTheme = id;
+        this.profiles.update({ theme: id });
+        this.applyTheme();
+    }
+
+    applyTheme() {
+        this.buildThemeOptions();
+        const theme = this.theme;
+        this.renderer.setTheme(theme);
+        this.syncColors();
+        this.syncOption('#theme-options', opt => opt.dataset.theme === theme.id);
+        document.getElementById('theme-name').innerText = theme.name;
+        document.getElementById('remove-theme').disabled = !!THEMES[theme.id];
+    }
+
+    /** Sets a pilot's core color: player 0 is the pilot, 1 the versus rival. */
+    selectColor(player, color) {
+        const group = player === 0 ? '#color-options' : '#rival-color-options';
+        this.syncOption(group, opt => opt.dataset.color === color);
+        if (player === 0) {
+            this.snakeColor = color;
+            this.profiles.update({ color });
+        } else {
+            this.rivalColor = color;
+            this.profiles.update({ rivalColor: color });
+        }
+        this.syncColors();
+    }
+
+    /** Adds the core colors the pilot's achievements unlocked to both color pickers, ahead of the theme swatch. */
+    buildRewardColors() {
+        const rewards = this.achievements ? rewardColors(this.achievements.record) : [];
+        [['#color-options', 0], ['#rival-color-options', 1]].forEach(([group, player]) => {
+            const container = document.querySelector(group);
+            container.querySelectorAll('.reward').forEach(opt => opt.remove());
+            const themeOpt = container.querySelector('[data-color="theme"]');
+            rewards.forEach(({ color, name }) => {
+                const opt = document.createElement('div');
+                opt.className = 'opt reward';
+                opt.dataset.color = color;
+                opt.title = name;
+                opt.style.background = color;
+                opt.addEventListener('click', () => this.selectColor(player, color));
+                container.insertBefore(opt, themeOpt);
+            });
+        });
+    }
+
+    /** Resolves the "theme" core color and passes both pilots' colors on. */
+    syncColors() {
+        const palette = this.theme.palette;
+        document.querySelector('#color-options [data-color="theme"]').style.background = palette.snake;
+        document.querySelector('#rival-color-options [data-color="theme"]').style.background = palette.rival;
+        this.renderer.snakeColor = this.playerColor(0);
+        this.renderer.rivalColor = this.playerColor(1);
+    }
+
+    importTheme(text) {
+        let theme;
+        try {
+            theme = parseTheme(text);
+        } catch (e) {
+            alert(`Theme failed to load: ${e.message}`);
+            return;
+        }
+        if (THEMES[theme.id]) {
+            alert(`Theme failed to load: "${theme.id}" is a built-in theme`);
+            return;
+        }
+        // Importing a theme again replaces the old copy
+        this.customThemes = [...this.customThemes.filter(t => t.id !== theme.id), theme];
+        this.profiles.update({ customThemes: this.customThemes });
+        this.selectTheme(theme.id);
+    }
+
+    exportTheme() {
+        const theme = this.baseTheme;
+        const blob = new Blob([JSON.stringify(theme, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `snike-theme-${theme.id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    removeTheme() {
+        const id = this.baseTheme.id;
+        if (THEMES[id]) return;
+        this.customThemes = this.customThemes.filter(t => t.id !== id);
+        this.profiles.update({ customThemes: this.customThemes });
+        this.selectTheme('space');
+    }
+
+    buildPaletteOptions() {
+        const container = document.getElementById('palette-options');
+        Object.values(ACCESSIBLE_PALETTES).forEach(palette => {
+            const opt = document.createElement('div');
+            opt.className = 'opt';
+            opt.dataset.palette = palette.id;
+            opt.title = palette.name;
+            // Swatches of the two cores it gives the pilots
+            if (palette.palette) {
+                opt.innerHTML = '<span class="swatch"></span><span class="swatch"></span>';
+                opt.children[0].style.background = palette.palette.snake;
+                opt.children[1].style.background = palette.palette.rival;
+            } else {
+                opt.innerHTML = '<i class="fas fa-palette"></i>';
+            }
+            opt.addEventListener('click', () => this.setAccessibility({ palette: palette.id }));
+            container.appendChild(opt);
+        });
+    }
+
+    setAccessibility(changes) {
+        this.accessibility = { ...this.accessibility, ...changes };
+        this.profiles.update({ accessibility: this.accessibility });
+        this.applyAccessibility();
+        if (changes.palette) this.applyTheme();
+    }
+
+    applyAccessibility() {
+        const settings = this.accessibility;
+        const reduced = prefersReducedMotion(settings, !!(this.motionQuery && this.motionQuery.matches));
+        document.body.classList.toggle('reduced-motion', reduced);
+        this.renderer.reducedMotion = reduced;
+
+        this.syncOption('#motion-options', opt => opt.dataset.motion === settings.motion);
+        this.syncOption('#palette-options', opt => opt.dataset.palette === settings.palette);
+        this.syncToggle('announce-toggle', settings.announce);
+        this.syncToggle('flip-cue-toggle', settings.flipCue);
+    }
+
+    buildZoomOptions() {
+        const container = document.getElementById('zoom-options');
+        Object.values(ZOOM_LEVELS).forEach(zoom => {
+            const opt = document.createElement('div');
+            opt.className = 'opt';
+            opt.dataset.zoom = zoom.id;
+            opt.title = zoom.name;
+            opt.innerHTML = `<i class="fas ${zoom.icon}"></i>`;
+            opt.addEventListener('click', () => this.setCameraSettings({ zoom: zoom.id }));
+            container.appendChild(opt);
+        });
+    }
+
+    setCameraSettings(changes) {
+        this.cameraSettings = { ...this.cameraSettings, ...changes };
+        this.profiles.update({ camera: this.cameraSettings });
+        this.applyCameraSettings();
+    }
+
+    applyCameraSettings() {
+        const settings = this.cameraSettings;
+        this.renderer.camera.setZoom(settings.zoom);
+        this.syncOption('#zoom-options', opt => opt.dataset.zoom === settings.zoom);
+        this.syncToggle('minimap-toggle', settings.minimap);
+    }
+
+    setShowGhost(on) {
+        this.showGhost = on;
+        this.profiles.update({ showGhost: on });
+        this.syncToggle('ghost-toggle', on);
+        this.loadGhost();
+    }
+
+    /** Picks the best run of the current run's mode and speed to race, when the pilot wants one. */
+    loadGhost() {
+        const recorder = this.ghostRecorder;
+        this.ghost = recorder && this.showGhost ? this.profiles.ghost(recorder.mode, recorder.speed) : null;
+        this.updateGhostDelta();
+    }
+
+    /** How far the live score is ahead of or behind the ghost's at the same moment of its run. */
+    updateGhostDelta() {
+        const racing = !!this.ghost && !this.replay && this.gameState !== 'START';
+        this.ghostDeltaEl.hidden = !racing;
+        if (!racing) return;
+        const delta = this.sim.score - ghostScoreAt(this.ghost, this.ghostRecorder.ticks);
+        const text = delta > 0 ? `+${delta}` : delta < 0 ? `−${-delta}` : '±0';
+        this.ghostDeltaEl.innerText = `GHOST ${text}`;
+        this.ghostDeltaEl.classList.toggle('ahead', delta > 0);
+        this.ghostDeltaEl.classList.toggle('behind', delta < 0);
+    }
+
+    /** The ghost snake where its run was at this point of the live one, or null when not racing. */
+    ghostSnake(alpha) {
+        if (!this.ghost || this.replay || this.gameState === 'START') return null;
+        const ticks = this.ghostRecorder.ticks + (this.gameState === 'PLAYING' ? alpha : 0);
+        return ghostTrail(this.ghost, ticks, this.sim.width, this.sim.height);
+    }
+
+    syncToggle(id, on) {
+        const toggle = document.getElementById(id);
+        toggle.classList.toggle('active', on);
+        toggle.setAttribute('aria-pressed', on);
+    }
+
+    /** Puts a message in the live region, unless the pilot turned announcements off. */
+    announce(text) {
+        if (!this.accessibility.announce || this.replay) return;
+        // Screen readers skip a repeat of the same text, so a repeat gets told apart
+        this.announcer.textContent = this.announcer.textContent === text ? `${text}\u00a0` : text;
+    }
+
+    buildModeOptions() {
+        const container = document.getElementById('mode-options');
+        Object.values(MODES).forEach(mode => {
+            const opt = document.createElement('div');
+            opt.className = 'opt';
+            opt.dataset.mode = mode.id;
+            opt.title = mode.name;
+            opt.innerHTML = `<i class="fas ${mode.icon}"></i>`;
+            opt.addEventListener('click', () => {
+                this.mode = mode.id;
+                this.profiles.update({ mode: mode.id });
+                this.sim.setMode(mode.id);
+                this.init();
+                this.syncMode();
+            });
+            container.appendChild(opt);
+        });
     }
 
-    initStars() {
-        const stars = [];
-        for (let i = 0; i < 100; i++) {
-            stars.push({
-                x: Math.random() * 2000,
-                y: Math.random() * 2000,
-                size: Math.random() * 2,
-                speed: Math.random() * 0.5 + 0.1
+    /**
+     * Refreshes everything that depends on the selected mode: picker, best
+     * score, leaderboards, and the versus match settings and key hints.
+     */
+    syncMode() {
+        const mode = MODES[this.mode];
+        const versus = mode.players > 1;
+        this.syncOption('#mode-options', opt => opt.dataset.mode === this.mode);
+        document.getElementById('mode-name').innerText = mode.name.toUpperCase();
+        document.getElementById('mode-description').innerText = mode.description;
+        document.querySelector('.match-select').hidden = !versus;
+        document.querySelector('.level-select').hidden = versus || !!mode.daily;
+        this.syncDaily();
+        this.updateControlsHint();
+        this.highScore = this.profiles.highScore(this.mode);
+        this.updateScoreUI();
+        this.renderLeaderboards();
+    }
+
+    /** The controls panel on the start screen, spelled out from the pilot's bindings. */
+    updateControlsHint() {
+        const { keyboard, versusOne, versusTwo, gamepad } = this.bindings;
+        const versus = MODES[this.mode].players > 1;
+        const rival = versus && this.rivalPilot !== 'bot';
+        document.getElementById('hint-move').innerText = versus
+            ? `P1 ${describeMoves(versusOne)}${rival ? ` · P2 ${describeMoves(versusTwo)}` : ''}`
+            : describeMoves(keyboard);
+        document.getElementById('hint-flip').innerText = versus
+            ? `P1 ${describeAction(versusOne, 'flip')}${rival ? ` · P2 ${describeAction(versusTwo, 'flip')}` : ''}`
+            : describeAction(keyboard, 'flip');
+        document.getElementById('hint-pause').innerText = describeAction(keyboard, 'pause');
+        document.getElementById('pause-key').innerText = describeAction(keyboard, 'pause');
+        document.getElementById('hint-pad').hidden = !this.pads.some(pad => pad.connected);
+        document.getElementById('hint-pad-keys').innerText =
+            `STICK · ${describeAction(gamepad, 'flip', 'gamepad')} · ${describeAction(gamepad, 'pause', 'gamepad')}`;
+    }
+
+    /** Score and best score solo; one score per pilot, in their colors, in versus. */
+    updateScoreUI() {
+        const versus = this.sim.players > 1;
+        this.scoreLabelEl.innerText = versus ? 'P1' : 'SCORE';
+        this.highScoreLabelEl.innerText = versus ? 'P2' : 'BEST';
+        this.scoreLabelEl.style.color = versus ? this.playerColor(0) : '';
+        this.highScoreLabelEl.style.color = versus ? this.playerColor(1) : '';
+        this.scoreEl.innerText = this.padScore(this.sim.scores[0]);
+        this.highScoreEl.innerText = this.padScore(versus ? this.sim.scores[1] : this.highScore);
+    }
+
+    /** Round wins as filled pips out of the wins the match needs. */
+    winPips(player) {
+        const wins = this.sim.wins[player];
+        return '●'.repeat(wins) + '○'.repeat(Math.max(0, this.sim.winsNeeded - wins));
+    }
+
+    /** Mode-specific HUD line: the clock in Time Attack, the flip interval in Survival, player two's wins in Versus. */
+    updateModeStatus() {
+        const mode = this.sim.mode;
+        let status = '';
+        if (mode.players > 1) status = this.winPips(1);
+        else if (mode.timeLimit) status = `TIME ${this.formatTime(this.sim.timeLeft + 999)}`;
+        else if (mode.gravityShrink) status = `FLIP ${(this.sim.gravityInterval / 1000).toFixed(1)}s`;
+        else if (mode.id !== 'classic') status = mode.name.toUpperCase();
+        if (this.botRun && !this.replay && this.gameState !== 'START') status = status ? `BOT · ${status}` : 'AUTOPILOT';
+        if (this.modeStatusEl.innerText !== status) this.modeStatusEl.innerText = status;
+    }
+
+    /** One draining bar per running power-up, tagged with its pilot in versus. Rebuilt only when the set changes. */
+    updateEffectTimers() {
+        const versus = this.sim.players > 1;
+        const effects = [];
+        for (let p = 0; p < this.sim.players; p++) {
+            this.sim.effectsOf(p).forEach(e => effects.push({ ...e, player: p }));
+        }
+        const key = effects.map(e => `${e.player}:${e.id}`).join();
+        if (key !== this.effectTimersKey) {
+            this.effectTimersKey = key;
+            this.effectTimersEl.innerHTML = effects.map(e => {
+                const pickup = PICKUPS[e.id];
+                const owner = versus ? `<span class="effect-owner">P${e.player + 1}</span>` : '';
+                return `<div class="effect-timer" title="${pickup.name}" style="--effect-color: ${pickup.color}">
+                    ${owner}<i class="fas ${pickup.icon}"></i><span class="effect-bar"><span></span></span>
+                </div>`;
+            }).join('');
+        }
+        effects.forEach((e, i) => {
+            const bar = this.effectTimersEl.children[i].querySelector('.effect-bar span');
+            bar.style.width = `${Math.max(0, e.remaining / e.duration) * 100}%`;
+        });
+    }
+
+    /** Free play plus one button per campaign level. */
+    buildLevelOptions() {
+        const container = document.getElementById('level-options');
+        [null, ...LEVELS.map((level, i) => i)].forEach(index => {
+            const opt = document.createElement('div');
+            opt.className = 'opt';
+            opt.dataset.level = index === null ? '' : index;
+            opt.innerText = index === null ? '∞' : index + 1;
+            opt.title = index === null ? 'Free Play' : LEVELS[index].name;
+            opt.addEventListener('click', () => {
+                this.levelIndex = index;
+                this.profiles.update({ level: index });
+                this.sim.setLevel(index);
+                this.syncLevelOptions();
             });
+            container.appendChild(opt);
+        });
+    }
+
+    syncLevelOptions() {
+        document.querySelectorAll('#level-options .opt').forEach(opt => {
+            const index = opt.dataset.level === '' ? null : parseInt(opt.dataset.level, 10);
+            this.markOption(opt, index === this.levelIndex);
+            opt.classList.toggle('cleared', index !== null && this.clearedLevels.includes(index));
+        });
+    }
+
+    updateLevelUI() {
+        const level = this.sim.level;
+        if (this.sim.players > 1) {
+            this.levelProgressEl.innerText = this.winPips(0);
+            return;
         }
-        return stars;
+        this.levelProgressEl.innerText = level
+            ? `L${this.sim.levelIndex + 1} ${level.name.toUpperCase()} · ${this.sim.levelScore}/${level.targetScore}`
+            : '';
     }
 
+    /** One tab per binding set in the lab's controls section. */
+    buildBindingSetOptions() {
+        const container = document.getElementById('binding-set-options');
+        Object.entries(BINDING_SETS).forEach(([id, set]) => {
+            const opt = document.createElement('div');
+            opt.className = 'opt';
+            opt.dataset.set = id;
+            opt.innerText = set.name.toUpperCase();
+            opt.addEventListener('click', () => {
+                this.cancelCapture();
+                this.bindingSet = id;
+                this.renderBindings();
+            });
+            container.appendChild(opt);
+        });
+    }
+
+    /** Rows of the selected binding set: the action, then one button per slot. */
+    renderBindings() {
+        const set = BINDING_SETS[this.bindingSet];
+        const layout = this.bindings[this.bindingSet];
+        this.syncOption('#binding-set-options', opt => opt.dataset.set === this.bindingSet);
+        const list = document.getElementById('binding-list');
+        list.innerHTML = '';
+        set.actions.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            const name = document.createElement('span');
+            name.className = 'binding-action';
+            name.innerText = ACTION_NAMES[action];
+            row.appendChild(name);
+            for (let slot = 0; slot < BINDING_SLOTS; slot++) {
+                const capturing = this.capture && this.capture.action === action && this.capture.slot === slot;
+                const input = layout[action][slot];
+                const button = document.createElement('button');
+                button.className = 'binding-slot';
+                button.classList.toggle('capturing', !!capturing);
+                button.innerText = capturing
+                    ? (set.device === 'gamepad' ? 'PRESS BUTTON' : 'PRESS KEY')
+                    : (input === undefined ? '—' : inputLabel(set.device, input));
+                button.addEventListener('click', () => {
+                    if (capturing) this.cancelCapture();
+                    else this.startCapture(action, slot);
+                });
+                row.appendChild(button);
+            }
+            list.appendChild(row);
+        });
+    }
+
+    /** Points every controller and hint at the current bindings. */
+    applyBindings() {
+        this.pads.forEach(pad => pad.layout = this.bindings.gamepad);
+        // A run paused for the lab picks up the new keys when it resumes
+        if (this.controllers.length) this.buildControllers(this.botRun);
+        this.renderBindings();
+        this.updateControlsHint();
+    }
+
+    setBindings(bindings) {
+        this.bindings = bindings;
+        this.profiles.update({ bindings });
+        this.applyBindings();
+    }
+
+    startCapture(action, slot) {
+        this.capture = { set: this.bindingSet, action, slot };
+        this.renderBindings();
+    }
+
+    cancelCapture() {
+        if (!this.capture) return;
+        this.capture = null;
+        this.renderBindings();
+    }
+
+    /** Binds the waiting slot to `input`, or clears it when `input` is null. */
+    finishCapture(input) {
+        const { set, action, slot } = this.capture;
+        this.capture = null;
+        this.setBindings(rebind(this.bindings, set, action, slot, input));
+    }
+
+    /** A key press while a slot is waiting: Escape cancels, Backspace clears, anything else binds a keyboard slot. */
+    captureKey(key) {
+        if (key === 'Escape') this.cancelCapture();
+        else if (key === 'Backspace' || key === 'Delete') this.finishCapture(null);
+        else if (BINDING_SETS[this.capture.set].device === 'keyboard') this.finishCapture(key);
+    }
+
+    /** One button per touch scheme in the lab. */
+    buildTouchSchemeOptions() {
+        const container = document.getElementById('touch-scheme-options');
+        Object.values(TOUCH_SCHEMES).forEach(scheme => {
+            const opt = document.createElement('div');
+            opt.className = 'opt';
+            opt.dataset.scheme = scheme.id;
+            opt.title = scheme.name;
+            opt.innerHTML = `<i class="fas ${scheme.icon}"></i>`;
+            opt.addEventListener('click', () => this.setTouchSettings({ scheme: scheme.id }));
+            container.appendChild(opt);
+        });
+    }
+
+    setTouchSettings(changes) {
+        this.touchSettings = { ...this.touchSettings, ...changes };
+        this.profiles.update({ touch: this.touchSettings });
+        this.applyTouchSettings();
+    }
+
+    setAudioSettings(changes) {
+        this.audioSettings = { ...this.audioSettings, ...changes };
+        this.profiles.update({ audio: this.audioSettings });
+        this.applyAudioSettings();
+    }
+
+    applyAudioSettings() {
+        const settings = this.audioSettings;
+        this.audio.setSettings(settings);
+        AUDIO_CHANNELS.forEach(channel => {
+            const slider = document.getElementById(`volume-${channel}`);
+            slider.value = Math.round(settings[channel] * 100);
+            slider.disabled = settings.muted;
+            document.getElementById(`volume-${channel}-value`).innerText = `${Math.round(settings[channel] * 100)}%`;
+        });
+        const mute = document.getElementById('mute-toggle');
+        mute.classList.toggle('active', settings.muted);
+        mute.innerHTML = settings.muted
+            ? '<i class="fas fa-volume-xmark"></i> UNMUTE'
+            : '<i class="fas fa-volume-high"></i> MUTE';
+    }
+
+    /** Shows the chosen scheme and parks the joystick in the corner under the steering thumb. */
+    applyTouchSettings() {
+        const { scheme, placement, size, leftHanded } = this.touchSettings;
+        Object.keys(TOUCH_SCHEMES).forEach(id => this.container.classList.toggle(`scheme-${id}`, id === scheme));
+        this.container.classList.toggle('placement-floating', placement === 'floating');
+        this.container.classList.toggle('left-handed', leftHanded);
+
+        const diameter = JOYSTICK_SIZES[size];
+        const margin = 30 + diameter / 2;
+        this.stick.anchor = {
+            x: leftHanded ? this.container.clientWidth - margin : margin,
+            y: this.container.clientHeight - margin
+        };
+        this.container.style.setProperty('--stick-size', `${diameter}px`);
+        this.releaseStick();
+
+        this.syncOption('#touch-scheme-options', opt => opt.dataset.scheme === scheme);
+        this.syncOption('#touch-placement-options', opt => opt.dataset.placement === placement);
+        this.syncOption('#touch-size-options', opt => opt.dataset.size === size);
+        this.syncOption('#touch-hand-options', opt => (opt.dataset.leftHanded === 'true') === leftHanded);
+    }
+
+    /** Pointer position inside the game container. */
+    touchPoint(e) {
+        const rect = this.container.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * A finger landing on the play field. In the joystick scheme the
+     * steering thumb's half of the screen grabs the stick (a fixed one only
+     * near its base); every other touch is a swipe or a tap.
+     */
+    touchDown(e) {
+        if (e.pointerType === 'mouse' || this.gameState !== 'PLAYING' || this.replay) return;
+        if (e.target.closest('button')) return;
+        const point = this.touchPoint(e);
+        const { scheme, placement, size, leftHanded } = this.touchSettings;
+        if (scheme === 'joystick' && this.stick.pointer === null) {
+            const half = this.container.clientWidth / 2;
+            const onStickSide = leftHanded ? point.x > half : point.x < half;
+            const radius = JOYSTICK_SIZES[size] / 2;
+            const nearBase = Math.hypot(point.x - this.stick.anchor.x, point.y - this.stick.anchor.y) < radius * 1.5;
+            if (placement === 'floating' ? onStickSide : nearBase) {
+                this.stick.pointer = e.pointerId;
+                this.stick.origin = placement === 'floating' ? point : this.stick.anchor;
+                this.joystickEl.classList.add('held');
+                this.moveStick(point);
+                return;
+            }
+        }
+        this.gestures.down(e.pointerId, point.x, point.y, e.timeStamp);
+    }
+
+    touchMove(e) {
+        const point = this.touchPoint(e);
+        if (e.pointerId === this.stick.pointer) {
+            this.moveStick(point);
+            return;
+        }
+        const swipe = this.gestures.move(e.pointerId, point.x, point.y);
+        if (swipe && this.touchSettings.scheme === 'swipe') this.touch.direction = swipe;
+    }
+
+    touchUp(e, cancelled = false) {
+        if (e.pointerId === this.stick.pointer) {
+            this.releaseStick();
+            return;
+        }
+        if (cancelled) {
+            this.gestures.cancel(e.pointerId);
+            return;
+        }
+        const point = this.touchPoint(e);
+        if (this.gestures.up(e.pointerId, point.x, point.y, e.timeStamp)) this.touch.queueFlip();
+    }
+
+    moveStick(point) {
+        const { origin } = this.stick;
+        const { steer, knob } = joystickSteer(origin, point, JOYSTICK_SIZES[this.touchSettings.size] / 2);
+        this.touch.direction = steer;
+        this.placeJoystick(origin, knob);
+    }
+
+    /** Lets go of the stick: the snake keeps its heading and the base returns to its corner. */
+    releaseStick() {
+        if (this.stick.pointer !== null) this.touch.direction = null;
+        this.stick.pointer = null;
+        this.stick.origin = null;
+        this.joystickEl.classList.remove('held');
+        this.placeJoystick(this.stick.anchor, { x: 0, y: 0 });
+    }
+
+    placeJoystick(origin, knob) {
+        this.joystickEl.style.setProperty('--stick-x', `${origin.x}px`);
+        this.joystickEl.style.setProperty('--stick-y', `${origin.y}px`);
+        this.joystickKnob.style.transform = `translate(${knob.x}px, ${knob.y}px)`;
+    }
+
+    syncOption(group, isActive) {
+        document.querySelector(group).setAttribute('role', 'radiogroup');
+        document.querySelectorAll(`${group} .opt`).forEach(opt => this.markOption(opt, isActive(opt)));
+    }
+
+    /** Options are radio buttons to assistive tech and reachable with Tab. */
+    markOption(opt, active) {
+        opt.classList.toggle('active', active);
+        opt.tabIndex = 0;
+        opt.setAttribute('role', 'radio');
+        opt.setAttribute('aria-checked', active);
+        if (opt.title && !opt.hasAttribute('aria-label')) opt.setAttribute('aria-label', opt.title);
+    }
+
+    renderProfileList() {
+        const list = document.getElementById('profile-list');
+        list.innerHTML = '';
+        this.profiles.names.forEach(name => {
+            const chip = document.createElement('button');
+            chip.className = 'profile-chip';
+            chip.innerText = name;
+            chip.addEventListener('click', () => this.login(name));
+            list.appendChild(chip);
+        });
+    }
+
+    speedLabel(speed) {
+        const opt = document.querySelector(`#speed-options .opt[data-speed="${speed}"]`);
+        return opt ? opt.textContent.trim() : `${speed}`;
+    }
+
+    /** Fills both leaderboard panels for the selected mode, highlighting `highlightRank` (1-based) if given. */
+    renderLeaderboards(highlightRank = 0) {
+        const board = this.profiles.leaderboardFor(this.mode);
+        // Versus has no solo scores to rank
+        document.querySelectorAll('.leaderboard-panel').forEach(panel => {
+            panel.hidden = MODES[this.mode].players > 1;
+        });
+        document.querySelectorAll('.leaderboard-title').forEach(title => {
+            title.innerText = `TOP PILOTS · ${MODES[this.mode].name.toUpperCase()}`;
+        });
+        ['start-leaderboard', 'over-leaderboard'].forEach(id => {
+            const list = document.getElementById(id);
+            list.innerHTML = '';
+            if (!board.length) {
+                const empty = document.createElement('li');
+                empty.className = 'empty';
+                empty.innerText = 'No runs logged yet';
+                list.appendChild(empty);
+                return;
+            }
+            board.forEach((entry, i) => {
+                const row = document.createElement('li');
+                row.classList.toggle('highlight', i + 1 === highlightRank);
+
+                const name = document.createElement('span');
+                name.className = 'lb-name';
+                name.innerText = entry.name;
+                const score = document.createElement('span');
+                score.className = 'lb-score';
+                score.innerText = this.padScore(entry.score);
+                const meta = document.createElement('span');
+                meta.className = 'lb-meta';
+                const date = new Date(entry.date).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+                meta.innerText = `${this.speedLabel(entry.speed)} · ${this.formatTime(entry.duration)} · ${date}`;
+
+                row.append(name, score, meta);
+                list.appendChild(row);
+            });
+        });
+    }
+
+    init() {
+        this.sim.reset();
+        this.demo = null;
+        this.renderer.clearParticles();
+        this.syncHud();
+    }
+
+    /** Only the view changes with the window; the world keeps its size. */
     handleResize() {
         const container = document.getElementById('game-container');
-        const dpr = window.devicePixelRatio || 1;
-        this.logicalWidth = container.clientWidth;
-        this.logicalHeight = container.clientHeight;
+        this.renderer.resize(container.clientWidth, container.clientHeight);
+    }
+
+    /** Pauses whatever is playing when the page is hidden. */
+    pauseHidden() {
+        if (this.replay) {
+            if (!this.replay.paused) this.toggleReplayPause();
+        } else if (this.gameState === 'PLAYING') {
+            this.sim.togglePause();
+        }
+    }
 
-        this.canvas.width = this.logicalWidth * dpr;
-        this.canvas.height = this.logicalHeight * dpr;
-        this.ctx.scale(dpr, dpr);
-        this.canvas.style.width = this.logicalWidth + 'px';
-        this.canvas.style.height = this.logicalHeight + 'px';
+    /** Whether the game was started from the home screen rather than in a browser tab. */
+    launchedAsApp() {
+        return !!window.matchMedia && window.matchMedia('(display-mode: fullscreen), (display-mode: standalone)').matches;
+    }
 
-        if (this.food) {
-            this.food.width = this.logicalWidth;
-            this.food.height = this.logicalHeight;
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+            return;
         }
+        document.documentElement.requestFullscreen({ navigationUI: 'hide' })
+            .then(() => this.lockOrientation())
+            .catch(() => {
+                // Refused here, e.g. by a policy or an embedding frame, so the button goes
+                this.fullscreenRefused = true;
+                this.syncFullscreen();
+            });
+    }
+
+    /** The button shows what it will do, and is hidden where the page cannot go fullscreen. */
+    syncFullscreen() {
+        const on = !!document.fullscreenElement;
+        this.fullscreenButton.hidden = !document.fullscreenEnabled || this.fullscreenRefused;
+        this.fullscreenButton.querySelector('i').className = `fas ${on ? 'fa-compress' : 'fa-expand'}`;
+        this.fullscreenButton.title = on ? 'Exit fullscreen' : 'Fullscreen';
+        this.fullscreenButton.setAttribute('aria-label', this.fullscreenButton.title);
+    }
+
+    /**
+     * Holds the screen in landscape, which the arena is shaped for. Browsers
+     * only allow it fullscreen or installed, and some never do; then the
+     * game simply fits whichever way the screen is turned.
+     */
+    lockOrientation() {
+        if (!screen.orientation || !screen.orientation.lock) return;
+        screen.orientation.lock('landscape').catch(() => {});
+    }
+
+    /** Installs the service worker (sw.js) and watches for new versions of the game. */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // Only a worker installed beside a running one is an update; the first is just the game going offline-ready
+            if (registration.waiting && navigator.serviceWorker.controller) this.offerUpdate(registration.waiting);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) this.offerUpdate(worker);
+                });
+            });
+        }).catch(() => {}); // The game still plays, just not offline
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.waitingWorker || this.reloading) return;
+            this.reloading = true;
+            location.reload();
+        });
+    }
+
+    offerUpdate(worker) {
+        this.waitingWorker = worker;
+        this.updatePromptEl.hidden = false;
+    }
+
+    /** Lets the waiting version take over; the page reloads into it once it has. */
+    applyUpdate() {
+        this.updatePromptEl.hidden = true;
+        if (this.waitingWorker) this.waitingWorker.postMessage({ type: 'skipWaiting' });
     }
 
     handleInput(key) {
-        if (key === ' ' && this.gameState === 'PLAYING') {
-            this.flipGravity();
+        if (this.replay) {
+            if (key === ' ') this.toggleReplayPause();
+            if (key === 'Escape') this.exitReplay();
+            return;
         }
-        if (key === 'Escape') {
-            this.togglePause();
+        if (this.gameState === 'PLAYING') {
+            this.keyboards.forEach(keyboard => keyboard.keyDown(key));
+        }
+        if (this.bindings.keyboard.pause.includes(keyName(key))) {
+            this.sim.togglePause();
         }
     }
 
-    start() {
+    /** The live snapshot of the pad in a player slot, or null. */
+    padFor(slot) {
+        const index = this.padIndices[slot];
+        if (index === null || index === undefined || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[index] || null;
+    }
+
+    padConnected(gamepad) {
+        let slot = this.padIndices.indexOf(null);
+        if (slot < 0) slot = this.padIndices.length;
+        this.padIndices[slot] = gamepad.index;
+        this.showBanner(`GAMEPAD ${slot + 1} CONNECTED`, this.playerColor(Math.min(slot, 1)));
+        this.updateControlsHint();
+    }
+
+    /** Losing a pad mid-run pauses, so its pilot is not left flying blind. */
+    padDisconnected(gamepad) {
+        const slot = this.padIndices.indexOf(gamepad.index);
+        if (slot < 0) return;
+        this.padIndices[slot] = null;
+        if (this.gameState === 'PLAYING' && !this.replay && slot < this.sim.players) this.sim.togglePause();
+        this.showBanner(`GAMEPAD ${slot + 1} LOST`, '#fff');
+        this.updateControlsHint();
+    }
+
+    /**
+     * Samples every pad once per frame. Flip presses wait in the pad for
+     * the next tick; pause (Start) pauses and resumes, or starts a run from
+     * the menus. While a lab slot is waiting, the first button binds it.
+     */
+    pollPads() {
+        this.pads.forEach(pad => {
+            const pressed = pad.poll();
+            if (this.gameState !== 'PLAYING') pad.flipQueued = false;
+            if (!pressed.length) return;
+            if (this.capture) {
+                if (BINDING_SETS[this.capture.set].device === 'gamepad') this.finishCapture(pressed[0]);
+                return;
+            }
+            if (!pressed.some(button => pad.layout.pause.includes(button))) return;
+            if (this.replay) this.toggleReplayPause();
+            else if (this.gameState === 'PLAYING' || this.gameState === 'PAUSED') this.sim.togglePause();
+            else if (this.gameState === 'START' || this.gameState === 'OVER') this.start(this.gameState === 'OVER' && this.botRun);
+        });
+    }
+
+    /**
+     * Who flies each snake this run. Solo, the keyboard, the mobile d-pad
+     * and the first gamepad share the snake; in versus each pilot gets half
+     * the keyboard (by default WASD for player one and the arrows for player
+     * two) and a gamepad of their own. `bot` hands player one to the
+     * autopilot, and the rival setting can do the same for player two.
+     */
+    buildControllers(bot) {
+        const versus = this.sim.players > 1;
+        const { keyboard, versusOne, versusTwo } = this.bindings;
+        this.touch = new TouchController();
+        const keyboards = versus
+            ? [new KeyboardController(this.keys, versusOne), new KeyboardController(this.keys, versusTwo)]
+            : [new KeyboardController(this.keys, keyboard)];
+        const controllers = versus
+            ? keyboards.map((keys, p) => new MergedController(keys, this.pads[p]))
+            : [new MergedController(keyboards[0], this.touch, this.pads[0])];
+        if (bot) controllers[0] = new Autopilot();
+        if (versus && this.rivalPilot === 'bot') controllers[1] = new Autopilot();
+
+        // Flip keys only go to keyboards that are still flying a snake
+        this.keyboards = keyboards.filter((keyboard, p) => !(controllers[p] instanceof Autopilot));
+        this.controllers = controllers;
+    }
+
+    /**
+     * @param {boolean} [bot] Let the autopilot fly player one ("watch bot play")
+     * @param {boolean} [practice] Fly the daily challenge without spending the day's scored attempt
+     */
+    start(bot = false, practice = false) {
         console.log("Initializing mission...");
         this.audio.init();
-        this.init();
-        this.gameState = 'PLAYING';
-        this.lastGravityChange = Date.now();
-        this.startTime = Date.now(); // Invincibility period
+        const day = dailyKey();
+        const daily = !!MODES[this.mode].daily;
+        if (!this.sim.start(daily ? dailySeed(day) : undefined)) return;
+        // The bot flies the day's seed too, but never with the pilot's attempt
+        this.dailyRun = daily && !bot ? { day, practice: practice || !this.dailyAttemptLeft(day) } : null;
+        // The attempt is spent as it starts, so leaving a bad run cannot buy a retry
+        if (this.dailyRun && !this.dailyRun.practice) this.profiles.update({ daily: { day, score: null, code: null } });
+        this.botRun = bot;
+        this.buildControllers(bot);
+        this.demo = null;
+        this.recorder = new Recorder(this.sim);
+        // Versus and bot runs are not the pilot's own to race
+        this.ghostRecorder = !bot && this.sim.players === 1 ? new GhostRecorder(this.sim) : null;
+        this.loadGhost();
+        this.accumulator = 0;
+        this.renderer.reseed(this.sim.seed);
+        this.syncHud();
+    }
+
+    /** Runs one live tick, logging exactly the input the simulation consumed. */
+    stepLive() {
+        if (this.gameState !== 'PLAYING') return;
+        const [input, rivalInput] = this.controllers.map((controller, p) => controllerInput(controller, this.sim, p));
+        this.recorder.record(input, rivalInput);
+        this.sim.step(input, rivalInput);
+        if (this.ghostRecorder) this.ghostRecorder.record(this.sim);
+    }
+
+    /** Starts a fresh attract-mode run with the current mode, level and speed. */
+    startDemo() {
+        const sim = new Simulation();
+        sim.setMode(this.mode);
+        sim.setLevel(this.levelIndex);
+        sim.setBaseSpeed(this.baseSpeed);
+        sim.setState('START');
+        sim.start();
+        this.demo = { sim, pilots: sim.snakes.map(() => new Autopilot()) };
+    }
+
+    stepDemo() {
+        const { sim, pilots } = this.demo;
+        const [input, rivalInput] = pilots.map((pilot, p) => controllerInput(pilot, sim, p));
+        sim.step(input, rivalInput);
+        sim.drainEvents();
+        if (sim.state !== 'PLAYING') this.startDemo();
+    }
+
+    exportSave() {
+        const blob = new Blob([JSON.stringify(this.profiles.exportSave(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `snike-save-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /** Replaces every pilot, score and ghost on this device with a save file's. */
+    importSave(text) {
+        let save;
+        try {
+            save = readSave(text);
+        } catch (e) {
+            alert(`Save failed to load: ${e.message}`);
+            return;
+        }
+        const pilots = Object.keys(save.settings.profiles).length;
+        if (!confirm(`Replace every pilot and score on this device with the ${pilots} pilot(s) in this save?`)) return;
+
+        this.profiles.restore(save);
+        this.applyProfile(this.profiles.active);
+        this.renderProfileList();
+        this.renderLeaderboards();
+        if (!this.profiles.active) this.sim.setState('AUTH');
+        else if (this.gameState === 'AUTH') this.sim.setState('START');
+    }
+
+    saveReplay() {
+        if (!this.recorder) return;
+        const blob = new Blob([JSON.stringify(this.recorder)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `snike-replay-${this.recorder.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    watchReplay(data) {
+        let replay;
+        try {
+            replay = parseReplay(data);
+        } catch (e) {
+            alert(`Replay failed to load: ${e.message}`);
+            return;
+        }
+
+        this.liveSim = this.liveSim || this.sim;
+        this.replay = new ReplayPlayer(replay);
+        this.sim = this.replay.sim;
+        this.accumulator = 0;
+        this.renderer.reseed(replay.seed);
+
+        const scrub = document.getElementById('replay-scrub');
+        scrub.max = this.replay.length;
+        scrub.value = 0;
+        document.getElementById('replay-speed').value = '1';
+        this.syncHud();
+        this.updateReplayBar();
         this.updateOverlays();
     }
 
-    togglePause() {
-        if (this.gameState === 'PLAYING') this.gameState = 'PAUSED';
-        else if (this.gameState === 'PAUSED') this.gameState = 'PLAYING';
+    toggleReplayPause() {
+        if (!this.replay) return;
+        // Restart from the top when pressing play at the end
+        if (this.replay.paused && this.replay.finished) {
+            this.sim = this.replay.seek(0);
+            this.renderer.clearParticles();
+            this.syncHud();
+        }
+        this.replay.paused = !this.replay.paused;
+        this.updateReplayBar();
+    }
+
+    exitReplay() {
+        if (!this.replay) return;
+        this.replay = null;
+        this.sim = this.liveSim;
+        this.liveSim = null;
+        this.renderer.clearParticles();
+        this.syncHud();
         this.updateOverlays();
     }
 
-    flipGravity() {
-        this.gravityIndex = (this.gravityIndex + 1) % GRAVITY_DIRECTIONS.length;
-        this.audio.playGravity();
+    updateReplayBar() {
+        if (!this.replay) return;
+        document.getElementById('replay-scrub').value = this.replay.tick;
+        document.getElementById('replay-time').innerText =
+            `${this.formatTime(this.replay.tick * STEP_MS)} / ${this.formatTime(this.replay.length * STEP_MS)}`;
+        const icon = document.querySelector('#replay-toggle i');
+        icon.className = this.replay.paused ? 'fas fa-play' : 'fas fa-pause';
+    }
+
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    syncHud() {
+        this.updateScoreUI();
         this.updateGravityUI();
-        this.triggerFlash();
+        this.updateLevelUI();
+    }
+
+    /** Hands the events the simulation queued to every subscriber. */
+    publish() {
+        this.sim.drainEvents().forEach(event => this.bus.emit(event.type, event));
     }
 
+    /** Points the arrow along the global pull and sizes it by strength. */
     updateGravityUI() {
-        const g = GRAVITY_DIRECTIONS[this.gravityIndex];
-        this.gravityIcon.innerText = g.icon;
-        this.gravityLabel.innerText = `GRAVITY: ${g.name}`;
+        const g = this.sim.gravity;
+        const strength = g.strength === 1 ? '' : ` ×${g.strength.toFixed(1)}`;
+        this.gravityLabel.innerText = `GRAVITY: ${g.name}${strength}`;
+
+        // The arrow glyph points down, which is 90°
+        let turn = (g.angle - 90 - this.gravityRotation) % 360;
+        if (turn > 180) turn -= 360;
+        if (turn < -180) turn += 360;
+        this.gravityRotation += turn;
+        this.gravityIcon.style.transform = `rotate(${this.gravityRotation}deg) scale(${0.6 + 0.4 * g.strength})`;
+    }
 
-        // Rotate icon based on direction
-        let rotation = 0;
-        if (g.name === 'UP') rotation = 180;
-        if (g.name === 'LEFT') rotation = 90;
-        if (g.name === 'RIGHT') rotation = -90;
-        this.gravityIcon.style.transform = `rotate(${rotation}deg)`;
+    /** Time to the next scheduled change, with the new direction shown once it is telegraphed. */
+    updateGravityCountdown() {
+        const sim = this.sim;
+        const locked = sim.snakes.some((snake, p) => sim.hasEffect('gravityLock', p));
+        const left = sim.gravityCountdown;
+        const warning = !locked && left <= sim.gravityWarningWindow && (sim.state === 'PLAYING' || sim.state === 'PAUSED');
+        const text = locked ? 'HELD' : `${(left / 1000).toFixed(1)}s`;
+        if (this.gravityCountdownEl.innerText !== text) this.gravityCountdownEl.innerText = text;
+        this.gravityIndicator.classList.toggle('warning', warning);
+        this.gravityNextEl.hidden = !warning;
+        if (warning) this.gravityNextEl.style.transform = `rotate(${sim.nextGravity.angle - 90}deg)`;
     }
 
     triggerFlash() {
@@ -507,180 +1679,436 @@ class Game {
     }
 
     updateOverlays() {
-        document.getElementById('auth-screen').classList.toggle('active', this.gameState === 'AUTH');
-        document.getElementById('start-screen').classList.toggle('active', this.gameState === 'START');
-        document.getElementById('customize-screen').classList.toggle('active', this.gameState === 'CUSTOMIZE');
-        document.getElementById('game-over-screen').classList.toggle('active', this.gameState === 'OVER');
-        document.getElementById('pause-screen').classList.toggle('active', this.gameState === 'PAUSED');
+        // While watching a replay only the playback bar is shown
+        const state = this.replay ? 'REPLAY' : this.gameState;
+        document.getElementById('auth-screen').classList.toggle('active', state === 'AUTH');
+        document.getElementById('start-screen').classList.toggle('active', state === 'START');
+        document.getElementById('customize-screen').classList.toggle('active', state === 'CUSTOMIZE');
+        document.getElementById('trophy-screen').classList.toggle('active', state === 'TROPHIES');
+        document.getElementById('game-over-screen').classList.toggle('active', state === 'OVER');
+        document.getElementById('pause-screen').classList.toggle('active', state === 'PAUSED');
+        document.getElementById('replay-bar').classList.toggle('active', state === 'REPLAY');
+        // Swapping pilots under a paused run would change its rules halfway through
+        document.getElementById('import-save').disabled = this.previousState === 'PAUSED';
+        this.focusOverlay(state);
 
         if (this.gameState === 'OVER') {
-            document.getElementById('final-score').innerText = this.score;
+            document.getElementById('final-score').innerText = this.sim.players > 1
+                ? this.sim.wins.join(' – ')
+                : this.sim.score;
         }
     }
 
+    /**
+     * Moves keyboard focus into an overlay as it opens, and out of the menus
+     * once play starts so flip and pause keys never press a stale button.
+     */
+    focusOverlay(state) {
+        const overlay = {
+            AUTH: 'auth-screen', START: 'start-screen', CUSTOMIZE: 'customize-screen', TROPHIES: 'trophy-screen',
+            OVER: 'game-over-screen', PAUSED: 'pause-screen'
+        }[state] || null;
+        if (overlay === this.shownOverlay) return;
+        this.shownOverlay = overlay;
+        if (!overlay) {
+            if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+            return;
+        }
+        const target = document.getElementById(overlay).querySelector('button:not([disabled]), input:not([type="file"]), .opt');
+        if (target) target.focus();
+    }
+
     padScore(num) {
         return num.toString().padStart(3, '0');
     }
 
-    gameOver() {
-        this.gameState = 'OVER';
-        this.audio.playCrash();
-        if (this.score > this.highScore) {
-            this.highScore = this.score;
-            localStorage.setItem('snike_highscore', this.highScore);
-            this.highScoreEl.innerText = this.padScore(this.highScore);
-        }
-        this.updateOverlays();
-
-        // Death particles
-        for (let i = 0; i < 50; i++) {
-            this.particles.push(new Particle(this.snake.pos, CONFIG.PRIMARY_NEON));
+    /** Saves a newly cleared level to the profile. */
+    levelComplete(event) {
+        if (!this.replay && !this.clearedLevels.includes(event.level)) {
+            this.clearedLevels = [...this.clearedLevels, event.level];
+            this.profiles.update({ clearedLevels: this.clearedLevels });
+            this.syncLevelOptions();
         }
     }
 
-    update() {
-        if (this.gameState !== 'PLAYING' && this.gameState !== 'OVER') {
-            // Even if not playing, animate background
-            this.bgOffset = (this.bgOffset + 0.5) % 100;
-            if (this.food) this.food.update();
-            this.particles.forEach(p => p.update());
-            return;
+    /** Saves a fresh unlock and shows it, adding any reward color to the pickers. */
+    achievementUnlocked(achievement) {
+        this.profiles.update({ achievements: this.achievements.record });
+        this.showToast(achievement.icon, 'ACHIEVEMENT UNLOCKED', achievement.name,
+            achievement.reward ? `New core color: ${achievement.reward.name}` : null);
+        if (achievement.reward) {
+            this.buildRewardColors();
+            this.syncOption('#color-options', opt => opt.dataset.color === this.snakeColor);
+            this.syncOption('#rival-color-options', opt => opt.dataset.color === this.rivalColor);
         }
+    }
 
-        this.bgOffset = (this.bgOffset + (this.snake ? this.snake.speed * 0.5 : 1)) % 100;
-
-        if (this.gameState === 'PLAYING') {
-            // Auto Gravity Change
-            if (Date.now() - this.lastGravityChange > CONFIG.GRAVITY_CHANGE_INTERVAL) {
-                this.flipGravity();
-                this.lastGravityChange = Date.now();
-            }
+    /** Shows a plugin or event handler that threw, once per failure, as a notice and through the announcer. */
+    addonFailed(source, error) {
+        const message = error && error.message ? error.message : String(error);
+        const key = `${source}: ${message}`;
+        if (this.addonFailures.has(key)) return;
+        this.addonFailures.add(key);
+        this.showToast('fa-times', 'ADD-ON FAILED', source, message);
+        this.announce(`${source} failed: ${message}`);
+    }
 
-            const gravity = GRAVITY_DIRECTIONS[this.gravityIndex];
+    /** Pops a notice over the field. The announcer reads it out, so the notice itself is hidden from screen readers. */
+    showToast(iconName, heading, label, detail = null) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        const icon = document.createElement('i');
+        icon.className = `fas ${iconName}`;
+        const text = document.createElement('div');
+        const title = document.createElement('span');
+        title.className = 'toast-title';
+        title.innerText = heading;
+        const name = document.createElement('span');
+        name.className = 'toast-name';
+        name.innerText = label;
+        text.append(title, name);
+        if (detail) {
+            const note = document.createElement('span');
+            note.className = 'toast-reward';
+            note.innerText = detail;
+            text.appendChild(note);
+        }
+        toast.append(icon, text);
+        this.toastsEl.appendChild(toast);
+        setTimeout(() => toast.remove(), TOAST_MS);
+    }
 
-            // Combine Keyboard and Mobile Inputs
-            const effectiveKeys = { ...this.keys };
-            if (this.mobileDirection) {
-                if (this.mobileDirection.dx === -1) effectiveKeys['ArrowLeft'] = true;
-                if (this.mobileDirection.dx === 1) effectiveKeys['ArrowRight'] = true;
-                if (this.mobileDirection.dy === -1) effectiveKeys['ArrowUp'] = true;
-                if (this.mobileDirection.dy === 1) effectiveKeys['ArrowDown'] = true;
+    /** The trophy room: every achievement, with the date and reward of the unlocked ones. */
+    renderTrophies() {
+        const unlocked = this.achievements ? this.achievements.record.unlocked : {};
+        const list = document.getElementById('trophy-list');
+        list.innerHTML = '';
+        ACHIEVEMENTS.forEach(achievement => {
+            const date = unlocked[achievement.id];
+            const row = document.createElement('li');
+            row.classList.toggle('unlocked', !!date);
+
+            const icon = document.createElement('i');
+            icon.className = `fas ${date ? achievement.icon : 'fa-lock'}`;
+            icon.setAttribute('aria-hidden', 'true');
+            const name = document.createElement('span');
+            name.className = 'trophy-name';
+            name.innerText = achievement.name;
+            const description = document.createElement('span');
+            description.className = 'trophy-description';
+            description.innerText = achievement.description;
+            const meta = document.createElement('span');
+            meta.className = 'trophy-meta';
+            meta.innerText = date
+                ? `Unlocked ${new Date(date).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}`
+                : 'Locked';
+            if (achievement.reward) {
+                const swatch = document.createElement('span');
+                swatch.className = 'trophy-reward';
+                swatch.style.background = achievement.reward.color;
+                swatch.title = `${achievement.reward.name} core color`;
+                meta.append(' · ', swatch, ` ${achievement.reward.name} core`);
             }
 
-            this.snake.update(effectiveKeys, gravity);
-
-            // Check Food
-            if (this.snake.pos.dist(this.food.pos) < CONFIG.FOOD_SIZE + CONFIG.SNAKE_WIDTH) {
-                this.score += 10;
-                this.scoreEl.innerText = this.padScore(this.score);
-                this.snake.grow();
-                this.audio.playEat();
-
-                // Particles
-                for (let i = 0; i < CONFIG.PARTICLE_COUNT; i++) {
-                    this.particles.push(new Particle(this.food.pos, CONFIG.ACCENT_NEON));
-                }
-                this.food.spawn();
-            }
+            row.append(icon, name, description, meta);
+            list.appendChild(row);
+        });
+        const count = this.achievements ? this.achievements.unlockedCount : 0;
+        document.getElementById('trophy-progress').innerText = `${count} / ${ACHIEVEMENTS.length} UNLOCKED`;
+    }
 
-            // Check Collision (with 1s grace period at start)
-            if (Date.now() - this.startTime > 1000) {
-                if (this.snake.checkCollision(this.logicalWidth, this.logicalHeight)) {
-                    this.gameOver();
-                }
-            }
+    /**
+     * A pilot's core color, with the "theme" choice resolved to the theme's
+     * palette. Accessible palettes pick both cores themselves.
+     */
+    playerColor(player) {
+        const color = player === 0 ? this.snakeColor : this.rivalColor;
+        if (color !== 'theme' && this.accessibility.palette === 'standard') return color;
+        return this.theme.palette[player === 0 ? 'snake' : 'rival'];
+    }
 
-            this.food.update();
+    showBanner(text, color) {
+        const banner = document.getElementById('round-banner');
+        banner.innerText = text;
+        banner.style.color = color;
+        banner.classList.remove('banner-active');
+        void banner.offsetWidth; // Trigger reflow
+        banner.classList.add('banner-active');
+    }
 
-            // Update particles
-            for (let i = this.particles.length - 1; i >= 0; i--) {
-                this.particles[i].update();
-                if (this.particles[i].life <= 0) {
-                    this.particles.splice(i, 1);
-                }
+    gameOver(event) {
+        const titles = {
+            crash: 'SYSTEM FAILURE',
+            time: 'TIME UP',
+            campaign: 'MISSION COMPLETE',
+            quit: 'RUN ENDED',
+            match: `P${event.winner + 1} WINS THE MATCH`
+        };
+        const title = document.getElementById('over-title');
+        title.innerText = titles[event.reason];
+        title.style.color = event.reason === 'match' ? this.playerColor(event.winner) : '';
+
+        // Versus matches have no single score to rank, bot runs are not the pilot's, and daily practice counts for nothing
+        const practice = !!this.dailyRun && this.dailyRun.practice;
+        const recorded = !this.replay && !this.botRun && this.sim.players === 1 && !practice;
+        if (!this.replay) this.finishDaily(event.score);
+        if (recorded) {
+            const { newBest, rank } = this.profiles.recordRun({
+                mode: this.sim.mode.id,
+                score: event.score,
+                speed: this.sim.startSpeed,
+                duration: this.sim.clock,
+                stats: this.sim.stats
+            });
+            this.profiles.recordGhost(this.ghostRecorder);
+            if (newBest) {
+                this.highScore = event.score;
+                this.updateScoreUI();
             }
+            this.renderLeaderboards(rank);
         }
+        this.renderDebrief(event.reason, recorded);
     }
 
-    draw() {
-        this.ctx.clearRect(0, 0, this.logicalWidth, this.logicalHeight);
+    /** Whether the pilot still has the scored attempt of a challenge day. */
+    dailyAttemptLeft(day) {
+        const profile = this.profiles.active;
+        return !!profile && profile.daily.day !== day;
+    }
 
-        // 3D Background Rendering
-        this.draw3DBackground();
+    /** The start screen's daily challenge panel: today's attempt, its result code and the code checker. */
+    syncDaily() {
+        const panel = document.getElementById('daily-panel');
+        panel.hidden = !MODES[this.mode].daily;
+        if (panel.hidden) return;
+        const day = dailyKey();
+        const left = this.dailyAttemptLeft(day);
+        const daily = this.profiles.active ? this.profiles.active.daily : null;
+        let status = 'Your scored attempt is ready. Practice runs do not count.';
+        if (!left) {
+            status = daily.score === null
+                ? 'Today\'s scored attempt was left unfinished. Runs are practice until tomorrow.'
+                : `You scored ${daily.score} today. Runs are practice until tomorrow.`;
+        }
+        document.getElementById('daily-day').innerText = day;
+        document.getElementById('daily-status').innerText = status;
+        document.getElementById('daily-code-row').hidden = left || !daily.code;
+        document.getElementById('daily-code').value = left ? '' : daily.code || '';
+        // Once the attempt is spent, starting a run is practice anyway
+        document.getElementById('daily-practice-button').hidden = !left;
+    }
 
-        if (this.gameState === 'PLAYING' || this.gameState === 'OVER' || this.gameState === 'PAUSED') {
-            if (this.food) this.food.draw(this.ctx);
-            if (this.snake) this.snake.draw(this.ctx);
-            this.particles.forEach(p => p.draw(this.ctx));
+    /** Seals a scored daily attempt into its result code and shows it on the game over screen. */
+    finishDaily(score) {
+        const run = this.dailyRun;
+        document.getElementById('daily-result').hidden = !run;
+        if (!run) return;
+        let code = '';
+        if (!run.practice) {
+            code = encodeResult({
+                day: run.day,
+                seed: this.sim.seed,
+                score,
+                ticks: this.recorder.ticks,
+                checksum: inputChecksum(this.recorder.inputs)
+            });
+            this.profiles.update({ daily: { day: run.day, score, code } });
+            this.syncDaily();
         }
+        document.getElementById('daily-result-label').innerText = run.practice ? 'DAILY PRACTICE · NOT SCORED' : `DAILY RESULT · ${run.day}`;
+        document.getElementById('daily-result-row').hidden = run.practice;
+        document.getElementById('daily-result-code').value = code;
     }
 
-    draw3DBackground() {
-        const w = this.logicalWidth;
-        const h = this.logicalHeight;
-        const horizon = h * 0.4;
+    /** Selects a result code for copying, and copies it where the browser allows. */
+    copyCode(id) {
+        const input = document.getElementById(id);
+        input.select();
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(input.value)
+            .then(() => this.announce('Result code copied'))
+            .catch(() => {
+                // Left selected for the pilot to copy by hand
+            });
+    }
 
-        // Background Gradient
-        let bgGradient = this.ctx.createLinearGradient(0, 0, 0, h);
-        if (this.gameTheme === 'neon') {
-            bgGradient.addColorStop(0, '#050010');
-            bgGradient.addColorStop(0.4, '#1a0033');
-            bgGradient.addColorStop(1, '#050010');
-        } else if (this.gameTheme === 'void') {
-            bgGradient.addColorStop(0, '#000');
-            bgGradient.addColorStop(1, '#050505');
-        } else {
-            bgGradient.addColorStop(0, '#000510');
-            bgGradient.addColorStop(0.4, '#001a33');
-            bgGradient.addColorStop(1, '#000510');
+    /** Checks a pasted result code; given the run's replay file it also plays the run back. */
+    verifyCode(replayText = null) {
+        const output = document.getElementById('verify-result');
+        let result;
+        try {
+            result = parseResultCode(document.getElementById('verify-code-input').value);
+            if (replayText !== null) verifyResult(result, replayText);
+        } catch (e) {
+            output.innerText = `Not verified: ${e.message}`;
+            return;
         }
-        this.ctx.fillStyle = bgGradient;
-        this.ctx.fillRect(0, 0, w, h);
+        const summary = `${result.day}, score ${result.score} in ${this.formatTime(result.ticks * STEP_MS)}`;
+        output.innerText = replayText === null
+            ? `Valid code: ${summary}. Add its replay to check the run itself.`
+            : `Verified against its replay: ${summary}`;
+    }
 
-        // Parallax Stars
-        this.ctx.fillStyle = '#fff';
-        this.stars.forEach(star => {
-            const x = (star.x - (this.snake ? this.snake.pos.x * star.speed * 0.1 : 0)) % w;
-            const y = (star.y - (this.snake ? this.snake.pos.y * star.speed * 0.1 : 0)) % h;
-            this.ctx.beginPath();
-            this.ctx.arc(x < 0 ? x + w : x, y < 0 ? y + h : y, star.size, 0, Math.PI * 2);
-            this.ctx.fill();
+    /** Fills the game over debrief with the run's stats, one column per pilot in versus. */
+    renderDebrief(reason, recorded) {
+        const { stats } = this.sim;
+        const versus = this.sim.players > 1;
+        const anyTrims = stats.players.some(run => run.trims > 0);
+        // [label, value of one pilot's stats, shared by the whole run?]
+        const rows = [
+            ['TIME ALIVE', () => this.formatTime(stats.duration), true],
+            ['FOOD', run => (run.powerUps ? `${run.food} + ${run.powerUps} power-ups` : run.food)],
+            ['MAX LENGTH', run => run.maxLength],
+            ['PEAK SPEED', run => run.peakSpeed.toFixed(1)],
+            ['DISTANCE', run => `${Math.round(run.distance)} px`],
+            ['GRAVITY FLIPS', () => `${stats.flips.manual} manual · ${stats.flips.schedule} auto`, true],
+            ...(anyTrims ? [['TAIL TRIMS', run => run.trims]] : []),
+            ...(versus ? [['CRASHES', run => run.crashes]] : []),
+            [versus ? 'LAST CRASH' : 'CAUSE', run => (!run.death && reason === 'quit' ? 'Abandoned' : describeDeath(run.death))]
+        ];
+        // Where the score came from; bonuses nobody earned are left out
+        const scoreRows = [
+            ...Object.entries(SCORE_PARTS)
+                .filter(([part]) => part === 'food' || stats.players.some(run => run.points[part] > 0))
+                .map(([part, name]) => [name.toUpperCase(), run => run.points[part]]),
+            ['BEST COMBO', run => (run.bestChain > 1 ? `${run.bestChain} in a row` : '—')],
+            ['TOTAL', run => Object.values(run.points).reduce((sum, value) => sum + value, 0)]
+        ];
+
+        const table = document.getElementById('debrief');
+        table.innerHTML = '';
+        if (versus) {
+            const header = table.createTHead().insertRow();
+            header.appendChild(document.createElement('th'));
+            stats.players.forEach((run, p) => {
+                const pilot = document.createElement('th');
+                pilot.scope = 'col';
+                pilot.innerText = `P${p + 1}`;
+                pilot.style.color = this.playerColor(p);
+                header.appendChild(pilot);
+            });
+        }
+        [[null, rows], ['SCORE BREAKDOWN', scoreRows]].forEach(([title, section]) => {
+            const body = table.createTBody();
+            if (title) {
+                const heading = document.createElement('th');
+                heading.scope = 'rowgroup';
+                heading.colSpan = stats.players.length + 1;
+                heading.innerText = title;
+                body.insertRow().appendChild(heading);
+            }
+            section.forEach(([label, value, shared]) => {
+                const row = body.insertRow();
+                const name = document.createElement('th');
+                name.scope = 'row';
+                name.innerText = label;
+                row.appendChild(name);
+                const runs = shared ? [stats.players[0]] : stats.players;
+                runs.forEach(run => {
+                    const cell = row.insertCell();
+                    cell.innerText = value(run);
+                    if (shared) cell.colSpan = stats.players.length;
+                });
+            });
         });
 
-        if (this.gameTheme === 'void') return;
-
-        // Perspective Grid
-        const gridColor = this.gameTheme === 'neon' ? 'rgba(255, 0, 255, 0.2)' : 'rgba(0, 242, 255, 0.2)';
-        this.ctx.strokeStyle = gridColor;
-        this.ctx.lineWidth = 1;
+        // Recent scores and lifetime totals belong to the pilot's solo runs
+        const profile = this.profiles.active;
+        const panel = document.getElementById('history-panel');
+        panel.hidden = versus || !profile;
+        if (panel.hidden) return;
+        this.drawHistoryChart(profile.history.filter(entry => entry.mode === this.sim.mode.id), recorded);
+        const life = profile.lifetime;
+        document.getElementById('lifetime-summary').innerText = [
+            `LIFETIME: ${life.runs} runs`,
+            `${this.formatTime(life.timeAlive)} alive`,
+            `${life.food} food`,
+            `${life.flips.manual + life.flips.schedule} flips`,
+            `${Math.round(life.distance)} px`,
+            `longest ${life.maxLength}`
+        ].join(' · ');
+    }
 
-        // Vanishing point lines (Vertical)
-        for (let x = -w; x <= w * 2; x += 100) {
-            this.ctx.beginPath();
-            this.ctx.moveTo(w / 2, horizon);
-            this.ctx.lineTo(x, h);
-            this.ctx.stroke();
+    /** Bars of a mode's recent scores, oldest on the left, with this run's bar in the pilot's color. */
+    drawHistoryChart(history, highlightLast) {
+        const canvas = document.getElementById('history-chart');
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        if (!history.length) {
+            canvas.setAttribute('aria-label', 'No runs logged yet');
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('No runs logged yet', width / 2, height / 2);
+            return;
         }
 
-        // Horizontal lines with movement
-        for (let y = 0; y <= 20; y++) {
-            const lineY = horizon + Math.pow(y / 20, 2) * (h - horizon);
-            const moveY = (lineY + this.bgOffset) % (h - horizon) + horizon;
-            const alpha = (moveY - horizon) / (h - horizon);
+        const best = Math.max(...history.map(entry => entry.score));
+        canvas.setAttribute('aria-label', `Scores of the last ${history.length} runs, best ${best}`);
+        const slot = width / HISTORY_SIZE;
+        const barWidth = Math.max(2, slot * 0.7);
+        history.forEach((entry, i) => {
+            const barHeight = Math.max(2, (entry.score / Math.max(best, 1)) * (height - 6));
+            const current = highlightLast && i === history.length - 1;
+            ctx.fillStyle = current ? this.playerColor(0) : 'rgba(255, 255, 255, 0.3)';
+            ctx.fillRect(i * slot + (slot - barWidth) / 2, height - barHeight, barWidth, barHeight);
+        });
 
-            this.ctx.globalAlpha = alpha * 0.5;
-            this.ctx.beginPath();
-            this.ctx.moveTo(0, moveY);
-            this.ctx.lineTo(w, moveY);
-            this.ctx.stroke();
-        }
-        this.ctx.globalAlpha = 1.0;
+        // The best of these runs as a dashed line across
+        ctx.strokeStyle = this.theme.palette.food;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, 5.5);
+        ctx.lineTo(width, 5.5);
+        ctx.stroke();
+        ctx.setLineDash([]);
     }
 
-    loop() {
-        this.update();
-        this.draw();
-        requestAnimationFrame(() => this.loop());
+    loop(timestamp) {
+        if (this.lastFrameTime === null) this.lastFrameTime = timestamp;
+        const frameTime = Math.min(timestamp - this.lastFrameTime, CONFIG.MAX_FRAME_TIME);
+        this.lastFrameTime = timestamp;
+
+        this.pollPads();
+
+        // The start screen shows an autopilot demo instead of the idle field
+        const replay = this.replay;
+        const attract = !replay && this.gameState === 'START';
+        if (attract && !this.demo) this.startDemo();
+
+        // Run as many fixed ticks as the elapsed real time covers
+        const timeScale = replay ? (replay.paused ? 0 : replay.speed) : 1;
+        this.accumulator += frameTime * timeScale;
+        while (this.accumulator >= STEP_MS) {
+            const clock = this.sim.clock;
+            if (replay) {
+                if (!replay.step()) replay.paused = true;
+            } else if (attract) {
+                this.stepDemo();
+            } else {
+                this.stepLive();
+            }
+            if (!attract) {
+                this.publish();
+                if (this.sim.clock !== clock) this.bus.emit('tick', { clock: this.sim.clock, sim: this.sim });
+            }
+            this.renderer.update(attract ? this.demo.sim : this.sim);
+            this.accumulator -= STEP_MS;
+        }
+        // Events from outside the tick loop, such as starting or pausing
+        this.publish();
+        this.updateReplayBar();
+        this.updateModeStatus();
+        this.updateEffectTimers();
+        this.updateGravityCountdown();
+
+        // Render the leftover fraction of a tick as an interpolation factor
+        this.renderer.ghost = attract ? null : this.ghostSnake(this.accumulator / STEP_MS);
+        // The attract demo plays behind the menu, where a map would only clutter it
+        this.renderer.showMinimap = this.cameraSettings.minimap && !attract;
+        this.renderer.draw(attract ? this.demo.sim : this.sim, this.accumulator / STEP_MS);
+        requestAnimationFrame((t) => this.loop(t));
     }
 }
 
@@ -0,0 +1,662 @@
+/**
+ * Canvas renderer. Reads simulation state and owns everything purely
+ * cosmetic: particles, the star field, the scrolling grid, theme layers
+ * and food bounce. What those look like comes from the theme (core/themes.js).
+ *
+ * The field is drawn through a Camera (core/camera.js) in world px; the
+ * backdrop stays in screen px and drifts against the camera for parallax.
+ */
+(function (Snike) {
+    'use strict';
+
+    const { CONFIG, PICKUPS, THEMES, Vector, Rng, randomSeed, lerp, Camera } = Snike;
+
+    const GHOST_OPACITY = 0.25;
+    const GRID_PARALLAX = 0.5; // How far the flat grid moves per px the camera does
+    const MINIMAP_WIDTH = 160;
+    const POPUP_TICKS = 60; // How long a score popup floats
+
+    class Particle {
+        constructor(pos, color, rng) {
+            this.pos = pos.copy();
+            this.prevPos = pos.copy();
+            const angle = rng.next() * Math.PI * 2;
+            const speed = rng.next() * 3 + 1;
+            this.vel = new Vector(Math.cos(angle) * speed, Math.sin(angle) * speed);
+            this.life = 1.0;
+            this.decay = rng.next() * 0.02 + 0.02;
+            this.color = color;
+        }
+
+        update() {
+            this.prevPos.x = this.pos.x;
+            this.prevPos.y = this.pos.y;
+            this.pos.add(this.vel);
+            this.life -= this.decay;
+        }
+
+        draw(ctx, alpha = 1) {
+            const x = lerp(this.prevPos.x, this.pos.x, alpha);
+            const y = lerp(this.prevPos.y, this.pos.y, alpha);
+            ctx.globalAlpha = Math.max(this.life, 0);
+            ctx.fillStyle = this.color;
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = this.color;
+            ctx.beginPath();
+            ctx.arc(x, y, 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1.0;
+        }
+    }
+
+    class Renderer {
+        /** @param {HTMLCanvasElement} [minimap] A second canvas for the overview map */
+        constructor(canvas, minimap = null) {
+            this.canvas = canvas;
+            this.ctx = canvas.getContext('2d');
+            this.minimap = minimap;
+            this.minimapCtx = minimap ? minimap.getContext('2d') : null;
+            this.showMinimap = true; // Also wants a view that leaves part of the world out
+            this.camera = new Camera();
+            this.width = canvas.width;
+            this.height = canvas.height;
+            this.theme = THEMES.space;
+            this.snakeColor = CONFIG.PRIMARY_NEON;
+            this.rivalColor = CONFIG.SECONDARY_NEON;
+            this.ghost = null; // The best run's snake while racing it, shaped like a Snake
+            this.particles = [];
+            this.popups = []; // Points scored, floating up from where they were eaten
+            this.bgOffset = 0; // For moving 3D grid
+            this.time = 0; // Ticks, for the theme layers
+            this.reducedMotion = false; // Holds the backdrop still and thins out particle bursts
+            this.foodAngle = 0;
+            this.prevFoodAngle = 0;
+            this.reseed(randomSeed());
+        }
+
+        /** Re-rolls the cosmetic dice from a run seed so replays look identical. */
+        reseed(seed) {
+            this.rng = new Rng(seed);
+            this.initBackdrop();
+            this.particles = [];
+        }
+
+        setTheme(theme) {
+            this.theme = theme;
+            this.initBackdrop();
+        }
+
+        /** Scatters the theme's stars and nebula clouds. */
+        initBackdrop() {
+            const { stars, layers } = this.theme;
+            this.stars = [];
+            for (let i = 0; i < stars.count; i++) {
+                this.stars.push({
+                    x: this.rng.next() * 2000,
+                    y: this.rng.next() * 2000,
+                    size: this.rng.next() * stars.size,
+                    speed: (this.rng.next() * 0.5 + 0.1) * stars.speed
+                });
+            }
+            this.clouds = layers.map(layer => {
+                if (layer.type !== 'nebula') return null;
+                return Array.from({ length: layer.count }, () => ({
+                    x: this.rng.next(),
+                    y: this.rng.next(),
+                    radius: this.rng.next() * 0.3 + 0.25, // Fraction of the larger canvas side
+                    drift: this.rng.next() * Math.PI * 2
+                }));
+            });
+        }
+
+        resize(width, height) {
+            const dpr = window.devicePixelRatio || 1;
+            this.width = width;
+            this.height = height;
+
+            this.canvas.width = width * dpr;
+            this.canvas.height = height * dpr;
+            this.ctx.scale(dpr, dpr);
+            this.canvas.style.width = width + 'px';
+            this.canvas.style.height = height + 'px';
+            this.camera.setViewport(width, height);
+
+            if (this.minimap) {
+                const mapHeight = Math.round(MINIMAP_WIDTH * CONFIG.WORLD_HEIGHT / CONFIG.WORLD_WIDTH);
+                this.minimap.width = MINIMAP_WIDTH * dpr;
+                this.minimap.height = mapHeight * dpr;
+                this.minimapCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+                this.minimap.style.width = MINIMAP_WIDTH + 'px';
+                this.minimap.style.height = mapHeight + 'px';
+            }
+        }
+
+        /** @param {string|string[]} color One color, or several to pick from per particle */
+        burst(pos, color, count) {
+            if (this.reducedMotion) count = Math.ceil(count / 4);
+            const colors = Array.isArray(color) ? color : [color];
+            for (let i = 0; i < count; i++) {
+                const pick = colors.length > 1 ? colors[Math.floor(this.rng.next() * colors.length)] : colors[0];
+                this.particles.push(new Particle(pos, pick, this.rng));
+            }
+        }
+
+        clearParticles() {
+            this.particles = [];
+            this.popups = [];
+        }
+
+        /**
+         * Floats the points a pickup scored up from where it was eaten.
+         * @param {string} [detail] A smaller line under the points, such as the combo
+         */
+        popup(pos, text, detail, color) {
+            this.popups.push({ x: pos.x, y: pos.y, text, detail, color, age: 0 });
+        }
+
+        /** Advances cosmetic animation by one fixed tick. */
+        update(sim) {
+            this.camera.steady = this.reducedMotion;
+            this.camera.follow(sim);
+            this.prevFoodAngle = this.foodAngle;
+            if (!this.reducedMotion) {
+                const moving = sim.state === 'PLAYING' || sim.state === 'OVER';
+                this.bgOffset = (this.bgOffset + (moving ? sim.snake.speed * 0.5 : 0.5)) % this.theme.grid.spacing;
+                this.time++;
+                this.foodAngle += 0.05;
+            }
+
+            for (let i = this.particles.length - 1; i >= 0; i--) {
+                this.particles[i].update();
+                if (this.particles[i].life <= 0) {
+                    this.particles.splice(i, 1);
+                }
+            }
+
+            // With reduced motion popups fade where they are instead of rising
+            this.popups.forEach(popup => {
+                popup.age++;
+                if (!this.reducedMotion) popup.y -= 0.6;
+            });
+            this.popups = this.popups.filter(popup => popup.age < POPUP_TICKS);
+        }
+
+        draw(sim, alpha = 1) {
+            this.ctx.clearRect(0, 0, this.width, this.height);
+
+            // Only the running simulation moves between ticks; frozen states draw as-is
+            const simAlpha = sim.state === 'PLAYING' ? alpha : 1;
+
+            // 3D Background Rendering
+            this.draw3DBackground(this.camera.center(simAlpha));
+
+            const field = sim.state === 'PLAYING' || sim.state === 'OVER' || sim.state === 'PAUSED';
+            if (this.minimap) {
+                const mapped = field && this.showMinimap && !this.camera.showsAll;
+                if (this.minimap.hidden === mapped) this.minimap.hidden = !mapped;
+                if (mapped) this.drawMinimap(sim, simAlpha);
+            }
+            if (field) {
+                this.ctx.save();
+                this.camera.apply(this.ctx, simAlpha);
+                this.drawBounds(sim);
+                this.drawArena(sim.arena, sim.clock);
+                this.drawFood(sim.food, alpha, sim.clock);
+                if (sim.bonus) this.drawFood(sim.bonus, alpha, sim.clock);
+                if (this.ghost) this.drawSnake(this.ghost, 1, sim.mode.wrap ? sim : null, GHOST_OPACITY, this.snakeColor);
+                sim.snakes.forEach((snake, p) => {
+                    const opacity = sim.hasEffect('ghost', p) ? 0.4 : 1;
+                    const color = p === 0 ? this.snakeColor : this.rivalColor;
+                    this.drawSnake(snake, simAlpha, sim.mode.wrap ? sim : null, opacity, color);
+                });
+                this.particles.forEach(p => p.draw(this.ctx, alpha));
+                this.drawPopups();
+                this.ctx.restore();
+            }
+        }
+
+        drawPopups() {
+            const ctx = this.ctx;
+            ctx.textAlign = 'center';
+            this.popups.forEach(popup => {
+                ctx.globalAlpha = 1 - popup.age / POPUP_TICKS;
+                ctx.fillStyle = popup.color;
+                ctx.shadowBlur = this.theme.glow;
+                ctx.shadowColor = popup.color;
+                ctx.font = "700 18px 'Space Grotesk', sans-serif";
+                ctx.fillText(popup.text, popup.x, popup.y - 18);
+                if (popup.detail) {
+                    ctx.font = "600 10px 'Space Grotesk', sans-serif";
+                    ctx.fillText(popup.detail, popup.x, popup.y - 4);
+                }
+            });
+            ctx.shadowBlur = 0;
+            ctx.globalAlpha = 1.0;
+        }
+
+        /** The edge of the world: a wall where it kills, a faint seam where it wraps. */
+        drawBounds(sim) {
+            const ctx = this.ctx;
+            if (sim.mode.wrap) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+                ctx.setLineDash([6, 6]);
+                ctx.strokeRect(0, 0, sim.width, sim.height);
+                ctx.setLineDash([]);
+                return;
+            }
+            const color = this.theme.palette.wall;
+            ctx.shadowBlur = this.theme.glow;
+            ctx.shadowColor = color;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 4;
+            ctx.globalAlpha = 0.8;
+            ctx.strokeRect(0, 0, sim.width, sim.height);
+            ctx.globalAlpha = 1.0;
+            ctx.lineWidth = 1;
+            ctx.shadowBlur = 0;
+        }
+
+        /** The whole world shrunk into the corner: walls, food, every snake and the part in view. */
+        drawMinimap(sim, alpha) {
+            const ctx = this.minimapCtx;
+            const width = MINIMAP_WIDTH;
+            const height = width * CONFIG.WORLD_HEIGHT / CONFIG.WORLD_WIDTH;
+            const scale = Math.min(width / sim.width, height / sim.height);
+            ctx.clearRect(0, 0, width, height);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            ctx.fillRect(0, 0, width, height);
+
+            ctx.save();
+            ctx.scale(scale, scale);
+            const px = 1 / scale; // One minimap px, in world px
+            sim.arena.shapes.forEach(shape => {
+                const color = shape.type === 'wall' ? this.theme.palette.wall : this.theme.palette.hazard;
+                if (shape.type === 'rotor') {
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = Math.max(shape.thickness, 2 * px);
+                    ctx.beginPath();
+                    ctx.moveTo(shape.a.x, shape.a.y);
+                    ctx.lineTo(shape.b.x, shape.b.y);
+                    ctx.stroke();
+                } else if (shape.type === 'wall' || shape.type === 'hazard') {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(shape.x, shape.y, shape.w, shape.h);
+                }
+            });
+
+            [sim.food, sim.bonus].filter(Boolean).forEach(food => {
+                ctx.fillStyle = this.pickupColor(food.type);
+                ctx.beginPath();
+                ctx.arc(food.pos.x, food.pos.y, 2.5 * px, 0, Math.PI * 2);
+                ctx.fill();
+            });
+
+            const seam = Math.min(sim.width, sim.height) / 2;
+            ctx.lineWidth = 2 * px;
+            ctx.lineCap = 'round';
+            sim.snakes.forEach((snake, p) => {
+                ctx.strokeStyle = p === 0 ? this.snakeColor : this.rivalColor;
+                ctx.beginPath();
+                let prev = snake.pos;
+                ctx.moveTo(prev.x, prev.y);
+                // Every fourth segment is plenty at this size
+                for (let i = 4; i < snake.segments.length; i += 4) {
+                    const seg = snake.segments[i];
+                    if (Math.abs(seg.x - prev.x) > seam || Math.abs(seg.y - prev.y) > seam) ctx.moveTo(seg.x, seg.y);
+                    else ctx.lineTo(seg.x, seg.y);
+                    prev = seg;
+                }
+                ctx.stroke();
+            });
+
+            const view = this.camera.view(alpha);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = px;
+            ctx.strokeRect(view.x, view.y, view.w, view.h);
+            ctx.restore();
+        }
+
+        drawArena(arena, clock) {
+            const ctx = this.ctx;
+            arena.shapes.forEach(shape => {
+                if (shape.type === 'well') {
+                    this.drawWell(shape, clock);
+                    return;
+                }
+                if (shape.type === 'nospawn') {
+                    // Faint dashed outline: purely informative
+                    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+                    ctx.setLineDash([6, 6]);
+                    ctx.strokeRect(shape.x, shape.y, shape.w, shape.h);
+                    ctx.setLineDash([]);
+                    return;
+                }
+
+                const color = shape.type === 'wall' ? this.theme.palette.wall : this.theme.palette.hazard;
+                ctx.shadowBlur = this.theme.glow;
+                ctx.shadowColor = color;
+                if (shape.type === 'rotor') {
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = shape.thickness;
+                    ctx.lineCap = 'round';
+                    ctx.beginPath();
+                    ctx.moveTo(shape.a.x, shape.a.y);
+                    ctx.lineTo(shape.b.x, shape.b.y);
+                    ctx.stroke();
+                    ctx.lineWidth = 1;
+                } else {
+                    ctx.fillStyle = color;
+                    ctx.globalAlpha = 0.8;
+                    ctx.fillRect(shape.x, shape.y, shape.w, shape.h);
+                    ctx.globalAlpha = 1.0;
+                }
+                ctx.shadowBlur = 0;
+            });
+        }
+
+        /** Rings drifting in towards a well's centre, or out of a repulsor's. */
+        drawWell(well, clock) {
+            const ctx = this.ctx;
+            const color = well.strength > 0 ? this.theme.palette.snake : this.theme.palette.hazard;
+            const rings = 3;
+            const phase = (clock / 2000) % 1;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            for (let i = 0; i < rings; i++) {
+                const t = (i + phase) / rings;
+                const r = well.radius * (well.strength > 0 ? 1 - t : t);
+                // Brightest near the centre, where the pull is strongest
+                ctx.globalAlpha = 0.35 * (1 - r / well.radius);
+                ctx.beginPath();
+                ctx.arc(well.x, well.y, r, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 0.25;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(well.x, well.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1.0;
+            ctx.lineWidth = 1;
+        }
+
+        drawFood(food, alpha, clock) {
+            // Bonuses blink through their last two seconds
+            if (food.expiresAt !== null && food.expiresAt - clock < 2000 && Math.floor(clock / 150) % 2) return;
+
+            const ctx = this.ctx;
+            const pickup = PICKUPS[food.type];
+            const color = this.pickupColor(food.type);
+            const bounce = Math.sin(lerp(this.prevFoodAngle, this.foodAngle, alpha)) * 3;
+            ctx.shadowBlur = this.theme.glow + 5;
+            ctx.shadowColor = color;
+            ctx.fillStyle = color;
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            this.tracePickup(pickup.shape, food.pos.x, food.pos.y + bounce, CONFIG.FOOD_SIZE);
+            if (pickup.shape === 'ring') {
+                ctx.lineWidth = 4;
+                ctx.stroke();
+                ctx.lineWidth = 1;
+            } else {
+                ctx.fill();
+            }
+            ctx.shadowBlur = 0;
+        }
+
+        /** Plain food takes the theme's color; power-ups keep their own so they stay recognizable. */
+        pickupColor(type) {
+            return type === 'food' ? this.theme.palette.food : PICKUPS[type].color;
+        }
+
+        /** Adds a pickup outline of radius `r` around (x, y) to the current path. */
+        tracePickup(shape, x, y, r) {
+            const ctx = this.ctx;
+            if (shape === 'circle' || shape === 'ring') {
+                ctx.arc(x, y, r * 0.75, 0, Math.PI * 2);
+                return;
+            }
+            if (shape === 'star') {
+                for (let i = 0; i < 10; i++) {
+                    const angle = -Math.PI / 2 + i * Math.PI / 5;
+                    const radius = i % 2 ? r * 0.45 : r;
+                    ctx.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+                }
+                ctx.closePath();
+                return;
+            }
+            const [sides, start, radius] = {
+                triangle: [3, -Math.PI / 2, r],
+                square: [4, -Math.PI / 4, r * 0.85],
+                hexagon: [6, 0, r * 0.9]
+            }[shape] || [4, -Math.PI / 2, r]; // Diamond
+            for (let i = 0; i < sides; i++) {
+                const angle = start + i * Math.PI * 2 / sides;
+                ctx.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+            }
+            ctx.closePath();
+        }
+
+        /**
+         * The head between its last two tick positions. The body segments
+         * stay put where they were laid down, so only the head needs this.
+         */
+        interpolatedHead(snake, alpha, bounds = null) {
+            const cur = snake.pos;
+            let px = snake.prevPos.x;
+            let py = snake.prevPos.y;
+            // Across a wrap seam the previous point sits on the far side; bring it over
+            if (bounds) {
+                px += bounds.width * Math.round((cur.x - px) / bounds.width);
+                py += bounds.height * Math.round((cur.y - py) / bounds.height);
+            }
+            return new Vector(lerp(px, cur.x, alpha), lerp(py, cur.y, alpha));
+        }
+
+        /**
+         * Translations at which to repeat the snake so parts poking over a
+         * wrap-around edge also show on the opposite side.
+         */
+        wrapOffsets(snake, bounds) {
+            const margin = CONFIG.SNAKE_WIDTH * 2;
+            let minX = Infinity;
+            let maxX = -Infinity;
+            let minY = Infinity;
+            let maxY = -Infinity;
+            snake.segments.forEach(s => {
+                if (s.x < minX) minX = s.x;
+                if (s.x > maxX) maxX = s.x;
+                if (s.y < minY) minY = s.y;
+                if (s.y > maxY) maxY = s.y;
+            });
+            const xs = [0];
+            const ys = [0];
+            if (minX < margin) xs.push(bounds.width);
+            if (maxX > bounds.width - margin) xs.push(-bounds.width);
+            if (minY < margin) ys.push(bounds.height);
+            if (maxY > bounds.height - margin) ys.push(-bounds.height);
+
+            const offsets = [];
+            xs.forEach(x => ys.forEach(y => offsets.push({ x, y })));
+            return offsets;
+        }
+
+        /**
+         * @param {{width: number, height: number}} [bounds] Arena size when edges wrap
+         * @param {number} [opacity] Fades the whole snake, e.g. while it is a ghost
+         * @param {string} [color] Body color; defaults to the player's chosen core
+         */
+        drawSnake(snake, alpha, bounds = null, opacity = 1, color = this.snakeColor) {
+            if (!bounds) {
+                this.drawSnakeBody(snake, alpha, null, opacity, color);
+                return;
+            }
+            this.wrapOffsets(snake, bounds).forEach(offset => {
+                this.ctx.save();
+                this.ctx.translate(offset.x, offset.y);
+                this.drawSnakeBody(snake, alpha, bounds, opacity, color);
+                this.ctx.restore();
+            });
+        }
+
+        /**
+         * The body is one stroked path through every segment, so a long
+         * snake costs one shadowed draw call rather than one per segment.
+         */
+        drawSnakeBody(snake, alpha, bounds, opacity, color) {
+            const ctx = this.ctx;
+            const body = snake.segments;
+            const head = this.interpolatedHead(snake, alpha, bounds);
+            color = color || CONFIG.PRIMARY_NEON;
+
+            // A jump across a wrap seam starts a new subpath instead of a line across the arena
+            const seam = bounds ? Math.min(bounds.width, bounds.height) / 2 : Infinity;
+            ctx.beginPath();
+            ctx.moveTo(head.x, head.y);
+            let prev = head;
+            for (let i = 1; i < body.length; i++) {
+                const seg = body[i];
+                if (Math.abs(seg.x - prev.x) > seam || Math.abs(seg.y - prev.y) > seam) ctx.moveTo(seg.x, seg.y);
+                else ctx.lineTo(seg.x, seg.y);
+                prev = seg;
+            }
+
+            // Draw glow trail
+            ctx.shadowBlur = this.theme.glow * 1.5;
+            ctx.shadowColor = color;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = CONFIG.SNAKE_WIDTH;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.globalAlpha = 0.8 * opacity;
+            ctx.stroke();
+
+            // Draw head (bright core)
+            ctx.globalAlpha = opacity;
+            ctx.fillStyle = '#fff';
+            ctx.shadowBlur = this.theme.glow;
+            ctx.beginPath();
+            ctx.arc(head.x, head.y, CONFIG.SNAKE_WIDTH / 1.6, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.shadowBlur = 0;
+            ctx.lineWidth = 1;
+            ctx.globalAlpha = 1.0;
+        }
+
+        /** @param {{x: number, y: number}} focus The camera's center, which the stars and grid drift against */
+        draw3DBackground(focus) {
+            const ctx = this.ctx;
+            const w = this.width;
+            const h = this.height;
+            const theme = this.theme;
+
+            // Background Gradient
+            const bgGradient = ctx.createLinearGradient(0, 0, 0, h);
+            theme.background.forEach(([offset, color]) => bgGradient.addColorStop(offset, color));
+            ctx.fillStyle = bgGradient;
+            ctx.fillRect(0, 0, w, h);
+
+            theme.layers.forEach((layer, i) => {
+                if (layer.type === 'nebula') this.drawNebula(layer, this.clouds[i]);
+            });
+
+            // Parallax Stars
+            ctx.fillStyle = theme.stars.color;
+            this.stars.forEach(star => {
+                const x = (star.x - focus.x * star.speed * 0.1) % w;
+                const y = (star.y - focus.y * star.speed * 0.1) % h;
+                ctx.beginPath();
+                ctx.arc(x < 0 ? x + w : x, y < 0 ? y + h : y, star.size, 0, Math.PI * 2);
+                ctx.fill();
+            });
+
+            if (theme.grid.style === 'perspective') this.drawPerspectiveGrid(theme.grid);
+            else if (theme.grid.style === 'flat') this.drawFlatGrid(theme.grid, focus);
+
+            // Scanlines sit over everything else in the backdrop
+            theme.layers.forEach(layer => {
+                if (layer.type === 'scanlines') this.drawScanlines(layer);
+            });
+        }
+
+        drawPerspectiveGrid(grid) {
+            const ctx = this.ctx;
+            const w = this.width;
+            const h = this.height;
+            const horizon = h * 0.4;
+            ctx.strokeStyle = grid.color;
+            ctx.lineWidth = 1;
+
+            // Vanishing point lines (Vertical)
+            for (let x = -w; x <= w * 2; x += grid.spacing) {
+                ctx.beginPath();
+                ctx.moveTo(w / 2, horizon);
+                ctx.lineTo(x, h);
+                ctx.stroke();
+            }
+
+            // Horizontal lines with movement
+            for (let y = 0; y <= 20; y++) {
+                const lineY = horizon + Math.pow(y / 20, 2) * (h - horizon);
+                const moveY = (lineY + this.bgOffset) % (h - horizon) + horizon;
+                const alpha = (moveY - horizon) / (h - horizon);
+
+                ctx.globalAlpha = alpha * 0.5;
+                ctx.beginPath();
+                ctx.moveTo(0, moveY);
+                ctx.lineTo(w, moveY);
+                ctx.stroke();
+            }
+            ctx.globalAlpha = 1.0;
+        }
+
+        /** A square lattice scrolling down the screen and drifting against the camera. */
+        drawFlatGrid(grid, focus) {
+            const ctx = this.ctx;
+            const wrap = value => ((value % grid.spacing) + grid.spacing) % grid.spacing;
+            const offsetX = wrap(-focus.x * GRID_PARALLAX);
+            const offsetY = wrap(this.bgOffset - focus.y * GRID_PARALLAX);
+            ctx.strokeStyle = grid.color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let x = offsetX - grid.spacing; x <= this.width; x += grid.spacing) {
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, this.height);
+            }
+            for (let y = offsetY - grid.spacing; y <= this.height; y += grid.spacing) {
+                ctx.moveTo(0, y);
+                ctx.lineTo(this.width, y);
+            }
+            ctx.stroke();
+        }
+
+        /** Soft clouds that wander slowly around their anchor points. */
+        drawNebula(layer, clouds) {
+            const ctx = this.ctx;
+            const size = Math.max(this.width, this.height);
+            const t = this.time * layer.speed * 0.01;
+            clouds.forEach(cloud => {
+                const x = (cloud.x + Math.cos(t + cloud.drift) * 0.05) * this.width;
+                const y = (cloud.y + Math.sin(t * 0.7 + cloud.drift) * 0.05) * this.height;
+                const radius = cloud.radius * size;
+                const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+                gradient.addColorStop(0, layer.color);
+                gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+                ctx.fillStyle = gradient;
+                ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+            });
+        }
+
+        drawScanlines(layer) {
+            const ctx = this.ctx;
+            const spacing = Math.max(2, layer.spacing);
+            ctx.fillStyle = layer.color;
+            for (let y = (this.time * layer.speed) % spacing; y < this.height; y += spacing) {
+                ctx.fillRect(0, y, this.width, 1);
+            }
+        }
+    }
+
+    Object.assign(Snike, { Particle, Renderer });
+})(globalThis.Snike = globalThis.Snike || {});
@@ -0,0 +1,75 @@
+/**
+ * Service worker: keeps the whole game in a versioned cache so it starts
+ * and plays with no network, and installs as an app.
+ *
+ * Everything in PRECACHE is fetched when a version installs and served
+ * from the cache from then on, so a change to any of those files only
+ * reaches players when CACHE_VERSION is bumped. The browser sees the new
+ * worker, installs it beside the running one, and the page offers to
+ * reload (game.js); the new version takes over only when the player
+ * accepts, so a run is never swapped out from under them.
+ */
+'use strict';
+
+const CACHE_VERSION = 1;
+const CACHE_PREFIX = 'snike-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Same order as the script tags in index.html
+const CORE_SCRIPTS = [
+    'vector', 'config', 'random', 'themes', 'accessibility', 'events', 'gravity', 'input', 'arena', 'levels', 'modes',
+    'pickups', 'food', 'grid', 'snake', 'scoring', 'stats', 'achievements', 'simulation', 'controllers', 'touch',
+    'audio', 'bindings', 'replay', 'daily', 'ghost', 'camera', 'plugins', 'settings', 'profiles'
+].map(name => `core/${name}.js`);
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    ...CORE_SCRIPTS,
+    'renderer.js',
+    'audio.js',
+    'game.js',
+    'fonts/fonts.css',
+    'fonts/icons.css',
+    'fonts/fa-solid-900.woff2',
+    'fonts/outfit-300.woff2',
+    'fonts/outfit-400.woff2',
+    'fonts/outfit-600.woff2',
+    'fonts/outfit-800.woff2',
+    'fonts/space-grotesk-300.woff2',
+    'fonts/space-grotesk-500.woff2',
+    'fonts/space-grotesk-700.woff2',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE)));
+});
+
+// The page sends this once the player chooses to reload into the new version
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+// Drops the caches of older versions, leaving any other app's on the origin alone
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Cache first; a page load that misses, e.g. with a query string, gets the game itself
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(caches.open(CACHE_NAME).then(cache => cache.match(request, { ignoreSearch: true })
+        .then(cached => cached || fetch(request)
+            .catch(error => (request.mode === 'navigate' ? cache.match('index.html') : Promise.reject(error))))));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    ACCESSIBLE_PALETTES, THEMES, accessibleTheme, defaultAccessibility, describeGravity, makeGravity,
+    normalizeAccessibility, parseTheme, prefersReducedMotion, scoreMilestone
+} = require('../core');
+
+test('accessibility settings fall back field by field', () => {
+    assert.deepStrictEqual(normalizeAccessibility(null), defaultAccessibility());
+    assert.deepStrictEqual(
+        normalizeAccessibility({ motion: 'reduce', palette: 'sepia', announce: 0, flipCue: true }),
+        { ...defaultAccessibility(), motion: 'reduce', flipCue: true }
+    );
+});
+
+test('motion follows the system unless the pilot overrides it', () => {
+    const settings = defaultAccessibility();
+    assert.strictEqual(prefersReducedMotion(settings, true), true);
+    assert.strictEqual(prefersReducedMotion(settings, false), false);
+    assert.strictEqual(prefersReducedMotion({ ...settings, motion: 'reduce' }, false), true);
+    assert.strictEqual(prefersReducedMotion({ ...settings, motion: 'full' }, true), false);
+});
+
+test('accessible palettes replace the gameplay colors and still make valid themes', () => {
+    assert.strictEqual(accessibleTheme(THEMES.neon, 'standard'), THEMES.neon);
+    Object.keys(ACCESSIBLE_PALETTES).forEach(id => {
+        Object.values(THEMES).forEach(theme => {
+            const result = accessibleTheme(theme, id);
+            assert.deepStrictEqual(parseTheme(result), result);
+        });
+    });
+    const contrast = accessibleTheme(THEMES.nebula, 'contrast');
+    assert.strictEqual(contrast.glow, 0);
+    assert.strictEqual(contrast.palette.snake, '#ffffff');
+    assert.deepStrictEqual(contrast.layers, THEMES.nebula.layers);
+    assert.strictEqual(accessibleTheme(THEMES.space, 'colorblind').glow, THEMES.space.glow);
+});
+
+test('the pilots get two different cores in every palette', () => {
+    Object.values(ACCESSIBLE_PALETTES).filter(p => p.palette).forEach(({ palette }) => {
+        assert.notStrictEqual(palette.snake, palette.rival);
+    });
+});
+
+test('gravity is described in words', () => {
+    assert.strictEqual(describeGravity(makeGravity(90)), 'Gravity now pulls down');
+    assert.strictEqual(describeGravity(makeGravity(225, 1.5)), 'Gravity now pulls up-left, strength 1.5');
+    assert.strictEqual(describeGravity(makeGravity(200), 'In 1.5 seconds gravity pulls'), 'In 1.5 seconds gravity pulls at 200 degrees');
+});
+
+test('score milestones are read once as they are crossed', () => {
+    assert.strictEqual(scoreMilestone(90, 100), 100);
+    assert.strictEqual(scoreMilestone(190, 230), 200);
+    assert.strictEqual(scoreMilestone(100, 110), null);
+    assert.strictEqual(scoreMilestone(0, 50), null);
+});
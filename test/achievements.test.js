@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONFIG, THEMES, AchievementTracker, Simulation, defaultAchievements, normalizeAchievements, rewardColors
+} = require('../core');
+
+const DATE = '2026-10-01T00:00:00.000Z';
+const START = { previous: 'START', state: 'PLAYING' };
+
+/** A tracker with a run under way on `theme`, and a helper that feeds it events. */
+function tracking(theme = 'space') {
+    const sim = new Simulation(800, 600);
+    sim.state = 'PLAYING';
+    const tracker = new AchievementTracker();
+    const feed = (type, event = {}) => tracker.observe(type, event, { sim, theme, date: DATE }).map(a => a.id);
+    feed('stateChanged', START);
+    return { sim, tracker, feed };
+}
+
+const food = { pickup: 'food', player: 0 };
+
+test('finishing a run unlocks First Flight, quitting does not', () => {
+    const quit = tracking();
+    assert.deepStrictEqual(quit.feed('runEnded', { reason: 'quit' }), []);
+
+    const { tracker, feed } = tracking();
+    assert.deepStrictEqual(feed('runEnded', { reason: 'crash' }), ['firstFlight']);
+    assert.strictEqual(tracker.record.unlocked.firstFlight, DATE);
+    assert.strictEqual(tracker.run, null);
+});
+
+test('events outside a run count toward nothing', () => {
+    const tracker = new AchievementTracker();
+    const sim = new Simulation(800, 600);
+    assert.deepStrictEqual(tracker.observe('runEnded', { reason: 'crash' }, { sim, theme: 'space' }), []);
+    // Resuming from pause is not a new run
+    tracker.observe('stateChanged', { previous: 'PAUSED', state: 'PLAYING' }, { sim, theme: 'space' });
+    assert.strictEqual(tracker.run, null);
+});
+
+test('Feeding Frenzy needs five food within one gravity cycle', () => {
+    const { feed } = tracking();
+    for (let i = 0; i < 4; i++) feed('foodEaten', food);
+    feed('gravityChanged', { source: 'schedule' });
+    for (let i = 0; i < 4; i++) assert.deepStrictEqual(feed('foodEaten', food), []);
+    assert.deepStrictEqual(feed('foodEaten', { pickup: 'shield', player: 0 }), []);
+    assert.deepStrictEqual(feed('foodEaten', food), ['feedingFrenzy']);
+});
+
+test('Hands Off needs a minute alive without a manual flip', () => {
+    const { sim, feed } = tracking();
+    sim.stats.duration = 60000;
+    sim.stats.flips.manual = 1;
+    assert.deepStrictEqual(feed('tick', { clock: 60000 }), []);
+    sim.stats.flips.manual = 0;
+    assert.deepStrictEqual(feed('tick', { clock: 60000 }), ['handsOff']);
+    // Unlocked once only
+    assert.deepStrictEqual(feed('tick', { clock: 60016 }), []);
+});
+
+test('Terminal Velocity unlocks at top speed and grants a core color', () => {
+    const { sim, tracker, feed } = tracking();
+    sim.stats.players[0].peakSpeed = CONFIG.MAX_SPEED;
+    assert.deepStrictEqual(feed('tick', { clock: 0 }), ['terminalVelocity']);
+    assert.deepStrictEqual(rewardColors(tracker.record).map(r => r.name), ['Ember']);
+});
+
+test('Grand Tour needs a finished run on every built-in theme', () => {
+    const tracker = new AchievementTracker();
+    const sim = new Simulation(800, 600);
+    const ids = Object.keys(THEMES);
+    const unlocked = ids.map(theme => {
+        tracker.observe('stateChanged', START, { sim, theme, date: DATE });
+        return tracker.observe('runEnded', { reason: 'crash' }, { sim, theme, date: DATE }).map(a => a.id);
+    });
+    assert.ok(!unlocked.slice(0, -1).flat().includes('grandTour'));
+    assert.ok(unlocked[ids.length - 1].includes('grandTour'));
+    assert.deepStrictEqual(tracker.record.themes, ids);
+});
+
+test('a stored record keeps only known achievements and theme ids', () => {
+    assert.deepStrictEqual(normalizeAchievements('junk'), defaultAchievements());
+    assert.deepStrictEqual(normalizeAchievements({
+        unlocked: { firstFlight: DATE, madeUp: DATE, acrobat: 5 },
+        themes: ['space', 'space', 'bad id!', 3]
+    }), { unlocked: { firstFlight: DATE }, themes: ['space'] });
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Arena, Food, LEVELS, Rng, Simulation, Vector, parseLevel, tickInput } = require('../core');
+
+const level = parseLevel({
+    id: 'test',
+    name: 'Test',
+    targetScore: 20,
+    obstacles: [
+        { type: 'wall', x: 0.1, y: 0.1, w: 0.1, h: 0.1 },
+        { type: 'mover', x: 0.5, y: 0.1, w: 0.1, h: 0.05, dx: 0, dy: 0.5, period: 4000 },
+        { type: 'rotor', x: 0.5, y: 0.8, length: 0.2, thickness: 10, speed: Math.PI / 2 },
+        { type: 'nospawn', x: 0.8, y: 0.8, w: 0.1, h: 0.1 }
+    ]
+});
+
+test('parseLevel rejects unknown obstacle types and missing fields', () => {
+    assert.throws(() => parseLevel({ id: 'x', name: 'X', targetScore: 10, obstacles: [{ type: 'lava' }] }), /unknown type/);
+    assert.throws(() => parseLevel({ id: 'x', name: 'X', targetScore: 10, obstacles: [{ type: 'wall', x: 0 }] }), /missing "y"/);
+    assert.throws(() => parseLevel('{"id":"x","name":"X","obstacles":[]}'), /targetScore/);
+});
+
+test('every built-in level keeps the spawn point clear', () => {
+    LEVELS.forEach(({ id }, i) => {
+        const arena = new Arena(LEVELS[i], 1000, 700);
+        assert.strictEqual(arena.collides(new Vector(500, 350), 40), false, id);
+    });
+});
+
+test('walls collide and no-spawn zones do not', () => {
+    const arena = new Arena(level, 1000, 1000);
+    assert.strictEqual(arena.collides(new Vector(150, 150), 5), true);
+    assert.strictEqual(arena.collides(new Vector(850, 850), 5), false);
+    assert.strictEqual(arena.blocksSpawn(new Vector(850, 850), 5), true);
+});
+
+test('wells are not solid and pull hardest at the centre', () => {
+    const arena = new Arena(parseLevel({
+        id: 'wells',
+        name: 'Wells',
+        targetScore: 10,
+        obstacles: [{ type: 'well', x: 0.5, y: 0.5, radius: 0.2, strength: 2 }, { type: 'well', x: 0.1, y: 0.1, radius: 0.05, strength: -1 }]
+    }), 1000, 1000);
+    assert.strictEqual(arena.collides(new Vector(500, 500), 5), false);
+    assert.strictEqual(arena.blocksSpawn(new Vector(500, 500), 5), false);
+    const inner = arena.pullAt(new Vector(550, 500));
+    const outer = arena.pullAt(new Vector(650, 500));
+    assert.ok(inner.x < outer.x && outer.x < 0, 'towards the centre, fading outwards');
+    assert.deepStrictEqual(arena.pullAt(new Vector(800, 500)), { x: 0, y: 0 });
+    assert.ok(arena.pullAt(new Vector(120, 100)).x > 0, 'a repulsor pushes away');
+});
+
+test('parseLevel checks the gravity schedule', () => {
+    assert.throws(() => parseLevel({ id: 'x', name: 'X', targetScore: 10, obstacles: [], gravity: { type: 'script', interval: 0, steps: [] } }),
+        /Level "x" gravity: .*interval/);
+});
+
+test('movers slide along their path over the period', () => {
+    const arena = new Arena(level, 1000, 1000);
+    const top = new Vector(550, 120);
+    const bottom = new Vector(550, 620);
+    assert.strictEqual(arena.collides(top, 5), true);
+    arena.update(2000); // Half a period: fully travelled
+    assert.strictEqual(arena.collides(top, 5), false);
+    assert.strictEqual(arena.collides(bottom, 5), true);
+    // Food stays out of the whole path either way
+    assert.strictEqual(arena.blocksSpawn(new Vector(550, 400), 5), true);
+});
+
+test('rotors sweep around their centre', () => {
+    const arena = new Arena(level, 1000, 1000);
+    const right = new Vector(580, 800);
+    const below = new Vector(500, 880);
+    assert.strictEqual(arena.collides(right, 2), true);
+    assert.strictEqual(arena.collides(below, 2), false);
+    arena.update(1000); // Quarter turn
+    assert.strictEqual(arena.collides(right, 2), false);
+    assert.strictEqual(arena.collides(below, 2), true);
+});
+
+test('food never spawns inside an obstacle', () => {
+    const sim = new Simulation(1000, 1000, 5);
+    sim.setLevel(0);
+    for (let i = 0; i < 200; i++) {
+        sim.food.spawn();
+        assert.strictEqual(sim.arena.blocksSpawn(sim.food.pos, 12), false);
+    }
+});
+
+test('food finds the one clear pocket of an almost fully blocked arena', () => {
+    const pocket = pos => pos.x >= 700 && pos.x <= 720 && pos.y >= 300 && pos.y <= 320;
+    for (let seed = 1; seed <= 20; seed++) {
+        const food = new Food(1000, 700, new Rng(seed), pos => !pocket(pos));
+        assert.ok(pocket(food.pos), `seed ${seed} put food at ${food.pos.x}, ${food.pos.y}`);
+    }
+});
+
+test('reaching the target score advances the campaign', () => {
+    const sim = new Simulation(1000, 700, 3);
+    sim.setLevel(0);
+    sim.setState('START');
+    sim.start(3);
+    while (sim.levelIndex === 0) {
+        sim.food.pos = sim.snake.pos.copy();
+        sim.step(tickInput(null));
+    }
+    assert.strictEqual(sim.levelIndex, 1);
+    assert.strictEqual(sim.levelScore, 0);
+    // Eating every tick chains a combo, so the last meal may overshoot the target
+    assert.ok(sim.score >= LEVELS[0].targetScore);
+    assert.deepStrictEqual(sim.snake.pos, new Vector(500, 350));
+    assert.ok(sim.drainEvents().some(e => e.type === 'levelComplete' && e.next === 1));
+});
+
+test('clearing the last level wins the run', () => {
+    const sim = new Simulation(1000, 700, 3);
+    sim.setLevel(LEVELS.length - 1);
+    sim.setState('START');
+    sim.start(3);
+    while (sim.state === 'PLAYING') {
+        sim.food.pos = sim.snake.pos.copy();
+        sim.step(tickInput(null));
+    }
+    assert.ok(sim.drainEvents().some(e => e.type === 'runEnded' && e.reason === 'campaign'));
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONFIG, channelVolume, defaultAudioSettings, midiToFrequency, musicIntensity, musicStep, musicTempo,
+    normalizeAudioSettings, stepDuration
+} = require('../core');
+
+/** Every note of one four-bar loop. */
+function loop(intensity) {
+    return Array.from({ length: 64 }, (_, step) => musicStep(step, intensity)).flat();
+}
+
+test('audio settings clamp volumes and fall back field by field', () => {
+    assert.deepStrictEqual(normalizeAudioSettings(null), defaultAudioSettings());
+    assert.deepStrictEqual(
+        normalizeAudioSettings({ master: 2, music: -1, sfx: 'loud', muted: 'yes' }),
+        { ...defaultAudioSettings(), master: 1, music: 0 }
+    );
+});
+
+test('channel volume is scaled by master and silenced by mute', () => {
+    const settings = { master: 0.5, music: 0.4, sfx: 1, muted: false };
+    assert.strictEqual(channelVolume(settings, 'master'), 0.5);
+    assert.strictEqual(channelVolume(settings, 'music'), 0.2);
+    assert.strictEqual(channelVolume({ ...settings, muted: true }, 'sfx'), 0);
+});
+
+test('tempo follows speed within its range', () => {
+    assert.strictEqual(musicTempo(CONFIG.INITIAL_SNAKE_SPEED), 96);
+    assert.strictEqual(musicTempo(CONFIG.MAX_SPEED), 150);
+    assert.strictEqual(musicTempo(100), 150);
+    assert.ok(musicTempo(4) > musicTempo(3));
+    assert.ok(Math.abs(stepDuration(120) - 0.125) < 1e-12);
+});
+
+test('intensity rises with length and adds layers', () => {
+    assert.strictEqual(musicIntensity(20), 0);
+    assert.strictEqual(musicIntensity(5000), 1);
+    const voices = intensity => [...new Set(loop(intensity).map(n => n.voice))].sort();
+    assert.deepStrictEqual(voices(0), ['bass']);
+    assert.deepStrictEqual(voices(0.3), ['bass', 'hat']);
+    assert.deepStrictEqual(voices(0.6), ['arp', 'bass', 'hat']);
+    assert.deepStrictEqual(voices(1), ['arp', 'bass', 'hat', 'lead']);
+    assert.ok(loop(1).filter(n => n.voice === 'hat').length > loop(0.3).filter(n => n.voice === 'hat').length);
+});
+
+test('the score loops every four bars', () => {
+    assert.deepStrictEqual(musicStep(70, 1), musicStep(6, 1));
+    assert.strictEqual(midiToFrequency(69), 440);
+    assert.strictEqual(musicStep(0, 0)[0].note, 45, 'the loop opens on the A bass');
+});
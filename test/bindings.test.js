@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    KEY_LAYOUTS, PAD_LAYOUT, BINDING_SETS, defaultBindings, normalizeBindings, rebind, describeMoves, describeAction
+} = require('../core');
+
+test('the defaults match the built-in layouts', () => {
+    const bindings = defaultBindings();
+    assert.deepStrictEqual(bindings.keyboard.left, KEY_LAYOUTS.solo.left);
+    assert.deepStrictEqual(bindings.keyboard.pause, ['Escape']);
+    assert.deepStrictEqual(bindings.versusTwo.flip, KEY_LAYOUTS.arrows.flip);
+    assert.deepStrictEqual(bindings.gamepad, PAD_LAYOUT);
+    bindings.gamepad.flip.push(3);
+    assert.deepStrictEqual(PAD_LAYOUT.flip, [0], 'defaults are copies');
+});
+
+test('normalizing keeps valid bindings and restores the rest', () => {
+    const bindings = normalizeBindings({
+        keyboard: { flip: ['F', 'g', 'h'], left: 'a' },
+        gamepad: { flip: [1.5] },
+        unknown: { up: ['x'] }
+    });
+    assert.deepStrictEqual(bindings.keyboard.flip, ['f', 'g'], 'lower-cased and cut to two slots');
+    assert.deepStrictEqual(bindings.keyboard.left, KEY_LAYOUTS.solo.left);
+    assert.deepStrictEqual(bindings.gamepad.flip, PAD_LAYOUT.flip);
+    assert.deepStrictEqual(Object.keys(bindings), Object.keys(BINDING_SETS));
+    assert.deepStrictEqual(normalizeBindings(null), defaultBindings());
+});
+
+test('rebinding replaces one slot and leaves the input nowhere else it clashes', () => {
+    const before = defaultBindings();
+    const after = rebind(before, 'keyboard', 'flip', 0, 'w');
+    assert.deepStrictEqual(after.keyboard.flip, ['w']);
+    assert.deepStrictEqual(after.keyboard.up, ['ArrowUp'], 'taken off Up');
+    assert.deepStrictEqual(after.versusOne.up, ['w'], 'versus keys are never live with solo ones');
+    assert.deepStrictEqual(before.keyboard.flip, [' '], 'the old bindings are untouched');
+
+    const second = rebind(after, 'keyboard', 'flip', 1, 'x');
+    assert.deepStrictEqual(second.keyboard.flip, ['w', 'x']);
+    assert.deepStrictEqual(rebind(second, 'keyboard', 'flip', 0, null).keyboard.flip, ['x']);
+});
+
+test('pause and the two versus sets share the keyboard with everything live alongside them', () => {
+    const paused = rebind(defaultBindings(), 'keyboard', 'pause', 0, 'Enter');
+    assert.deepStrictEqual(paused.versusTwo.flip, [], 'Enter was player two\'s flip');
+
+    const swapped = rebind(defaultBindings(), 'versusOne', 'flip', 0, 'ArrowUp');
+    assert.deepStrictEqual(swapped.versusTwo.up, []);
+    assert.deepStrictEqual(swapped.keyboard.up, ['ArrowUp', 'w'], 'solo keys are not live in versus');
+
+    const pad = rebind(defaultBindings(), 'gamepad', 'pause', 0, 0);
+    assert.deepStrictEqual(pad.gamepad.flip, []);
+    assert.deepStrictEqual(pad.keyboard.pause, ['Escape'], 'devices never clash');
+});
+
+test('rebinding rejects unknown actions, slots and inputs', () => {
+    const bindings = defaultBindings();
+    assert.throws(() => rebind(bindings, 'versusOne', 'pause', 0, 'p'), /Unknown binding/);
+    assert.throws(() => rebind(bindings, 'keyboard', 'flip', 2, 'p'), /out of range/);
+    assert.throws(() => rebind(bindings, 'gamepad', 'flip', 0, 'p'), /Invalid gamepad input/);
+});
+
+test('bindings are described for the controls hint', () => {
+    const bindings = defaultBindings();
+    assert.strictEqual(describeMoves(bindings.keyboard), 'ARROWS / WASD');
+    assert.strictEqual(describeMoves(bindings.versusOne), 'WASD');
+    assert.strictEqual(describeAction(bindings.keyboard, 'flip'), 'SPACE');
+    assert.strictEqual(describeAction(bindings.gamepad, 'pause', 'gamepad'), 'START');
+    assert.strictEqual(describeAction(rebind(bindings, 'keyboard', 'flip', 0, null).keyboard, 'flip'), '—');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, Camera, Simulation, Vector, makeGravity, defaultCameraSettings, normalizeCameraSettings } = require('../core');
+
+function flying(players = 1) {
+    const sim = new Simulation();
+    if (players > 1) sim.setMode('versus');
+    sim.setState('START');
+    sim.start(3);
+    return sim;
+}
+
+function camera(width = 800, height = 600) {
+    const cam = new Camera();
+    cam.setViewport(width, height);
+    return cam;
+}
+
+test('the world is the same size whatever the screen', () => {
+    const sim = new Simulation();
+    assert.strictEqual(sim.width, CONFIG.WORLD_WIDTH);
+    assert.strictEqual(sim.height, CONFIG.WORLD_HEIGHT);
+});
+
+test('the camera cuts to the head, then leads it along the pull', () => {
+    const sim = flying();
+    sim.snake.pos = new Vector(800, 500);
+    sim.gravity = makeGravity(90);
+    const cam = camera();
+    cam.follow(sim);
+    assert.deepStrictEqual(cam.center(), { x: 800, y: 640 });
+
+    // A flip swings the lead round, easing instead of jumping
+    sim.gravity = makeGravity(270);
+    cam.follow(sim);
+    assert.ok(cam.y < 640 && cam.prevY === 640);
+    for (let i = 0; i < 200; i++) cam.follow(sim);
+    assert.ok(Math.abs(cam.y - 360) < 1);
+
+    cam.steady = true;
+    for (let i = 0; i < 200; i++) cam.follow(sim);
+    assert.ok(Math.abs(cam.y - 500) < 1);
+});
+
+test('the view stays inside the world', () => {
+    const sim = flying();
+    sim.snake.pos = new Vector(5, 5);
+    const cam = camera();
+    cam.follow(sim);
+    assert.deepStrictEqual(cam.view(), { x: 0, y: 0, w: 800, h: 600 });
+    cam.setZoom('close');
+    cam.follow(sim);
+    assert.ok(Math.abs(cam.view().x) < 1e-9);
+    assert.ok(Math.abs(cam.view().w - 800 / 1.5) < 1e-9);
+});
+
+test('fit and versus frame the whole world, centered', () => {
+    const cam = camera(800, 800);
+    cam.setZoom('fit');
+    cam.follow(flying());
+    assert.strictEqual(cam.scale, 800 / CONFIG.WORLD_WIDTH);
+    assert.ok(cam.showsAll);
+    assert.deepStrictEqual(cam.center(), { x: CONFIG.WORLD_WIDTH / 2, y: CONFIG.WORLD_HEIGHT / 2 });
+
+    const duel = camera();
+    duel.follow(flying(2));
+    assert.ok(duel.showsAll);
+});
+
+test('a jump of the head, such as a new run, is cut to rather than panned', () => {
+    const sim = flying();
+    const cam = camera();
+    cam.setZoom('close');
+    sim.snake.pos = new Vector(200, 200);
+    cam.follow(sim);
+    sim.snake.pos = new Vector(1400, 800);
+    cam.follow(sim);
+    assert.strictEqual(cam.prevX, cam.x);
+    assert.ok(cam.x > 1000);
+});
+
+test('stored camera settings are cleaned up on load', () => {
+    assert.deepStrictEqual(normalizeCameraSettings({ zoom: 'huge', minimap: false }), { zoom: 'normal', minimap: false });
+    assert.deepStrictEqual(normalizeCameraSettings(null), defaultCameraSettings());
+});
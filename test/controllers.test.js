@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONFIG, KEY_LAYOUTS, PAD_LAYOUT, KeyboardController, GamepadController, TouchController, ScriptedController,
+    MergedController, Autopilot, Simulation, Vector, controllerInput, tickInput, keyName
+} = require('../core');
+
+function playing(mode = 'classic', seed = 3) {
+    const sim = new Simulation(900, 600, seed);
+    sim.setMode(mode);
+    sim.setState('START');
+    sim.start(seed);
+    return sim;
+}
+
+test('a keyboard controller only answers to its own layout', () => {
+    const keys = { ArrowLeft: true, w: true };
+    const wasd = new KeyboardController(keys, KEY_LAYOUTS.wasd);
+    const arrows = new KeyboardController(keys, KEY_LAYOUTS.arrows);
+    assert.deepStrictEqual(wasd.read().steer, { dx: 0, dy: -1 });
+    assert.deepStrictEqual(arrows.read().steer, { dx: -1, dy: 0 });
+
+    assert.strictEqual(arrows.keyDown('e'), false);
+    assert.strictEqual(wasd.keyDown('e'), true);
+    assert.strictEqual(wasd.read().flip, true);
+    assert.strictEqual(wasd.read().flip, false, 'a flip is consumed once');
+});
+
+test('merged controllers add steering and share flips', () => {
+    const keyboard = new KeyboardController({ d: true });
+    const touch = new TouchController();
+    touch.direction = { dx: 0, dy: 1 };
+    touch.queueFlip();
+    const merged = new MergedController(keyboard, touch);
+    assert.deepStrictEqual(controllerInput(merged, null), tickInput({ dx: 1, dy: 1 }, true));
+    assert.deepStrictEqual(controllerInput(merged, null), tickInput({ dx: 1, dy: 1 }, false));
+});
+
+test('a scripted controller plays its steps in order and then idles', () => {
+    const script = new ScriptedController([
+        { ticks: 2, steer: { dx: 1, dy: 0 }, flip: true },
+        { ticks: 1, steer: { dx: 0, dy: 1 } }
+    ]);
+    const reads = [1, 2, 3, 4].map(() => script.read());
+    assert.deepStrictEqual(reads.map(r => r.flip), [true, false, false, false]);
+    assert.deepStrictEqual(reads.map(r => r.steer), [{ dx: 1, dy: 0 }, { dx: 1, dy: 0 }, { dx: 0, dy: 1 }, null]);
+    assert.ok(script.finished);
+});
+
+test('the autopilot turns away from a wall it is flying into', () => {
+    const sim = playing();
+    sim.food.pos = new Vector(450, 500);
+    sim.snake.pos = new Vector(450, 40);
+    sim.snake.angle = -Math.PI / 2; // Straight up at the top wall
+    const { steer } = new Autopilot().read(sim, 0);
+    assert.ok(steer.dy > 0 || Math.abs(steer.dx) > 0.9, `steered ${JSON.stringify(steer)}`);
+});
+
+test('the autopilot flies to food and stays alive', () => {
+    const sim = playing();
+    const bot = new Autopilot();
+    for (let i = 0; i < 2400 && sim.state === 'PLAYING'; i++) {
+        sim.step(controllerInput(bot, sim));
+    }
+    assert.strictEqual(sim.state, 'PLAYING');
+    assert.ok(sim.score >= 100, `scored ${sim.score}`);
+});
+
+test('the autopilot is deterministic', () => {
+    const a = playing('wrap', 9);
+    const b = playing('wrap', 9);
+    const botA = new Autopilot();
+    const botB = new Autopilot();
+    for (let i = 0; i < 600; i++) {
+        a.step(controllerInput(botA, a));
+        b.step(controllerInput(botB, b));
+    }
+    assert.deepStrictEqual(a.snake.segments, b.snake.segments);
+});
+
+test('the autopilot can fly player two in versus', () => {
+    const sim = playing('versus');
+    const bot = new Autopilot();
+    const idle = tickInput(null);
+    sim.clock = CONFIG.GRACE_PERIOD;
+    // Player one idles into the top wall; the bot should outlive it
+    for (let i = 0; i < 600 && sim.state === 'PLAYING' && sim.roundBreakUntil === null; i++) {
+        sim.step(idle, controllerInput(bot, sim, 1));
+    }
+    assert.deepStrictEqual(sim.wins, [0, 1]);
+});
+
+function fakePad(axes = [0, 0], pressed = []) {
+    return { axes, buttons: Array.from({ length: 17 }, (b, i) => ({ pressed: pressed.includes(i) })) };
+}
+
+test('a gamepad stick steers at any angle and the d-pad takes over when it is centered', () => {
+    let pad = fakePad([0.3, -0.6]);
+    const gamepad = new GamepadController(() => pad);
+    assert.deepStrictEqual(gamepad.read().steer, { dx: 0.3, dy: -0.6 });
+
+    pad = fakePad([0.1, 0.05], [PAD_LAYOUT.left[0]]);
+    gamepad.poll();
+    assert.deepStrictEqual(gamepad.read().steer, { dx: -1, dy: 0 });
+
+    pad = null;
+    assert.strictEqual(gamepad.connected, false);
+    assert.deepStrictEqual(gamepad.read(), { steer: null, flip: false });
+});
+
+test('gamepad buttons fire once per press', () => {
+    let pad = fakePad([0, 0], [PAD_LAYOUT.flip[0], PAD_LAYOUT.pause[0]]);
+    const gamepad = new GamepadController(() => pad);
+    assert.deepStrictEqual(gamepad.poll(), [PAD_LAYOUT.flip[0], PAD_LAYOUT.pause[0]]);
+    assert.deepStrictEqual(gamepad.poll(), [], 'still held is not a new press');
+    assert.strictEqual(gamepad.read().flip, true);
+    assert.strictEqual(gamepad.read().flip, false);
+
+    pad = fakePad();
+    gamepad.poll();
+    pad = fakePad([0, 0], [PAD_LAYOUT.flip[0]]);
+    gamepad.poll();
+    assert.strictEqual(gamepad.read().flip, true);
+});
+
+test('keyboard layouts ignore Shift and Caps Lock', () => {
+    const keyboard = new KeyboardController({ [keyName('D')]: true }, KEY_LAYOUTS.wasd);
+    assert.deepStrictEqual(keyboard.read().steer, { dx: 1, dy: 0 });
+    assert.strictEqual(keyboard.keyDown('E'), true);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONFIG, Simulation, Recorder, Rng, tickInput, dailyKey, dailySeed, inputChecksum, encodeResult, parseResultCode,
+    verifyResult, defaultDaily, normalizeDaily
+} = require('../core');
+
+const DAY = '2026-10-18';
+
+// Flies the day's challenge with a wobbly pilot and sums it up as a result code
+function dailyRun(ticks = 900) {
+    const sim = new Simulation(800, 600);
+    sim.setMode('daily');
+    sim.setState('START');
+    sim.start(dailySeed(DAY));
+    const recorder = new Recorder(sim);
+    const rng = new Rng(5);
+    for (let i = 0; i < ticks && sim.state === 'PLAYING'; i++) {
+        const steer = { dx: Math.round(rng.range(-1, 1)), dy: Math.round(rng.range(-1, 1)) };
+        sim.step(recorder.record(tickInput(steer, i % 200 === 150)));
+    }
+    const code = encodeResult({
+        day: DAY, seed: sim.seed, score: sim.score, ticks: recorder.ticks, checksum: inputChecksum(recorder.inputs)
+    });
+    return { sim, recorder, code };
+}
+
+test('the challenge day is the UTC date, and each day has its own seed', () => {
+    assert.strictEqual(dailyKey(new Date('2026-10-18T23:30:00-05:00')), '2026-10-19');
+    assert.strictEqual(dailySeed(DAY), dailySeed('2026-10-18'));
+    assert.notStrictEqual(dailySeed(DAY), dailySeed('2026-10-19'));
+});
+
+test('the daily challenge sets the pilot\'s level and speed aside', () => {
+    const sim = new Simulation(800, 600);
+    sim.setBaseSpeed(CONFIG.MAX_SPEED);
+    sim.setLevel(0);
+    sim.setMode('daily');
+    sim.setState('START');
+    sim.start(dailySeed(DAY));
+    assert.strictEqual(sim.level, null);
+    assert.strictEqual(sim.snake.speed, CONFIG.INITIAL_SNAKE_SPEED);
+});
+
+test('a result code reads back whatever its case', () => {
+    const code = encodeResult({ day: DAY, seed: dailySeed(DAY), score: 120, ticks: 4321, checksum: 987654321 });
+    assert.match(code, /^SNK1-20261018(-[0-9A-Z]+){5}$/);
+    assert.deepStrictEqual(parseResultCode(` ${code.toLowerCase()} `), {
+        day: DAY, seed: dailySeed(DAY), score: 120, ticks: 4321, checksum: 987654321
+    });
+});
+
+test('an edited or mistyped code is refused', () => {
+    const code = encodeResult({ day: DAY, seed: dailySeed(DAY), score: 120, ticks: 4321, checksum: 1 });
+    const parts = code.split('-');
+    parts[3] = (999).toString(36).toUpperCase();
+    assert.throws(() => parseResultCode(parts.join('-')), /check digits/);
+    assert.throws(() => parseResultCode('hello'), /Not a daily result code/);
+
+    const otherDay = encodeResult({ day: DAY, seed: dailySeed('2026-10-17'), score: 1, ticks: 1, checksum: 1 });
+    assert.throws(() => parseResultCode(otherDay), /not the one of 2026-10-18/);
+});
+
+test('a code checks out against the replay of its run', () => {
+    const { recorder, code } = dailyRun();
+    const replay = JSON.stringify(recorder);
+    assert.strictEqual(verifyResult(parseResultCode(code), replay), true);
+
+    const inflated = { ...parseResultCode(code), score: 9999 };
+    assert.throws(() => verifyResult(inflated, replay), /the code claims 9999/);
+    const steered = recorder.toJSON();
+    steered.inputs = [1, 0, 0, ...steered.inputs];
+    assert.throws(() => verifyResult(parseResultCode(code), steered), /input differs/);
+});
+
+test('only daily challenge replays can back a code', () => {
+    const sim = new Simulation(800, 600);
+    sim.setState('START');
+    sim.start(dailySeed(DAY));
+    const recorder = new Recorder(sim);
+    sim.step(recorder.record(tickInput(null)));
+    const result = { day: DAY, seed: dailySeed(DAY), score: 0, ticks: 1, checksum: inputChecksum(recorder.inputs) };
+    assert.throws(() => verifyResult(result, recorder.toJSON()), /not a daily challenge run/);
+});
+
+test('a stored daily record is cleaned up on load', () => {
+    assert.deepStrictEqual(normalizeDaily({ day: 'yesterday', score: 5 }), defaultDaily());
+    assert.deepStrictEqual(normalizeDaily({ day: DAY, score: -1, code: 'SNK1-X' }), { day: DAY, score: null, code: 'SNK1-X' });
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EVENT_TYPES, EventBus } = require('../core');
+
+test('handlers run in subscription order and can unsubscribe', () => {
+    const bus = new EventBus();
+    const calls = [];
+    bus.on('roundStarted', e => calls.push(`a${e.round}`));
+    const off = bus.on('roundStarted', e => calls.push(`b${e.round}`));
+    bus.emit('roundStarted', { round: 1 });
+    off();
+    bus.emit('roundStarted', { round: 2 });
+    assert.deepStrictEqual(calls, ['a1', 'b1', 'a2']);
+});
+
+test('once handlers fire a single time', () => {
+    const bus = new EventBus();
+    let count = 0;
+    bus.once('tick', () => count++);
+    bus.emit('tick', { clock: 1 });
+    bus.emit('tick', { clock: 2 });
+    assert.strictEqual(count, 1);
+});
+
+test('unknown types and missing payload fields are refused', () => {
+    const bus = new EventBus();
+    assert.throws(() => bus.on('foodEatn', () => {}), /Unknown event type "foodEatn"/);
+    assert.throws(() => bus.emit('foodEaten', { pos: null, score: 0, player: 0 }), /missing "pickup"/);
+});
+
+test('add-ons can define event types of their own', () => {
+    const bus = new EventBus();
+    const seen = [];
+    bus.define('comboBroken', ['length']);
+    bus.on('comboBroken', e => seen.push(e.length));
+    bus.emit('comboBroken', { length: 4 });
+    assert.deepStrictEqual(seen, [4]);
+    assert.throws(() => bus.define('tick'), /already exists/);
+    assert.ok(!('comboBroken' in EVENT_TYPES), 'the shared table is left alone');
+});
+
+test('a throwing handler is reported and the others still run', () => {
+    const errors = [];
+    const bus = new EventBus({ onError: (error, type) => errors.push([error.message, type]) });
+    let reached = false;
+    bus.on('tick', () => { throw new Error('boom'); });
+    bus.on('tick', () => { reached = true; });
+    bus.emit('tick', { clock: 0 });
+    assert.ok(reached);
+    assert.deepStrictEqual(errors, [['boom', 'tick']]);
+});
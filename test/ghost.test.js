@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONFIG, GHOST_INTERVAL, GHOST_MAX_FRAMES, GhostRecorder, GhostStore, ProfileStore, Simulation, Vector, ghostKey,
+    ghostScoreAt, ghostTrail, readSave, tickInput
+} = require('../core');
+
+/** A localStorage stand-in that, like a browser's, refuses writes past `quota` characters. */
+function memoryStorage(quota = Infinity) {
+    const items = new Map();
+    const used = () => [...items].reduce((sum, [key, value]) => sum + key.length + value.length, 0);
+    return {
+        items,
+        writes: [],
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem(key, value) {
+            const before = items.get(key);
+            items.set(key, String(value));
+            if (used() > quota) {
+                if (before === undefined) items.delete(key);
+                else items.set(key, before);
+                const error = new Error('The quota has been exceeded.');
+                error.name = 'QuotaExceededError';
+                throw error;
+            }
+            this.writes.push(key);
+        },
+        removeItem: key => items.delete(key),
+        key: i => [...items.keys()][i] ?? null,
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+/** Flies a run straight ahead for `ticks`, feeding it at `feedAt`, and returns its ghost. */
+function flyGhost(ticks, feedAt = []) {
+    const sim = new Simulation(800, 600);
+    sim.setState('START');
+    sim.start(7);
+    sim.food.pos = new Vector(-1000, -1000);
+    const recorder = new GhostRecorder(sim);
+    for (let i = 1; i <= ticks && sim.state === 'PLAYING'; i++) {
+        if (feedAt.includes(i)) sim.food.pos = sim.snake.pos.copy();
+        sim.step(tickInput(null));
+        if (feedAt.includes(i)) sim.food.pos = new Vector(-1000, -1000);
+        recorder.record(sim);
+    }
+    return { sim, recorder, ghost: recorder.toJSON() };
+}
+
+test('a ghost samples the head every few ticks under its mode and speed', () => {
+    const { recorder, ghost } = flyGhost(GHOST_INTERVAL * 10);
+    assert.strictEqual(recorder.key, ghostKey('classic', CONFIG.INITIAL_SNAKE_SPEED));
+    assert.strictEqual(ghost.ticks, GHOST_INTERVAL * 10);
+    assert.strictEqual(ghost.frames.length, 11 * 4);
+});
+
+test('the ghost\'s score is the one it had at the same moment', () => {
+    const { sim, ghost } = flyGhost(GHOST_INTERVAL * 10, [GHOST_INTERVAL * 5]);
+    assert.ok(sim.score > 0);
+    assert.strictEqual(ghostScoreAt(ghost, 0), 0);
+    assert.strictEqual(ghostScoreAt(ghost, GHOST_INTERVAL * 4), 0);
+    assert.strictEqual(ghostScoreAt(ghost, GHOST_INTERVAL * 5), sim.score);
+    // After its run ended the ghost stays at its final score
+    assert.strictEqual(ghostScoreAt(ghost, 100000), sim.score);
+});
+
+test('the ghost trail follows the path for the snake\'s length and scales to the arena', () => {
+    const { ghost } = flyGhost(GHOST_INTERVAL * 40);
+    const at = GHOST_INTERVAL * 30;
+    const trail = ghostTrail(ghost, at, 800, 600);
+    const head = new Vector(ghost.frames[30 * 4], ghost.frames[30 * 4 + 1]);
+    assert.ok(trail.pos.dist(head) < 1e-9);
+    let travelled = 0;
+    for (let i = 1; i < trail.segments.length; i++) travelled += trail.segments[i].dist(trail.segments[i - 1]);
+    assert.ok(Math.abs(travelled - ghost.frames[30 * 4 + 3] * CONFIG.SEGMENT_SPACING) < 1e-6);
+
+    const half = ghostTrail(ghost, at, 400, 300);
+    assert.ok(Math.abs(half.pos.x - head.x / 2) < 1e-9 && Math.abs(half.pos.y - head.y / 2) < 1e-9);
+    assert.strictEqual(ghostTrail(ghost, GHOST_INTERVAL * 41, 800, 600), null);
+});
+
+test('a ghost is only replaced by a higher scoring run', () => {
+    const store = new ProfileStore(memoryStorage());
+    store.login('Ace');
+    const fed = flyGhost(GHOST_INTERVAL * 10, [GHOST_INTERVAL * 5]).recorder;
+    const hungry = flyGhost(GHOST_INTERVAL * 10).recorder;
+    assert.strictEqual(store.recordGhost(fed), true);
+    assert.strictEqual(store.recordGhost(hungry), false);
+    assert.strictEqual(store.ghost('classic', CONFIG.INITIAL_SNAKE_SPEED).score, fed.score);
+    assert.strictEqual(store.ghost('classic', CONFIG.MAX_SPEED), null);
+});
+
+test('a long run is thinned to fit, still sampled from start to end', () => {
+    // A stand-in run that never ends, its head moving one px a tick
+    const run = { mode: { id: 'zen' }, startSpeed: 2.5, width: 800, height: 600, score: 0, snake: { pos: new Vector(0, 0), length: 5 } };
+    const recorder = new GhostRecorder(run);
+    const ticks = GHOST_INTERVAL * GHOST_MAX_FRAMES * 3;
+    for (let i = 1; i <= ticks; i++) {
+        run.snake.pos = new Vector(i % 800, 0);
+        recorder.record(run);
+    }
+    const ghost = recorder.toJSON();
+    assert.ok(ghost.frames.length <= GHOST_MAX_FRAMES * 4);
+    assert.strictEqual(ghost.interval, GHOST_INTERVAL * 4);
+    // Frame k is still the head after tick k * interval, up to the end of the run
+    const last = ghost.frames.length / 4 - 1;
+    assert.strictEqual(last * ghost.interval, ticks);
+    assert.strictEqual(ghost.frames[last * 4], ticks % 800);
+    assert.strictEqual(ghost.frames[(last - 1) * 4], (ticks - ghost.interval) % 800);
+});
+
+test('ghosts are kept apart from the profiles, which save without rewriting them', () => {
+    const storage = memoryStorage();
+    const store = new ProfileStore(storage);
+    store.login('Ace');
+    const { recorder } = flyGhost(GHOST_INTERVAL * 10, [GHOST_INTERVAL * 5]);
+    store.recordGhost(recorder);
+    assert.ok(!storage.getItem('snike_profiles').includes('frames'));
+    storage.writes.length = 0;
+    store.update({ showGhost: false });
+    assert.ok(storage.writes.every(key => !key.startsWith('snike_ghost')));
+    assert.strictEqual(new ProfileStore(storage).ghost('classic', CONFIG.INITIAL_SNAKE_SPEED).score, recorder.score);
+});
+
+test('a full storage drops the oldest ghosts rather than a save', () => {
+    const { ghost } = flyGhost(GHOST_INTERVAL * 200);
+    const size = JSON.stringify(ghost).length;
+    const storage = memoryStorage(size * 3);
+    const ghosts = new GhostStore(storage);
+    const modes = ['classic', 'zen', 'survival', 'storm'];
+    modes.forEach((mode, i) => assert.strictEqual(ghosts.save('Ace', { ...ghost, mode }, i), true));
+    assert.strictEqual(ghosts.load('Ace', 'classic', ghost.speed), null);
+    assert.strictEqual(ghosts.load('Ace', 'storm', ghost.speed).mode, 'storm');
+    assert.deepStrictEqual(new GhostStore(storage).index.map(entry => entry.key), modes.slice(-ghosts.index.length).map(mode => ghostKey(mode, ghost.speed)));
+
+    // The scores still save once the ghosts have filled storage
+    const store = new ProfileStore(storage);
+    store.login('Ace');
+    store.recordRun({ mode: 'classic', score: 120, speed: ghost.speed, duration: 1000 });
+    assert.strictEqual(new ProfileStore(storage).highScore('classic'), 120);
+    assert.ok(store.ghosts.index.length < 3);
+    // The index on disk lists only the ghosts that are left
+    assert.deepStrictEqual(new GhostStore(storage).index, store.ghosts.index);
+});
+
+test('a ghost that does not fit leaves the one it was to replace', () => {
+    const { ghost } = flyGhost(GHOST_INTERVAL * 200);
+    const storage = memoryStorage(JSON.stringify(ghost).length * 2);
+    const ghosts = new GhostStore(storage);
+    assert.strictEqual(ghosts.save('Ace', ghost), true);
+    const long = { ...ghost, frames: [...ghost.frames, ...ghost.frames, ...ghost.frames] };
+    assert.strictEqual(ghosts.save('Ace', long), false);
+    assert.deepStrictEqual(new GhostStore(storage).load('Ace', ghost.mode, ghost.speed), JSON.parse(JSON.stringify(ghost)));
+});
+
+test('a save file carries the ghosts and replaces every one on the device', () => {
+    const storage = memoryStorage();
+    const store = new ProfileStore(storage);
+    store.login('Ace');
+    const { recorder } = flyGhost(GHOST_INTERVAL * 10, [GHOST_INTERVAL * 5]);
+    store.recordGhost(recorder);
+    const file = JSON.stringify(store.exportSave('2026-10-02T00:00:00.000Z'));
+
+    const other = memoryStorage();
+    const there = new ProfileStore(other);
+    there.login('Bee');
+    there.recordGhost(flyGhost(GHOST_INTERVAL * 10).recorder);
+    other.setItem('snike_ghost:Cat:classic@2.5', JSON.stringify(recorder.toJSON())); // Lost from the index
+    there.restore(readSave(file));
+
+    assert.deepStrictEqual(there.names, ['Ace']);
+    assert.deepStrictEqual(there.ghost('classic', CONFIG.INITIAL_SNAKE_SPEED), recorder.toJSON());
+    assert.deepStrictEqual([...other.items.keys()].filter(key => key.startsWith('snike_ghost:')), [
+        there.ghosts.storageKey('Ace', ghostKey('classic', CONFIG.INITIAL_SNAKE_SPEED))
+    ]);
+    // Ghosts of pilots the file does not have, and ones that do not read, stay out
+    const stray = { ...JSON.parse(file), ghosts: [{ pilot: 'Bee', ghost: recorder.toJSON() }, { pilot: 'Ace', ghost: { frames: 7 } }] };
+    assert.deepStrictEqual(readSave(stray).ghosts, []);
+});
+
+test('stored ghosts that no longer read are ignored', () => {
+    const storage = memoryStorage();
+    const ghosts = new GhostStore(storage);
+    const { ghost } = flyGhost(GHOST_INTERVAL * 3);
+    ghosts.save('Ace', ghost);
+    assert.deepStrictEqual(ghosts.load('Ace', ghost.mode, ghost.speed), ghost);
+    assert.strictEqual(ghosts.load('Bee', ghost.mode, ghost.speed), null);
+
+    const key = ghosts.storageKey('Ace', ghostKey(ghost.mode, ghost.speed));
+    storage.setItem(key, JSON.stringify({ ...ghost, frames: [1, 2, 3] }));
+    assert.strictEqual(ghosts.load('Ace', ghost.mode, ghost.speed), null);
+    storage.setItem(key, JSON.stringify({ ...ghost, mode: 'zen' })); // Filed under another mode
+    assert.strictEqual(ghosts.load('Ace', ghost.mode, ghost.speed), null);
+    storage.setItem(key, '{not json');
+    assert.strictEqual(ghosts.load('Ace', ghost.mode, ghost.speed), null);
+    storage.setItem('snike_ghosts', '[{"pilot":"Ace"}, 7]');
+    assert.deepStrictEqual(new GhostStore(storage).index, []);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONFIG, STEP_MS, GRAVITY_DIRECTIONS, LEVELS, MIN_GRAVITY_INTERVAL, GravitySchedule, Rng, Simulation, Vector, makeGravity,
+    parseGravitySchedule, tickInput
+} = require('../core');
+
+const IDLE = tickInput(null);
+
+function playing(mode = 'classic', seed = 5) {
+    const sim = new Simulation(800, 600, seed);
+    sim.setMode(mode);
+    sim.setState('START');
+    sim.start(seed);
+    sim.food.pos = new Vector(-1000, -1000);
+    sim.drainEvents();
+    return sim;
+}
+
+/** Steps with the snake pinned in the middle, clear of the walls. */
+function stepCentered(sim, count) {
+    for (let i = 0; i < count; i++) {
+        sim.snake.pos = new Vector(400, 300);
+        sim.step(IDLE);
+    }
+}
+
+test('makeGravity scales the unit vector by strength and names the compass points', () => {
+    const g = makeGravity(135, 2);
+    assert.strictEqual(g.name, 'DOWN-LEFT');
+    assert.ok(Math.abs(g.x + Math.SQRT2) < 1e-9 && Math.abs(g.y - Math.SQRT2) < 1e-9);
+    assert.strictEqual(makeGravity(-90).name, 'UP');
+    assert.strictEqual(makeGravity(100).name, '100°');
+    assert.deepStrictEqual(GRAVITY_DIRECTIONS.map(({ x, y }) => [x, y]), [[0, 1], [0, -1], [-1, 0], [1, 0]]);
+});
+
+test('parseGravitySchedule rejects malformed schedules', () => {
+    assert.throws(() => parseGravitySchedule({ type: 'spin' }), /Unknown gravity schedule type/);
+    assert.throws(() => parseGravitySchedule({ type: 'script', interval: 1000, steps: [] }), /at least one step/);
+    assert.throws(() => parseGravitySchedule({ type: 'script', interval: 1000, steps: [{ angle: 'up' }] }), /step 0/);
+    assert.throws(() => parseGravitySchedule({ type: 'random', interval: [5000, 1000] }), /interval range/);
+    assert.throws(() => parseGravitySchedule({ type: 'random', interval: [1000, 2000], angles: 1 }), /angles/);
+});
+
+test('a scripted schedule plays its steps in order, loops and honours per-step holds', () => {
+    const schedule = new GravitySchedule(parseGravitySchedule({
+        type: 'script',
+        interval: 5000,
+        steps: [{ angle: 45 }, { angle: 200, strength: 1.5, hold: 2000 }]
+    }), new Rng(1));
+    const changes = [schedule.next(), schedule.next(), schedule.next()];
+    assert.deepStrictEqual(changes.map(c => c.gravity.angle), [45, 200, 45]);
+    assert.deepStrictEqual(changes.map(c => c.hold), [5000, 2000, 5000]);
+    assert.strictEqual(changes[1].gravity.strength, 1.5);
+});
+
+test('a random schedule snaps to its directions, never repeats one and is seeded', () => {
+    const spec = parseGravitySchedule({ type: 'random', interval: [1000, 3000], angles: 8, strength: [0.5, 2] });
+    const roll = seed => {
+        const schedule = new GravitySchedule(spec, new Rng(seed));
+        return Array.from({ length: 50 }, () => schedule.next());
+    };
+    const changes = roll(9);
+    changes.forEach((change, i) => {
+        assert.strictEqual(change.gravity.angle % 45, 0);
+        assert.ok(change.gravity.strength >= 0.5 && change.gravity.strength <= 2);
+        assert.ok(change.hold >= 1000 && change.hold <= 3000);
+        if (i) assert.notStrictEqual(change.gravity.angle, changes[i - 1].gravity.angle);
+    });
+    assert.deepStrictEqual(roll(9), changes);
+});
+
+test('a warning is queued before each scheduled change, naming the gravity to come', () => {
+    const sim = playing();
+    const events = [];
+    for (let i = 0; i < Math.ceil(CONFIG.GRAVITY_CHANGE_INTERVAL / STEP_MS) + 2; i++) {
+        stepCentered(sim, 1);
+        sim.drainEvents().forEach(e => events.push({ ...e, clock: sim.clock }));
+    }
+    const warning = events.find(e => e.type === 'gravityWarning');
+    const change = events.find(e => e.type === 'gravityChanged');
+    assert.ok(warning && change);
+    assert.strictEqual(warning.gravity, change.gravity);
+    assert.ok(change.clock - warning.clock >= CONFIG.GRAVITY_WARNING - STEP_MS);
+    assert.strictEqual(events.filter(e => e.type === 'gravityWarning').length, 1);
+});
+
+test('at the shortest survival interval the warning still leaves a quiet stretch after each flip', () => {
+    const sim = playing('survival');
+    sim.gravityInterval = MIN_GRAVITY_INTERVAL;
+    const events = [];
+    for (let i = 0; i < Math.ceil(MIN_GRAVITY_INTERVAL * 3 / STEP_MS); i++) {
+        stepCentered(sim, 1);
+        sim.drainEvents().forEach(e => events.push({ ...e, clock: sim.clock }));
+    }
+    assert.strictEqual(sim.gravityInterval, MIN_GRAVITY_INTERVAL);
+    const changes = events.filter(e => e.type === 'gravityChanged');
+    const warnings = events.filter(e => e.type === 'gravityWarning');
+    assert.ok(changes.length >= 2);
+    changes.slice(1).forEach(change => {
+        const warning = warnings.filter(w => w.clock <= change.clock).pop();
+        assert.ok(change.clock - warning.clock <= MIN_GRAVITY_INTERVAL / 2 + STEP_MS);
+    });
+});
+
+test('a manual flip takes the upcoming gravity and lines up the one after', () => {
+    const sim = playing();
+    const next = sim.nextGravity;
+    const countdown = sim.gravityCountdown;
+    sim.flipGravity();
+    assert.strictEqual(sim.gravity, next);
+    assert.strictEqual(sim.nextGravity, GRAVITY_DIRECTIONS[2]);
+    assert.strictEqual(sim.gravityCountdown, countdown, 'the countdown carries on');
+});
+
+test('storm rolls its changes from the run seed and follows their holds', () => {
+    const a = playing('storm', 21);
+    const b = playing('storm', 21);
+    stepCentered(a, 600);
+    stepCentered(b, 600);
+    assert.ok(a.gravityIndex > 0);
+    assert.strictEqual(a.gravity.angle, b.gravity.angle);
+    assert.ok(a.gravityInterval >= 3000 && a.gravityInterval <= 7000);
+    assert.notStrictEqual(a.gravityInterval, CONFIG.GRAVITY_CHANGE_INTERVAL);
+});
+
+test('wells add their pull to the global gravity', () => {
+    const sim = playing();
+    sim.setLevel(LEVELS.findIndex(level => level.id === 'maelstrom'));
+    sim.setState('OVER');
+    sim.start(5);
+    const well = sim.arena.shapes.find(shape => shape.type === 'well' && shape.strength > 0);
+    const near = new Vector(well.x + well.radius / 2, well.y);
+    const pulled = sim.gravityAt(near, makeGravity(0, 0));
+    assert.ok(pulled.x < 0 && Math.abs(pulled.y) < 1e-9, 'pulled back towards the centre');
+    assert.deepStrictEqual(sim.gravityAt(new Vector(400, 300), makeGravity(90)), { x: 0, y: 1 });
+});
+
+test('a level with its own schedule replaces the mode gravity', () => {
+    const sim = playing();
+    sim.setLevel(LEVELS.findIndex(level => level.id === 'maelstrom'));
+    sim.setState('OVER');
+    sim.start(5);
+    assert.strictEqual(sim.gravity.name, 'DOWN-RIGHT');
+    assert.strictEqual(sim.gravityInterval, 6000);
+});
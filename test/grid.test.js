@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpatialHash } = require('../core');
+
+function near(grid, x, y, radius) {
+    const ids = [];
+    grid.query(x, y, radius, id => ids.push(id));
+    return ids.sort((a, b) => a - b);
+}
+
+test('a query visits the cells around the point and nothing further', () => {
+    const grid = new SpatialHash(10);
+    grid.insert(1, 5, 5);
+    grid.insert(2, 15, 5);
+    grid.insert(3, 95, 95);
+    grid.insert(4, -5, -5);
+    assert.deepStrictEqual(near(grid, 9, 5, 2), [1, 2]);
+    assert.deepStrictEqual(near(grid, 2, 2, 1), [1]);
+    assert.deepStrictEqual(near(grid, 0, 0, 3), [1, 4], 'negative cells work too');
+    assert.deepStrictEqual(near(grid, 50, 50, 5), []);
+});
+
+test('removing takes an id out of its cell', () => {
+    const grid = new SpatialHash(10);
+    grid.insert(1, 5, 5);
+    grid.insert(2, 6, 6);
+    assert.strictEqual(grid.remove(1, 5, 5), true);
+    assert.strictEqual(grid.remove(1, 5, 5), false);
+    assert.deepStrictEqual(near(grid, 5, 5, 1), [2]);
+    grid.remove(2, 6, 6);
+    assert.strictEqual(grid.cells.size, 0, 'empty cells are dropped');
+    assert.strictEqual(grid.size, 0);
+});
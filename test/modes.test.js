@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, MODES, MIN_GRAVITY_INTERVAL, Simulation, Vector, tickInput } = require('../core');
+
+const IDLE = tickInput(null);
+
+function playing(mode) {
+    const sim = new Simulation(800, 600, 11);
+    sim.setMode(mode);
+    sim.setState('START');
+    sim.start(11);
+    sim.clock = CONFIG.GRACE_PERIOD; // Skip the invincibility window
+    sim.food.pos = new Vector(-1000, -1000);
+    sim.drainEvents();
+    return sim;
+}
+
+test('setMode rejects unknown modes', () => {
+    assert.throws(() => new Simulation(800, 600).setMode('lava'), /Unknown game mode/);
+});
+
+test('classic ends the run at the wall', () => {
+    const sim = playing('classic');
+    sim.snake.pos = new Vector(400, 1);
+    sim.step(IDLE);
+    assert.strictEqual(sim.state, 'OVER');
+    assert.ok(sim.drainEvents().some(e => e.type === 'runEnded' && e.reason === 'crash'));
+});
+
+test('wrap-around brings the snake back through the opposite edge', () => {
+    const sim = playing('wrap');
+    sim.snake.pos = new Vector(400, 1);
+    sim.step(IDLE);
+    assert.strictEqual(sim.state, 'PLAYING');
+    assert.ok(sim.snake.pos.y > 590);
+    assert.deepStrictEqual(sim.snake.segments[0], sim.snake.pos);
+});
+
+test('wrap-around counts bites across the seam', () => {
+    const sim = playing('wrap');
+    sim.snake.pos = new Vector(400, 1);
+    sim.snake.segments = Array.from({ length: 40 }, (_, i) => new Vector(400, i < 30 ? 300 : 598));
+    sim.snake.length = 40;
+    assert.strictEqual(sim.snake.selfHitIndex(sim), 30);
+    assert.strictEqual(sim.snake.selfHitIndex(), -1);
+});
+
+test('time attack ends after 90 seconds of game time', () => {
+    const sim = playing('timeAttack');
+    sim.clock = MODES.timeAttack.timeLimit - 1;
+    sim.snake.pos = new Vector(400, 300);
+    sim.step(IDLE);
+    assert.strictEqual(sim.timeLeft, 0);
+    assert.strictEqual(sim.state, 'OVER');
+    assert.ok(sim.drainEvents().some(e => e.type === 'runEnded' && e.reason === 'time'));
+});
+
+test('zen trims the tail on a bite instead of ending the run', () => {
+    const sim = playing('zen');
+    sim.snake.length = 60;
+    sim.snake.segments = Array.from({ length: 60 }, (_, i) => new Vector(400, i < 35 ? 300 - i * 5 : 298));
+    sim.snake.pos = new Vector(400, 300);
+    sim.checkCollisions();
+    assert.strictEqual(sim.state, 'PLAYING');
+    assert.strictEqual(sim.snake.length, 35);
+    assert.strictEqual(sim.snake.segments.length, 35);
+    const events = sim.drainEvents();
+    assert.ok(events.some(e => e.type === 'trimmed' && e.removed === 25));
+    assert.ok(events.some(e => e.type === 'collision' && e.cause === 'self' && !e.fatal));
+});
+
+test('zen runs only end when the pilot quits', () => {
+    const sim = playing('zen');
+    assert.strictEqual(sim.quit(), false);
+    sim.togglePause();
+    assert.strictEqual(sim.quit(), true);
+    assert.strictEqual(sim.state, 'OVER');
+});
+
+test('survival shortens the gravity interval after every auto flip', () => {
+    const sim = playing('survival');
+    const intervals = [];
+    for (let i = 0; i < 6000 && intervals.length < 30; i++) {
+        sim.snake.pos = new Vector(400, 300);
+        sim.snake.segments = [sim.snake.pos.copy()];
+        const before = sim.gravityInterval;
+        sim.step(IDLE);
+        if (sim.gravityInterval !== before) intervals.push(sim.gravityInterval);
+    }
+    assert.ok(intervals[0] < CONFIG.GRAVITY_CHANGE_INTERVAL);
+    assert.ok(intervals.every((n, i) => i === 0 || n <= intervals[i - 1]));
+    assert.strictEqual(Math.min(...intervals), MIN_GRAVITY_INTERVAL);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+/** Runs sw.js in a stand-in for the worker scope, with `cacheKeys` already cached on the origin. */
+function loadWorker(cacheKeys = []) {
+    const handlers = {};
+    const caches = {
+        opened: null,
+        added: null,
+        deleted: [],
+        open: async name => {
+            caches.opened = name;
+            return { addAll: async files => { caches.added = files; } };
+        },
+        keys: async () => cacheKeys,
+        delete: async key => caches.deleted.push(key)
+    };
+    const self = {
+        skipped: false,
+        location: { origin: 'https://snake.test' },
+        clients: { claim: async () => {} },
+        addEventListener: (type, handler) => { handlers[type] = handler; },
+        skipWaiting: () => { self.skipped = true; }
+    };
+    vm.runInNewContext(read('sw.js'), { self, caches, URL });
+    const dispatch = async (type, data) => {
+        let work = null;
+        handlers[type]({ data, waitUntil: promise => { work = promise; } });
+        await work;
+    };
+    return { self, caches, dispatch };
+}
+
+/** Files the page, its stylesheets and its manifest load from the site itself. */
+function localAssets() {
+    const page = [...read('index.html').matchAll(/(?:src|href)="([^"]+)"/g)].map(m => m[1]);
+    const styles = ['fonts/fonts.css', 'fonts/icons.css'].flatMap(sheet => [...read(sheet).matchAll(/url\('([^']+)'\)/g)]
+        .map(m => path.posix.join(path.posix.dirname(sheet), m[1])));
+    const icons = JSON.parse(read('manifest.webmanifest')).icons.map(icon => icon.src);
+    return [...page, ...styles, ...icons].filter(file => !/^[a-z]+:/.test(file) && !file.startsWith('#'));
+}
+
+test('the service worker precaches every file the game loads, and they all exist', async () => {
+    const { caches, dispatch } = loadWorker();
+    await dispatch('install');
+    const assets = localAssets();
+    assert.ok(assets.includes('game.js') && assets.includes('fonts/fa-solid-900.woff2'));
+    assets.forEach(file => assert.ok(caches.added.includes(file), `${file} is not precached`));
+    caches.added.filter(file => file !== './').forEach(file => {
+        assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} is precached but missing`);
+    });
+});
+
+test('a new version waits for the pilot, then clears out older versions only', async () => {
+    const { self, caches, dispatch } = loadWorker();
+    await dispatch('install');
+    const current = caches.opened;
+    await dispatch('message', { type: 'hello' });
+    assert.strictEqual(self.skipped, false);
+    await dispatch('message', { type: 'skipWaiting' });
+    assert.strictEqual(self.skipped, true);
+
+    const activated = loadWorker(['snike-v0', current, 'someone-elses-cache']);
+    await activated.dispatch('activate');
+    assert.deepStrictEqual(activated.caches.deleted, ['snike-v0']);
+});
+
+test('every icon the game shows is in the bundled subset', () => {
+    const bundled = new Set([...read('fonts/icons.css').matchAll(/\.(fa-[a-z0-9-]+)::before/g)].map(m => m[1]));
+    const sources = ['index.html', 'game.js', 'renderer.js', ...fs.readdirSync(path.join(ROOT, 'core')).map(file => `core/${file}`)];
+    const used = new Set(sources.flatMap(file => read(file).match(/\bfa-[a-z0-9-]+/g) || []));
+    assert.ok(used.has('fa-cog') && used.has('fa-chevron-up'));
+    used.forEach(icon => assert.ok(bundled.has(icon), `${icon} is not bundled`));
+});
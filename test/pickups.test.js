@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, STEP_MS, PICKUPS, Food, Rng, Simulation, Vector, rollBonus, tickInput } = require('../core');
+
+const IDLE = tickInput(null);
+
+function playing() {
+    const sim = new Simulation(800, 600, 5);
+    sim.setState('START');
+    sim.start(5);
+    sim.clock = CONFIG.GRACE_PERIOD; // Skip the invincibility window
+    sim.food.pos = new Vector(-1000, -1000);
+    sim.snake.segments = [sim.snake.pos.copy()]; // No stacked spawn segments to bite
+    sim.drainEvents();
+    return sim;
+}
+
+/** Puts a bonus of `type` right under the head and eats it. */
+function pickUp(sim, type) {
+    sim.bonus = new Food(sim.width, sim.height, sim.rng, null, type);
+    sim.bonus.pos = sim.snake.pos.copy();
+    sim.bonus.expiresAt = sim.clock + PICKUPS[type].lifetime;
+    sim.step(IDLE);
+}
+
+function stepCentered(sim, n) {
+    for (let i = 0; i < n; i++) {
+        sim.snake.pos = new Vector(400, 300); // Stay clear of the walls
+        sim.step(IDLE);
+    }
+}
+
+test('rollBonus only picks weighted bonus types and follows the seed', () => {
+    const a = new Rng(3);
+    const b = new Rng(3);
+    const rolls = Array.from({ length: 200 }, () => rollBonus(a));
+    assert.deepStrictEqual(rolls, Array.from({ length: 200 }, () => rollBonus(b)));
+    assert.ok(rolls.every(id => PICKUPS[id].weight > 0));
+    assert.ok(!rolls.includes('food'));
+});
+
+test('an uneaten bonus despawns after its lifetime', () => {
+    const sim = playing();
+    sim.spawnBonus();
+    const lifetime = PICKUPS[sim.bonus.type].lifetime;
+    sim.bonus.pos = new Vector(-1000, -1000);
+    stepCentered(sim, Math.ceil(lifetime / STEP_MS) + 1);
+    assert.strictEqual(sim.bonus, null);
+    assert.ok(sim.drainEvents().some(e => e.type === 'bonusExpired'));
+});
+
+test('timed effects run for their duration and then end', () => {
+    const sim = playing();
+    pickUp(sim, 'ghost');
+    assert.ok(sim.hasEffect('ghost'));
+    assert.deepStrictEqual(sim.activeEffects.map(e => e.id), ['ghost']);
+    stepCentered(sim, Math.ceil(PICKUPS.ghost.duration / STEP_MS) + 1);
+    assert.ok(!sim.hasEffect('ghost'));
+    assert.deepStrictEqual(sim.activeEffects, []);
+    assert.ok(sim.drainEvents().some(e => e.type === 'effectEnded' && e.effect === 'ghost'));
+});
+
+test('effects stack independently and repeats refresh instead of adding up', () => {
+    const sim = playing();
+    pickUp(sim, 'magnet');
+    stepCentered(sim, 10);
+    pickUp(sim, 'slowMo');
+    pickUp(sim, 'magnet');
+    const magnet = sim.activeEffects.find(e => e.id === 'magnet');
+    assert.strictEqual(magnet.remaining, PICKUPS.magnet.duration);
+    assert.deepStrictEqual(sim.activeEffects.map(e => e.id).sort(), ['magnet', 'slowMo']);
+});
+
+test('gravity lock holds off the automatic flip', () => {
+    const sim = playing();
+    sim.gravityInterval = 1000;
+    sim.lastGravityChange = sim.clock;
+    pickUp(sim, 'gravityLock');
+    stepCentered(sim, Math.ceil(2000 / STEP_MS));
+    assert.strictEqual(sim.gravityIndex, 0);
+
+    // A manual flip still goes through
+    sim.step(tickInput(null, true));
+    assert.strictEqual(sim.gravityIndex, 1);
+});
+
+test('ghost lets the head pass through the body', () => {
+    const sim = playing();
+    pickUp(sim, 'ghost');
+    const body = Array.from({ length: 31 }, (_, i) => new Vector(sim.snake.pos.x + i * 5, sim.snake.pos.y + 50));
+    body[0] = sim.snake.pos.copy();
+    body[30] = sim.snake.pos.copy(); // Curled back under the head
+    sim.snake.segments = body;
+    sim.checkCollisions();
+    assert.strictEqual(sim.state, 'PLAYING');
+});
+
+test('shrink cuts the tail but not below the start length', () => {
+    const sim = playing();
+    sim.snake.length = 100;
+    pickUp(sim, 'shrink');
+    assert.strictEqual(sim.snake.length, 100 - PICKUPS.shrink.segments);
+    pickUp(sim, 'shrink');
+    pickUp(sim, 'shrink');
+    assert.strictEqual(sim.snake.length, 20);
+});
+
+test('slow-motion slows the snake down', () => {
+    const sim = playing();
+    pickUp(sim, 'slowMo');
+    const from = sim.snake.pos.copy();
+    sim.step(IDLE);
+    const moved = sim.snake.pos.dist(from);
+    assert.ok(moved < sim.snake.speed * 0.7, `moved ${moved}`);
+});
+
+test('magnet drags nearby food towards the head', () => {
+    const sim = playing();
+    pickUp(sim, 'magnet');
+    sim.food.pos = new Vector(sim.snake.pos.x + 100, sim.snake.pos.y);
+    const before = sim.snake.pos.dist(sim.food.pos);
+    sim.step(IDLE);
+    assert.ok(sim.snake.pos.dist(sim.food.pos) < before - sim.snake.speed);
+});
+
+test('the golden bonus scores extra and grows the snake', () => {
+    const sim = playing();
+    const length = sim.snake.length;
+    pickUp(sim, 'golden');
+    assert.strictEqual(sim.score, PICKUPS.golden.score);
+    assert.strictEqual(sim.snake.length, length + 10);
+    assert.ok(sim.drainEvents().some(e => e.type === 'foodEaten' && e.pickup === 'golden'));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventBus, PICKUPS, PluginHost, Rng, registerPickup, registerPlugin, rollBonus } = require('../core');
+
+function host(context) {
+    return new PluginHost(new EventBus(), context);
+}
+
+test('a plugin gets the host context and its subscriptions go when it is removed', () => {
+    const plugins = host({ game: 'the game' });
+    const seen = [];
+    let tornDown = false;
+    plugins.use({
+        id: 'tracker',
+        setup({ on, game }) {
+            on('tick', e => seen.push([game, e.clock]));
+            return () => { tornDown = true; };
+        }
+    });
+    plugins.bus.emit('tick', { clock: 1 });
+    assert.strictEqual(plugins.remove('tracker'), true);
+    plugins.bus.emit('tick', { clock: 2 });
+    assert.deepStrictEqual(seen, [['the game', 1]]);
+    assert.ok(tornDown);
+    assert.strictEqual(plugins.has('tracker'), false);
+});
+
+test('plugins are checked and installed once', () => {
+    const plugins = host();
+    assert.throws(() => plugins.use({ setup() {} }), /needs an id/);
+    assert.throws(() => plugins.use({ id: 'x' }), /setup function/);
+    plugins.use({ id: 'x', setup() {} });
+    assert.throws(() => plugins.use({ id: 'x', setup() {} }), /already installed/);
+    assert.throws(() => registerPlugin({ id: 'y' }), /setup function/);
+});
+
+test('a plugin whose setup throws is taken back out', () => {
+    const plugins = host();
+    assert.throws(() => plugins.use({
+        id: 'broken',
+        setup({ on }) {
+            on('tick', () => assert.fail('still subscribed'));
+            throw new Error('nope');
+        }
+    }), /nope/);
+    assert.strictEqual(plugins.has('broken'), false);
+    plugins.bus.emit('tick', { clock: 0 });
+});
+
+test('plugins can publish their own events', () => {
+    const plugins = host();
+    const seen = [];
+    plugins.use({
+        id: 'streaks',
+        setup({ on, define, emit }) {
+            define('streak', ['count']);
+            on('foodEaten', () => emit('streak', { count: 1 }));
+        }
+    });
+    plugins.bus.on('streak', e => seen.push(e.count));
+    plugins.bus.emit('foodEaten', {
+        pos: null, score: 10, pickup: 'food', player: 0, points: 10, chain: 1, multiplier: 1, parts: { food: 10 }
+    });
+    assert.deepStrictEqual(seen, [1]);
+});
+
+test('registerPickup adds a bonus that can roll', () => {
+    assert.throws(() => registerPickup({ id: 'food', name: 'Food' }), /already exists/);
+    assert.throws(() => registerPickup({ id: 'odd', name: 'Odd', weight: 1, lifetime: 1, duration: 0, score: 0, shape: 'blob', color: '#fff' }), /unknown shape/);
+    registerPickup({ id: 'testBerry', name: 'Berry', weight: 1000, lifetime: 5000, duration: 0, score: 5, shape: 'circle', color: '#f00' });
+    try {
+        assert.strictEqual(PICKUPS.testBerry.grow, false);
+        assert.strictEqual(rollBonus(new Rng(1)), 'testBerry');
+    } finally {
+        delete PICKUPS.testBerry;
+    }
+});
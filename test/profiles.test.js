@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, THEMES, ProfileStore, LEADERBOARD_SIZE, defaultAccessibility, defaultAchievements, defaultAudioSettings, defaultBindings, defaultCameraSettings, defaultDaily, defaultLifetime, defaultTouchSettings, rebind } = require('../core');
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+test('login creates a profile with default settings and makes it active', () => {
+    const store = new ProfileStore(memoryStorage());
+    assert.strictEqual(store.active, null);
+    const profile = store.login('Ace');
+    assert.strictEqual(store.active, profile);
+    assert.strictEqual(store.highScore('classic'), 0);
+    assert.strictEqual(profile.speed, CONFIG.INITIAL_SNAKE_SPEED);
+});
+
+test('each pilot keeps their own high score and customization', () => {
+    const storage = memoryStorage();
+    const store = new ProfileStore(storage);
+    store.login('Ace');
+    store.update({ color: '#ffcc00' });
+    store.recordRun({ mode: 'classic', score: 120, speed: 2.5, duration: 30000 });
+    store.login('Bee');
+    store.recordRun({ mode: 'classic', score: 40, speed: 4, duration: 9000 });
+
+    const reloaded = new ProfileStore(storage);
+    assert.deepStrictEqual(reloaded.names, ['Ace', 'Bee']);
+    assert.strictEqual(reloaded.active.name, 'Bee');
+    assert.strictEqual(reloaded.data.profiles.Ace.highScores.classic, 120);
+    assert.strictEqual(reloaded.data.profiles.Ace.color, '#ffcc00');
+    assert.strictEqual(reloaded.highScore('classic'), 40);
+    assert.strictEqual(reloaded.data.profiles.Bee.color, CONFIG.PRIMARY_NEON);
+});
+
+test('the leaderboard keeps the top runs in score order', () => {
+    const store = new ProfileStore(memoryStorage());
+    store.login('Ace');
+    for (let score = 10; score <= 150; score += 10) {
+        store.recordRun({ mode: 'classic', score, speed: 2.5, duration: 1000 });
+    }
+    const board = store.leaderboardFor('classic');
+    assert.strictEqual(board.length, LEADERBOARD_SIZE);
+    assert.strictEqual(board[0].score, 150);
+    assert.strictEqual(board[LEADERBOARD_SIZE - 1].score, 60);
+
+    assert.deepStrictEqual(store.recordRun({ mode: 'classic', score: 5, speed: 2.5, duration: 1000 }), { newBest: false, rank: 0 });
+    assert.deepStrictEqual(store.recordRun({ mode: 'classic', score: 200, speed: 2.5, duration: 1000 }), { newBest: true, rank: 1 });
+});
+
+test('every game mode has its own high score and leaderboard', () => {
+    const store = new ProfileStore(memoryStorage());
+    store.login('Ace');
+    store.recordRun({ mode: 'classic', score: 300, speed: 2.5, duration: 1000 });
+    const zen = store.recordRun({ mode: 'zen', score: 20, speed: 2.5, duration: 1000 });
+
+    assert.deepStrictEqual(zen, { newBest: true, rank: 1 });
+    assert.strictEqual(store.highScore('zen'), 20);
+    assert.strictEqual(store.highScore('classic'), 300);
+    assert.strictEqual(store.highScore('survival'), 0);
+    assert.deepStrictEqual(store.leaderboardFor('zen').map(e => e.score), [20]);
+});
+
+test('the old single-user keys become the first profile', () => {
+    const store = new ProfileStore(memoryStorage({
+        snike_user: 'Legacy',
+        snike_highscore: '90',
+        snike_color: '#00ff44',
+        snike_theme: 'neon',
+        snike_speed: '4'
+    }));
+    assert.deepStrictEqual(store.active, {
+        name: 'Legacy',
+        highScores: { classic: 90 },
+        mode: 'classic',
+        color: '#00ff44',
+        rivalColor: CONFIG.SECONDARY_NEON,
+        theme: 'neon',
+        customThemes: [],
+        speed: 4,
+        level: null,
+        clearedLevels: [],
+        bestOf: 3,
+        rivalPilot: 'human',
+        bindings: defaultBindings(),
+        touch: defaultTouchSettings(),
+        audio: defaultAudioSettings(),
+        accessibility: defaultAccessibility(),
+        camera: defaultCameraSettings(),
+        lifetime: defaultLifetime(),
+        history: [],
+        achievements: defaultAchievements(),
+        daily: defaultDaily(),
+        showGhost: true
+    });
+});
+
+test('audio settings are kept per pilot and cleaned up on load', () => {
+    const storage = memoryStorage();
+    const store = new ProfileStore(storage);
+    store.login('Ace');
+    store.update({ audio: { ...defaultAudioSettings(), music: 0.2, muted: true } });
+    store.login('Bee');
+    assert.deepStrictEqual(store.active.audio, defaultAudioSettings());
+
+    const data = JSON.parse(storage.getItem('snike_profiles'));
+    data.profiles.Ace.audio.master = 4;
+    storage.setItem('snike_profiles', JSON.stringify(data));
+    const reloaded = new ProfileStore(storage);
+    assert.deepStrictEqual(reloaded.data.profiles.Ace.audio, { master: 1, music: 0.2, sfx: 0.8, muted: true });
+});
+
+test('imported themes that no longer parse are dropped on load', () => {
+    const storage = memoryStorage();
+    const store = new ProfileStore(storage);
+    store.login('Ace');
+    const mine = { ...THEMES.void, id: 'mine', name: 'Mine' };
+    store.update({ customThemes: [mine, { ...mine, id: 'broken', glow: 'lots' }] });
+
+    const reloaded = new ProfileStore(storage);
+    assert.deepStrictEqual(reloaded.active.customThemes, [mine]);
+});
+
+test('profiles and runs saved before game modes count as classic', () => {
+    const store = new ProfileStore(memoryStorage({
+        snike_profiles: JSON.stringify({ active: 'Old', profiles: { Old: { name: 'Old', highScore: 70 } } }),
+        snike_leaderboard: JSON.stringify([{ name: 'Old', score: 70, date: '2026-01-01', speed: 2.5, duration: 1 }])
+    }));
+    assert.strictEqual(store.highScore('classic'), 70);
+    assert.strictEqual(store.leaderboardFor('classic').length, 1);
+});
+
+test('bindings are saved per pilot and repaired on load', () => {
+    const storage = memoryStorage();
+    const store = new ProfileStore(storage);
+    store.login('Ace');
+    store.update({ bindings: rebind(store.active.bindings, 'keyboard', 'flip', 0, 'f') });
+
+    const raw = JSON.parse(storage.getItem('snike_profiles'));
+    raw.profiles.Ace.bindings.gamepad.flip = 'A'; // Hand-edited into nonsense
+    storage.setItem('snike_profiles', JSON.stringify(raw));
+
+    const reloaded = new ProfileStore(storage);
+    assert.deepStrictEqual(reloaded.active.bindings.keyboard.flip, ['f']);
+    assert.deepStrictEqual(reloaded.active.bindings.gamepad.flip, defaultBindings().gamepad.flip);
+});
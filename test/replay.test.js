@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Simulation, Recorder, ReplayPlayer, Rng, parseReplay, tickInput, steerFromHeading } = require('../core');
+
+// Plays a wobbly run with some flips and returns the sim and its recording
+function recordRun(ticks) {
+    const sim = new Simulation(800, 600, 1234);
+    sim.setState('START');
+    sim.start(1234);
+    const recorder = new Recorder(sim);
+    const rng = new Rng(99);
+    for (let i = 0; i < ticks && sim.state === 'PLAYING'; i++) {
+        const steer = { dx: Math.round(rng.range(-1, 1)), dy: Math.round(rng.range(-1, 1)) };
+        sim.step(recorder.record(tickInput(steer, i % 200 === 150)));
+    }
+    return { sim, recorder };
+}
+
+test('Rng produces the same sequence for the same seed', () => {
+    const a = new Rng(7);
+    const b = new Rng(7);
+    for (let i = 0; i < 10; i++) assert.strictEqual(a.next(), b.next());
+    assert.notStrictEqual(new Rng(8).next(), new Rng(7).next());
+});
+
+test('tickInput quantizes keyboard directions exactly', () => {
+    assert.strictEqual(tickInput(null).heading, -1);
+    assert.strictEqual(tickInput({ dx: 1, dy: 0 }).heading, 0);
+    assert.strictEqual(tickInput({ dx: 0, dy: 1 }).heading, 64);
+    assert.strictEqual(tickInput({ dx: -1, dy: -1 }).heading, 160);
+    const steer = steerFromHeading(tickInput({ dx: 1, dy: 1 }).heading);
+    assert.ok(Math.abs(Math.atan2(steer.dy, steer.dx) - Math.PI / 4) < 1e-12);
+});
+
+test('Recorder run-length encodes repeated inputs', () => {
+    const recorder = new Recorder(new Simulation(800, 600, 1));
+    for (let i = 0; i < 5; i++) recorder.record(tickInput({ dx: 1, dy: 0 }));
+    recorder.record(tickInput(null, true));
+    assert.deepStrictEqual(recorder.toJSON().inputs, [5, 0, 0, 1, -1, 1]);
+    assert.strictEqual(recorder.toJSON().ticks, 6);
+});
+
+test('a replay reproduces the run frame-for-frame', () => {
+    const { sim, recorder } = recordRun(900);
+    const player = new ReplayPlayer(parseReplay(JSON.stringify(recorder)));
+    while (player.step()) { /* play to the end */ }
+    assert.strictEqual(player.tick, recorder.ticks);
+    assert.strictEqual(player.sim.state, sim.state);
+    assert.strictEqual(player.sim.score, sim.score);
+    assert.strictEqual(player.sim.gravityIndex, sim.gravityIndex);
+    assert.deepStrictEqual(player.sim.snake.segments, sim.snake.segments);
+    assert.deepStrictEqual(player.sim.food.pos, sim.food.pos);
+});
+
+test('seeking lands on the same state as playing forward', () => {
+    const { recorder } = recordRun(300);
+    const replay = parseReplay(recorder.toJSON());
+    const forward = new ReplayPlayer(replay);
+    for (let i = 0; i < 200; i++) forward.step();
+
+    const scrubbed = new ReplayPlayer(replay);
+    scrubbed.seek(250);
+    scrubbed.seek(200);
+    assert.strictEqual(scrubbed.tick, 200);
+    assert.deepStrictEqual(scrubbed.sim.snake.pos, forward.sim.snake.pos);
+    assert.deepStrictEqual(scrubbed.sim.food.pos, forward.sim.food.pos);
+});
+
+test('parseReplay rejects files that are not replays', () => {
+    assert.throws(() => parseReplay({ hello: 'world' }), /Not a Snike replay/);
+    const good = recordRun(10).recorder.toJSON();
+    assert.throws(() => parseReplay({ ...good, version: 99 }), /Unsupported replay version/);
+    // Runs from before the fixed-size world followed the window through resizes
+    assert.throws(() => parseReplay({ ...good, version: 3, resizes: [[5, 640, 480]] }), /Unsupported replay version 3/);
+    assert.throws(() => parseReplay({ ...good, inputs: [1, 2] }), /corrupted/);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MODES, Scorer, Simulation, Vector, describeAward, scoringRules, tickInput } = require('../core');
+
+const CALM = { nearWall: false, nearBody: false, sinceFlip: null };
+const IDLE = tickInput(null);
+
+function playing(mode = 'classic') {
+    const sim = new Simulation(800, 600);
+    sim.setMode(mode);
+    sim.setState('START');
+    sim.start(9);
+    sim.drainEvents();
+    return sim;
+}
+
+/** Lets the combo run out without the schedule flipping gravity meanwhile. */
+function later(sim) {
+    sim.clock += 10000;
+    sim.lastGravityChange = sim.clock;
+}
+
+/** Lets the schedule flip gravity on the next tick. */
+function flipDue(sim) {
+    sim.lastGravityChange = sim.clock - sim.gravityInterval;
+}
+
+/** Puts the food under the head in the middle of the field and eats it. */
+function eatAt(sim, pos) {
+    sim.snake.pos = pos;
+    sim.food.pos = pos.copy();
+    sim.step(IDLE);
+    return sim.drainEvents().find(e => e.type === 'foodEaten');
+}
+
+test('pickups chained within the window build a capped multiplier', () => {
+    const scorer = new Scorer(scoringRules(MODES.classic));
+    const points = [0, 1000, 2000, 3000, 4000, 5000, 6000, 7000].map(clock => scorer.award(10, { clock, ...CALM }).points);
+    assert.deepStrictEqual(points, [10, 15, 20, 25, 30, 35, 40, 40]);
+    // A gap longer than the window starts over
+    assert.deepStrictEqual(scorer.award(10, { clock: 20000, ...CALM }), {
+        points: 10, chain: 1, multiplier: 1, parts: { food: 10, combo: 0, wall: 0, body: 0, flip: 0 }
+    });
+});
+
+test('a pickup worth nothing keeps the chain but earns no bonus', () => {
+    const scorer = new Scorer();
+    scorer.award(10, { clock: 0, ...CALM });
+    const shield = scorer.award(0, { clock: 1000, nearWall: true, nearBody: true, sinceFlip: 0 });
+    assert.strictEqual(shield.points, 0);
+    assert.strictEqual(scorer.award(10, { clock: 2000, ...CALM }).chain, 3);
+});
+
+test('eating near a wall, beside your own body or just after a scheduled flip pays a bonus', () => {
+    const sim = playing();
+    const open = eatAt(sim, new Vector(400, 300));
+    assert.strictEqual(open.points, 10);
+
+    later(sim);
+    const wall = eatAt(sim, new Vector(400, 20));
+    assert.deepStrictEqual([wall.parts.wall, wall.parts.body, wall.parts.flip], [10, 0, 0]);
+
+    later(sim);
+    flipDue(sim);
+    const flip = eatAt(sim, new Vector(400, 300));
+    assert.strictEqual(flip.parts.flip, 10);
+    assert.strictEqual(describeAward(flip), 'Flip catch');
+
+    // Flipping by hand right before a meal is no risk taken
+    later(sim);
+    sim.step(tickInput(null, true));
+    assert.strictEqual(eatAt(sim, new Vector(400, 300)).parts.flip, 0);
+
+    // A body that went up, across and came back down beside the food
+    later(sim);
+    const path = [
+        ...Array.from({ length: 40 }, (_, i) => new Vector(400, 300 - i * 2.5)),
+        ...Array.from({ length: 12 }, (_, i) => new Vector(400 + i * 2.5, 200)),
+        ...Array.from({ length: 40 }, (_, i) => new Vector(430, 200 + i * 2.5))
+    ];
+    sim.snake.length = path.length;
+    sim.snake.segments = path;
+    const close = eatAt(sim, path[0].copy());
+    assert.strictEqual(close.parts.body, 15);
+});
+
+test('modes tune the rules, and the run keeps the breakdown', () => {
+    assert.strictEqual(scoringRules(MODES.zen).proximity.body, 0);
+    assert.strictEqual(scoringRules(MODES.zen).proximity.wall, 10);
+    assert.strictEqual(scoringRules(MODES.timeAttack).combo.max, 6);
+    assert.strictEqual(scoringRules(MODES.timeAttack).combo.step, 0.5);
+
+    const sim = playing();
+    eatAt(sim, new Vector(400, 300));
+    eatAt(sim, new Vector(400, 300));
+    const run = sim.stats.players[0];
+    assert.deepStrictEqual(run.points, { food: 20, combo: 5, wall: 0, body: 0, flip: 0 });
+    assert.strictEqual(run.bestChain, 2);
+    assert.strictEqual(describeAward(sim.scorers[0].award(10, { clock: sim.clock, nearWall: true, nearBody: false, sinceFlip: null })),
+        '×2 combo · Wall skim');
+    assert.strictEqual(sim.score, 25);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONFIG, SETTINGS_VERSION, ProfileStore, defaultProfile, exportSettings, importSettings, loadSettings,
+    migrateSettings, normalizeProfile
+} = require('../core');
+
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+test('a corrupted field falls back to its default on its own', () => {
+    const profile = normalizeProfile('Ace', {
+        mode: 'bogus',
+        speed: 'fast',
+        bestOf: 2,
+        color: 'red; background: url(x)',
+        level: 99,
+        clearedLevels: [0, 0, 1, 'two', -1],
+        highScores: { classic: 120, zen: NaN },
+        theme: 'neon',
+        rivalPilot: 'bot',
+        extra: 'dropped'
+    });
+    assert.deepStrictEqual(profile, {
+        ...defaultProfile('Ace'),
+        clearedLevels: [0, 1],
+        highScores: { classic: 120 },
+        theme: 'neon',
+        rivalPilot: 'bot'
+    });
+});
+
+test('the "theme" core color is a valid choice', () => {
+    assert.strictEqual(normalizeProfile('Ace', { color: 'theme' }).color, 'theme');
+});
+
+test('the old loose keys are migrated and then removed', () => {
+    const storage = memoryStorage({
+        snike_user: 'Legacy',
+        snike_highscore: 'junk',
+        snike_color: '#00ff44',
+        snike_speed: '999'
+    });
+    const store = new ProfileStore(storage);
+    assert.strictEqual(store.active.color, '#00ff44');
+    assert.strictEqual(store.active.speed, CONFIG.INITIAL_SNAKE_SPEED);
+    assert.deepStrictEqual(store.active.highScores, {});
+
+    store.save();
+    assert.deepStrictEqual([...storage.items.keys()].sort(), ['snike_leaderboard', 'snike_profiles']);
+    assert.strictEqual(JSON.parse(storage.getItem('snike_profiles')).version, SETTINGS_VERSION);
+});
+
+test('unversioned profiles go through every migration', () => {
+    const settings = loadSettings(memoryStorage({
+        snike_profiles: JSON.stringify({ active: 'Old', profiles: { Old: { name: 'Old', highScore: 70, mode: 'zen' } } }),
+        snike_leaderboard: JSON.stringify([{ name: 'Old', score: 70 }, { name: 'Broken', score: -5 }, null])
+    }));
+    assert.strictEqual(settings.version, SETTINGS_VERSION);
+    assert.deepStrictEqual(settings.profiles.Old.highScores, { classic: 70 });
+    assert.strictEqual(settings.profiles.Old.mode, 'zen');
+    assert.deepStrictEqual(settings.leaderboard.map(e => [e.name, e.mode]), [['Old', 'classic']]);
+});
+
+test('settings from a newer build are refused by migration but still load locally', () => {
+    const newer = { version: SETTINGS_VERSION + 1, active: 'Ace', profiles: { Ace: { mode: 'zen' } } };
+    assert.throws(() => migrateSettings(newer), /newer than this build/);
+    const settings = loadSettings(memoryStorage({ snike_profiles: JSON.stringify(newer) }));
+    assert.strictEqual(settings.profiles.Ace.mode, 'zen');
+});
+
+test('unreadable storage starts from empty settings', () => {
+    const settings = loadSettings(memoryStorage({ snike_profiles: '{not json', snike_leaderboard: '[' }));
+    assert.deepStrictEqual(settings, { version: SETTINGS_VERSION, active: null, profiles: {}, leaderboard: [] });
+});
+
+test('an exported settings file imports to the same settings', () => {
+    const store = new ProfileStore(memoryStorage());
+    store.login('Ace');
+    store.update({ color: '#ffcc00', clearedLevels: [0] });
+    store.recordRun({ mode: 'classic', score: 90, speed: 2.5, duration: 4000, date: '2026-10-01T00:00:00.000Z' });
+
+    const file = JSON.stringify(exportSettings(store.settings, '2026-10-02T00:00:00.000Z'));
+    const imported = importSettings(file);
+    assert.deepStrictEqual(imported, store.settings);
+
+    const other = new ProfileStore(memoryStorage());
+    other.load(imported);
+    assert.strictEqual(other.active.color, '#ffcc00');
+    assert.strictEqual(other.highScore('classic'), 90);
+});
+
+test('importSettings only takes settings files', () => {
+    assert.throws(() => importSettings('{'), SyntaxError);
+    assert.throws(() => importSettings({ version: 2, profiles: {} }), /Not a settings file/);
+    assert.throws(() => importSettings({ format: 'snike-settings', profiles: {} }), /no version/);
+    assert.throws(() => importSettings({ format: 'snike-settings', version: SETTINGS_VERSION + 1 }), /newer/);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, STEP_MS, GRAVITY_DIRECTIONS, Simulation, Vector, tickInput } = require('../core');
+
+const IDLE = tickInput(null);
+
+function playing() {
+    const sim = new Simulation(800, 600);
+    sim.setState('START');
+    sim.start();
+    sim.drainEvents();
+    return sim;
+}
+
+function ticks(ms) {
+    return Math.ceil(ms / STEP_MS) + 1;
+}
+
+test('state machine ignores transitions that are not allowed', () => {
+    const sim = new Simulation(800, 600);
+    assert.strictEqual(sim.state, 'AUTH');
+    assert.strictEqual(sim.setState('PLAYING'), false);
+    assert.strictEqual(sim.setState('START'), true);
+    assert.strictEqual(sim.togglePause(), false);
+    assert.strictEqual(sim.start(), true);
+    assert.strictEqual(sim.state, 'PLAYING');
+});
+
+test('flipGravity cycles through every direction and wraps', () => {
+    const sim = playing();
+    const seen = [];
+    for (let i = 0; i < GRAVITY_DIRECTIONS.length; i++) {
+        seen.push(sim.gravity.name);
+        sim.flipGravity();
+    }
+    assert.deepStrictEqual(seen, GRAVITY_DIRECTIONS.map(g => g.name));
+    assert.strictEqual(sim.gravity, GRAVITY_DIRECTIONS[0]);
+    assert.strictEqual(sim.drainEvents().filter(e => e.type === 'gravityChanged').length, GRAVITY_DIRECTIONS.length);
+});
+
+test('gravity flips automatically after the change interval', () => {
+    const sim = playing();
+    sim.food.pos = new Vector(-1000, -1000);
+    sim.snake.pos = new Vector(400, 300);
+    for (let i = 0; i < ticks(CONFIG.GRAVITY_CHANGE_INTERVAL); i++) {
+        sim.snake.pos.y = 300; // Stay clear of the walls
+        sim.step(IDLE);
+    }
+    assert.strictEqual(sim.gravityIndex, 1);
+});
+
+test('pausing freezes the game clock', () => {
+    const sim = playing();
+    sim.step(IDLE);
+    const clock = sim.clock;
+    sim.togglePause();
+    for (let i = 0; i < 100; i++) sim.step(IDLE);
+    assert.strictEqual(sim.clock, clock);
+    assert.strictEqual(sim.gravityIndex, 0);
+});
+
+test('a manual flip in the tick input flips gravity', () => {
+    const sim = playing();
+    sim.step(tickInput(null, true));
+    assert.strictEqual(sim.gravityIndex, 1);
+});
+
+test('the same seed spawns food in the same places', () => {
+    const a = new Simulation(800, 600, 42);
+    const b = new Simulation(800, 600, 42);
+    assert.deepStrictEqual(a.food.pos, b.food.pos);
+    a.food.spawn();
+    b.food.spawn();
+    assert.deepStrictEqual(a.food.pos, b.food.pos);
+});
+
+test('eating food scores, grows the snake and respawns the food', () => {
+    const sim = playing();
+    sim.food.pos = sim.snake.pos.copy();
+    const length = sim.snake.length;
+    sim.step(IDLE);
+    assert.strictEqual(sim.score, 10);
+    assert.strictEqual(sim.snake.length, length + 10);
+    assert.ok(sim.drainEvents().some(e => e.type === 'foodEaten' && e.score === 10));
+});
+
+test('hitting a wall ends the run only after the grace period', () => {
+    const sim = playing();
+    sim.food.pos = new Vector(-1000, -1000);
+    sim.snake.pos = new Vector(-50, -50);
+    sim.step(IDLE);
+    assert.strictEqual(sim.state, 'PLAYING');
+
+    sim.clock = CONFIG.GRACE_PERIOD;
+    sim.step(IDLE);
+    assert.strictEqual(sim.state, 'OVER');
+    const events = sim.drainEvents();
+    assert.ok(events.some(e => e.type === 'runEnded'));
+    assert.deepStrictEqual(events.filter(e => e.type === 'collision').map(e => [e.cause, e.fatal]), [['wall', true]]);
+});
+
+test('the simulation refuses to queue events it does not know', () => {
+    const sim = playing();
+    assert.throws(() => sim.emit('fooEaten', {}), /Unknown event type/);
+    assert.throws(() => sim.emit('trimmed', { pos: sim.snake.pos }), /missing "length"/);
+});
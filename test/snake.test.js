@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, Snake, Vector } = require('../core');
+
+const NO_GRAVITY = { x: 0, y: 0 };
+const DOWN = { x: 0, y: 1 };
+
+test('Snake.update moves forward along the current heading', () => {
+    const snake = new Snake(100, 100);
+    snake.update(null, NO_GRAVITY);
+    assert.ok(Math.abs(snake.pos.x - 100) < 1e-9);
+    assert.ok(Math.abs(snake.pos.y - (100 - CONFIG.INITIAL_SNAKE_SPEED)) < 1e-9);
+});
+
+test('Snake.update turns smoothly towards the steering direction', () => {
+    const snake = new Snake(100, 100);
+    const start = snake.angle;
+    snake.update({ dx: 1, dy: 0 }, NO_GRAVITY);
+    assert.ok(snake.angle > start, 'should rotate towards the right');
+    assert.ok(snake.angle < 0, 'should not snap to the target in one tick');
+});
+
+test('Snake.update adds gravity drift to the velocity', () => {
+    const snake = new Snake(100, 100);
+    snake.update(null, DOWN);
+    assert.ok(Math.abs(snake.vel.y - (-CONFIG.INITIAL_SNAKE_SPEED + CONFIG.GRAVITY_FORCE)) < 1e-9);
+});
+
+test('Snake.update keeps the body at its length', () => {
+    const snake = new Snake(100, 100);
+    for (let i = 0; i < 50; i++) snake.update(null, NO_GRAVITY);
+    assert.strictEqual(snake.segments.length, snake.length);
+    assert.deepStrictEqual(snake.segments[0], snake.pos);
+});
+
+test('grow lengthens the snake and speeds it up to MAX_SPEED', () => {
+    const snake = new Snake(0, 0);
+    snake.grow();
+    assert.strictEqual(snake.length, 30);
+    assert.ok(Math.abs(snake.speed - (CONFIG.INITIAL_SNAKE_SPEED + CONFIG.SPEED_INCREMENT)) < 1e-9);
+
+    for (let i = 0; i < 1000; i++) snake.grow();
+    assert.strictEqual(snake.speed, CONFIG.MAX_SPEED);
+});
+
+test('checkCollision detects each wall', () => {
+    const snake = new Snake(50, 50);
+    assert.strictEqual(snake.checkCollision(100, 100), false);
+    for (const [x, y] of [[-1, 50], [101, 50], [50, -1], [50, 101]]) {
+        snake.pos = new Vector(x, y);
+        assert.strictEqual(snake.checkCollision(100, 100), true, `at ${x},${y}`);
+    }
+});
+
+test('checkCollision detects the head touching its own body', () => {
+    const snake = new Snake(50, 50);
+    // Body curled back under the head, beyond the skipped neck segments
+    snake.segments = Array.from({ length: 30 }, (_, i) => new Vector(50 + (i < 25 ? i * 5 : 0), 50));
+    snake.pos = new Vector(50, 50);
+    assert.strictEqual(snake.checkCollision(500, 500), true);
+
+    snake.segments = Array.from({ length: 30 }, (_, i) => new Vector(50 + i * 5, 50));
+    assert.strictEqual(snake.checkCollision(500, 500), false);
+});
+
+/** The original linear scan, as a reference for the hashed lookup. */
+function bruteHitIndex(snake, pos, from) {
+    const reach = CONFIG.SNAKE_WIDTH * 0.8;
+    return snake.segments.findIndex((seg, i) => i >= from && pos.dist(seg) < reach);
+}
+
+test('segments are spaced by distance, whatever the speed', () => {
+    for (const speed of [1.5, CONFIG.MAX_SPEED]) {
+        const snake = new Snake(300, 300);
+        snake.speed = speed;
+        for (let i = 0; i < 60; i++) snake.update({ dx: 1, dy: 0 }, NO_GRAVITY);
+        const body = snake.segments;
+        for (let i = 2; i < body.length; i++) {
+            assert.ok(Math.abs(body[i].dist(body[i - 1]) - CONFIG.SEGMENT_SPACING) < 1e-6, `speed ${speed}, segment ${i}`);
+        }
+        assert.ok(body[1].dist(body[0]) < CONFIG.SEGMENT_SPACING + 1e-9);
+    }
+});
+
+test('growing adds a fixed distance of body', () => {
+    const snake = new Snake(300, 300);
+    snake.speed = CONFIG.MAX_SPEED;
+    snake.grow();
+    for (let i = 0; i < 40; i++) snake.update(null, NO_GRAVITY);
+    assert.strictEqual(snake.segments.length, snake.length);
+    const reach = snake.segments[0].dist(snake.segments[snake.length - 1]);
+    assert.ok(Math.abs(reach - (snake.length - 2) * CONFIG.SEGMENT_SPACING) < CONFIG.SEGMENT_SPACING, `body spans ${reach}px`);
+});
+
+test('the hashed self-collision agrees with a full scan on a coiled body', () => {
+    const snake = new Snake(400, 300);
+    snake.length = 800;
+    for (let i = 0; i < 900; i++) {
+        // A slowly tightening spiral keeps crossing near its own body
+        snake.update({ dx: Math.cos(i * 0.05), dy: Math.sin(i * 0.05) }, NO_GRAVITY);
+        if (i % 25 === 0) {
+            assert.strictEqual(snake.selfHitIndex(), bruteHitIndex(snake, snake.pos, 20), `tick ${i}`);
+        }
+    }
+    const probe = snake.segments[400].copy();
+    assert.strictEqual(snake.bodyHitIndex(probe), bruteHitIndex(snake, probe, 0));
+});
+
+test('trimming and replacing the body keep the hash in step', () => {
+    const snake = new Snake(100, 100);
+    snake.segments = Array.from({ length: 60 }, (_, i) => new Vector(100 + i * 2.5, 100));
+    snake.length = 60;
+    assert.strictEqual(snake.grid.size, 59, 'the head is not filed');
+    snake.trim(30);
+    assert.strictEqual(snake.grid.size, 29);
+    assert.strictEqual(snake.bodyHitIndex(new Vector(100 + 40 * 2.5, 100)), -1, 'cut segments are gone');
+    assert.strictEqual(snake.bodyHitIndex(new Vector(100 + 25 * 2.5, 100)), 22);
+});
+
+test('in wrap-around arenas the body is laid across the seam and still collides there', () => {
+    const bounds = { width: 200, height: 200 };
+    const snake = new Snake(100, 10);
+    for (let i = 0; i < 20; i++) snake.update(null, NO_GRAVITY, 1, bounds);
+    assert.ok(snake.segments.every(s => s.x >= 0 && s.x < 200 && s.y >= 0 && s.y < 200));
+    assert.ok(snake.pos.y > 100, 'the head came back in at the bottom');
+
+    // The part of the body still at the top, seen from just inside the bottom edge
+    const top = snake.segments.findIndex(s => s.y < 3);
+    assert.ok(top > 0);
+    assert.strictEqual(snake.bodyHitIndex(new Vector(100, 199), top, bounds), top);
+    assert.strictEqual(snake.bodyHitIndex(new Vector(100, 199), top, null), -1);
+});
+
+test('bodyDistance finds the nearest segment in range', () => {
+    const snake = new Snake(0, 0);
+    snake.segments = Array.from({ length: 40 }, (_, i) => new Vector(i * 2.5, 0));
+    assert.ok(Math.abs(snake.bodyDistance(new Vector(50, 30), 80) - 30) < 1e-9);
+    assert.strictEqual(snake.bodyDistance(new Vector(50, 300), 80), 80);
+    assert.ok(snake.bodyDistance(new Vector(50, 30), 80, 30) > 30, 'segments before `from` are skipped');
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    CONFIG, HISTORY_SIZE, ProfileStore, RunStats, Simulation, Vector, addToLifetime, defaultLifetime, describeDeath,
+    normalizeHistory, normalizeLifetime, tickInput
+} = require('../core');
+
+const IDLE = tickInput(null);
+
+function playing() {
+    const sim = new Simulation(800, 600);
+    sim.setState('START');
+    sim.start();
+    sim.drainEvents();
+    return sim;
+}
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+test('a wall crash records which wall ended the run', () => {
+    const sim = playing();
+    sim.food.pos = new Vector(-1000, -1000);
+    sim.clock = CONFIG.GRACE_PERIOD;
+    sim.snake.pos = new Vector(-50, 300);
+    sim.step(IDLE);
+    assert.strictEqual(sim.state, 'OVER');
+    const run = sim.stats.players[0];
+    assert.deepStrictEqual(run.death, { cause: 'wall', detail: 'left' });
+    assert.strictEqual(run.crashes, 1);
+    assert.strictEqual(sim.stats.duration, sim.clock);
+    assert.strictEqual(describeDeath(run.death), 'Hit the left wall');
+});
+
+test('manual and scheduled flips are counted apart', () => {
+    const sim = playing();
+    sim.snake.pos = new Vector(400, 300);
+    sim.step(tickInput(null, true));
+    sim.clock = sim.lastGravityChange + sim.gravityInterval;
+    sim.step(IDLE);
+    assert.deepStrictEqual(sim.stats.flips, { manual: 1, schedule: 1 });
+});
+
+test('eating food is counted and the longest length is kept', () => {
+    const sim = playing();
+    sim.food.pos = sim.snake.pos.copy();
+    sim.step(IDLE);
+    const run = sim.stats.players[0];
+    assert.strictEqual(run.food, 1);
+    assert.strictEqual(run.maxLength, sim.snake.length);
+    assert.ok(run.peakSpeed >= CONFIG.INITIAL_SNAKE_SPEED);
+    assert.ok(run.distance > 0);
+});
+
+test('distance takes a wrap as the short way across', () => {
+    const stats = new RunStats(1);
+    const snake = { pos: new Vector(2, 300), prevPos: new Vector(798, 300), length: 10, speed: 3 };
+    stats.sample({ clock: 16, width: 800, height: 600, mode: { wrap: true }, snakes: [snake] });
+    assert.ok(Math.abs(stats.players[0].distance - 4) < 1e-9);
+});
+
+test('each cause of death reads as a sentence', () => {
+    assert.strictEqual(describeDeath(null), 'Survived');
+    assert.strictEqual(describeDeath({ cause: 'self', detail: 42 }), 'Bit own body at segment 42');
+    assert.strictEqual(describeDeath({ cause: 'rival', detail: 3 }), 'Ran into the rival at segment 3');
+    assert.strictEqual(describeDeath({ cause: 'obstacle', detail: null }), 'Hit an obstacle');
+});
+
+test('finished runs fold into the lifetime totals', () => {
+    const stats = new RunStats(1);
+    stats.duration = 5000;
+    stats.flips = { manual: 2, schedule: 1 };
+    Object.assign(stats.players[0], { food: 3, maxLength: 40, peakSpeed: 4, distance: 900, death: { cause: 'wall', detail: 'top' } });
+    const once = addToLifetime(defaultLifetime(), stats);
+    const twice = addToLifetime(once, stats);
+    assert.strictEqual(twice.runs, 2);
+    assert.strictEqual(twice.timeAlive, 10000);
+    assert.strictEqual(twice.food, 6);
+    assert.deepStrictEqual(twice.flips, { manual: 4, schedule: 2 });
+    assert.strictEqual(twice.maxLength, 40);
+    assert.deepStrictEqual(twice.deaths, { wall: 2 });
+});
+
+test('stored lifetime totals and history are cleaned up on load', () => {
+    const lifetime = normalizeLifetime({ runs: 3, food: -1, flips: { manual: 'x', schedule: 2 }, deaths: { wall: 2, self: NaN } });
+    assert.deepStrictEqual(lifetime, { ...defaultLifetime(), runs: 3, flips: { manual: 0, schedule: 2 }, deaths: { wall: 2 } });
+    assert.deepStrictEqual(normalizeHistory([{ mode: 'zen', score: 5 }, { score: 3 }, null]), [{ mode: 'zen', score: 5, date: '' }]);
+});
+
+test('recordRun keeps a capped history and counts stats into the lifetime', () => {
+    const store = new ProfileStore(memoryStorage());
+    store.login('Ace');
+    const stats = new RunStats(1);
+    stats.duration = 1000;
+    for (let i = 0; i < HISTORY_SIZE + 5; i++) {
+        store.recordRun({ mode: 'classic', score: i, speed: 2.5, duration: 1000, stats });
+    }
+    assert.strictEqual(store.active.history.length, HISTORY_SIZE);
+    assert.strictEqual(store.active.history[HISTORY_SIZE - 1].score, HISTORY_SIZE + 4);
+    assert.strictEqual(store.active.lifetime.runs, HISTORY_SIZE + 5);
+
+    store.recordRun({ mode: 'classic', score: 1, speed: 2.5, duration: 1000 });
+    assert.strictEqual(store.active.lifetime.runs, HISTORY_SIZE + 5);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { THEMES, GRID_STYLES, findTheme, normalizeCustomThemes, parseTheme } = require('../core');
+
+function custom(changes = {}) {
+    return { ...THEMES.space, id: 'custom', name: 'Custom', ...changes };
+}
+
+test('every built-in theme is in the theme format', () => {
+    Object.values(THEMES).forEach(theme => {
+        assert.deepStrictEqual(parseTheme(theme), theme);
+        assert.ok(GRID_STYLES.includes(theme.grid.style));
+    });
+});
+
+test('a theme survives a trip through JSON', () => {
+    const theme = custom({ layers: [{ type: 'scanlines', color: '#ffffff10', spacing: 3, speed: 1 }] });
+    assert.deepStrictEqual(parseTheme(JSON.stringify(theme)), theme);
+});
+
+test('parseTheme fills in the optional fields and drops unknown ones', () => {
+    const { icon, layers, ...bare } = custom();
+    const theme = parseTheme({ ...bare, author: 'someone' });
+    assert.strictEqual(theme.icon, 'fa-palette');
+    assert.deepStrictEqual(theme.layers, []);
+    assert.ok(!('author' in theme));
+});
+
+test('parseTheme names what is wrong', () => {
+    assert.throws(() => parseTheme('{'), SyntaxError);
+    assert.throws(() => parseTheme(custom({ id: 'has spaces' })), /needs an id/);
+    assert.throws(() => parseTheme(custom({ grid: { ...THEMES.space.grid, style: 'hex' } })), /unknown grid style "hex"/);
+    assert.throws(() => parseTheme(custom({ stars: { ...THEMES.space.stars, count: 5000 } })), /star count/);
+    assert.throws(() => parseTheme(custom({ palette: { ...THEMES.space.palette, particles: [] } })), /particle color/);
+    assert.throws(() => parseTheme(custom({ layers: [{ type: 'rain' }] })), /layer 0 has unknown type "rain"/);
+    assert.throws(() => parseTheme(custom({ layers: [{ type: 'nebula', color: '#fff', count: 3 }] })), /layer 0 has a bad "speed"/);
+});
+
+test('only plain color syntax is accepted', () => {
+    ['red; background: url(x)', 'url(evil)', 'var(--x)', '#12', ''].forEach(color => {
+        assert.throws(() => parseTheme(custom({ palette: { ...THEMES.space.palette, food: color } })), /"food"/);
+    });
+    ['#abc', '#a0b0c0ff', 'rgba(1, 2, 3, 0.5)', 'hsl(200, 50%, 40%)'].forEach(color => {
+        assert.strictEqual(parseTheme(custom({ palette: { ...THEMES.space.palette, food: color } })).palette.food, color);
+    });
+});
+
+test('custom themes drop broken entries, duplicates and built-in ids', () => {
+    const mine = parseTheme(custom());
+    const themes = normalizeCustomThemes([mine, { ...mine, name: 'Again' }, custom({ id: 'space' }), { id: 'x' }, null]);
+    assert.deepStrictEqual(themes, [mine]);
+    assert.deepStrictEqual(normalizeCustomThemes('nope'), []);
+});
+
+test('findTheme looks in the custom themes and falls back to Deep Space', () => {
+    const mine = parseTheme(custom());
+    assert.strictEqual(findTheme('neon'), THEMES.neon);
+    assert.strictEqual(findTheme('custom', [mine]), mine);
+    assert.strictEqual(findTheme('gone', [mine]), THEMES.space);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GestureTracker, joystickSteer, defaultTouchSettings, normalizeTouchSettings } = require('../core');
+
+test('the joystick steers at any angle and clamps the knob to its base', () => {
+    const { steer, knob } = joystickSteer({ x: 100, y: 100 }, { x: 100 + 30, y: 100 - 40 }, 64);
+    assert.ok(Math.abs(steer.dx - 0.6) < 1e-9 && Math.abs(steer.dy + 0.8) < 1e-9);
+    assert.deepStrictEqual(knob, { x: 30, y: -40 });
+
+    const far = joystickSteer({ x: 0, y: 0 }, { x: 0, y: 200 }, 64);
+    assert.deepStrictEqual(far.knob, { x: 0, y: 64 });
+    assert.deepStrictEqual(far.steer, { dx: 0, dy: 1 });
+});
+
+test('the joystick ignores small wobbles around its center', () => {
+    assert.strictEqual(joystickSteer({ x: 0, y: 0 }, { x: 5, y: 5 }, 64).steer, null);
+});
+
+test('a swipe steers the way the finger last travelled', () => {
+    const gestures = new GestureTracker();
+    gestures.down(1, 0, 0, 0);
+    assert.strictEqual(gestures.move(1, 10, 0), null, 'too short to count');
+    assert.deepStrictEqual(gestures.move(1, 30, 0), { dx: 1, dy: 0 });
+    assert.deepStrictEqual(gestures.move(1, 30, 30), { dx: 0, dy: 1 }, 'measured from where the last swipe ended');
+    assert.strictEqual(gestures.up(1, 30, 30, 100), false, 'a swipe is not a tap');
+});
+
+test('a quick tap flips, and a two-finger tap flips only once', () => {
+    const gestures = new GestureTracker();
+    gestures.down(1, 50, 50, 0);
+    assert.strictEqual(gestures.up(1, 52, 51, 120), true);
+
+    gestures.down(2, 10, 10, 1000);
+    gestures.down(3, 200, 10, 1010);
+    assert.strictEqual(gestures.up(2, 10, 10, 1100), true);
+    assert.strictEqual(gestures.up(3, 200, 10, 1130), false);
+
+    gestures.down(4, 10, 10, 2000);
+    assert.strictEqual(gestures.up(4, 10, 10, 2600), false, 'a long press is not a tap');
+});
+
+test('touch settings fall back to defaults field by field', () => {
+    assert.deepStrictEqual(normalizeTouchSettings(undefined), defaultTouchSettings());
+    assert.deepStrictEqual(
+        normalizeTouchSettings({ scheme: 'swipe', size: 'huge', leftHanded: 'yes', placement: 'fixed' }),
+        { ...defaultTouchSettings(), scheme: 'swipe', placement: 'fixed' }
+    );
+});
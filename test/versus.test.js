@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, STEP_MS, Simulation, Recorder, ReplayPlayer, Rng, Vector, parseReplay, tickInput } = require('../core');
+
+const IDLE = tickInput(null);
+
+function versus(bestOf = 3) {
+    const sim = new Simulation(800, 600, 21);
+    sim.setMode('versus');
+    sim.setBestOf(bestOf);
+    sim.setState('START');
+    sim.start(21);
+    sim.clock = CONFIG.GRACE_PERIOD; // Skip the invincibility window
+    sim.food.pos = new Vector(-1000, -1000);
+    sim.drainEvents();
+    return sim;
+}
+
+/** Parks both heads on safe spots so only the staged collision happens. */
+function park(sim) {
+    sim.snakes.forEach((snake, p) => {
+        snake.pos = new Vector(200 + p * 400, 300);
+        snake.segments = [snake.pos.copy()];
+    });
+}
+
+function waitOutBreak(sim) {
+    while (sim.roundBreakUntil !== null && sim.state === 'PLAYING') {
+        sim.step(IDLE, IDLE);
+    }
+}
+
+test('versus puts two snakes on the field and always plays free', () => {
+    const sim = new Simulation(800, 600);
+    sim.setMode('versus');
+    sim.setLevel(1);
+    assert.strictEqual(sim.snakes.length, 2);
+    assert.deepStrictEqual(sim.scores, [0, 0]);
+    assert.strictEqual(sim.level, null);
+    assert.notDeepStrictEqual(sim.snakes[0].pos, sim.snakes[1].pos);
+});
+
+test('setBestOf only accepts odd match lengths', () => {
+    const sim = new Simulation(800, 600);
+    assert.throws(() => sim.setBestOf(2), /odd number/);
+    assert.throws(() => sim.setBestOf(0), /odd number/);
+    sim.setBestOf(5);
+    assert.strictEqual(sim.winsNeeded, 3);
+});
+
+test('each player steers their own snake', () => {
+    const sim = versus();
+    park(sim);
+    sim.step(tickInput({ dx: -1, dy: 0 }), tickInput({ dx: 1, dy: 0 }));
+    for (let i = 0; i < 30; i++) sim.step(tickInput({ dx: -1, dy: 0 }), tickInput({ dx: 1, dy: 0 }));
+    assert.ok(sim.snakes[0].pos.x < 200);
+    assert.ok(sim.snakes[1].pos.x > 600);
+});
+
+test('either flip key flips the shared gravity', () => {
+    const sim = versus();
+    park(sim);
+    sim.step(IDLE, tickInput(null, true));
+    assert.strictEqual(sim.gravityIndex, 1);
+    sim.step(tickInput(null, true), IDLE);
+    assert.strictEqual(sim.gravityIndex, 2);
+});
+
+test('food goes to whoever reaches it and scores for them', () => {
+    const sim = versus();
+    park(sim);
+    sim.food.pos = sim.snakes[1].pos.copy();
+    sim.step(IDLE, IDLE);
+    assert.deepStrictEqual(sim.scores, [0, 10]);
+    assert.ok(sim.drainEvents().some(e => e.type === 'foodEaten' && e.player === 1));
+});
+
+test('running into the rival body loses the round', () => {
+    const sim = versus();
+    park(sim);
+    const rival = sim.snakes[1];
+    rival.segments = [rival.pos.copy(), new Vector(600, 302), new Vector(200, 296), new Vector(200, 290)];
+    sim.step(IDLE, IDLE);
+    const events = sim.drainEvents();
+    const round = events.find(e => e.type === 'roundOver');
+    assert.strictEqual(round.winner, 1);
+    assert.deepStrictEqual(events.filter(e => e.type === 'collision').map(e => [e.player, e.cause]), [[0, 'rival']]);
+    assert.deepStrictEqual(sim.wins, [0, 1]);
+    assert.strictEqual(sim.state, 'PLAYING');
+});
+
+test('heads meeting is a draw', () => {
+    const sim = versus();
+    park(sim);
+    sim.snakes[1].pos = new Vector(200, 295);
+    sim.step(IDLE, IDLE);
+    const events = sim.drainEvents();
+    const round = events.find(e => e.type === 'roundOver');
+    assert.strictEqual(round.winner, null);
+    assert.deepStrictEqual(events.filter(e => e.type === 'collision').map(e => e.cause), ['head', 'head']);
+    assert.deepStrictEqual(sim.wins, [0, 0]);
+});
+
+test('the field resets after a short break and the match ends at the needed wins', () => {
+    const sim = versus(3);
+    for (let round = 1; round <= 2; round++) {
+        park(sim);
+        sim.snakes[0].pos = new Vector(-50, 300); // Player one flies into the wall
+        sim.step(IDLE, IDLE);
+        assert.deepStrictEqual(sim.wins, [0, round]);
+        waitOutBreak(sim);
+        sim.clock += CONFIG.GRACE_PERIOD;
+    }
+    assert.strictEqual(sim.state, 'OVER');
+    assert.strictEqual(sim.winner, 1);
+    const over = sim.drainEvents().find(e => e.type === 'runEnded');
+    assert.strictEqual(over.reason, 'match');
+    assert.strictEqual(over.winner, 1);
+    assert.strictEqual(sim.round, 2);
+});
+
+test('a versus replay reproduces both snakes', () => {
+    const sim = new Simulation(800, 600, 8);
+    sim.setMode('versus');
+    sim.setState('START');
+    sim.start(8);
+    const recorder = new Recorder(sim);
+    const rng = new Rng(4);
+    const steer = () => ({ dx: Math.round(rng.range(-1, 1)), dy: Math.round(rng.range(-1, 1)) });
+    for (let i = 0; i < Math.ceil(20000 / STEP_MS) && sim.state === 'PLAYING'; i++) {
+        const rival = tickInput(steer(), i % 250 === 100);
+        sim.step(recorder.record(tickInput(steer()), rival), rival);
+    }
+
+    const player = new ReplayPlayer(parseReplay(JSON.stringify(recorder)));
+    while (player.step()) { /* play to the end */ }
+    assert.deepStrictEqual(player.sim.wins, sim.wins);
+    assert.deepStrictEqual(player.sim.scores, sim.scores);
+    assert.deepStrictEqual(player.sim.snakes[1].segments, sim.snakes[1].segments);
+});
+
+test('parseReplay rejects a versus replay without player two', () => {
+    const sim = versus();
+    const json = new Recorder(sim).toJSON();
+    delete json.rivalInputs;
+    assert.throws(() => parseReplay(json), /rival inputs/);
+});